@@ -0,0 +1,76 @@
+// Helpers for profile pictures
+// The browser crops the picture to a square and uploads it once at the largest size; the server decodes it
+// and writes every size itself, so stored files only ever hold pixels the server produced
+import { decodePng, encodePng, shrinkImage } from './png_images.js';
+
+// Square sizes stored for every profile picture, smallest first
+export const AVATAR_SIZES = [64, 128, 256];
+
+// Size of the uploaded crop, which every stored size is made from
+export const AVATAR_UPLOAD_SIZE = AVATAR_SIZES[AVATAR_SIZES.length - 1];
+
+// Largest accepted upload (a 256px PNG is far smaller than this)
+export const MAX_AVATAR_BYTES = 512 * 1024;
+
+// Size used when a request does not ask for one
+export const DEFAULT_AVATAR_SIZE = 128;
+
+/**
+ * Make every stored size of a profile picture from the uploaded crop
+ * @param {Buffer} buffer - Uploaded PNG file contents
+ * @returns {{images: Array<{size: number, buffer: Buffer}>}|{error: string}} One PNG per size, or an error message
+ */
+export function createAvatarImages(buffer) {
+    const image = decodePng(buffer, AVATAR_UPLOAD_SIZE * AVATAR_UPLOAD_SIZE);
+    if (image.error) {
+        return { error: `The profile picture could not be read: ${image.error}.` };
+    }
+    if (image.width !== AVATAR_UPLOAD_SIZE || image.height !== AVATAR_UPLOAD_SIZE) {
+        return { error: `The profile picture must be ${AVATAR_UPLOAD_SIZE}x${AVATAR_UPLOAD_SIZE} pixels.` };
+    }
+
+    const images = AVATAR_SIZES.map(size => {
+        const resized = size === image.width ? image : shrinkImage(image, size, size);
+        return { size, buffer: encodePng(resized.width, resized.height, resized.pixels) };
+    });
+    return { images };
+}
+
+/**
+ * Pick the stored image URL to serve for a requested size
+ * Pictures uploaded before sizes existed are a single URL, which is used for every size
+ * @param {Object|string|undefined} profileImage - User's profileImage field (URLs keyed by size)
+ * @param {number} size - Requested size in pixels
+ * @returns {string|null} Image URL, or null if the user has no picture
+ */
+export function pickAvatarUrl(profileImage, size) {
+    if (!profileImage) {
+        return null;
+    }
+    if (typeof profileImage === 'string') {
+        return profileImage;
+    }
+
+    // The smallest stored size that is at least as big as the one asked for, or else the largest
+    const fit = AVATAR_SIZES.find(stored => stored >= size && profileImage[stored]);
+    return profileImage[fit] || profileImage[AVATAR_SIZES[AVATAR_SIZES.length - 1]] || null;
+}
+
+/**
+ * List every file URL a user's profile picture fields point at, e.g. to delete them when replaced
+ * @param {Object} user - User document with profileImage and, from older uploads, profilePicture
+ * @returns {Array<string>} Unique URLs
+ */
+export function listAvatarUrls(user) {
+    const urls = [];
+    const { profileImage, profilePicture } = user;
+    if (typeof profileImage === 'string') {
+        urls.push(profileImage);
+    } else if (profileImage && typeof profileImage === 'object') {
+        urls.push(...Object.values(profileImage));
+    }
+    if (typeof profilePicture === 'string') {
+        urls.push(profilePicture);
+    }
+    return [...new Set(urls.filter(url => typeof url === 'string'))];
+}
@@ -0,0 +1,54 @@
+// Helpers for threaded comments
+// Top-level comments have no parentId; replies store parentId, rootId (top-level comment) and depth
+
+// Deepest reply level allowed (top-level comments are depth 0)
+export const MAX_COMMENT_DEPTH = 4;
+
+// Text shown in place of a soft-deleted comment
+export const DELETED_COMMENT_TEXT = '[deleted]';
+
+/**
+ * Prepare a comment for a response, hiding the author and text of deleted comments
+ * @param {Object} comment - Comment document
+ * @returns {Object} Comment safe to send to clients
+ */
+export function presentComment(comment) {
+    if (!comment.deleted) {
+        return comment;
+    }
+    return {
+        ...comment,
+        author: null,
+        userId: null,
+        text: DELETED_COMMENT_TEXT
+    };
+}
+
+/**
+ * Nest replies under their parent comments
+ * @param {Array<Object>} topLevel - Top-level comments in display order
+ * @param {Array<Object>} replies - Replies in any of those threads, oldest first
+ * @returns {Array<Object>} Top-level comments, each with a replies array (nested the same way)
+ */
+export function buildCommentTree(topLevel, replies) {
+    const nodes = new Map();
+    const roots = topLevel.map(comment => {
+        const node = { ...presentComment(comment), replies: [] };
+        nodes.set(comment._id.toString(), node);
+        return node;
+    });
+
+    replies.forEach(reply => {
+        nodes.set(reply._id.toString(), { ...presentComment(reply), replies: [] });
+    });
+
+    // Replies are oldest first, so each reply list stays in posting order
+    replies.forEach(reply => {
+        const parent = reply.parentId ? nodes.get(reply.parentId.toString()) : null;
+        if (parent) {
+            parent.replies.push(nodes.get(reply._id.toString()));
+        }
+    });
+
+    return roots;
+}
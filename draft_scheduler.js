@@ -0,0 +1,77 @@
+// In-process scheduler that publishes drafts at their chosen time
+// The schedule itself is stored on each draft (publishAt), so timers are rebuilt from MongoDB on startup
+
+// setTimeout cannot wait longer than about 24.8 days, so long waits are taken in steps of a day
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+// Wait before trying again when publishing fails unexpectedly (e.g. the database is unreachable)
+const RETRY_DELAY = 60 * 1000;
+
+// Pending timers by draft ID, and the function that publishes a draft when its timer fires
+const timers = new Map();
+let publishHandler = null;
+
+/**
+ * Set a timer to publish a draft, replacing any timer it already had
+ * Times in the past publish straight away
+ * @param {string|ObjectId} draftId - Draft ID
+ * @param {Date} publishAt - When to publish
+ */
+export function scheduleDraft(draftId, publishAt) {
+    const key = String(draftId);
+    cancelDraftSchedule(key);
+
+    const delay = Math.max(0, publishAt.getTime() - Date.now());
+    const timer = delay > MAX_TIMER_DELAY
+        ? setTimeout(() => scheduleDraft(key, publishAt), MAX_TIMER_DELAY)
+        : setTimeout(() => runPublish(key), delay);
+
+    // Pending schedules should not keep the process alive on their own
+    timer.unref();
+    timers.set(key, timer);
+}
+
+/**
+ * Stop the timer for a draft, if it has one
+ * @param {string|ObjectId} draftId - Draft ID
+ */
+export function cancelDraftSchedule(draftId) {
+    const key = String(draftId);
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+}
+
+/**
+ * Start the scheduler: remember how to publish drafts and set timers for every pending schedule
+ * Drafts that came due while the server was down are published straight away
+ * @param {Object} draftsCollection - MongoDB drafts collection
+ * @param {function(string): Promise<void>} handler - Publishes one draft by ID
+ * @returns {Promise<number>} Number of schedules loaded
+ */
+export async function startDraftScheduler(draftsCollection, handler) {
+    publishHandler = handler;
+
+    const pending = await draftsCollection.find(
+        { publishAt: { $type: 'date' } },
+        { projection: { publishAt: 1 } }
+    ).toArray();
+    pending.forEach(draft => scheduleDraft(draft._id, draft.publishAt));
+
+    return pending.length;
+}
+
+/**
+ * Publish a draft whose timer fired, logging failures and retrying instead of throwing from a timer
+ * @param {string} draftId - Draft ID
+ */
+async function runPublish(draftId) {
+    timers.delete(draftId);
+    if (!publishHandler) return;
+
+    try {
+        await publishHandler(draftId);
+    } catch (error) {
+        console.error('Scheduled publish error:', error);
+        scheduleDraft(draftId, new Date(Date.now() + RETRY_DELAY));
+    }
+}
@@ -0,0 +1,244 @@
+// Guesses the programming language of a snippet file from its name and content
+// Each language has weighted patterns; the best score wins and the gap to the runner-up sets the confidence
+
+// Guesses below this confidence are not used, the file stays "Other"
+export const MIN_DETECTION_CONFIDENCE = 0.5;
+
+// Confidence needed before existing "Other" posts are relabelled
+export const HIGH_DETECTION_CONFIDENCE = 0.85;
+
+// Only the start of very long files is examined
+const MAX_SAMPLE_LENGTH = 20000;
+
+// Score given by a recognised file extension or shebang line
+const EXTENSION_WEIGHT = 12;
+const SHEBANG_WEIGHT = 12;
+
+// Languages for file extensions, including common alternatives to the ones offered by the create form
+const EXTENSION_LANGUAGES = {
+    'js': 'JavaScript', 'mjs': 'JavaScript', 'cjs': 'JavaScript', 'jsx': 'JavaScript',
+    'ts': 'TypeScript', 'tsx': 'TypeScript', 'mts': 'TypeScript', 'cts': 'TypeScript',
+    'py': 'Python', 'pyw': 'Python',
+    'c': 'C', 'h': 'C',
+    'cpp': 'C++', 'cc': 'C++', 'cxx': 'C++', 'hpp': 'C++', 'hh': 'C++', 'hxx': 'C++',
+    'cs': 'C#',
+    'php': 'PHP',
+    'go': 'Go',
+    'rs': 'Rust',
+    'html': 'HTML', 'htm': 'HTML',
+    'css': 'CSS',
+    'sql': 'SQL',
+    'sh': 'Shell', 'bash': 'Shell', 'zsh': 'Shell'
+};
+
+// Interpreters named on a "#!" first line
+const SHEBANG_LANGUAGES = [
+    [/^#!.*\b(?:ba|z|k|da)?sh\b/, 'Shell'],
+    [/^#!.*\bpython[\d.]*\b/, 'Python'],
+    [/^#!.*\b(?:node|deno|bun)\b/, 'JavaScript'],
+    [/^#!.*\bphp\b/, 'PHP']
+];
+
+// Languages that extend another, so content evidence for the base also counts for them
+const SUPERSET_LANGUAGES = {
+    'TypeScript': 'JavaScript',
+    'C++': 'C'
+};
+
+// Weighted content patterns for each language; each pattern counts once however often it matches
+const LANGUAGE_PATTERNS = {
+    'JavaScript': [
+        [/\b(?:const|let)\s+[\w$]+\s*=/, 2],
+        [/\bfunction\s*[\w$]*\s*\([^)$]*\)\s*\{/, 2],
+        [/=>/, 1],
+        [/\bconsole\.(?:log|error|warn|info)\s*\(/, 4],
+        [/\brequire\(\s*['"]/, 3],
+        [/\b(?:document|window)\.\w+/, 3],
+        [/^[ \t]*import\s+[\w{}*,\s]+\s+from\s+['"]/m, 2],
+        [/\bmodule\.exports\b|\bexport\s+default\b/, 2],
+        [/===|!==/, 1],
+        [/\bawait\s+fetch\s*\(|\.then\s*\(/, 2]
+    ],
+    'TypeScript': [
+        [/[\w$)]\s*:\s*(?:string|number|boolean|any|void|unknown|never)(?:\[\])?\s*[,;)=|{]/, 5],
+        [/\binterface\s+\w+(?:\s+extends\s+[\w, ]+)?\s*\{/, 3],
+        [/^[ \t]*(?:export\s+)?type\s+\w+(?:<[^>]*>)?\s*=/m, 4],
+        [/\b(?:const|let)\s+[\w$]+\s*:\s*[\w$<>[\]]+\s*=/, 4],
+        [/\bas\s+(?:string|number|const|any|unknown)\b/, 3],
+        [/\b(?:public|private|protected|readonly)\s+[\w$]+\s*[:(?]/, 2]
+    ],
+    'Python': [
+        [/^[ \t]*def\s+\w+\s*\([^)]*\)[ \t]*(?:->[^:\n]+)?:[ \t]*$/m, 6],
+        [/^[ \t]*(?:from\s+[\w.]+\s+import\s+[\w*, ]+|import\s+[\w.]+(?:\s+as\s+\w+)?)\s*$/m, 2],
+        [/\bprint\s*\(/, 2],
+        [/^[ \t]*(?:if|elif|for|while|with|try|except|else|class)\b[^{};\n]*:[ \t]*$/m, 3],
+        [/\belif\b/, 3],
+        [/\bself\.\w+/, 2],
+        [/\b(?:None|True|False)\b/, 2],
+        [/__name__\s*==\s*['"]__main__['"]/, 6],
+        [/\bfor\s+\w+\s+in\s+range\s*\(/, 4]
+    ],
+    'C': [
+        [/#include\s*<(?:stdio|stdlib|string|math|stdbool|stdint|unistd|ctype|time)\.h>/, 7],
+        [/\bprintf\s*\(/, 2],
+        [/\bint\s+main\s*\(/, 3],
+        [/\b(?:malloc|calloc|realloc|free)\s*\(/, 3],
+        [/\bscanf\s*\(/, 3],
+        [/\btypedef\s+struct\b/, 3],
+        [/^[ \t]*#define\s+\w+/m, 2],
+        [/\bchar\s*\*\s*\w+/, 2]
+    ],
+    'C++': [
+        [/#include\s*<(?:iostream|vector|string|map|algorithm|memory|set|unordered_map|fstream|sstream)>/, 8],
+        [/\bstd::\w+/, 5],
+        [/\bcout\s*<</, 4],
+        [/\bcin\s*>>/, 4],
+        [/\busing\s+namespace\s+std\s*;/, 7],
+        [/\btemplate\s*</, 3],
+        [/^[ \t]*(?:public|private|protected)\s*:\s*$/m, 3],
+        [/\bnullptr\b/, 3]
+    ],
+    'C#': [
+        [/^[ \t]*using\s+System(?:\.[\w.]+)?\s*;/m, 7],
+        [/\bConsole\.Write(?:Line)?\s*\(/, 6],
+        [/\bnamespace\s+[\w.]+\s*[{;]/, 2],
+        [/\b(?:public|private|protected|internal)\s+(?:static\s+)?(?:async\s+)?(?:void|int|string|bool|Task(?:<\w+>)?)\s+\w+\s*\(/, 3],
+        [/\bstatic\s+(?:async\s+)?(?:void|int|Task)\s+Main\s*\(/, 6],
+        [/\bvar\s+\w+\s*=\s*new\b/, 2],
+        [/\{\s*get;\s*(?:(?:private\s+)?set;\s*)?\}/, 5],
+        [/\bstring\[\]\s+args\b/, 4]
+    ],
+    'PHP': [
+        [/<\?php\b/, 12],
+        [/\$\w+\s*=(?!=)/, 2],
+        [/\$this->\w+/, 5],
+        [/\bfunction\s+\w+\s*\(\s*(?:[\w?]+\s+)?\$\w+/, 4],
+        [/\becho\s+['"$]/, 1],
+        [/\barray\s*\(/, 2],
+        [/\bforeach\s*\(\s*\$\w+\s+as\s+\$/, 5],
+        [/\.\s*\$\w+|\$\w+\s*\./, 1]
+    ],
+    'Go': [
+        [/^[ \t]*package\s+\w+\s*$/m, 6],
+        [/\bfunc\s+(?:\(\s*\w+\s+\*?\w+\s*\)\s*)?\w+\s*\(/, 5],
+        [/\bfmt\.\w+\s*\(/, 5],
+        [/\w\s*:=/, 3],
+        [/^[ \t]*import\s+(?:\(|"[\w./-]+")/m, 4],
+        [/\bgo\s+func\b|\bchan\s+\w+|\bdefer\s+\w+/, 3],
+        [/\btype\s+\w+\s+(?:struct|interface)\s*\{/, 5],
+        [/\berr\s*!=\s*nil\b/, 6]
+    ],
+    'Rust': [
+        [/\bfn\s+\w+\s*(?:<[^>]*>)?\s*\(/, 5],
+        [/\blet\s+mut\s+\w+/, 5],
+        [/\b(?:println|print|vec|format|panic|assert_eq)!\s*[([]/, 5],
+        [/\bimpl\b(?:\s*<[^>]*>)?\s+[\w:]+/, 3],
+        [/\buse\s+(?:std|crate|super|self)::/, 6],
+        [/->\s*(?:Self|Result<|Option<|Vec<|i32|u32|i64|u64|usize|String|bool|&)/, 3],
+        [/&mut\s+\w+|&str\b/, 3],
+        [/\bmatch\s+\w+\s*\{/, 2],
+        [/\b(?:Some|None|Ok|Err)\s*\(/, 1]
+    ],
+    'HTML': [
+        [/<!DOCTYPE\s+html/i, 12],
+        [/<html[\s>]/i, 6],
+        [/<(?:head|body|div|span|p|a|ul|ol|li|script|link|meta|title|h[1-6]|table|form|input|button|section|nav)\b[^>]*>/i, 3],
+        [/<\/(?:div|span|p|a|ul|ol|li|body|html|head|h[1-6]|table|form|button|section|nav)>/i, 3],
+        [/\s(?:class|href|src|id|alt)="[^"]*"/, 1]
+    ],
+    'CSS': [
+        [/^[ \t]*(?:[.#]?[\w-]+|\*)(?:(?:[ \t]*[,>+~][ \t]*|[ \t]+|[.#]|::?)[\w-]+(?:\([^)\n]*\))?)*[ \t]*\{[ \t]*$/m, 2],
+        [/^[ \t]*(?:color|background(?:-color)?|margin(?:-\w+)?|padding(?:-\w+)?|font-(?:size|family|weight)|display|border(?:-\w+)?|width|height|position|flex(?:-\w+)?)\s*:\s*[^;{}]+;/m, 5],
+        [/@media\b|@import\s+url|@keyframes\b|@font-face\b/, 4],
+        [/\b\d+(?:\.\d+)?(?:px|rem|em|vh|vw)\b/, 2],
+        [/:\s*#[\da-fA-F]{3,8}\s*;/, 3]
+    ],
+    'SQL': [
+        [/\bSELECT\b[^;]*?\bFROM\b/i, 5],
+        [/\bINSERT\s+INTO\b/i, 6],
+        [/\bCREATE\s+(?:TABLE|INDEX|VIEW|DATABASE)\b/i, 7],
+        [/\bUPDATE\s+\w+\s+SET\b/i, 6],
+        [/\bDELETE\s+FROM\b/i, 6],
+        [/\bWHERE\b/i, 1],
+        [/\b(?:PRIMARY\s+KEY|FOREIGN\s+KEY|VARCHAR|INNER\s+JOIN|LEFT\s+JOIN|GROUP\s+BY|ORDER\s+BY)\b/i, 3]
+    ],
+    'Shell': [
+        [/^[ \t]*(?:echo|cd|ls|mkdir|rm|cp|mv|chmod|chown|grep|sudo|apt(?:-get)?|brew|curl|wget|export|source)\s/m, 3],
+        [/\$\{\w+\}|\$\d\b|\$@|"\$\w+"/, 2],
+        [/^[ \t]*(?:if\s+\[\[?|fi\s*$|then\s*$|done\s*$|esac\s*$|do\s*$)/m, 5],
+        [/\|\s*(?:grep|awk|sed|sort|uniq|wc|head|tail|xargs|cut|tr)\b/, 3],
+        [/^[ \t]*\w+=(?:"|'|\$|\w)/m, 1]
+    ]
+};
+
+/**
+ * Get the language of a file name's extension
+ * @param {string} fileName - File name
+ * @returns {string|null} Language, or null for a missing or unknown extension
+ */
+export function languageForFileName(fileName) {
+    const match = /\.([A-Za-z0-9+]+)$/.exec(String(fileName || '').trim());
+    return match ? EXTENSION_LANGUAGES[match[1].toLowerCase()] || null : null;
+}
+
+/**
+ * Score every language against a file
+ * @param {string} code - File content
+ * @param {string} fileName - File name, used for its extension
+ * @returns {Map<string, number>} Score per language, only languages with a positive score
+ */
+function scoreLanguages(code, fileName) {
+    const sample = String(code || '').replace(/\r\n/g, '\n').slice(0, MAX_SAMPLE_LENGTH);
+    const scores = new Map();
+    const add = (language, points) => scores.set(language, (scores.get(language) || 0) + points);
+
+    Object.entries(LANGUAGE_PATTERNS).forEach(([language, patterns]) => {
+        patterns.forEach(([pattern, weight]) => {
+            if (pattern.test(sample)) {
+                add(language, weight);
+            }
+        });
+    });
+
+    // A file with TypeScript-only syntax is TypeScript however much plain JavaScript it also has
+    Object.entries(SUPERSET_LANGUAGES).forEach(([language, base]) => {
+        if (scores.has(language) && scores.has(base)) {
+            add(language, scores.get(base));
+        }
+    });
+
+    const extensionLanguage = languageForFileName(fileName);
+    if (extensionLanguage) {
+        add(extensionLanguage, EXTENSION_WEIGHT);
+    }
+
+    const firstLine = sample.split('\n', 1)[0];
+    const shebang = SHEBANG_LANGUAGES.find(([pattern]) => pattern.test(firstLine));
+    if (shebang) {
+        add(shebang[1], SHEBANG_WEIGHT);
+    }
+
+    return scores;
+}
+
+/**
+ * Guess the language of a snippet file
+ * Confidence grows with the winning score and shrinks as the runner-up gets closer
+ * @param {string} code - File content
+ * @param {string} [fileName] - File name, used for its extension
+ * @returns {{language: string, confidence: number}} Best guess, or "Other" with confidence 0 when nothing matched
+ */
+export function detectLanguage(code, fileName = '') {
+    const ranked = [...scoreLanguages(code, fileName).entries()].sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) {
+        return { language: 'Other', confidence: 0 };
+    }
+
+    // The base of the winning language is not a competing guess
+    const [language, top] = ranked[0];
+    const competitor = ranked.find(([other]) => other !== language && other !== SUPERSET_LANGUAGES[language]);
+    const runnerUp = competitor ? competitor[1] : 0;
+    const confidence = (1 - runnerUp / top) * (1 - Math.exp(-top / 4));
+
+    return { language, confidence: Math.round(confidence * 100) / 100 };
+}
@@ -0,0 +1,99 @@
+// Helpers for code review comments anchored to a line range of a snippet file
+// An anchor is { fileName, startLine, endLine, revision, outdated } with 1-based, inclusive line numbers
+
+import { diffLines } from './line_diff.js';
+
+/**
+ * Count the lines in a piece of code
+ * @param {string} code - Code text
+ * @returns {number} Number of lines
+ */
+function countLines(code) {
+    return String(code || '').replace(/\r\n/g, '\n').split('\n').length;
+}
+
+/**
+ * Validate a line anchor submitted with a comment
+ * @param {Object} input - Anchor from the client with fileName, startLine and endLine
+ * @param {Array<Object>} files - Current files of the post
+ * @param {number} revision - Current revision of the post
+ * @returns {{anchor: Object}|{error: string}} Cleaned anchor or an error message
+ */
+export function normalizeAnchor(input, files, revision) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Line anchor must be an object.' };
+    }
+
+    // Posts with one file may leave out the file name
+    const fileName = input.fileName || (files.length === 1 ? files[0].name : '');
+    const file = files.find(f => f.name === fileName);
+    if (!file) {
+        return { error: 'The file for this line comment was not found.' };
+    }
+
+    const startLine = parseInt(input.startLine);
+    const endLine = input.endLine !== undefined ? parseInt(input.endLine) : startLine;
+    const lineCount = countLines(file.code);
+    if (isNaN(startLine) || isNaN(endLine) || startLine < 1 || endLine < startLine || endLine > lineCount) {
+        return { error: `Lines must be between 1 and ${lineCount}, with the start line first.` };
+    }
+
+    return {
+        anchor: {
+            fileName: file.name,
+            startLine,
+            endLine,
+            revision,
+            outdated: false
+        }
+    };
+}
+
+/**
+ * Follow an anchor through an edit of the post's files
+ * The anchor moves with its lines when code is added or removed around it,
+ * and is flagged as outdated when any anchored line changes or its file is removed
+ * @param {Object} anchor - Current anchor
+ * @param {Array<Object>} oldFiles - Files before the edit
+ * @param {Array<Object>} newFiles - Files after the edit
+ * @returns {Object} Anchor for the new code (the same object if nothing changed)
+ */
+export function remapAnchor(anchor, oldFiles, newFiles) {
+    if (anchor.outdated) {
+        return anchor;
+    }
+
+    const oldFile = oldFiles.find(f => f.name === anchor.fileName);
+    const newFile = newFiles.find(f => f.name === anchor.fileName);
+    if (!oldFile || !newFile) {
+        return { ...anchor, outdated: true };
+    }
+    if (oldFile.code === newFile.code) {
+        return anchor;
+    }
+
+    // Map each unchanged old line to its new line number
+    const newLineFor = new Map();
+    let oldLine = 1;
+    let newLine = 1;
+    diffLines(oldFile.code, newFile.code).forEach(op => {
+        if (op.type === 'equal') {
+            newLineFor.set(oldLine, newLine);
+        }
+        if (op.type !== 'insert') oldLine++;
+        if (op.type !== 'delete') newLine++;
+    });
+
+    // Every anchored line must survive unchanged, with nothing inserted between them
+    const startLine = newLineFor.get(anchor.startLine);
+    for (let line = anchor.startLine; line <= anchor.endLine; line++) {
+        if (startLine === undefined || newLineFor.get(line) !== startLine + (line - anchor.startLine)) {
+            return { ...anchor, outdated: true };
+        }
+    }
+
+    if (startLine === anchor.startLine) {
+        return anchor;
+    }
+    return { ...anchor, startLine, endLine: startLine + (anchor.endLine - anchor.startLine) };
+}
@@ -0,0 +1,205 @@
+// Line-based diff used to compare revisions of a code snippet
+
+// Above this many edits the diff falls back to replacing the whole block
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines, treating a missing value as empty
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines of text
+ */
+function splitLines(text) {
+    if (!text) {
+        return [];
+    }
+    return String(text).replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * Find the shortest edit script between two line arrays (Myers' algorithm)
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>|null} Operations, or null if the edit distance is too large
+ */
+function shortestEdit(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        if (d > MAX_EDIT_DISTANCE) {
+            return null;
+        }
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+    return [];
+}
+
+/**
+ * Walk the saved Myers trace backwards to build the list of operations
+ * @param {Array<Array<number>>} trace - Saved V arrays, one per edit distance
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>} Operations in order
+ */
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        // Each saved slice starts at k = -d - 1
+        const v = trace[d];
+        const at = (k) => v[k + d + 1];
+        const k = x - y;
+
+        let prevK;
+        if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+            prevK = k + 1;
+        } else {
+            prevK = k - 1;
+        }
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', line: a[x - 1] });
+            x--;
+            y--;
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: 'insert', line: b[y - 1] });
+            } else {
+                ops.push({ type: 'delete', line: a[x - 1] });
+            }
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * Compute line operations between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<Object>} Operations with type 'equal', 'delete' or 'insert'
+ */
+export function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // Trim the common prefix and suffix, which covers most small edits cheaply
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    let middle = shortestEdit(middleA, middleB);
+    if (middle === null) {
+        middle = [
+            ...middleA.map(line => ({ type: 'delete', line })),
+            ...middleB.map(line => ({ type: 'insert', line }))
+        ];
+    }
+
+    return [
+        ...a.slice(0, start).map(line => ({ type: 'equal', line })),
+        ...middle,
+        ...a.slice(endA).map(line => ({ type: 'equal', line }))
+    ];
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - Diff options
+ * @param {string} options.oldLabel - Label for the original text
+ * @param {string} options.newLabel - Label for the changed text
+ * @param {number} options.context - Number of unchanged lines around each change
+ * @returns {string} Unified diff, or an empty string if the texts are identical
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+    const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+    const ops = diffLines(oldText, newText);
+
+    // Record old and new line numbers for every operation
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = ops.map(op => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== 'insert') oldLine++;
+        if (op.type !== 'delete') newLine++;
+        return entry;
+    });
+
+    // Group changes that are within 2 * context lines of each other into hunks
+    const hunks = [];
+    let current = null;
+    numbered.forEach((op, index) => {
+        if (op.type === 'equal') return;
+        const from = Math.max(0, index - context);
+        const to = Math.min(numbered.length - 1, index + context);
+        if (current && from <= current.to + 1) {
+            current.to = to;
+        } else {
+            current = { from, to };
+            hunks.push(current);
+        }
+    });
+
+    if (hunks.length === 0) {
+        return '';
+    }
+
+    const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    hunks.forEach(hunk => {
+        const slice = numbered.slice(hunk.from, hunk.to + 1);
+        const oldCount = slice.filter(op => op.type !== 'insert').length;
+        const newCount = slice.filter(op => op.type !== 'delete').length;
+        const oldStart = oldCount === 0 ? slice[0].oldLine - 1 : slice.find(op => op.type !== 'insert').oldLine;
+        const newStart = newCount === 0 ? slice[0].newLine - 1 : slice.find(op => op.type !== 'delete').newLine;
+
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        slice.forEach(op => {
+            const prefix = op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+';
+            lines.push(prefix + op.line);
+        });
+    });
+
+    return lines.join('\n');
+}
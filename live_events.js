@@ -0,0 +1,179 @@
+// In-memory hub for live updates sent over Server-Sent Events
+// Each open stream is a client belonging to the session user, along with the posts it currently shows
+
+import crypto from 'crypto';
+import { canViewPost } from './post_visibility.js';
+
+// Comment line sent regularly so proxies do not close idle streams; the session is checked at the same time
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Most streams one user can hold open; opening another closes their oldest
+export const MAX_STREAMS_PER_USER = 5;
+
+// Most posts a single client can watch at once
+export const MAX_WATCHED_POSTS = 100;
+
+// Open streams by client ID
+const clients = new Map();
+
+/**
+ * Write one event to a client's stream
+ * @param {Object} client - Connected client
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload, sent as JSON
+ */
+function send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send the heartbeat, or close the client if the session that opened it has expired or been removed
+ * @param {Object} client - Connected client
+ */
+function checkSession(client) {
+    client.sessionStore.get(client.sessionId, (err, session) => {
+        if (err || !session || session.username !== client.username) {
+            closeClient(client, 'session_ended');
+        } else if (!client.res.writableEnded) {
+            client.res.write(': heartbeat\n\n');
+        }
+    });
+}
+
+/**
+ * Turn a response into an event stream for a user
+ * The first event is "ready" with the client ID used to choose which posts to watch
+ * @param {Object} req - Express request, whose session the stream is tied to
+ * @param {Object} res - Express response
+ * @param {string} username - Session user
+ * @returns {Object} Connected client
+ */
+export function openStream(req, res, username) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    // Streams are kept in the order they opened, so the first ones found are the oldest
+    const userClients = [...clients.values()].filter(other => other.username === username);
+    userClients.slice(0, Math.max(0, userClients.length - MAX_STREAMS_PER_USER + 1))
+        .forEach(oldest => closeClient(oldest, 'too_many_streams'));
+
+    const client = {
+        id: crypto.randomUUID(),
+        username: username,
+        sessionId: req.sessionID,
+        sessionStore: req.sessionStore,
+        res: res,
+        postIds: new Set()
+    };
+    client.heartbeat = setInterval(() => checkSession(client), HEARTBEAT_INTERVAL);
+    clients.set(client.id, client);
+    send(client, 'ready', { clientId: client.id });
+
+    req.on('close', () => closeClient(client));
+
+    return client;
+}
+
+/**
+ * Stop sending to a client and end its stream if it is still open
+ * With a reason, a final "closed" event tells the browser not to reconnect
+ * @param {Object} client - Connected client
+ * @param {string|null} reason - Why the server closed the stream, or null when the browser went away
+ */
+function closeClient(client, reason = null) {
+    clearInterval(client.heartbeat);
+    clients.delete(client.id);
+    if (!client.res.writableEnded) {
+        if (reason) {
+            send(client, 'closed', { reason: reason });
+        }
+        client.res.end();
+    }
+}
+
+/**
+ * Close the streams opened with a session, e.g. when it logs out or is ended from another device
+ * @param {string} sessionId - Session ID
+ */
+export function closeSessionStreams(sessionId) {
+    clients.forEach(client => {
+        if (client.sessionId === sessionId) {
+            closeClient(client, 'session_ended');
+        }
+    });
+}
+
+/**
+ * Close every stream of a user, e.g. when their account is deleted
+ * @param {string} username - User whose streams are closed
+ */
+export function closeUserStreams(username) {
+    clients.forEach(client => {
+        if (client.username === username) {
+            closeClient(client, 'session_ended');
+        }
+    });
+}
+
+/**
+ * Replace the posts a client is showing, so it gets their comments and like counts
+ * @param {string} clientId - Client ID from the "ready" event
+ * @param {string} username - Session user, who must own the client
+ * @param {Array<string>} postIds - Post IDs on screen
+ * @returns {boolean} False if the client is not connected for this user
+ */
+export function watchPosts(clientId, username, postIds) {
+    const client = clients.get(clientId);
+    if (!client || client.username !== username) {
+        return false;
+    }
+    client.postIds = new Set(postIds.slice(0, MAX_WATCHED_POSTS).map(String));
+    return true;
+}
+
+/**
+ * Get the usernames with at least one open stream
+ * @returns {Set<string>} Connected usernames
+ */
+export function getConnectedUsers() {
+    return new Set([...clients.values()].map(client => client.username));
+}
+
+/**
+ * Send an event to every stream of the given users
+ * @param {Iterable<string>} usernames - Recipients
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+export function publishToUsers(usernames, event, data) {
+    const recipients = new Set(usernames);
+    clients.forEach(client => {
+        if (recipients.has(client.username)) {
+            send(client, event, data);
+        }
+    });
+}
+
+/**
+ * Send an event to every stream currently showing a post
+ * Visibility is checked again for each viewer, since the post may have been made private after they started watching
+ * @param {Object} post - Post document with _id, author, visibility and sharedWith
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+export function publishToPostViewers(post, event, data) {
+    const id = post._id.toString();
+    clients.forEach(client => {
+        if (!client.postIds.has(id)) {
+            return;
+        }
+        if (canViewPost(post, client.username)) {
+            send(client, event, data);
+        } else {
+            client.postIds.delete(id);
+        }
+    });
+}
@@ -0,0 +1,78 @@
+// Import modules
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directory used by the file transport to store outgoing mail
+const OUTBOX_DIR = path.join(__dirname, 'mail_outbox');
+
+/**
+ * Console transport - prints outgoing mail to the server log
+ * @param {Object} message - Message with to, subject and text
+ */
+async function consoleTransport(message) {
+    console.log('--- Outgoing mail ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('---------------------');
+}
+
+/**
+ * File transport - writes each outgoing mail to a text file in mail_outbox/
+ * @param {Object} message - Message with to, subject and text
+ */
+async function fileTransport(message) {
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+
+    // Create unique filename with timestamp
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.txt`;
+    const contents = `To: ${message.to}\nSubject: ${message.subject}\nDate: ${new Date().toISOString()}\n\n${message.text}\n`;
+
+    await fs.promises.writeFile(path.join(OUTBOX_DIR, fileName), contents);
+    console.log(`Mail to ${message.to} written to ${path.join('mail_outbox', fileName)}`);
+}
+
+// Built-in transports, selected with the MAIL_TRANSPORT environment variable
+const transports = {
+    console: consoleTransport,
+    file: fileTransport
+};
+
+// Currently active transport
+let activeTransport = transports[process.env.MAIL_TRANSPORT] || consoleTransport;
+
+/**
+ * Replace the active mail transport
+ * @param {string|Function} transport - Name of a built-in transport or an async function(message)
+ */
+export function setTransport(transport) {
+    if (typeof transport === 'function') {
+        activeTransport = transport;
+    } else if (transports[transport]) {
+        activeTransport = transports[transport];
+    } else {
+        throw new Error(`Unknown mail transport: ${transport}`);
+    }
+}
+
+/**
+ * Send a mail message through the active transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient email address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<void>}
+ */
+export async function sendMail(message) {
+    if (!message || !message.to || !message.subject || !message.text) {
+        throw new Error('Mail message requires to, subject and text.');
+    }
+    await activeTransport(message);
+}
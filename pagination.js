@@ -0,0 +1,154 @@
+// Cursor pagination shared by every list route
+// A cursor is an opaque string holding the sort values of the last item on a page,
+// so the next page starts right after it even if new items were added in between
+
+import { ObjectId } from 'mongodb';
+
+// Page size used when no limit is given, and the most a client can ask for
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 50;
+
+/**
+ * Read a nested field such as "user.name" from a document
+ * @param {Object} doc - Document
+ * @param {string} field - Dotted field path
+ * @returns {*} Field value
+ */
+function getField(doc, field) {
+    return field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+}
+
+/**
+ * Convert a sort value to something JSON can hold without losing its type
+ * @param {*} value - Sort value from a document
+ * @returns {*} JSON-safe value
+ */
+function encodeValue(value) {
+    if (value instanceof Date) {
+        return { d: value.toISOString() };
+    }
+    if (value instanceof ObjectId) {
+        return { o: value.toHexString() };
+    }
+    return value === undefined ? null : value;
+}
+
+/**
+ * Convert a JSON value from a cursor back to a sort value
+ * @param {*} value - Value from a decoded cursor
+ * @returns {*} Sort value
+ * @throws {Error} If the value is not one a cursor can contain
+ */
+function decodeValue(value) {
+    if (value === null || typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+        return value;
+    }
+    if (value && typeof value.d === 'string') {
+        const date = new Date(value.d);
+        if (!isNaN(date.getTime())) return date;
+    }
+    if (value && typeof value.o === 'string' && ObjectId.isValid(value.o)) {
+        return new ObjectId(value.o);
+    }
+    throw new Error('Invalid cursor value');
+}
+
+/**
+ * Build the cursor pointing just after a document
+ * @param {Object} doc - Last document on a page
+ * @param {Object} sort - Sort spec used for the list, e.g. { createdAt: -1, _id: -1 }
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(doc, sort) {
+    const values = Object.keys(sort).map(field => encodeValue(getField(doc, field)));
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Read the sort values back out of a cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @param {Object} sort - Sort spec used for the list
+ * @returns {Array|null} Sort values, or null if the cursor is not valid for this list
+ */
+export function decodeCursor(cursor, sort) {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Array.isArray(values) || values.length !== Object.keys(sort).length) {
+            return null;
+        }
+        return values.map(decodeValue);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read limit and after from a request's query string
+ * @param {Object} query - req.query
+ * @param {Object} sort - Sort spec used for the list
+ * @returns {{limit: number, after: Array|null}|{error: string}} Page parameters or an error message
+ */
+export function getPageParams(query, sort) {
+    let limit = DEFAULT_PAGE_LIMIT;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit);
+        if (isNaN(limit) || limit < 1) {
+            return { error: 'Limit must be a positive number.' };
+        }
+        limit = Math.min(limit, MAX_PAGE_LIMIT);
+    }
+
+    let after = null;
+    if (query.after) {
+        after = decodeCursor(query.after, sort);
+        if (!after) {
+            return { error: 'Invalid pagination cursor.' };
+        }
+    }
+
+    return { limit, after };
+}
+
+/**
+ * Add the "comes after the cursor" condition to a filter
+ * For sort { a: -1, b: -1 } this matches a < x, or a = x and b < y
+ * @param {Object} filter - Existing MongoDB filter
+ * @param {Object} sort - Sort spec used for the list
+ * @param {Array|null} after - Sort values from the cursor
+ * @returns {Object} Filter limited to items after the cursor
+ */
+export function applyCursor(filter, sort, after) {
+    if (!after) {
+        return filter;
+    }
+
+    const fields = Object.keys(sort);
+    const branches = fields.map((field, index) => {
+        const branch = {};
+        for (let i = 0; i < index; i++) {
+            branch[fields[i]] = after[i];
+        }
+        branch[field] = { [sort[field] < 0 ? '$lt' : '$gt']: after[index] };
+        return branch;
+    });
+
+    const cursorFilter = { $or: branches };
+    return Object.keys(filter).length > 0 ? { $and: [filter, cursorFilter] } : cursorFilter;
+}
+
+/**
+ * Turn the documents fetched for a page into the page and its next cursor
+ * Routes fetch limit + 1 documents so they can tell whether another page exists
+ * @param {Array<Object>} docs - Documents fetched with limit + 1
+ * @param {Object} sort - Sort spec used for the list
+ * @param {number} limit - Page size
+ * @returns {{items: Array<Object>, nextCursor: string|null}} Page items and cursor for the next page
+ */
+export function buildPage(docs, sort, limit) {
+    const hasMore = docs.length > limit;
+    const items = hasMore ? docs.slice(0, limit) : docs;
+    return {
+        items,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+    };
+}
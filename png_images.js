@@ -0,0 +1,249 @@
+// Minimal PNG decoder, encoder and resizer for server-generated images such as profile pictures
+// Decoding unpacks every pixel, so data that only looks like a PNG from its header is refused,
+// and images written back out contain nothing but pixels
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per pixel for each supported colour type: greyscale, RGB, palette, greyscale + alpha, RGBA
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Undo the per-row filter PNG applies before compressing (filter types 0-4)
+ * @param {Buffer} data - Inflated image data, one filter byte before each row
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} bytesPerPixel - Bytes per pixel
+ * @returns {Buffer|null} Unfiltered rows without filter bytes, or null if a row has an unknown filter
+ */
+function unfilterRows(data, width, height, bytesPerPixel) {
+    const stride = width * bytesPerPixel;
+    const rows = Buffer.alloc(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (stride + 1)];
+        const input = y * (stride + 1) + 1;
+        const row = y * stride;
+        const previous = row - stride;
+
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? rows[row + i - bytesPerPixel] : 0;
+            const up = y > 0 ? rows[previous + i] : 0;
+            const upLeft = y > 0 && i >= bytesPerPixel ? rows[previous + i - bytesPerPixel] : 0;
+            let predictor;
+            if (filter === 0) {
+                predictor = 0;
+            } else if (filter === 1) {
+                predictor = left;
+            } else if (filter === 2) {
+                predictor = up;
+            } else if (filter === 3) {
+                predictor = (left + up) >> 1;
+            } else if (filter === 4) {
+                // Paeth: whichever neighbour is closest to left + up - upLeft
+                const estimate = left + up - upLeft;
+                const toLeft = Math.abs(estimate - left);
+                const toUp = Math.abs(estimate - up);
+                const toUpLeft = Math.abs(estimate - upLeft);
+                predictor = toLeft <= toUp && toLeft <= toUpLeft ? left : toUp <= toUpLeft ? up : upLeft;
+            } else {
+                return null;
+            }
+            rows[row + i] = (data[input + i] + predictor) & 0xff;
+        }
+    }
+    return rows;
+}
+
+/**
+ * Decode a PNG image to RGBA pixels
+ * Supports 8-bit greyscale, RGB, palette, greyscale + alpha and RGBA images without interlacing,
+ * which covers what browsers produce from a canvas
+ * @param {Buffer} buffer - PNG file contents
+ * @param {number} maxPixels - Largest width × height accepted, so a small file cannot inflate to a huge image
+ * @returns {{width: number, height: number, pixels: Buffer}|{error: string}} Size and RGBA pixels, or an error message
+ */
+export function decodePng(buffer, maxPixels) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return { error: 'not a PNG image' };
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const compressed = [];
+    let ended = false;
+
+    // Read every chunk, checking its CRC
+    let offset = 8;
+    while (offset + 12 <= buffer.length && !ended) {
+        const length = buffer.readUInt32BE(offset);
+        if (offset + 12 + length > buffer.length) break;
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (zlib.crc32(buffer.subarray(offset + 4, offset + 8 + length)) !== buffer.readUInt32BE(offset + 8 + length)) {
+            return { error: `the ${type} chunk is corrupt` };
+        }
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            if (length !== 13) return { error: 'the image header is invalid' };
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                compression: data[10],
+                filter: data[11],
+                interlace: data[12]
+            };
+        } else if (!header) {
+            return { error: 'the image header is missing' };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            compressed.push(data);
+        } else if (type === 'IEND') {
+            ended = true;
+        }
+    }
+
+    if (!header || !ended || compressed.length === 0) {
+        return { error: 'the image is incomplete' };
+    }
+    const { width, height, bitDepth, colorType } = header;
+    if (header.bitDepth !== 8 || !(colorType in CHANNELS) || header.compression !== 0 || header.filter !== 0 || header.interlace !== 0) {
+        return { error: 'only 8-bit PNG images without interlacing are supported' };
+    }
+    if (width === 0 || height === 0 || width * height > maxPixels) {
+        return { error: 'the image is too large' };
+    }
+    if (colorType === 3 && !palette) {
+        return { error: 'the image palette is missing' };
+    }
+
+    // Inflate, refusing anything longer than the image needs
+    const bytesPerPixel = CHANNELS[colorType] * (bitDepth / 8);
+    const expectedLength = height * (1 + width * bytesPerPixel);
+    let data;
+    try {
+        data = zlib.inflateSync(Buffer.concat(compressed), { maxOutputLength: expectedLength });
+    } catch (error) {
+        return { error: 'the image data is corrupt' };
+    }
+    if (data.length !== expectedLength) {
+        return { error: 'the image data is the wrong length' };
+    }
+
+    const rows = unfilterRows(data, width, height, bytesPerPixel);
+    if (!rows) {
+        return { error: 'the image data is corrupt' };
+    }
+
+    // Expand to RGBA
+    const pixels = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const source = i * bytesPerPixel;
+        const target = i * 4;
+        if (colorType === 0 || colorType === 4) {
+            pixels[target] = pixels[target + 1] = pixels[target + 2] = rows[source];
+            pixels[target + 3] = colorType === 4 ? rows[source + 1] : 255;
+        } else if (colorType === 2 || colorType === 6) {
+            rows.copy(pixels, target, source, source + 3);
+            pixels[target + 3] = colorType === 6 ? rows[source + 3] : 255;
+        } else {
+            const entry = rows[source];
+            if (entry * 3 + 3 > palette.length) {
+                return { error: 'the image uses a colour missing from its palette' };
+            }
+            palette.copy(pixels, target, entry * 3, entry * 3 + 3);
+            pixels[target + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+/**
+ * Encode RGBA pixels as a PNG image
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Buffer} pixels - RGBA pixels, row by row
+ * @returns {Buffer} PNG file contents
+ */
+export function encodePng(width, height, pixels) {
+    const chunk = (type, data) => {
+        const chunkBuffer = Buffer.alloc(12 + data.length);
+        chunkBuffer.writeUInt32BE(data.length, 0);
+        chunkBuffer.write(type, 4, 'ascii');
+        data.copy(chunkBuffer, 8);
+        chunkBuffer.writeUInt32BE(zlib.crc32(chunkBuffer.subarray(4, 8 + data.length)), 8 + data.length);
+        return chunkBuffer;
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    // Every row uses filter type 0 (none)
+    const stride = width * 4;
+    const rows = Buffer.alloc(height * (stride + 1));
+    for (let y = 0; y < height; y++) {
+        pixels.copy(rows, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(rows)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Shrink an RGBA image by averaging the pixels that fall into each new pixel
+ * Colours are weighted by alpha so transparent pixels do not darken the edges
+ * @param {{width: number, height: number, pixels: Buffer}} image - Decoded image
+ * @param {number} width - New width, no larger than the image
+ * @param {number} height - New height, no larger than the image
+ * @returns {{width: number, height: number, pixels: Buffer}} Resized image
+ */
+export function shrinkImage(image, width, height) {
+    const pixels = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        const top = Math.floor(y * image.height / height);
+        const bottom = Math.max(top + 1, Math.floor((y + 1) * image.height / height));
+        for (let x = 0; x < width; x++) {
+            const left = Math.floor(x * image.width / width);
+            const right = Math.max(left + 1, Math.floor((x + 1) * image.width / width));
+
+            let red = 0, green = 0, blue = 0, alpha = 0;
+            for (let sy = top; sy < bottom; sy++) {
+                for (let sx = left; sx < right; sx++) {
+                    const source = (sy * image.width + sx) * 4;
+                    const weight = image.pixels[source + 3];
+                    red += image.pixels[source] * weight;
+                    green += image.pixels[source + 1] * weight;
+                    blue += image.pixels[source + 2] * weight;
+                    alpha += weight;
+                }
+            }
+
+            const target = (y * width + x) * 4;
+            const count = (bottom - top) * (right - left);
+            if (alpha > 0) {
+                pixels[target] = Math.round(red / alpha);
+                pixels[target + 1] = Math.round(green / alpha);
+                pixels[target + 2] = Math.round(blue / alpha);
+            }
+            pixels[target + 3] = Math.round(alpha / count);
+        }
+    }
+
+    return { width, height, pixels };
+}
@@ -0,0 +1,101 @@
+// Helpers for named collections of bookmarked posts
+// A collection belongs to one user, is public or private, and keeps its posts in the order the owner chose
+
+import { ObjectId } from 'mongodb';
+
+// Limits for collections and their contents
+export const MAX_COLLECTIONS_PER_USER = 50;
+export const MAX_COLLECTION_NAME_LENGTH = 60;
+export const MAX_COLLECTION_ITEMS = 500;
+
+// Who can see a collection: anyone, or only its owner
+export const COLLECTION_VISIBILITIES = ['public', 'private'];
+
+/**
+ * Validate and clean a collection name
+ * @param {string} name - Name as typed by a user
+ * @returns {{name: string, nameKey: string}|{error: string}} Trimmed name with its case-insensitive key, or an error message
+ */
+export function normalizeCollectionName(name) {
+    const cleaned = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+    if (!cleaned) {
+        return { error: 'Collection name is required.' };
+    }
+    if (cleaned.length > MAX_COLLECTION_NAME_LENGTH) {
+        return { error: `Collection names can be at most ${MAX_COLLECTION_NAME_LENGTH} characters.` };
+    }
+    return { name: cleaned, nameKey: cleaned.toLowerCase() };
+}
+
+/**
+ * Validate a collection visibility
+ * @param {string} visibility - "public" or "private"
+ * @returns {{visibility: string}|{error: string}} Visibility or an error message
+ */
+export function normalizeVisibility(visibility) {
+    if (!COLLECTION_VISIBILITIES.includes(visibility)) {
+        return { error: `Visibility must be one of: ${COLLECTION_VISIBILITIES.join(', ')}.` };
+    }
+    return { visibility };
+}
+
+/**
+ * Put a collection's items in a new order
+ * The new order must name every post in the collection exactly once
+ * @param {Array<Object>} items - Current items with postId and addedAt
+ * @param {Array<string>} postIds - Post IDs in the new order
+ * @returns {{items: Array<Object>}|{error: string}} Reordered items or an error message
+ */
+export function reorderItems(items, postIds) {
+    if (!Array.isArray(postIds) || postIds.some(id => typeof id !== 'string' || !ObjectId.isValid(id))) {
+        return { error: 'postIds must be a list of post IDs.' };
+    }
+
+    const itemsById = new Map(items.map(item => [item.postId.toString(), item]));
+    const reordered = [];
+    for (const id of postIds) {
+        const item = itemsById.get(id);
+        if (!item) {
+            return { error: 'postIds must list each post in the collection exactly once.' };
+        }
+        itemsById.delete(id);
+        reordered.push(item);
+    }
+    if (itemsById.size > 0) {
+        return { error: 'postIds must list each post in the collection exactly once.' };
+    }
+
+    return { items: reordered };
+}
+
+/**
+ * Check whether a user can see a collection
+ * @param {Object} collection - Collection document
+ * @param {string|undefined} username - Session user, if logged in
+ * @returns {boolean} True for public collections and for the owner
+ */
+export function canViewCollection(collection, username) {
+    return collection.visibility === 'public' || collection.owner === username;
+}
+
+/**
+ * Shape a collection for list responses, without its items
+ * @param {Object} collection - Collection document
+ * @param {string|null} [postId] - Post to report membership for
+ * @returns {Object} Collection summary
+ */
+export function presentCollection(collection, postId = null) {
+    const summary = {
+        _id: collection._id,
+        name: collection.name,
+        owner: collection.owner,
+        visibility: collection.visibility,
+        itemCount: collection.items.length,
+        createdAt: collection.createdAt,
+        updatedAt: collection.updatedAt
+    };
+    if (postId) {
+        summary.containsPost = collection.items.some(item => item.postId.toString() === postId);
+    }
+    return summary;
+}
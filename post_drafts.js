@@ -0,0 +1,94 @@
+// Helpers for unpublished drafts
+// Drafts are saved as they are typed, so they only need the right shape; the full checks run when a draft is published
+
+import { MAX_FILES_PER_POST } from './snippet_files.js';
+import { normalizeTags } from './post_tags.js';
+import { normalizePostVisibility, normalizeSharedWith } from './post_visibility.js';
+
+// Limits for drafts and how far ahead one can be scheduled
+export const MAX_DRAFTS_PER_USER = 100;
+export const MAX_SCHEDULE_DAYS = 365;
+
+/**
+ * Clean the fields sent when saving a draft
+ * Every field is optional and blank values are kept, so half-written posts can be saved
+ * @param {Object} body - Request body with title, description, files, tags, visibility and sharedWith
+ * @param {string} author - Draft author
+ * @returns {{fields: Object}|{error: string}} Fields to store on the draft, or an error message
+ */
+export function normalizeDraftFields(body, author) {
+    const { title, description, files, tags, visibility, sharedWith } = body;
+    const fields = {};
+
+    if (title !== undefined) {
+        if (typeof title !== 'string') {
+            return { error: 'title must be text.' };
+        }
+        fields.title = title;
+    }
+    if (description !== undefined) {
+        if (typeof description !== 'string') {
+            return { error: 'description must be text.' };
+        }
+        fields.description = description;
+    }
+
+    if (files !== undefined) {
+        if (!Array.isArray(files) || files.some(file => !file || typeof file !== 'object')) {
+            return { error: 'files must be a list of files.' };
+        }
+        if (files.length > MAX_FILES_PER_POST) {
+            return { error: `A post can have at most ${MAX_FILES_PER_POST} files.` };
+        }
+        fields.files = files.map(file => ({
+            name: typeof file.name === 'string' ? file.name : '',
+            language: typeof file.language === 'string' ? file.language : '',
+            code: typeof file.code === 'string' ? file.code : ''
+        }));
+    }
+
+    if (tags !== undefined) {
+        const tagsResult = normalizeTags(tags);
+        if (tagsResult.error) {
+            return tagsResult;
+        }
+        fields.tags = tagsResult.tags;
+    }
+
+    if (visibility !== undefined) {
+        const visibilityResult = normalizePostVisibility(visibility);
+        if (visibilityResult.error) {
+            return visibilityResult;
+        }
+        fields.visibility = visibilityResult.visibility;
+    }
+    if (sharedWith !== undefined) {
+        const sharedResult = normalizeSharedWith(sharedWith, author);
+        if (sharedResult.error) {
+            return sharedResult;
+        }
+        fields.sharedWith = sharedResult.sharedWith;
+    }
+
+    return { fields };
+}
+
+/**
+ * Validate the time a draft should be published at
+ * @param {string|number} value - ISO date string or timestamp
+ * @param {Date} [now] - Current time
+ * @returns {{publishAt: Date}|{error: string}} Publish time or an error message
+ */
+export function normalizePublishAt(value, now = new Date()) {
+    const publishAt = new Date(value);
+    if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(publishAt.getTime())) {
+        return { error: 'publishAt must be a date and time.' };
+    }
+    if (publishAt <= now) {
+        return { error: 'publishAt must be in the future.' };
+    }
+    if (publishAt - now > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `Drafts can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead.` };
+    }
+    return { publishAt };
+}
@@ -0,0 +1,66 @@
+// Helpers for free-form post tags
+// Tags are stored lowercase with words joined by dashes, e.g. "Binary Search" -> "binary-search"
+
+// Limits for tags on a single post
+export const MAX_TAGS_PER_POST = 5;
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalise a single tag
+ * Keeps letters, digits and the characters used in names like "c++", "c#" and "node.js"
+ * @param {string} tag - Tag as typed by a user
+ * @returns {string} Normalised tag, or an empty string if nothing is left
+ */
+export function normalizeTag(tag) {
+    return String(tag || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^#+/, '')
+        .replace(/[\s_]+/g, '-')
+        .replace(/[^a-z0-9+#.-]/g, '')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Validate and clean the tags submitted for a post
+ * Accepts an array, a JSON array string or a comma-separated string (multipart forms send strings)
+ * @param {Array|string} input - Submitted tags
+ * @returns {{tags: Array<string>}|{error: string}} Unique normalised tags or an error message
+ */
+export function normalizeTags(input) {
+    let tags = input;
+    if (typeof tags === 'string') {
+        const trimmed = tags.trim();
+        if (trimmed.startsWith('[')) {
+            try {
+                tags = JSON.parse(trimmed);
+            } catch (error) {
+                return { error: 'Tags must be a valid JSON array.' };
+            }
+        } else {
+            tags = trimmed ? trimmed.split(',') : [];
+        }
+    }
+
+    if (!Array.isArray(tags)) {
+        return { error: 'Tags must be a list.' };
+    }
+
+    const cleaned = [];
+    for (const tag of tags) {
+        const normalized = normalizeTag(tag);
+        if (!normalized || cleaned.includes(normalized)) continue;
+
+        if (normalized.length > MAX_TAG_LENGTH) {
+            return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters.` };
+        }
+        cleaned.push(normalized);
+    }
+
+    if (cleaned.length > MAX_TAGS_PER_POST) {
+        return { error: `A post can have at most ${MAX_TAGS_PER_POST} tags.` };
+    }
+
+    return { tags: cleaned };
+}
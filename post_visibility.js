@@ -0,0 +1,92 @@
+// Helpers for who can see a post
+// Public posts are listed everywhere, unlisted posts only open from a direct link,
+// and private posts are only shown to their author and the users they are shared with
+
+// Visibility values, and how many users a private post can be shared with
+export const POST_VISIBILITIES = ['public', 'unlisted', 'private'];
+export const MAX_SHARED_USERS = 20;
+
+/**
+ * Validate a post visibility
+ * @param {string} visibility - "public", "unlisted" or "private"
+ * @returns {{visibility: string}|{error: string}} Visibility or an error message
+ */
+export function normalizePostVisibility(visibility) {
+    if (!POST_VISIBILITIES.includes(visibility)) {
+        return { error: `Visibility must be one of: ${POST_VISIBILITIES.join(', ')}.` };
+    }
+    return { visibility };
+}
+
+/**
+ * Validate and clean the usernames a private post is shared with
+ * Accepts an array, a JSON array string or a comma-separated string (multipart forms send strings)
+ * @param {Array|string} input - Submitted usernames
+ * @param {string} author - Post author, who never needs to be listed
+ * @returns {{sharedWith: Array<string>}|{error: string}} Unique usernames or an error message
+ */
+export function normalizeSharedWith(input, author) {
+    let usernames = input;
+    if (typeof usernames === 'string') {
+        const trimmed = usernames.trim();
+        if (trimmed.startsWith('[')) {
+            try {
+                usernames = JSON.parse(trimmed);
+            } catch (error) {
+                return { error: 'sharedWith must be a valid JSON array.' };
+            }
+        } else {
+            usernames = trimmed ? trimmed.split(',') : [];
+        }
+    }
+
+    if (!Array.isArray(usernames) || usernames.some(username => typeof username !== 'string')) {
+        return { error: 'sharedWith must be a list of usernames.' };
+    }
+
+    const cleaned = [];
+    for (const username of usernames) {
+        const trimmed = username.trim().replace(/^@/, '');
+        if (!trimmed || trimmed === author || cleaned.includes(trimmed)) continue;
+        cleaned.push(trimmed);
+    }
+
+    if (cleaned.length > MAX_SHARED_USERS) {
+        return { error: `A post can be shared with at most ${MAX_SHARED_USERS} users.` };
+    }
+
+    return { sharedWith: cleaned };
+}
+
+/**
+ * Check whether a user can open a post
+ * Posts saved before visibility existed have no field and are public
+ * @param {Object} post - Post document with author, visibility and sharedWith
+ * @param {string|undefined} username - Session user, if logged in
+ * @returns {boolean} True if the post can be shown to the user
+ */
+export function canViewPost(post, username) {
+    if (post.visibility !== 'private') {
+        return true;
+    }
+    return !!username && (post.author === username || (post.sharedWith || []).includes(username));
+}
+
+/**
+ * Build the filter for posts a user may see in lists, search results and counts
+ * Unlisted posts are left out except for their author
+ * @param {string|undefined} username - Session user, if logged in
+ * @returns {Object} MongoDB filter
+ */
+export function listedPostsFilter(username) {
+    if (!username) {
+        return { visibility: 'public' };
+    }
+    return {
+        $or: [
+            { visibility: 'public' },
+            { author: username },
+            { visibility: 'private', sharedWith: username }
+        ]
+    };
+}
@@ -0,0 +1,455 @@
+/**
+ * Account Manager class
+ * Handles the account settings on your own profile: changing your password or email, two-factor authentication,
+ * reviewing failed logins and deleting your account.
+ * Also confirms email changes when the page is opened from the link in the confirmation email
+ */
+class AccountManager {
+    constructor() {
+        // Base URL for API calls with Student ID
+        const STUDENT_ID = 'M01039337';
+        this.baseURL = `/${STUDENT_ID}`;
+
+        // Cursor for the next page of failed logins
+        this.loginAttemptsCursor = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialise account manager
+     */
+    init() {
+        this.panel = document.getElementById('account-settings');
+        if (this.panel) {
+            this.setupEventListeners();
+        }
+
+        // Confirmation links from the email carry the token in the query string
+        const token = new URLSearchParams(window.location.search).get('confirmEmail');
+        if (token) {
+            this.confirmEmailChange(token);
+        }
+    }
+
+    /**
+     * Set up the settings buttons and the forms
+     */
+    setupEventListeners() {
+        const settingsButton = document.getElementById('accountSettingsButton');
+        if (settingsButton) {
+            settingsButton.addEventListener('click', () => this.open());
+        }
+        const closeButton = document.getElementById('closeAccountSettings');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.close());
+        }
+
+        const forms = {
+            'change-password-form': (form) => this.changePassword(form),
+            'change-email-form': (form) => this.changeEmail(form),
+            'two-factor-enable-form': (form) => this.enableTwoFactor(form),
+            'two-factor-disable-form': (form) => this.disableTwoFactor(form),
+            'delete-account-form': (form) => this.deleteAccount(form)
+        };
+        Object.entries(forms).forEach(([id, handler]) => {
+            const form = document.getElementById(id);
+            if (form) {
+                form.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    handler(form);
+                });
+            }
+        });
+
+        const setupButton = document.getElementById('startTwoFactorSetup');
+        if (setupButton) {
+            setupButton.addEventListener('click', () => this.startTwoFactorSetup());
+        }
+        const loadMoreAttempts = document.getElementById('loadMoreLoginAttempts');
+        if (loadMoreAttempts) {
+            loadMoreAttempts.addEventListener('click', () => this.loadLoginAttempts(true));
+        }
+    }
+
+    /**
+     * Show the account settings, with empty forms
+     */
+    open() {
+        this.panel.querySelectorAll('form').forEach(form => form.reset());
+        this.panel.querySelectorAll('.account-settings-message').forEach(label => {
+            label.textContent = '';
+        });
+        document.getElementById('two-factor-recovery').classList.add('hidden');
+        this.panel.classList.remove('hidden');
+        this.loadTwoFactorStatus();
+        this.loadLoginAttempts();
+        document.getElementById('current-password').focus();
+    }
+
+    /**
+     * Hide the account settings
+     */
+    close() {
+        if (this.panel) {
+            this.panel.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show a message under one of the forms
+     * @param {HTMLElement} form - Form or section the message belongs to
+     * @param {string} message - Message text
+     * @param {boolean} isSuccess - Whether to show it as a success
+     */
+    showMessage(form, message, isSuccess = false) {
+        const label = form.querySelector('.account-settings-message');
+        if (label) {
+            label.textContent = message;
+            label.classList.toggle('success', isSuccess);
+        }
+    }
+
+    /**
+     * Send a JSON request to the account API
+     * @param {string} path - Path after the base URL
+     * @param {string} method - HTTP method
+     * @param {Object} body - Request body
+     * @returns {Promise<Object>} Response data
+     */
+    async sendRequest(path, method, body) {
+        const response = await fetch(`${this.baseURL}${path}`, {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    }
+
+    /**
+     * Change password using AJAX
+     * Sends POST request to /M01039337/users/me/password
+     * @param {HTMLFormElement} form - Change password form
+     */
+    async changePassword(form) {
+        const fields = form.elements;
+        if (fields.newPassword.value !== fields.confirmPassword.value) {
+            this.showMessage(form, 'New passwords do not match.');
+            return;
+        }
+
+        try {
+            const data = await this.sendRequest('/users/me/password', 'POST', {
+                currentPassword: fields.currentPassword.value,
+                newPassword: fields.newPassword.value
+            });
+
+            if (data.success) {
+                form.reset();
+                this.showMessage(form, 'Password changed. Other devices have been logged out.', true);
+            } else {
+                this.showMessage(form, data.message || 'Failed to change password.');
+            }
+
+        } catch (error) {
+            console.error('Change password error:', error);
+            this.showMessage(form, 'An error occurred whilst changing your password.');
+        }
+    }
+
+    /**
+     * Request an email change using AJAX
+     * Sends POST request to /M01039337/users/me/email; the new email is used once its link is opened
+     * @param {HTMLFormElement} form - Change email form
+     */
+    async changeEmail(form) {
+        const fields = form.elements;
+        const email = fields.email.value.trim();
+        if (window.authManager && !window.authManager.validateEmail(email)) {
+            this.showMessage(form, 'Please enter a valid email address.');
+            return;
+        }
+
+        try {
+            const data = await this.sendRequest('/users/me/email', 'POST', {
+                email: email,
+                password: fields.password.value
+            });
+
+            if (data.success) {
+                form.reset();
+                this.showMessage(form, `${data.message} Open it to finish changing your email.`, true);
+            } else {
+                this.showMessage(form, data.message || 'Failed to change email.');
+            }
+
+        } catch (error) {
+            console.error('Change email error:', error);
+            this.showMessage(form, 'An error occurred whilst changing your email.');
+        }
+    }
+
+    /**
+     * Confirm an email change with the token from the confirmation link
+     * Sends POST request to /M01039337/users/me/email/confirm
+     * @param {string} token - Confirmation token
+     */
+    async confirmEmailChange(token) {
+        // Drop the token from the address bar so reloading does not try it again
+        const url = new URL(window.location.href);
+        url.searchParams.delete('confirmEmail');
+        window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+
+        try {
+            const data = await this.sendRequest('/users/me/email/confirm', 'POST', { token: token });
+            alert(data.success ? `Your email is now ${data.email}.` : (data.message || 'Failed to confirm your email.'));
+
+            // Show the new address if your own profile is open
+            if (data.success && window.profileManager && window.profileManager.currentProfile &&
+                window.profileManager.currentProfile.privacy) {
+                window.profileManager.updateProfileHeader({ ...window.profileManager.currentProfile, email: data.email });
+            }
+
+        } catch (error) {
+            console.error('Confirm email error:', error);
+            alert('An error occurred whilst confirming your email.');
+        }
+    }
+
+    /**
+     * Load whether two-factor authentication is on and show the matching controls
+     * Sends GET request to /M01039337/users/me/2fa
+     */
+    async loadTwoFactorStatus() {
+        const section = document.getElementById('two-factor-settings');
+        const status = document.getElementById('two-factor-status');
+
+        try {
+            const response = await fetch(`${this.baseURL}/users/me/2fa`, {
+                method: 'GET',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showTwoFactorState(data.enabled, data.recoveryCodesRemaining);
+            } else {
+                status.textContent = '';
+                this.showMessage(section, data.message || 'Failed to load two-factor settings.');
+            }
+
+        } catch (error) {
+            console.error('Load two-factor status error:', error);
+            status.textContent = '';
+            this.showMessage(section, 'An error occurred whilst loading two-factor settings.');
+        }
+    }
+
+    /**
+     * Show the controls for two-factor authentication being on or off
+     * @param {boolean} enabled - Whether it is on
+     * @param {number} recoveryCodesRemaining - Unused recovery codes, when on
+     */
+    showTwoFactorState(enabled, recoveryCodesRemaining = 0) {
+        document.getElementById('two-factor-status').textContent = enabled
+            ? `On. You have ${recoveryCodesRemaining} unused recovery codes.`
+            : 'Off. Turn it on to ask for a code from an authenticator app when you log in.';
+        document.getElementById('startTwoFactorSetup').classList.toggle('hidden', enabled);
+        document.getElementById('two-factor-enable-form').classList.add('hidden');
+        document.getElementById('two-factor-disable-form').classList.toggle('hidden', !enabled);
+    }
+
+    /**
+     * Start two-factor setup and show the QR code and key for an authenticator app
+     * Sends POST request to /M01039337/users/me/2fa/setup
+     */
+    async startTwoFactorSetup() {
+        const section = document.getElementById('two-factor-settings');
+        this.showMessage(section, '');
+
+        try {
+            const response = await fetch(`${this.baseURL}/users/me/2fa/setup`, {
+                method: 'POST',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                document.getElementById('two-factor-qr').src = data.qrCode;
+                document.getElementById('two-factor-secret').textContent = data.secret.replace(/(.{4})/g, '$1 ').trim();
+                document.getElementById('startTwoFactorSetup').classList.add('hidden');
+                document.getElementById('two-factor-enable-form').classList.remove('hidden');
+                document.getElementById('two-factor-enable-code').focus();
+            } else {
+                this.showMessage(section, data.message || 'Failed to start two-factor setup.');
+            }
+
+        } catch (error) {
+            console.error('Two-factor setup error:', error);
+            this.showMessage(section, 'An error occurred whilst setting up two-factor authentication.');
+        }
+    }
+
+    /**
+     * Turn two-factor authentication on with a code from the app, then show the recovery codes
+     * Sends POST request to /M01039337/users/me/2fa/enable
+     * @param {HTMLFormElement} form - Two-factor enable form
+     */
+    async enableTwoFactor(form) {
+        const section = document.getElementById('two-factor-settings');
+
+        try {
+            const data = await this.sendRequest('/users/me/2fa/enable', 'POST', {
+                code: form.elements.code.value.trim()
+            });
+
+            if (data.success) {
+                form.reset();
+                this.showTwoFactorState(true, data.recoveryCodes.length);
+                const list = document.getElementById('two-factor-recovery-codes');
+                list.innerHTML = '';
+                data.recoveryCodes.forEach(code => {
+                    const item = document.createElement('li');
+                    item.textContent = code;
+                    list.appendChild(item);
+                });
+                document.getElementById('two-factor-recovery').classList.remove('hidden');
+                this.showMessage(section, data.message, true);
+            } else {
+                this.showMessage(section, data.message || 'Failed to turn on two-factor authentication.');
+            }
+
+        } catch (error) {
+            console.error('Enable two-factor error:', error);
+            this.showMessage(section, 'An error occurred whilst turning on two-factor authentication.');
+        }
+    }
+
+    /**
+     * Turn two-factor authentication off, confirming with the password and a code
+     * Sends POST request to /M01039337/users/me/2fa/disable
+     * @param {HTMLFormElement} form - Two-factor disable form
+     */
+    async disableTwoFactor(form) {
+        const section = document.getElementById('two-factor-settings');
+
+        try {
+            const data = await this.sendRequest('/users/me/2fa/disable', 'POST', {
+                password: form.elements.password.value,
+                code: form.elements.code.value.trim()
+            });
+
+            if (data.success) {
+                form.reset();
+                document.getElementById('two-factor-recovery').classList.add('hidden');
+                this.showTwoFactorState(false);
+                this.showMessage(section, data.message, true);
+            } else {
+                this.showMessage(section, data.message || 'Failed to turn off two-factor authentication.');
+            }
+
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            this.showMessage(section, 'An error occurred whilst turning off two-factor authentication.');
+        }
+    }
+
+    /**
+     * Load the failed logins on your account, newest first
+     * Sends GET request to /M01039337/users/me/login-attempts
+     * @param {boolean} append - Add the next page instead of starting over
+     */
+    async loadLoginAttempts(append = false) {
+        const section = document.getElementById('login-attempts');
+        const status = document.getElementById('login-attempts-status');
+        const list = document.getElementById('login-attempts-list');
+        const loadMore = document.getElementById('loadMoreLoginAttempts');
+
+        const queryParams = new URLSearchParams({ limit: 10 });
+        if (append && this.loginAttemptsCursor) {
+            queryParams.set('after', this.loginAttemptsCursor);
+        }
+
+        try {
+            const response = await fetch(`${this.baseURL}/users/me/login-attempts?${queryParams}`, {
+                method: 'GET',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showMessage(section, data.message || 'Failed to load failed logins.');
+                return;
+            }
+
+            if (!append) {
+                list.innerHTML = '';
+            }
+            data.attempts.forEach(attempt => {
+                const item = document.createElement('li');
+                const reason = attempt.reason === 'two_factor' ? 'wrong two-factor code' : 'wrong password';
+                item.textContent = `${new Date(attempt.createdAt).toLocaleString()}: ${reason} from ${attempt.ip}`;
+                item.title = attempt.userAgent;
+                list.appendChild(item);
+            });
+
+            // Lockouts end by themselves, or sooner when you log in successfully
+            if (data.lockedUntil) {
+                status.textContent = `Logins are paused until ${new Date(data.lockedUntil).toLocaleTimeString()} after too many failures.`;
+            } else {
+                status.textContent = list.children.length ? 'Not you? Change your password and turn on two-factor authentication.' : 'No failed logins in the last 30 days.';
+            }
+
+            this.loginAttemptsCursor = data.nextCursor;
+            loadMore.classList.toggle('hidden', !data.nextCursor);
+
+        } catch (error) {
+            console.error('Load login attempts error:', error);
+            this.showMessage(section, 'An error occurred whilst loading failed logins.');
+        }
+    }
+
+    /**
+     * Delete the account using AJAX, after asking for confirmation
+     * Sends DELETE request to /M01039337/users/me
+     * @param {HTMLFormElement} form - Delete account form
+     */
+    async deleteAccount(form) {
+        if (!confirm('Delete your account? Your posts and everything else you saved are removed for good.')) {
+            return;
+        }
+
+        try {
+            const data = await this.sendRequest('/users/me', 'DELETE', {
+                password: form.elements.password.value
+            });
+
+            if (data.success) {
+                this.close();
+                alert(data.message);
+
+                // The session has ended, so show the site as a guest
+                if (window.authManager) {
+                    window.authManager.updateUIForGuest();
+                }
+                if (window.blogManager) {
+                    window.blogManager.showPage('home');
+                }
+            } else {
+                this.showMessage(form, data.message || 'Failed to delete account.');
+            }
+
+        } catch (error) {
+            console.error('Delete account error:', error);
+            this.showMessage(form, 'An error occurred whilst deleting your account.');
+        }
+    }
+}
+
+// Initialise account manager when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.accountManager = new AccountManager();
+});
@@ -66,6 +66,10 @@ class AuthManager {
                 this.updateUIForLoggedInUser(data.username);
             } else {
                 this.updateUIForGuest();
+                // A two-factor login was started before the page reloaded, so ask for the code again
+                if (data.twoFactorPending && window.loginManager) {
+                    window.loginManager.showTwoFactorStep();
+                }
             }
             
         } catch (error) {
@@ -75,6 +79,25 @@ class AuthManager {
         }
     }
 
+    /**
+     * Finish a two-factor login with a code from an authenticator app or a recovery code
+     * Sends POST request to /M01039337/login/2fa after the password step asked for it
+     * @param {string} code - Six-digit code or recovery code
+     * @returns {Promise<Object>} Server response; restartLogin is set when the password has to be entered again
+     */
+    async verifyTwoFactor(code) {
+        const response = await fetch(`${this.baseURL}/login/2fa`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ code: code })
+        });
+
+        return response.json();
+    }
+
     /**
      * Get currently logged-in user from server
      * @returns {Promise<string|null>} Username or null if not logged in
@@ -126,6 +149,16 @@ class AuthManager {
         const homeUser = document.getElementById('home-user');
         if (homeGuest) homeGuest.classList.add('hidden');
         if (homeUser) homeUser.classList.remove('hidden');
+
+        // Show unread notifications on the bell
+        if (window.notificationsManager) {
+            window.notificationsManager.start();
+        }
+
+        // Receive new posts, comments and likes as they happen
+        if (window.liveUpdatesManager) {
+            window.liveUpdatesManager.connect();
+        }
     }
 
     /**
@@ -149,6 +182,16 @@ class AuthManager {
         const homeUser = document.getElementById('home-user');
         if (homeGuest) homeGuest.classList.remove('hidden');
         if (homeUser) homeUser.classList.add('hidden');
+
+        // Stop checking for notifications
+        if (window.notificationsManager) {
+            window.notificationsManager.stop();
+        }
+
+        // Close the live updates stream
+        if (window.liveUpdatesManager) {
+            window.liveUpdatesManager.disconnect();
+        }
     }
 
     /**
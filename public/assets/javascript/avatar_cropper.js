@@ -0,0 +1,184 @@
+/**
+ * Avatar Cropper class
+ * Lets the user pick the square part of an image to use as their profile picture,
+ * then renders it as a 256 pixel PNG, from which the server makes every size it stores
+ */
+class AvatarCropper {
+    constructor() {
+        // Size uploaded to POST /upload/profile-picture, matching the server
+        this.uploadSize = 256;
+        this.maxZoom = 4;
+
+        // Image being cropped and the crop square: its centre in image pixels and the zoom level
+        this.image = null;
+        this.centerX = 0;
+        this.centerY = 0;
+        this.zoom = 1;
+
+        // Pointer position while dragging, and the callback for the open dialog
+        this.dragStart = null;
+        this.resolve = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialise avatar cropper
+     */
+    init() {
+        this.modal = document.getElementById('avatar-crop-modal');
+        this.canvas = document.getElementById('avatar-crop-canvas');
+        this.zoomInput = document.getElementById('avatar-crop-zoom');
+        if (!this.modal || !this.canvas) return;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up dragging, zooming and the dialog buttons
+     */
+    setupEventListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.dragStart = { x: e.clientX, y: e.clientY };
+            this.canvas.setPointerCapture(e.pointerId);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.dragStart || !this.image) return;
+            // Moving the picture right shows more of its left side
+            const scale = this.getCropSide() / this.canvas.getBoundingClientRect().width;
+            this.centerX -= (e.clientX - this.dragStart.x) * scale;
+            this.centerY -= (e.clientY - this.dragStart.y) * scale;
+            this.dragStart = { x: e.clientX, y: e.clientY };
+            this.draw();
+        });
+        this.canvas.addEventListener('pointerup', () => {
+            this.dragStart = null;
+        });
+
+        this.zoomInput.addEventListener('input', () => {
+            this.zoom = parseFloat(this.zoomInput.value) || 1;
+            this.draw();
+        });
+
+        document.getElementById('avatar-crop-save').addEventListener('click', () => this.save());
+        document.getElementById('avatar-crop-cancel').addEventListener('click', () => this.close(null));
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.resolve) {
+                this.close(null);
+            }
+        });
+    }
+
+    /**
+     * Open the crop dialog for an image file
+     * @param {File} file - Image chosen by the user
+     * @returns {Promise<Blob|null>} Cropped PNG, or null if cancelled or unreadable
+     */
+    open(file) {
+        // A dialog that is still open is cancelled
+        if (this.resolve) {
+            this.close(null);
+        }
+
+        return new Promise((resolve) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                this.image = image;
+                this.centerX = image.naturalWidth / 2;
+                this.centerY = image.naturalHeight / 2;
+                this.zoom = 1;
+                this.zoomInput.min = '1';
+                this.zoomInput.max = String(this.maxZoom);
+                this.zoomInput.value = '1';
+                this.resolve = resolve;
+                this.modal.classList.remove('hidden');
+                this.draw();
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                alert('That image could not be read. Please choose a JPG, PNG or GIF file.');
+                resolve(null);
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Get the side of the crop square in image pixels; zooming in makes it smaller
+     * @returns {number} Side length
+     */
+    getCropSide() {
+        return Math.min(this.image.naturalWidth, this.image.naturalHeight) / this.zoom;
+    }
+
+    /**
+     * Get the crop square, keeping it inside the image
+     * @returns {{x: number, y: number, side: number}} Top-left corner and side in image pixels
+     */
+    getCropArea() {
+        const side = this.getCropSide();
+        this.centerX = Math.min(Math.max(this.centerX, side / 2), this.image.naturalWidth - side / 2);
+        this.centerY = Math.min(Math.max(this.centerY, side / 2), this.image.naturalHeight - side / 2);
+        return { x: this.centerX - side / 2, y: this.centerY - side / 2, side: side };
+    }
+
+    /**
+     * Draw the crop square onto a canvas, scaled to fill it
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     */
+    drawCrop(canvas) {
+        const { x, y, side } = this.getCropArea();
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(this.image, x, y, side, side, 0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Redraw the preview
+     */
+    draw() {
+        if (this.image) {
+            this.drawCrop(this.canvas);
+        }
+    }
+
+    /**
+     * Render the crop at the upload size and close the dialog with the result
+     */
+    async save() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.uploadSize;
+        canvas.height = this.uploadSize;
+        this.drawCrop(canvas);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+        if (!blob) {
+            alert('The picture could not be saved. Please try another image.');
+            this.close(null);
+            return;
+        }
+        this.close(blob);
+    }
+
+    /**
+     * Hide the dialog and hand back the result
+     * @param {Blob|null} result - Rendered image, or null when cancelled
+     */
+    close(result) {
+        this.modal.classList.add('hidden');
+        this.image = null;
+        this.dragStart = null;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve(result);
+    }
+}
+
+// Initialise avatar cropper when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.avatarCropper = new AvatarCropper();
+});
@@ -6,8 +6,12 @@ class BlogManager {
         this.baseURL = '/M01039337';
         
         this.currentPage = 'home';
-        this.currentPostsPage = 1; // Current page number for posts pagination
+        this.nextCursors = {}; // Cursor for the next page of each post list, keyed by container ID
         this.currentLanguageFilter = ''; // Current language filter
+        this.currentSearchQuery = ''; // Current text search on the postboard
+        this.currentTagFilter = ''; // Current tag on the postboard
+        this.currentUser = null; // Logged-in username, used to show owner controls
+        this.postsById = new Map(); // Rendered posts, used to pre-fill the edit form
         
         this.init();
     }
@@ -23,24 +27,53 @@ class BlogManager {
         
         // Listen for browser back/forward buttons
         window.addEventListener('popstate', (e) => {
-            if (e.state && e.state.page) {
+            if (e.state && e.state.page === 'post') {
+                this.showPost(e.state.postId, false);
+            } else if (e.state && e.state.page) {
                 this.showPage(e.state.page, false);
             } else {
                 this.showPage('home', false);
             }
         });
         
+        // Post links typed or pasted into the address bar
+        window.addEventListener('hashchange', () => {
+            const postId = this.getPostIdFromHash();
+            if (postId) {
+                this.showPost(postId, false);
+            }
+        });
+        
         // Check if user is logged in and load appropriate content
         this.loadInitialContent();
         
         // Set up file input display handler
         this.setupFileInputHandler();
+        
+        // Set up tabbed files editor on the create post form
+        const filesEditorContainer = document.getElementById('post-files-editor');
+        if (filesEditorContainer) {
+            this.createFilesEditor = new SnippetFilesEditor(filesEditorContainer);
+        }
     }
     
     /**
      * Handle initial route from URL
      */
     handleInitialRoute() {
+        // Post permalinks look like /M01039337/#/post/:id
+        const postId = this.getPostIdFromHash();
+        if (postId) {
+            this.showPost(postId, false);
+            return;
+        }
+        
+        // Password reset links from the email open the recover page, where recover.js fills in the token
+        if (new URLSearchParams(window.location.search).has('token')) {
+            this.showPage('recover', false);
+            return;
+        }
+        
         const path = window.location.pathname;
         const pathParts = path.split('/').filter(p => p);
         
@@ -58,6 +91,96 @@ class BlogManager {
         this.showPage('home', false);
     }
 
+    /**
+     * Read the post ID from a #/post/:id address
+     * @returns {string|null} Post ID, or null if the address is not a post link
+     */
+    getPostIdFromHash() {
+        const match = window.location.hash.match(/^#\/post\/([0-9a-f]{24})$/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Build the shareable address of a post
+     * @param {string} postId - Post ID
+     * @returns {string} Absolute URL of the post page
+     */
+    getPostURL(postId) {
+        return `${window.location.origin}${this.baseURL}/#/post/${postId}`;
+    }
+
+    /**
+     * Show one post on its own page, with its comments expanded
+     * Sends GET request to /M01039337/contents/:id
+     * @param {string} postId - Post ID
+     * @param {boolean} pushState - Whether to add the post to the browser history
+     */
+    async showPost(postId, pushState = true) {
+        document.querySelectorAll('.page-content').forEach(el => el.classList.add('hidden'));
+        document.getElementById('post-page').classList.remove('hidden');
+        document.querySelectorAll('.nav-link').forEach(link => link.classList.remove('active-nav'));
+        this.currentPage = 'post';
+        this.currentPostId = postId;
+        
+        if (pushState) {
+            window.history.pushState({ page: 'post', postId: postId }, '', `${this.baseURL}/#/post/${postId}`);
+        }
+        
+        // Post lists on other pages are cleared so the comment and like elements here have unique IDs
+        // They are loaded again when their page is shown
+        ['recent-posts', 'all-posts'].forEach(id => {
+            const list = document.getElementById(id);
+            if (list) list.innerHTML = '';
+        });
+        
+        const container = document.getElementById('single-post');
+        container.innerHTML = '<p class="no-results-message">Loading post...</p>';
+        
+        try {
+            const response = await fetch(`${this.baseURL}/contents/${postId}`, {
+                method: 'GET',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                container.innerHTML = `<p class="no-results-message">${this.escapeHtml(data.message || 'Failed to load post.')}</p>`;
+                return;
+            }
+            
+            const post = data.content;
+            this.postsById.set(post._id, post);
+            container.innerHTML = this.renderPostCard(post);
+            document.title = `${post.title} - CodeLogs`;
+            
+            // Load comments and likes, then open the comments
+            this.loadPostInteractions([post]);
+            const toggleButton = container.querySelector('.toggle-comments-btn');
+            const comments = document.getElementById(`comments-${post._id}`);
+            if (window.commentsManager && toggleButton && comments && comments.classList.contains('collapsed')) {
+                window.commentsManager.toggleComments(post._id, toggleButton);
+            }
+            
+        } catch (error) {
+            console.error('Error loading post:', error);
+            container.innerHTML = '<p class="no-results-message">Error loading post.</p>';
+        }
+    }
+
+    /**
+     * Copy the address of the post shown on the post page
+     */
+    async copyPostLink() {
+        const status = document.getElementById('copy-post-link-status');
+        try {
+            await navigator.clipboard.writeText(this.getPostURL(this.currentPostId));
+            status.textContent = 'Link copied.';
+        } catch (error) {
+            // Clipboard access can be refused, so show the link to copy by hand
+            status.textContent = this.getPostURL(this.currentPostId);
+        }
+    }
+
     /**
      * Load initial content based on login status
      */
@@ -85,13 +208,105 @@ class BlogManager {
                 return false;
             }
             
-            // Handle clicks on reddit-style filter tags
-            if (e.target.classList.contains('filter-tag')) {
+            // Handle clicks on reddit-style filter tags (languages and popular tags)
+            const filterTag = e.target.closest('.filter-tag');
+            if (filterTag) {
                 e.preventDefault();
                 e.stopImmediatePropagation();
-                this.handleFilterTagClick(e.target);
+                this.handleFilterTagClick(filterTag);
                 return false;
             }
+            
+            // Show or hide the embed code of a post
+            const embedBtn = e.target.closest('.show-embed-btn');
+            if (embedBtn) {
+                e.preventDefault();
+                const panel = document.getElementById(`embed-${embedBtn.getAttribute('data-post-id')}`);
+                if (panel) panel.classList.toggle('hidden');
+                return;
+            }
+            
+            // Select the whole embed code so it can be copied in one go
+            if (e.target.classList.contains('embed-code-input')) {
+                e.target.select();
+                return;
+            }
+            
+            // Open a post on its own page
+            const permalink = e.target.closest('.post-permalink');
+            if (permalink) {
+                e.preventDefault();
+                this.showPost(permalink.getAttribute('data-post-id'));
+                return;
+            }
+            
+            if (e.target.id === 'copy-post-link-btn') {
+                e.preventDefault();
+                this.copyPostLink();
+                return;
+            }
+            
+            // Handle clicks on tags shown on posts
+            const postTag = e.target.closest('.post-tag');
+            if (postTag) {
+                e.preventDefault();
+                this.showTag(postTag.getAttribute('data-tag'));
+                return;
+            }
+            
+            // Follow or unfollow the selected tag
+            if (e.target.id === 'follow-tag-btn') {
+                e.preventDefault();
+                this.handleTagFollowToggle();
+                return;
+            }
+            
+            // Load the next page of a post list
+            if (e.target.classList.contains('load-more-posts-btn')) {
+                e.preventDefault();
+                this.loadMorePosts(e.target.getAttribute('data-container'));
+                return;
+            }
+            
+            // Clear the text search on the postboard
+            if (e.target.id === 'clear-post-search') {
+                e.preventDefault();
+                this.clearPostSearch();
+                return;
+            }
+            
+            // Handle owner controls on posts
+            if (e.target.classList.contains('edit-post-btn')) {
+                e.preventDefault();
+                this.showEditForm(e.target.getAttribute('data-post-id'));
+                return;
+            }
+            if (e.target.classList.contains('cancel-edit-btn')) {
+                e.preventDefault();
+                this.hideEditForm(e.target.getAttribute('data-post-id'));
+                return;
+            }
+            if (e.target.classList.contains('delete-post-btn')) {
+                e.preventDefault();
+                this.handleDeletePost(e.target.getAttribute('data-post-id'));
+                return;
+            }
+            
+            // Handle file tab clicks on multi-file posts
+            const snippetTab = e.target.closest('.snippet-tab');
+            if (snippetTab) {
+                e.preventDefault();
+                this.selectFileTab(snippetTab);
+                return;
+            }
+        });
+        
+        // Edit post forms are created dynamically inside post cards
+        document.addEventListener('submit', (e) => {
+            if (e.target.classList.contains('edit-post-form')) {
+                e.preventDefault();
+                this.handleEditPost(e.target);
+            }
         });
 
         // Create post form with file upload support
@@ -105,10 +320,51 @@ class BlogManager {
         if (languageFilter) {
             languageFilter.addEventListener('change', (e) => {
                 this.currentLanguageFilter = e.target.value;
-                this.currentPostsPage = 1; // Reset to first page
                 this.loadAllPosts();
             });
         }
+        
+        // Colour theme for highlighted code, remembered in this browser
+        const codeThemeSelect = document.getElementById('code-theme-select');
+        if (codeThemeSelect) {
+            codeThemeSelect.value = this.loadCodeTheme();
+            codeThemeSelect.addEventListener('change', (e) => this.applyCodeTheme(e.target.value));
+        }
+        
+        // Show the "Share with" field when a post is made private, on the create and edit forms
+        document.addEventListener('change', (e) => {
+            if (e.target.classList.contains('post-visibility-select')) {
+                this.toggleSharedWith(e.target);
+            }
+        });
+    }
+
+    /**
+     * Apply a code colour theme to every code block and save it to localStorage
+     * @param {string} theme - Theme name, "default" for the CodeLogs teal theme
+     */
+    applyCodeTheme(theme) {
+        document.body.setAttribute('data-code-theme', theme || 'default');
+        try {
+            localStorage.setItem('codeTheme', theme || 'default');
+        } catch (error) {
+            console.error('Error saving code theme:', error);
+        }
+    }
+
+    /**
+     * Load the saved code colour theme and apply it
+     * @returns {string} Theme name
+     */
+    loadCodeTheme() {
+        let theme = 'default';
+        try {
+            theme = localStorage.getItem('codeTheme') || 'default';
+        } catch (error) {
+            console.error('Error loading code theme:', error);
+        }
+        document.body.setAttribute('data-code-theme', theme);
+        return theme;
     }
 
     /**
@@ -122,12 +378,29 @@ class BlogManager {
         });
         target.classList.add('active');
         
-        // Set filter and reload posts
-        this.currentLanguageFilter = target.getAttribute('data-language');
-        this.currentPostsPage = 1; // Reset to first page
+        // Set filter and reload posts, a tag and a language are not combined
+        if (target.hasAttribute('data-tag')) {
+            this.currentTagFilter = target.getAttribute('data-tag');
+            this.currentLanguageFilter = '';
+        } else {
+            this.currentLanguageFilter = target.getAttribute('data-language');
+            this.currentTagFilter = '';
+        }
         this.loadAllPosts();
     }
 
+    /**
+     * Mark the filter tag matching the current tag or language filter as active
+     */
+    updateActiveFilterTags() {
+        document.querySelectorAll('.filter-tag').forEach(btn => {
+            const isActive = this.currentTagFilter
+                ? btn.getAttribute('data-tag') === this.currentTagFilter
+                : btn.hasAttribute('data-language') && btn.getAttribute('data-language') === this.currentLanguageFilter;
+            btn.classList.toggle('active', isActive);
+        });
+    }
+
     /**
      * Set up file input display handler
      */
@@ -160,6 +433,9 @@ class BlogManager {
     async showPage(page, pushState = true) {
         console.log('showPage called with:', page);
         
+        // The post page sets its own title
+        document.title = 'CodeLogs';
+        
         // Hide all pages
         const allPages = document.querySelectorAll('.page-content');
         console.log('Found page elements:', allPages.length);
@@ -194,22 +470,12 @@ class BlogManager {
         
         // Load specific content for pages
         if (page === 'posts') {
-            this.currentPostsPage = 1; // Reset to first page
-            
-            // Set active filter tag based on currentLanguageFilter
-            if (this.currentLanguageFilter !== null) {
-                setTimeout(() => {
-                    document.querySelectorAll('.filter-tag').forEach(btn => {
-                        const lang = btn.getAttribute('data-language');
-                        if (lang === this.currentLanguageFilter) {
-                            btn.classList.add('active');
-                        } else {
-                            btn.classList.remove('active');
-                        }
-                    });
-                }, 100);
-            }
+            // Set active filter tag based on currentTagFilter or currentLanguageFilter
+            setTimeout(() => {
+                this.updateActiveFilterTags();
+            }, 100);
             
+            this.loadPopularTags();
             await this.loadAllPosts();
         } else if (page === 'home') {
             // Check if user is logged in and load appropriate content
@@ -218,6 +484,11 @@ class BlogManager {
                 await this.loadRecentPosts();
                 await this.loadTrendingGists(''); // Load all language gists
             }
+        } else if (page === 'create') {
+            // List drafts next to the create form
+            if (window.draftsManager) {
+                await window.draftsManager.loadDrafts();
+            }
         } else if (page === 'profile') {
             // Load logged-in user's profile
             const user = window.authManager ? await window.authManager.getCurrentUser() : null;
@@ -251,8 +522,7 @@ class BlogManager {
         // Get form values
         const title = document.getElementById('post-title').value.trim();
         const description = document.getElementById('post-description').value.trim();
-        const code = document.getElementById('post-code').value.trim();
-        const programmingLanguage = document.getElementById('post-language').value.trim();
+        const files = this.createFilesEditor ? this.createFilesEditor.getFiles() : [];
         const fileInput = document.getElementById('post-file');
         const messageLabel = document.getElementById('create-messageLabel');
         
@@ -260,8 +530,9 @@ class BlogManager {
         messageLabel.textContent = '';
         
         // Validate form
-        if (!title || !code || !programmingLanguage) {
-            messageLabel.textContent = 'Please fill in all required fields.';
+        const filesError = this.validateFiles(files);
+        if (!title || filesError) {
+            messageLabel.textContent = filesError || 'Please fill in all required fields.';
             messageLabel.style.color = 'red';
             return;
         }
@@ -283,8 +554,15 @@ class BlogManager {
             const formData = new FormData();
             formData.append('title', title);
             formData.append('description', description);
-            formData.append('code', code);
-            formData.append('programmingLanguage', programmingLanguage);
+            formData.append('files', JSON.stringify(files));
+            formData.append('tags', document.getElementById('post-tags').value);
+            formData.append('visibility', document.getElementById('post-visibility').value);
+            formData.append('sharedWith', document.getElementById('post-shared-with').value);
+            
+            // Publishing an autosaved draft removes the draft
+            if (window.draftsManager && window.draftsManager.currentDraftId) {
+                formData.append('draftId', window.draftsManager.currentDraftId);
+            }
             
             // Add file if selected
             if (fileInput.files.length > 0) {
@@ -312,12 +590,22 @@ class BlogManager {
                 if (data.fileUploaded) {
                     successMsg += ' File attached.';
                 }
+                if (data.detectedLanguages && data.detectedLanguages.length > 0) {
+                    successMsg += ' Detected: ' + data.detectedLanguages.map(guess => `${guess.name} (${guess.language})`).join(', ') + '.';
+                }
                 messageLabel.textContent = successMsg;
                 messageLabel.style.color = 'green';
+                if (window.draftsManager) {
+                    window.draftsManager.clearDraft();
+                }
                 
                 // Clear form and redirect to home page after delay
                 setTimeout(() => {
                     document.getElementById('createPostForm').reset();
+                    this.toggleSharedWith(document.getElementById('post-visibility'));
+                    if (this.createFilesEditor) {
+                        this.createFilesEditor.reset();
+                    }
                     // Reset file display
                     const fileName = document.getElementById('fileName');
                     const fileText = document.querySelector('.file-text');
@@ -347,11 +635,18 @@ class BlogManager {
     /**
      * FIXED: Load recent posts from feed (only followed users' posts)
      * Sends GET request to /M01039337/feed
+     * @param {string|null} after - Cursor of the page to load, or null for the first page
      */
-    async loadRecentPosts() {
+    async loadRecentPosts(after = null) {
         try {
+            this.currentUser = window.authManager ? await window.authManager.getCurrentUser() : null;
+            
             // FIXED: Use /feed endpoint instead of /contents to get only followed users' posts
-            const response = await fetch(`${this.baseURL}/feed?page=1&limit=10`, {
+            const queryParams = new URLSearchParams({ limit: 10 });
+            if (after) {
+                queryParams.set('after', after);
+            }
+            const response = await fetch(`${this.baseURL}/feed?${queryParams.toString()}`, {
                 method: 'GET',
                 credentials: 'same-origin'
             });
@@ -361,13 +656,13 @@ class BlogManager {
             
             if (data.success) {
                 // Check if feed is empty (not following anyone or no posts)
-                if (data.contents.length === 0) {
+                if (data.contents.length === 0 && !after) {
                     const container = document.getElementById('recent-posts');
                     if (container) {
                         container.innerHTML = `<p class="no-results-message">${data.message || 'Your feed is empty. Follow users to see their posts!'}</p>`;
                     }
                 } else {
-                    this.renderPosts(data.contents, 'recent-posts', false);
+                    this.renderPosts(data.contents, 'recent-posts', data.nextCursor, !!after);
                 }
             } else {
                 // Show error message
@@ -390,19 +685,32 @@ class BlogManager {
      * Load all posts using AJAX with language filter
      * This shows ALL posts from ALL users (for the posts page)
      * Sends GET request to /M01039337/contents
+     * @param {string|null} after - Cursor of the page to load, or null for the first page
      */
-    async loadAllPosts() {
+    async loadAllPosts(after = null) {
         console.log('loadAllPosts called with filter:', this.currentLanguageFilter);
         try {
+            this.currentUser = window.authManager ? await window.authManager.getCurrentUser() : null;
+            
             // Build query parameters using explicit language filter to avoid broad matches (e.g., "C")
             const queryParams = new URLSearchParams();
             if (this.currentLanguageFilter) {
                 queryParams.set('language', this.currentLanguageFilter);
             }
+            if (this.currentSearchQuery) {
+                queryParams.set('q', this.currentSearchQuery);
+            }
+            if (after) {
+                queryParams.set('after', after);
+            }
+            this.updateSearchBanner();
             
-            // Send GET request to /M01039337/contents with search query
+            // Send GET request to /M01039337/contents with search query, or to the tag page
             const queryString = queryParams.toString();
-            const url = queryString ? `${this.baseURL}/contents?${queryString}` : `${this.baseURL}/contents`;
+            let url = queryString ? `${this.baseURL}/contents?${queryString}` : `${this.baseURL}/contents`;
+            if (this.currentTagFilter) {
+                url = `${this.baseURL}/tags/${encodeURIComponent(this.currentTagFilter)}${after ? `?after=${encodeURIComponent(after)}` : ''}`;
+            }
             const response = await fetch(url, {
                 method: 'GET',
                 credentials: 'same-origin'
@@ -410,15 +718,18 @@ class BlogManager {
             
             // Parse JSON response
             const data = await response.json();
+            this.updateTagBanner(data.success && this.currentTagFilter ? data : null);
             
             if (data.success) {
-                if (data.contents.length === 0) {
+                if (data.contents.length === 0 && !after) {
                     const container = document.getElementById('all-posts');
                     if (container) {
-                        container.innerHTML = '<p class="no-results-message">No posts found matching your filter.</p>';
+                        container.innerHTML = this.currentSearchQuery
+                            ? '<p class="no-results-message">No posts found matching your search.</p>'
+                            : '<p class="no-results-message">No posts found matching your filter.</p>';
                     }
                 } else {
-                    this.renderPosts(data.contents, 'all-posts', false);
+                    this.renderPosts(data.contents, 'all-posts', data.nextCursor, !!after);
                 }
             } else {
                 // Show error message
@@ -438,6 +749,176 @@ class BlogManager {
         }
     }
 
+    /**
+     * Show the postboard ranked by a text search
+     * Called by the search manager when a post result is selected
+     * @param {string} query - Search query (supports "phrases" and -excluded words)
+     */
+    async searchPosts(query) {
+        this.currentSearchQuery = query.trim();
+        this.currentTagFilter = '';
+        
+        if (this.currentPage === 'posts') {
+            await this.loadAllPosts();
+        } else {
+            await this.showPage('posts');
+        }
+    }
+
+    /**
+     * Clear the text search and show all posts again
+     */
+    async clearPostSearch() {
+        this.currentSearchQuery = '';
+        await this.loadAllPosts();
+    }
+
+    /**
+     * Load the next page of a post list and add it below the current posts
+     * @param {string} containerId - ID of the post list container
+     */
+    async loadMorePosts(containerId) {
+        const after = this.nextCursors[containerId];
+        if (!after) return;
+        
+        if (containerId === 'recent-posts') {
+            await this.loadRecentPosts(after);
+        } else if (containerId === 'all-posts') {
+            await this.loadAllPosts(after);
+        }
+    }
+
+    /**
+     * Show or hide the banner describing the current text search
+     */
+    updateSearchBanner() {
+        const banner = document.getElementById('post-search-banner');
+        if (!banner) return;
+        
+        if (this.currentSearchQuery) {
+            document.getElementById('post-search-text').textContent = this.currentSearchQuery;
+            banner.classList.remove('hidden');
+        } else {
+            banner.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show the postboard filtered to one tag
+     * @param {string} tag - Tag to show
+     */
+    async showTag(tag) {
+        this.currentTagFilter = tag;
+        this.currentLanguageFilter = '';
+        this.currentSearchQuery = '';
+        
+        if (this.currentPage === 'posts') {
+            this.updateActiveFilterTags();
+            await this.loadAllPosts();
+        } else {
+            await this.showPage('posts');
+        }
+    }
+
+    /**
+     * Load the most used tags into the postboard filter column
+     * Sends GET request to /M01039337/tags/popular
+     */
+    async loadPopularTags() {
+        const container = document.getElementById('popular-tags');
+        if (!container) return;
+        
+        try {
+            const response = await fetch(`${this.baseURL}/tags/popular?limit=15`, {
+                method: 'GET',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            
+            if (data.success && data.tags.length > 0) {
+                container.innerHTML = data.tags.map(tag => `
+                    <button class="filter-tag" data-tag="${this.escapeHtml(tag.tag)}">#${this.escapeHtml(tag.tag)} <small>${tag.postCount}</small></button>
+                `).join('');
+                this.updateActiveFilterTags();
+            } else {
+                container.innerHTML = '<p class="no-tags-message">No tags yet.</p>';
+            }
+            
+        } catch (error) {
+            console.error('Error loading popular tags:', error);
+            container.innerHTML = '<p class="no-tags-message">Error loading tags.</p>';
+        }
+    }
+
+    /**
+     * Show or hide the banner for the selected tag
+     * @param {Object|null} tagData - Response from the tag page, or null to hide the banner
+     */
+    updateTagBanner(tagData) {
+        const banner = document.getElementById('tag-banner');
+        if (!banner) return;
+        
+        if (!tagData) {
+            banner.classList.add('hidden');
+            return;
+        }
+        
+        document.getElementById('tag-banner-name').textContent = `#${tagData.tag}`;
+        document.getElementById('tag-banner-count').textContent =
+            `${tagData.postCount} post${tagData.postCount === 1 ? '' : 's'} · ${tagData.followerCount} follower${tagData.followerCount === 1 ? '' : 's'}`;
+        
+        const followButton = document.getElementById('follow-tag-btn');
+        followButton.textContent = tagData.following ? 'Unfollow tag' : 'Follow tag';
+        followButton.setAttribute('data-following', tagData.following ? 'true' : 'false');
+        // Only logged-in users can follow tags
+        followButton.classList.toggle('hidden', !this.currentUser);
+        banner.classList.remove('hidden');
+    }
+
+    /**
+     * Follow or unfollow the selected tag, so its posts appear in the feed
+     * Sends POST or DELETE request to /M01039337/tags/:tag/follow
+     */
+    async handleTagFollowToggle() {
+        const followButton = document.getElementById('follow-tag-btn');
+        if (!followButton || !this.currentTagFilter) return;
+        
+        const isFollowing = followButton.getAttribute('data-following') === 'true';
+        
+        try {
+            const response = await fetch(`${this.baseURL}/tags/${encodeURIComponent(this.currentTagFilter)}/follow`, {
+                method: isFollowing ? 'DELETE' : 'POST',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                await this.loadAllPosts();
+            } else {
+                alert(data.message || 'Failed to update tag follow.');
+            }
+            
+        } catch (error) {
+            console.error('Tag follow error:', error);
+            alert('An error occurred while updating tag follow.');
+        }
+    }
+
+    /**
+     * Render the tags of a post as clickable chips
+     * @param {Object} post - Post object
+     * @returns {string} HTML for the tags, or an empty string if the post has none
+     */
+    renderPostTags(post) {
+        if (!Array.isArray(post.tags) || post.tags.length === 0) {
+            return '';
+        }
+        const tags = post.tags.map(tag =>
+            `<button class="post-tag" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>`
+        ).join('');
+        return `<div class="post-tags">${tags}</div>`;
+    }
+
     /**
      * Load trending gists from GitHub filtered by programming language (THIRD-PARTY DATA)
      * CHANGED: Empty language parameter loads all language gists
@@ -598,23 +1079,24 @@ class BlogManager {
     }
 
     /**
-     * FIXED: Render posts to specified container with optional pagination
+     * FIXED: Render posts to specified container with a load more button when there are more pages
      * Added unique IDs for comments and likes sections to prevent conflicts
      * @param {Array} posts - Array of post objects
      * @param {string} containerId - ID of container element
-     * @param {boolean} showPagination - Whether to show pagination controls
-     * @param {number} currentPage - Current page number
-     * @param {number} totalPages - Total number of pages
+     * @param {string|null} nextCursor - Cursor for the next page, or null on the last page
+     * @param {boolean} append - Whether to add the posts below the ones already shown
      */
-    renderPosts(posts, containerId, showPagination = false, currentPage = 1, totalPages = 1) {
-        console.log('renderPosts called:', { containerId, postsCount: posts.length, showPagination });
+    renderPosts(posts, containerId, nextCursor = null, append = false) {
+        console.log('renderPosts called:', { containerId, postsCount: posts.length, append });
         const container = document.getElementById(containerId);
         
         if (!container) {
             return;
         }
         
-        if (posts.length === 0) {
+        this.nextCursors[containerId] = nextCursor;
+        
+        if (posts.length === 0 && !append) {
             container.innerHTML = '<p class="no-results-message">No posts available yet. Follow users to see their posts!</p>';
             return;
         }
@@ -630,15 +1112,68 @@ class BlogManager {
             container.classList.remove('blog-posts-centered', 'blog-posts-left');
         }
         
+        // Remember rendered posts so the edit form can be pre-filled
+        posts.forEach(post => this.postsById.set(post._id, post));
+        
         // Render posts
-        let html = posts.map(post => `
-            <div class="blog-card">
-                <h3 class="blog-title">${this.escapeHtml(post.title)}</h3>
+        let html = posts.map(post => this.renderPostCard(post)).join('');
+        
+        // Add load more button if there is another page
+        if (nextCursor) {
+            html += `<button class="load-more-btn load-more-posts-btn" data-container="${containerId}">Load more posts</button>`;
+        }
+        
+        if (append) {
+            // Replace the old load more button with the new page
+            const oldButton = container.querySelector('.load-more-posts-btn');
+            if (oldButton) {
+                oldButton.remove();
+            }
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
+        }
+        
+        // FIXED: Load comments and likes for each post AFTER rendering is complete
+        // Use setTimeout to ensure DOM is fully updated before attaching event listeners
+        setTimeout(() => this.loadPostInteractions(posts), 100);
+    }
+
+    /**
+     * Build HTML for one post card
+     * @param {Object} post - Post object
+     * @returns {string} HTML for the card
+     */
+    renderPostCard(post) {
+        return `
+            <div class="blog-card" data-post-id="${post._id}">
+                <h3 class="blog-title">${this.escapeHtml(post.title)}${this.renderVisibilityBadge(post)}</h3>
+                ${this.renderForkLineage(post)}
                 ${post.description ? `<p>${this.escapeHtml(post.description)}</p>` : ''}
-                <div class="blog-code">${this.escapeHtml(post.code)}</div>
-                <p><strong>Language:</strong> ${this.escapeHtml(post.programmingLanguage || post.language || '')}</p>
-                ${post.fileUrl ? `<p><strong>Attachment:</strong> <a href="${post.fileUrl}" target="_blank" class="file-link" download>📎 ${post.fileName || 'Download File'}</a></p>` : ''}
-                <p class="blog-author">By ${this.escapeHtml(post.author)} on ${new Date(post.createdAt).toLocaleDateString()}</p>
+                ${this.renderFileTabs(post)}
+                ${this.renderRunControls(post)}
+                ${this.renderShareControls(post)}
+                <p><strong>Language:</strong> ${this.escapeHtml(this.getPostLanguages(post).join(', '))}</p>
+                ${this.renderPostTags(post)}
+                ${post.fileUrl ? `<p><strong>Attachment:</strong> <a href="${encodeURI(post.fileUrl)}" target="_blank" class="file-link" download>📎 ${this.escapeHtml(post.fileName || 'Download File')}</a></p>` : ''}
+                <p class="blog-author">
+                    <img src="${this.baseURL}/users/${encodeURIComponent(post.author)}/avatar?size=64" alt="" class="avatar-small">
+                    By ${this.escapeHtml(post.author)} on ${new Date(post.createdAt).toLocaleDateString()}${post.updatedAt ? ' (edited)' : ''}
+                    · <a href="${this.baseURL}/#/post/${post._id}" class="post-permalink" data-post-id="${post._id}" title="Open this post on its own page">🔗 Link</a>
+                </p>
+                ${this.currentUser && post.author === this.currentUser ? `
+                    <div class="post-owner-actions">
+                        <button class="edit-post-btn" data-post-id="${post._id}">Edit</button>
+                        <button class="delete-post-btn" data-post-id="${post._id}">Delete</button>
+                    </div>
+                    <div id="edit-post-${post._id}" class="edit-post-container hidden"></div>
+                ` : ''}
+                ${post.revision > 1 ? `
+                    <button class="history-btn" data-post-id="${post._id}" title="Show how this snippet changed">🕘 History (${post.revision - 1} edit${post.revision > 2 ? 's' : ''})</button>
+                    <div id="history-${post._id}" class="history-panel hidden"></div>
+                ` : ''}
+                ${this.renderForkControls(post)}
+                ${this.renderSaveControls(post)}
                 
                 <!-- Likes/Dislikes Section -->
                 <div class="post-interactions">
@@ -674,72 +1209,468 @@ class BlogManager {
                     </div>
                 </div>
             </div>
+        `;
+    }
+
+    /**
+     * Load comments, likes and line comments for rendered posts, and watch them for live updates
+     * @param {Array} posts - Posts that were just rendered
+     */
+    loadPostInteractions(posts) {
+        posts.forEach(post => {
+            if (window.commentsManager) {
+                window.commentsManager.loadCommentsForPost(post._id);
+            }
+            if (window.likesManager) {
+                window.likesManager.loadLikesForPost(post._id);
+            }
+            if (window.lineCommentsManager) {
+                window.lineCommentsManager.loadForPost(post._id);
+            }
+        });
+        if (window.liveUpdatesManager) {
+            window.liveUpdatesManager.watchVisiblePosts();
+        }
+    }
+
+    /**
+     * Add a post pushed over the live updates stream to the top of the home feed
+     * @param {Object} post - New post from a followed user or tag
+     */
+    addLivePost(post) {
+        const container = document.getElementById('recent-posts');
+        if (!container || container.querySelector(`.blog-card[data-post-id="${post._id}"]`)) {
+            return;
+        }
+        
+        // Replace the empty feed message
+        const emptyMessage = container.querySelector('.no-results-message');
+        if (emptyMessage) {
+            emptyMessage.remove();
+            container.classList.add('blog-posts-left');
+        }
+        
+        this.postsById.set(post._id, post);
+        container.insertAdjacentHTML('afterbegin', this.renderPostCard(post));
+        container.firstElementChild.classList.add('live-new-post');
+        this.loadPostInteractions([post]);
+    }
+
+    /**
+     * Get the files of a post, converting posts that only have a single code field
+     * @param {Object} post - Post object
+     * @returns {Array} Files with name, language and code
+     */
+    getPostFiles(post) {
+        if (Array.isArray(post.files) && post.files.length > 0) {
+            return post.files;
+        }
+        return [{
+            name: 'snippet',
+            language: post.programmingLanguage || post.language || '',
+            code: post.code || ''
+        }];
+    }
+
+    /**
+     * Get the distinct languages used by a post's files
+     * @param {Object} post - Post object
+     * @returns {Array<string>} Languages in file order
+     */
+    getPostLanguages(post) {
+        return [...new Set(this.getPostFiles(post).map(file => file.language).filter(Boolean))];
+    }
+
+    /**
+     * Check files from a files editor before sending them
+     * Files left without a language have it guessed by the server
+     * @param {Array} files - Files with name, language and code
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateFiles(files) {
+        if (files.length === 0) {
+            return 'Please add at least one file.';
+        }
+        for (let i = 0; i < files.length; i++) {
+            const label = files[i].name || `File ${i + 1}`;
+            if (!files[i].code.trim()) {
+                return `${label} has no code.`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Render a post's files as tabs with one code block per file
+     * @param {Object} post - Post object
+     * @returns {string} HTML for the file tabs
+     */
+    renderFileTabs(post) {
+        const files = this.getPostFiles(post);
+        
+        // A single file needs no tab bar
+        if (files.length === 1) {
+            return `<div class="blog-code" data-index="0">${this.renderFileCode(post, files, 0)}</div>`;
+        }
+        
+        const tabs = files.map((file, index) => `
+            <button class="snippet-tab${index === 0 ? ' active' : ''}" data-index="${index}">
+                ${this.escapeHtml(file.name)} <small class="snippet-tab-language">${this.escapeHtml(file.language)}</small>
+            </button>
+        `).join('');
+        
+        const panes = files.map((file, index) => `
+            <div class="blog-code snippet-pane${index === 0 ? '' : ' hidden'}" data-index="${index}">${this.renderFileCode(post, files, index)}</div>
         `).join('');
         
-        // Add pagination controls if needed
-        if (showPagination && totalPages > 1) {
-            html += this.renderPaginationControls(currentPage, totalPages);
+        return `
+            <div class="snippet-files">
+                <div class="snippet-tabs">${tabs}</div>
+                ${panes}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a badge for posts that are not public
+     * @param {Object} post - Post object
+     * @returns {string} HTML for the badge, or an empty string for public posts
+     */
+    renderVisibilityBadge(post) {
+        if (post.visibility === 'unlisted') {
+            return '<span class="visibility-badge" title="Only people with the link can see this post">🔗 Unlisted</span>';
+        }
+        if (post.visibility === 'private') {
+            const shared = (post.sharedWith || []).length > 0 ? `Shared with ${post.sharedWith.join(', ')}` : 'Only visible to the author';
+            return `<span class="visibility-badge private" title="${this.escapeHtml(shared)}">🔒 Private</span>`;
+        }
+        return '';
+    }
+
+    /**
+     * Show the "Share with" field only while a visibility select is set to private
+     * @param {HTMLSelectElement} select - Visibility select on the create or edit form
+     */
+    toggleSharedWith(select) {
+        const group = select.parentElement.querySelector('.shared-with-group');
+        if (group) {
+            group.classList.toggle('hidden', select.value !== 'private');
+        }
+    }
+
+    /**
+     * Render the "forked from" line for a fork, using the original's title and author frozen at fork time
+     * @param {Object} post - Post object
+     * @returns {string} HTML for the lineage, or an empty string if the post is not a fork
+     */
+    renderForkLineage(post) {
+        if (!post.forkedFrom) {
+            return '';
+        }
+        const origin = post.forkedFrom;
+        return `
+            <p class="fork-lineage">
+                ⑂ forked from <a href="#" class="fork-origin-link" data-username="${this.escapeHtml(origin.author)}">@${this.escapeHtml(origin.author)}</a>/${this.escapeHtml(origin.title)}
+                ${origin.deleted ? '<span class="fork-origin-deleted">(original deleted)</span>' : ''}
+            </p>
+        `;
+    }
+
+    /**
+     * Render the Fork button and the fork count, which opens the list of forks
+     * @param {Object} post - Post object
+     * @returns {string} HTML for the fork controls
+     */
+    renderForkControls(post) {
+        const forkCount = post.forkCount || 0;
+        const canFork = this.currentUser && post.author !== this.currentUser;
+        if (!canFork && forkCount === 0) {
+            return '';
+        }
+        return `
+            <div class="fork-controls">
+                ${canFork ? `<button class="fork-btn" data-post-id="${post._id}" title="Copy this snippet into your account">⑂ Fork</button>` : ''}
+                <button class="show-forks-btn${forkCount === 0 ? ' hidden' : ''}" data-post-id="${post._id}" title="Show forks of this snippet">${forkCount} fork${forkCount === 1 ? '' : 's'}</button>
+            </div>
+            <div id="forks-${post._id}" class="forks-panel hidden"></div>
+        `;
+    }
+
+    /**
+     * Render the Save button, which opens the list of the user's collections to save the post into
+     * @param {Object} post - Post object
+     * @returns {string} HTML for the save controls, or an empty string when logged out
+     */
+    renderSaveControls(post) {
+        if (!this.currentUser) {
+            return '';
+        }
+        return `
+            <button class="bookmark-post-btn" data-post-id="${post._id}" title="Save this snippet to a collection">🔖 Save</button>
+            <div id="save-${post._id}" class="save-panel hidden"></div>
+        `;
+    }
+
+    /**
+     * Render the Run buttons and output area for posts with JavaScript files
+     * @param {Object} post - Post object
+     * @returns {string} HTML for the run controls, or an empty string if nothing can run
+     */
+    renderRunControls(post) {
+        if (!this.getPostFiles(post).some(file => file.language === 'JavaScript')) {
+            return '';
         }
+        return `
+            <div class="run-controls">
+                <button class="run-snippet-btn" data-post-id="${post._id}" title="Run in a sandboxed worker in your browser">▶ Run</button>
+                <button class="run-on-server-btn" data-post-id="${post._id}" title="Run in an isolated worker on the server">Run on server</button>
+            </div>
+            <div id="run-output-${post._id}" class="run-output hidden"></div>
+        `;
+    }
+
+    /**
+     * Render the Raw and Download links and the Embed button, with a hidden panel holding the embed code
+     * @param {Object} post - Post object
+     * @returns {string} HTML for the share controls
+     */
+    renderShareControls(post) {
+        const files = this.getPostFiles(post);
+        const rawLinks = files.map(file => `
+            <a href="${this.baseURL}/contents/${post._id}/raw?file=${encodeURIComponent(file.name)}" class="share-link" target="_blank" rel="noopener" title="Open this file as plain text">Raw${files.length > 1 ? ` ${this.escapeHtml(file.name)}` : ''}</a>
+        `).join('');
         
-        container.innerHTML = html;
+        // Private posts cannot be embedded, so they get no embed code
+        const canEmbed = post.visibility !== 'private';
+        const embedScript = `<script src="${window.location.origin}${this.baseURL}/assets/javascript/embed.js" data-post-id="${post._id}" async></script>`;
+        const embedFrame = `<iframe src="${window.location.origin}${this.baseURL}/embed/${post._id}" width="100%" height="300" style="border:0" title="CodeLogs snippet"></iframe>`;
         
-        // FIXED: Load comments and likes for each post AFTER rendering is complete
-        // Use setTimeout to ensure DOM is fully updated before attaching event listeners
-        setTimeout(() => {
-            posts.forEach(post => {
-                if (window.commentsManager) {
-                    window.commentsManager.loadCommentsForPost(post._id);
-                }
-                if (window.likesManager) {
-                    window.likesManager.loadLikesForPost(post._id);
-                }
-            });
-        }, 100);
+        return `
+            <div class="share-controls">
+                ${rawLinks}
+                <a href="${this.baseURL}/contents/${post._id}/download" class="share-link" title="Download the code and attached file as a zip">⬇ Download</a>
+                ${canEmbed ? `<button class="show-embed-btn" data-post-id="${post._id}" title="Show the code for putting this snippet on another site">&lt;/&gt; Embed</button>` : ''}
+            </div>
+            ${canEmbed ? `
+                <div id="embed-${post._id}" class="embed-panel hidden">
+                    <label>Script (resizes to fit)</label>
+                    <textarea class="embed-code-input" rows="2" readonly>${this.escapeHtml(embedScript)}</textarea>
+                    <label>Iframe</label>
+                    <textarea class="embed-code-input" rows="2" readonly>${this.escapeHtml(embedFrame)}</textarea>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Get the numbered lines for one file, using the highlighted HTML cached on the post by the server
+     * @param {Object} post - Post object
+     * @param {Array} files - Files of the post
+     * @param {number} index - Index of the file
+     * @returns {string} HTML with one row per line
+     */
+    renderFileCode(post, files, index) {
+        const rendered = post.renderedCode && Array.isArray(post.renderedCode.files) ? post.renderedCode.files[index] : null;
+        if (typeof rendered === 'string') {
+            return rendered;
+        }
+        // Posts from before highlighting fall back to plain escaped lines
+        return this.renderCodeLines(files[index].code);
+    }
+
+    /**
+     * Render code as numbered lines, so line comments can be placed beside them
+     * @param {string} code - Code of one file
+     * @returns {string} HTML with one row per line
+     */
+    renderCodeLines(code) {
+        return String(code || '').replace(/\r\n/g, '\n').split('\n').map((line, index) => `
+            <div class="code-line" data-line="${index + 1}">
+                <span class="line-number" data-line="${index + 1}" title="Click to comment, shift-click to comment on a range">${index + 1}</span>
+                <span class="line-content">${this.escapeHtml(line)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show the file for a clicked tab on a multi-file post
+     * @param {HTMLElement} tab - Clicked tab button
+     */
+    selectFileTab(tab) {
+        const filesContainer = tab.closest('.snippet-files');
+        if (!filesContainer) return;
         
-        // Add event listeners to pagination buttons
-        if (showPagination && totalPages > 1) {
-            this.setupPaginationListeners();
+        const index = tab.getAttribute('data-index');
+        filesContainer.querySelectorAll('.snippet-tab').forEach(btn => {
+            btn.classList.toggle('active', btn === tab);
+        });
+        filesContainer.querySelectorAll('.snippet-pane').forEach(pane => {
+            pane.classList.toggle('hidden', pane.getAttribute('data-index') !== index);
+        });
+    }
+
+    /**
+     * Reload whichever post list is currently on screen
+     */
+    async refreshCurrentPosts() {
+        if (this.currentPage === 'posts') {
+            await this.loadAllPosts();
+        } else if (this.currentPage === 'home') {
+            await this.loadRecentPosts();
+        } else if (this.currentPage === 'post') {
+            await this.showPost(this.currentPostId, false);
         }
     }
 
     /**
-     * Render pagination controls
-     * @param {number} currentPage - Current page number
-     * @param {number} totalPages - Total number of pages
-     * @returns {string} HTML for pagination controls
+     * Show the inline edit form for one of the user's own posts
+     * @param {string} postId - Post ID
      */
-    renderPaginationControls(currentPage, totalPages) {
-        let html = '<div class="pagination">';
+    showEditForm(postId) {
+        const container = document.getElementById(`edit-post-${postId}`);
+        const post = this.postsById.get(postId);
+        if (!container || !post) return;
+        
+        container.innerHTML = `
+            <form class="edit-post-form" data-post-id="${postId}">
+                <label>Title *</label>
+                <input type="text" class="edit-post-title" required>
+                <label>Description</label>
+                <textarea class="edit-post-description" rows="3"></textarea>
+                <label>Tags</label>
+                <input type="text" class="edit-post-tags" placeholder="Comma-separated (up to 5)">
+                <label>Visibility</label>
+                <select class="edit-post-visibility post-visibility-select">
+                    <option value="public">Public</option>
+                    <option value="unlisted">Unlisted</option>
+                    <option value="private">Private</option>
+                </select>
+                <div class="shared-with-group hidden">
+                    <label>Share with</label>
+                    <input type="text" class="edit-post-shared-with shared-with-input" placeholder="Comma-separated usernames">
+                </div>
+                <label>Files *</label>
+                <div class="snippet-editor edit-post-files"></div>
+                <div class="post-owner-actions">
+                    <button type="submit" class="save-post-btn">Save</button>
+                    <button type="button" class="cancel-edit-btn" data-post-id="${postId}">Cancel</button>
+                </div>
+                <label class="edit-post-message"></label>
+            </form>
+        `;
         
-        // Previous button
-        if (currentPage > 1) {
-            html += `<button class="pagination-btn" data-page="${currentPage - 1}">Previous</button>`;
+        // Set values directly so quotes in the post cannot break the markup
+        container.querySelector('.edit-post-title').value = post.title;
+        container.querySelector('.edit-post-description').value = post.description || '';
+        container.querySelector('.edit-post-tags').value = (post.tags || []).join(', ');
+        container.querySelector('.edit-post-visibility').value = post.visibility || 'public';
+        container.querySelector('.edit-post-shared-with').value = (post.sharedWith || []).join(', ');
+        this.toggleSharedWith(container.querySelector('.edit-post-visibility'));
+        
+        // Each edit form gets its own files editor
+        this.editFilesEditors = this.editFilesEditors || new Map();
+        this.editFilesEditors.set(postId, new SnippetFilesEditor(
+            container.querySelector('.edit-post-files'),
+            this.getPostFiles(post)
+        ));
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the inline edit form for a post
+     * @param {string} postId - Post ID
+     */
+    hideEditForm(postId) {
+        const container = document.getElementById(`edit-post-${postId}`);
+        if (container) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+        }
+        if (this.editFilesEditors) {
+            this.editFilesEditors.delete(postId);
         }
+    }
+
+    /**
+     * Handle edit post form submission using AJAX
+     * Sends PATCH request to /M01039337/contents/:id
+     * @param {HTMLFormElement} form - Edit form element
+     */
+    async handleEditPost(form) {
+        const postId = form.getAttribute('data-post-id');
+        const messageLabel = form.querySelector('.edit-post-message');
         
-        // Page numbers
-        html += `<span class="pagination-info">Page ${currentPage} of ${totalPages}</span>`;
+        const title = form.querySelector('.edit-post-title').value.trim();
+        const description = form.querySelector('.edit-post-description').value.trim();
+        const tags = form.querySelector('.edit-post-tags').value;
+        const visibility = form.querySelector('.edit-post-visibility').value;
+        const sharedWith = form.querySelector('.edit-post-shared-with').value;
+        const filesEditor = this.editFilesEditors ? this.editFilesEditors.get(postId) : null;
+        const files = filesEditor ? filesEditor.getFiles() : [];
         
-        // Next button
-        if (currentPage < totalPages) {
-            html += `<button class="pagination-btn" data-page="${currentPage + 1}">Next</button>`;
+        // Validate form
+        const filesError = this.validateFiles(files);
+        if (!title || filesError) {
+            messageLabel.textContent = filesError || 'Please fill in all required fields.';
+            messageLabel.style.color = 'red';
+            return;
         }
         
-        html += '</div>';
-        return html;
+        try {
+            const response = await fetch(`${this.baseURL}/contents/${postId}`, {
+                method: 'PATCH',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ title, description, files, tags, visibility, sharedWith })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                await this.refreshCurrentPosts();
+            } else {
+                messageLabel.textContent = data.message || 'Failed to update post.';
+                messageLabel.style.color = 'red';
+            }
+            
+        } catch (error) {
+            console.error('Edit post error:', error);
+            messageLabel.textContent = 'An error occurred while updating post.';
+            messageLabel.style.color = 'red';
+        }
     }
 
     /**
-     * Set up event listeners for pagination buttons
+     * Delete one of the user's own posts using AJAX
+     * Sends DELETE request to /M01039337/contents/:id
+     * @param {string} postId - Post ID
      */
-    setupPaginationListeners() {
-        document.querySelectorAll('.pagination-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.currentPostsPage = parseInt(e.target.getAttribute('data-page'));
-                this.loadAllPosts();
-                // Scroll to top of posts
-                document.getElementById('all-posts').scrollIntoView({ behavior: 'smooth' });
+    async handleDeletePost(postId) {
+        if (!confirm('Are you sure you want to delete this post? Its comments and likes will also be deleted.')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${this.baseURL}/contents/${postId}`, {
+                method: 'DELETE',
+                credentials: 'same-origin'
             });
-        });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                this.postsById.delete(postId);
+                await this.refreshCurrentPosts();
+            } else {
+                alert(data.message || 'Failed to delete post.');
+            }
+            
+        } catch (error) {
+            console.error('Delete post error:', error);
+            alert('An error occurred while deleting post.');
+        }
     }
 
     /**
@@ -0,0 +1,314 @@
+/**
+ * Code Runner Manager class
+ * Runs JavaScript snippets in a Web Worker inside a sandboxed iframe, or on the server with POST /contents/:id/run,
+ * and shows the console output and errors under the code block
+ */
+class CodeRunnerManager {
+    constructor() {
+        // Base URL for API calls with Student ID
+        const STUDENT_ID = 'M01039337';
+        this.baseURL = `/${STUDENT_ID}`;
+
+        // Limits for runs in the browser, matching the server
+        this.timeoutMs = 3000;
+        this.maxOutputLines = 200;
+
+        this.init();
+    }
+
+    /**
+     * Initialise code runner manager
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for run buttons
+     * Uses event delegation because posts are rendered dynamically
+     */
+    setupEventListeners() {
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('run-snippet-btn')) {
+                e.preventDefault();
+                this.runInBrowser(e.target.getAttribute('data-post-id'));
+                return;
+            }
+            if (e.target.classList.contains('run-on-server-btn')) {
+                e.preventDefault();
+                this.runOnServer(e.target.getAttribute('data-post-id'));
+                return;
+            }
+            if (e.target.classList.contains('close-run-output-btn')) {
+                e.preventDefault();
+                e.target.closest('.run-output').classList.add('hidden');
+            }
+        });
+    }
+
+    /**
+     * Get the file to run: the file on screen if it is JavaScript, otherwise the first JavaScript file
+     * @param {string} postId - Post ID
+     * @returns {Object|null} File with name, language and code, or null if there is none
+     */
+    getRunnableFile(postId) {
+        const post = window.blogManager ? window.blogManager.postsById.get(postId) : null;
+        if (!post) return null;
+
+        const files = window.blogManager.getPostFiles(post);
+        const card = document.querySelector(`.blog-card[data-post-id="${postId}"]`);
+        const visiblePane = card ? card.querySelector('.blog-code:not(.hidden)') : null;
+        const visibleFile = visiblePane ? files[parseInt(visiblePane.getAttribute('data-index')) || 0] : null;
+
+        if (visibleFile && visibleFile.language === 'JavaScript') {
+            return visibleFile;
+        }
+        return files.find(file => file.language === 'JavaScript') || null;
+    }
+
+    /**
+     * Run a post's JavaScript in a sandboxed Web Worker in this browser
+     * @param {string} postId - Post ID
+     */
+    async runInBrowser(postId) {
+        const file = this.getRunnableFile(postId);
+        if (!file) return;
+
+        this.setRunning(postId, true);
+        const result = await this.runInSandbox(file.code);
+        this.setRunning(postId, false);
+        this.showResult(postId, file.name, result, 'browser');
+    }
+
+    /**
+     * Run a post's JavaScript in an isolated worker on the server
+     * Sends POST request to /M01039337/contents/:id/run
+     * @param {string} postId - Post ID
+     */
+    async runOnServer(postId) {
+        const file = this.getRunnableFile(postId);
+        if (!file) return;
+
+        this.setRunning(postId, true);
+        try {
+            const response = await fetch(`${this.baseURL}/contents/${postId}/run`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ fileName: file.name })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showResult(postId, data.fileName, data, 'server');
+            } else {
+                this.showResult(postId, file.name, { output: [], error: data.message || 'Error running snippet' }, 'server');
+            }
+
+        } catch (error) {
+            console.error('Run snippet error:', error);
+            this.showResult(postId, file.name, { output: [], error: 'Error running snippet' }, 'server');
+        } finally {
+            this.setRunning(postId, false);
+        }
+    }
+
+    /**
+     * Run code in a Web Worker inside a throwaway sandboxed iframe
+     * The iframe has an opaque origin, so the snippet cannot send requests with the viewer's session or read this
+     * page, and its Content Security Policy blocks every network request. Removing the iframe when the run finishes
+     * or reaches the time limit stops the worker; browsers cannot cap a worker's memory directly, so runaway
+     * allocations end at the time limit or when the browser kills the worker (use "Run on server" for a hard memory cap)
+     * @param {string} code - JavaScript source
+     * @returns {Promise<Object>} Result with output, truncated, error, timedOut and durationMs
+     */
+    runInSandbox(code) {
+        const startedAt = performance.now();
+        const iframe = document.createElement('iframe');
+        iframe.setAttribute('sandbox', 'allow-scripts');
+        iframe.hidden = true;
+        iframe.srcdoc = this.getSandboxDocument();
+        const output = [];
+        let truncated = false;
+
+        return new Promise(resolve => {
+            let settled = false;
+            const finish = (result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                window.removeEventListener('message', onMessage);
+                iframe.remove();
+                resolve({
+                    output: output,
+                    truncated: truncated,
+                    error: null,
+                    timedOut: false,
+                    durationMs: Math.round(performance.now() - startedAt),
+                    ...result
+                });
+            };
+
+            const timer = setTimeout(() => {
+                finish({ error: `Execution timed out after ${this.timeoutMs} ms.`, timedOut: true });
+            }, this.timeoutMs);
+
+            // Only messages from this run's iframe count
+            const onMessage = (e) => {
+                if (e.source !== iframe.contentWindow) return;
+                const message = e.data || {};
+                if (message.type === 'ready') {
+                    iframe.contentWindow.postMessage({ code: code }, '*');
+                } else if (message.type === 'output') {
+                    if (output.length < this.maxOutputLines) {
+                        output.push({ level: String(message.level), text: String(message.text) });
+                    } else {
+                        truncated = true;
+                    }
+                } else if (message.type === 'done') {
+                    finish({ error: message.error ? String(message.error) : null });
+                }
+            };
+            window.addEventListener('message', onMessage);
+
+            document.body.appendChild(iframe);
+        });
+    }
+
+    /**
+     * Build the page loaded into the sandboxed iframe
+     * It starts the worker from a blob URL (which inherits the page's policy) and passes messages between it and this page
+     * @returns {string} HTML document
+     */
+    getSandboxDocument() {
+        // Scripts and the blob worker may run; nothing may be fetched, connected to or loaded from anywhere
+        const policy = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:";
+        // "<" is escaped so the worker source cannot close the script tag
+        const workerSource = JSON.stringify(this.getWorkerSource()).replace(/</g, '\\u003c');
+        return `<!DOCTYPE html>
+            <html>
+            <head><meta http-equiv="Content-Security-Policy" content="${policy}"></head>
+            <body>
+            <script>
+                const worker = new Worker(URL.createObjectURL(new Blob([${workerSource}], { type: 'text/javascript' })));
+                worker.onmessage = (e) => parent.postMessage(e.data, '*');
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    parent.postMessage({ type: 'done', error: e.message || 'The snippet stopped unexpectedly.' }, '*');
+                };
+                window.onmessage = (e) => {
+                    if (e.source === parent) worker.postMessage(e.data);
+                };
+                parent.postMessage({ type: 'ready' }, '*');
+            </script>
+            </body>
+            </html>`;
+    }
+
+    /**
+     * Build the script that runs inside the worker
+     * @returns {string} Worker source
+     */
+    getWorkerSource() {
+        return `
+            // Keep a reference for reporting back, in case the snippet replaces postMessage
+            const send = self.postMessage.bind(self);
+
+            const format = (value) => {
+                if (typeof value === 'string') return value;
+                if (value instanceof Error) return value.name + ': ' + value.message;
+                if (typeof value === 'function' || typeof value === 'symbol' || typeof value === 'bigint') return String(value);
+                try {
+                    const json = JSON.stringify(value);
+                    return json === undefined ? String(value) : json;
+                } catch (error) {
+                    return String(value);
+                }
+            };
+            const record = (level) => (...args) => send({ type: 'output', level: level, text: args.map(format).join(' ') });
+            self.console = { log: record('log'), info: record('info'), debug: record('log'), warn: record('warn'), error: record('error') };
+
+            self.onmessage = (e) => {
+                self.onmessage = null;
+                let error = null;
+                try {
+                    (0, eval)(e.data.code);
+                } catch (err) {
+                    error = err && err.message !== undefined ? (err.name || 'Error') + ': ' + err.message : 'Uncaught ' + String(err);
+                }
+                // Let promise callbacks and zero-delay timers queued by the snippet run first
+                setTimeout(() => send({ type: 'done', error: error }), 0);
+            };
+        `;
+    }
+
+    /**
+     * Disable the run buttons on a post while it runs
+     * @param {string} postId - Post ID
+     * @param {boolean} running - Whether a run is in progress
+     */
+    setRunning(postId, running) {
+        document.querySelectorAll(`.run-snippet-btn[data-post-id="${postId}"], .run-on-server-btn[data-post-id="${postId}"]`).forEach(button => {
+            button.disabled = running;
+        });
+
+        const outputContainer = document.getElementById(`run-output-${postId}`);
+        if (running && outputContainer) {
+            outputContainer.classList.remove('hidden');
+            outputContainer.innerHTML = '<p class="run-output-status">Running...</p>';
+        }
+    }
+
+    /**
+     * Show console output and errors from a run under the code block
+     * @param {string} postId - Post ID
+     * @param {string} fileName - File that ran
+     * @param {Object} result - Run result with output, truncated, error, timedOut and durationMs
+     * @param {string} where - "browser" or "server"
+     */
+    showResult(postId, fileName, result, where) {
+        const outputContainer = document.getElementById(`run-output-${postId}`);
+        if (!outputContainer) return;
+
+        const lines = (result.output || []).map(line => `
+            <div class="run-output-line run-output-${this.escapeHtml(line.level)}">${this.escapeHtml(line.text)}</div>
+        `).join('');
+
+        outputContainer.classList.remove('hidden');
+        outputContainer.innerHTML = `
+            <div class="run-output-header">
+                <span>${this.escapeHtml(fileName)} · ran in the ${where}${result.durationMs !== undefined ? ` in ${result.durationMs} ms` : ''}</span>
+                <button class="close-run-output-btn" title="Hide output">✕</button>
+            </div>
+            <div class="run-output-body">
+                ${lines || (result.error ? '' : '<div class="run-output-line run-output-empty">(no output)</div>')}
+                ${result.truncated ? `<div class="run-output-line run-output-empty">Output cut off after ${this.maxOutputLines} lines</div>` : ''}
+                ${result.error ? `<div class="run-output-line run-output-error">${this.escapeHtml(result.error)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Escape HTML to prevent XSS attacks
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Create instance when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.codeRunnerManager = new CodeRunnerManager();
+});
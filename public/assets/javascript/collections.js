@@ -0,0 +1,563 @@
+/**
+ * Collections Manager class
+ * Saves posts into named collections and shows a user's collections in the Saved tab of their profile
+ */
+class CollectionsManager {
+    constructor() {
+        // Base URL for API calls with Student ID
+        const STUDENT_ID = 'M01039337';
+        this.baseURL = `/${STUDENT_ID}`;
+
+        // Collection open in the Saved tab, and the IDs of its posts in their saved order
+        this.currentCollection = null;
+        this.currentPostIds = [];
+
+        // User whose collections the Saved tab lists, and the cursor for the next page of them
+        this.collectionsUser = null;
+        this.collectionsCursor = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialise collections manager
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for save panels and the Saved tab
+     * Uses event delegation because posts and collections are rendered dynamically
+     */
+    setupEventListeners() {
+        document.addEventListener('click', (e) => {
+            const bookmarkBtn = e.target.closest('.bookmark-post-btn');
+            if (bookmarkBtn) {
+                e.preventDefault();
+                this.toggleSavePanel(bookmarkBtn.getAttribute('data-post-id'));
+                return;
+            }
+
+            const openBtn = e.target.closest('.open-collection-btn');
+            if (openBtn) {
+                e.preventDefault();
+                this.loadCollection(openBtn.getAttribute('data-collection-id'));
+                return;
+            }
+
+            const loadMoreBtn = e.target.closest('.load-more-collections-btn');
+            if (loadMoreBtn) {
+                e.preventDefault();
+                this.loadCollections(this.collectionsUser, this.collectionsCursor);
+                return;
+            }
+
+            const backBtn = e.target.closest('.back-to-collections-btn');
+            if (backBtn) {
+                e.preventDefault();
+                this.loadCollections(this.currentCollection.owner);
+                return;
+            }
+
+            const renameBtn = e.target.closest('.rename-collection-btn');
+            if (renameBtn) {
+                e.preventDefault();
+                const form = document.querySelector('.rename-collection-form');
+                if (form) form.classList.toggle('hidden');
+                return;
+            }
+
+            const visibilityBtn = e.target.closest('.toggle-collection-visibility-btn');
+            if (visibilityBtn) {
+                e.preventDefault();
+                const visibility = this.currentCollection.visibility === 'public' ? 'private' : 'public';
+                this.updateCollection({ visibility: visibility });
+                return;
+            }
+
+            const deleteBtn = e.target.closest('.delete-collection-btn');
+            if (deleteBtn) {
+                e.preventDefault();
+                this.deleteCollection();
+                return;
+            }
+
+            const removeBtn = e.target.closest('.remove-saved-post-btn');
+            if (removeBtn) {
+                e.preventDefault();
+                this.removeFromCollection(this.currentCollection._id, removeBtn.getAttribute('data-post-id'));
+                return;
+            }
+
+            const moveBtn = e.target.closest('.move-saved-post-btn');
+            if (moveBtn) {
+                e.preventDefault();
+                this.moveSavedPost(moveBtn.getAttribute('data-post-id'), parseInt(moveBtn.getAttribute('data-offset')));
+                return;
+            }
+
+            // Authors of saved posts open their profile
+            const authorLink = e.target.closest('.saved-author-link');
+            if (authorLink) {
+                e.preventDefault();
+                if (window.profileManager) {
+                    window.profileManager.loadProfile(authorLink.getAttribute('data-username'));
+                }
+            }
+        });
+
+        // Ticking a collection in a save panel adds the post, unticking removes it
+        document.addEventListener('change', (e) => {
+            if (e.target.classList.contains('save-collection-checkbox')) {
+                const postId = e.target.getAttribute('data-post-id');
+                const collectionId = e.target.getAttribute('data-collection-id');
+                if (e.target.checked) {
+                    this.addToCollection(collectionId, postId, e.target);
+                } else {
+                    this.removeFromCollection(collectionId, postId, e.target);
+                }
+            }
+        });
+
+        document.addEventListener('submit', (e) => {
+            if (e.target.classList.contains('create-collection-form')) {
+                e.preventDefault();
+                this.handleCreateCollection(e.target);
+                return;
+            }
+
+            if (e.target.classList.contains('rename-collection-form')) {
+                e.preventDefault();
+                this.updateCollection({ name: e.target.querySelector('.collection-name-input').value });
+            }
+        });
+    }
+
+    /**
+     * Get the username of the logged-in user
+     * @returns {string|null} Username, or null when logged out
+     */
+    getCurrentUser() {
+        return window.blogManager ? window.blogManager.currentUser : null;
+    }
+
+    /**
+     * Send a JSON request to the collections API
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the base URL
+     * @param {Object} [body] - Request body
+     * @returns {Promise<Object>} Parsed response
+     */
+    async request(method, path, body) {
+        const options = {
+            method: method,
+            credentials: 'same-origin'
+        };
+        if (body !== undefined) {
+            options.headers = {
+                'Content-Type': 'application/json'
+            };
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(`${this.baseURL}${path}`, options);
+        return response.json();
+    }
+
+    /**
+     * Show or hide the save panel of a post
+     * @param {string} postId - Post ID
+     */
+    async toggleSavePanel(postId) {
+        const panel = document.getElementById(`save-${postId}`);
+        if (!panel) return;
+
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        await this.loadSavePanel(postId);
+    }
+
+    /**
+     * Load the logged-in user's collections into a post's save panel, ticking the ones that hold the post
+     * Sends GET request to /M01039337/users/:username/collections?postId=&limit=50
+     * A user has at most 50 collections, so they all fit in one page
+     * @param {string} postId - Post ID
+     */
+    async loadSavePanel(postId) {
+        const panel = document.getElementById(`save-${postId}`);
+        const username = this.getCurrentUser();
+        if (!panel || !username) return;
+
+        panel.innerHTML = '<p class="no-comments">Loading collections...</p>';
+
+        try {
+            const data = await this.request('GET', `/users/${encodeURIComponent(username)}/collections?postId=${postId}&limit=50`);
+
+            if (!data.success) {
+                panel.innerHTML = `<p class="no-comments">${this.escapeHtml(data.message || 'Failed to load collections.')}</p>`;
+                return;
+            }
+
+            const options = data.collections.map(collection => `
+                <label class="save-collection-option">
+                    <input type="checkbox" class="save-collection-checkbox" data-post-id="${postId}" data-collection-id="${collection._id}" ${collection.containsPost ? 'checked' : ''}>
+                    ${this.escapeHtml(collection.name)}
+                    <span class="collection-visibility">${collection.visibility}</span>
+                </label>
+            `).join('');
+
+            panel.innerHTML = `
+                <h4 class="comments-title">Save to collection</h4>
+                ${options || '<p class="no-comments">No collections yet. Create one below.</p>'}
+                ${this.renderCreateForm(postId)}
+            `;
+
+        } catch (error) {
+            console.error('Error loading save panel:', error);
+            panel.innerHTML = '<p class="no-comments">Error loading collections.</p>';
+        }
+    }
+
+    /**
+     * Render the form for creating a collection
+     * @param {string|null} postId - Post to save into the new collection, or null
+     * @returns {string} HTML for the form
+     */
+    renderCreateForm(postId = null) {
+        return `
+            <form class="create-collection-form" ${postId ? `data-post-id="${postId}"` : ''}>
+                <input type="text" class="collection-name-input" placeholder="New collection name" maxlength="60" required>
+                <select class="collection-visibility-select">
+                    <option value="private">Private</option>
+                    <option value="public">Public</option>
+                </select>
+                <button type="submit" class="button">Create</button>
+            </form>
+        `;
+    }
+
+    /**
+     * Create a collection from a create form, then save the form's post into it
+     * Sends POST request to /M01039337/collections
+     * @param {HTMLFormElement} form - Submitted form
+     */
+    async handleCreateCollection(form) {
+        const postId = form.getAttribute('data-post-id');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const data = await this.request('POST', '/collections', {
+                name: form.querySelector('.collection-name-input').value,
+                visibility: form.querySelector('.collection-visibility-select').value
+            });
+
+            if (!data.success) {
+                alert(data.message || 'Failed to create collection.');
+                submitBtn.disabled = false;
+                return;
+            }
+
+            if (postId) {
+                await this.addToCollection(data.collection._id, postId);
+                await this.loadSavePanel(postId);
+            } else {
+                await this.loadCollections(this.getCurrentUser());
+            }
+
+        } catch (error) {
+            console.error('Error creating collection:', error);
+            alert('Error creating collection.');
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Save a post to the end of a collection
+     * Sends POST request to /M01039337/collections/:id/items
+     * @param {string} collectionId - Collection ID
+     * @param {string} postId - Post ID
+     * @param {HTMLInputElement} [checkbox] - Checkbox to untick again if saving fails
+     */
+    async addToCollection(collectionId, postId, checkbox = null) {
+        try {
+            const data = await this.request('POST', `/collections/${collectionId}/items`, { postId: postId });
+
+            if (!data.success) {
+                alert(data.message || 'Failed to save post.');
+                if (checkbox) checkbox.checked = false;
+            }
+
+        } catch (error) {
+            console.error('Error saving post:', error);
+            alert('Error saving post.');
+            if (checkbox) checkbox.checked = false;
+        }
+    }
+
+    /**
+     * Remove a post from a collection
+     * Sends DELETE request to /M01039337/collections/:id/items/:postId
+     * @param {string} collectionId - Collection ID
+     * @param {string} postId - Post ID
+     * @param {HTMLInputElement} [checkbox] - Checkbox to tick again if removing fails
+     */
+    async removeFromCollection(collectionId, postId, checkbox = null) {
+        try {
+            const data = await this.request('DELETE', `/collections/${collectionId}/items/${postId}`);
+
+            if (!data.success) {
+                alert(data.message || 'Failed to remove post.');
+                if (checkbox) checkbox.checked = true;
+                return;
+            }
+
+            // Drop the post from the collection open in the Saved tab
+            if (!checkbox && this.currentCollection && this.currentCollection._id === collectionId) {
+                await this.loadCollection(collectionId);
+            }
+
+        } catch (error) {
+            console.error('Error removing post:', error);
+            alert('Error removing post.');
+            if (checkbox) checkbox.checked = true;
+        }
+    }
+
+    /**
+     * Load a user's collections into the Saved tab, or the next page of them
+     * Sends GET request to /M01039337/users/:username/collections
+     * @param {string} username - Profile owner
+     * @param {string|null} after - Cursor from the previous page, to add the next page below it
+     */
+    async loadCollections(username, after = null) {
+        const container = document.getElementById('saved-collections');
+        if (!container || !username) return;
+
+        this.currentCollection = null;
+        this.currentPostIds = [];
+        this.collectionsUser = username;
+        if (!after) {
+            container.innerHTML = '<p class="no-results-message">Loading collections...</p>';
+        }
+
+        try {
+            const query = after ? `?after=${encodeURIComponent(after)}` : '';
+            const data = await this.request('GET', `/users/${encodeURIComponent(username)}/collections${query}`);
+
+            if (!data.success) {
+                container.innerHTML = `<p class="no-results-message">${this.escapeHtml(data.message || 'Failed to load collections.')}</p>`;
+                return;
+            }
+
+            const cards = data.collections.map(collection => `
+                <div class="collection-card">
+                    <button class="open-collection-btn" data-collection-id="${collection._id}">🔖 ${this.escapeHtml(collection.name)}</button>
+                    <span class="collection-meta">${collection.itemCount} post${collection.itemCount === 1 ? '' : 's'}</span>
+                    ${data.isOwner ? `<span class="collection-visibility">${collection.visibility}</span>` : ''}
+                </div>
+            `).join('');
+            const loadMore = data.nextCursor ? '<button class="load-more-btn load-more-collections-btn">Load more collections</button>' : '';
+            this.collectionsCursor = data.nextCursor;
+
+            if (after) {
+                const oldButton = container.querySelector('.load-more-collections-btn');
+                if (oldButton) {
+                    oldButton.remove();
+                }
+                container.insertAdjacentHTML('beforeend', cards + loadMore);
+                return;
+            }
+
+            container.innerHTML = `
+                ${data.isOwner ? this.renderCreateForm() : ''}
+                ${cards || `<p class="no-results-message">${data.isOwner ? 'No collections yet.' : 'No public collections.'}</p>`}
+                ${loadMore}
+            `;
+
+        } catch (error) {
+            console.error('Error loading collections:', error);
+            container.innerHTML = '<p class="no-results-message">Error loading collections.</p>';
+        }
+    }
+
+    /**
+     * Open a collection in the Saved tab and show its posts in their saved order
+     * Sends GET request to /M01039337/collections/:id
+     * @param {string} collectionId - Collection ID
+     */
+    async loadCollection(collectionId) {
+        const container = document.getElementById('saved-collections');
+        if (!container) return;
+
+        try {
+            const data = await this.request('GET', `/collections/${collectionId}`);
+
+            if (!data.success) {
+                container.innerHTML = `<p class="no-results-message">${this.escapeHtml(data.message || 'Failed to load collection.')}</p>`;
+                return;
+            }
+
+            this.currentCollection = data.collection;
+            this.currentPostIds = data.posts.map(post => post._id);
+            this.displayCollection(data.collection, data.posts, data.isOwner);
+
+        } catch (error) {
+            console.error('Error loading collection:', error);
+            container.innerHTML = '<p class="no-results-message">Error loading collection.</p>';
+        }
+    }
+
+    /**
+     * Display an open collection with its posts, and owner controls when it is the user's own
+     * @param {Object} collection - Collection summary
+     * @param {Array} posts - Posts in saved order
+     * @param {boolean} isOwner - Whether the logged-in user owns the collection
+     */
+    displayCollection(collection, posts, isOwner) {
+        const container = document.getElementById('saved-collections');
+        if (!container) return;
+
+        const ownerControls = isOwner ? `
+            <div class="collection-owner-actions">
+                <button class="rename-collection-btn">Rename</button>
+                <button class="toggle-collection-visibility-btn">Make ${collection.visibility === 'public' ? 'private' : 'public'}</button>
+                <button class="delete-collection-btn">Delete</button>
+            </div>
+            <form class="rename-collection-form hidden">
+                <input type="text" class="collection-name-input" value="${this.escapeHtml(collection.name)}" maxlength="60" required>
+                <button type="submit" class="button">Save</button>
+            </form>
+        ` : '';
+
+        const cards = posts.map((post, index) => `
+            <div class="blog-card saved-post-card">
+                <h3 class="blog-title">${this.escapeHtml(post.title)}</h3>
+                ${post.description ? `<p>${this.escapeHtml(post.description)}</p>` : ''}
+                ${window.blogManager ? window.blogManager.renderFileTabs(post) : ''}
+                ${window.blogManager ? window.blogManager.renderPostTags(post) : ''}
+                <p class="blog-author">By <a href="#" class="saved-author-link" data-username="${this.escapeHtml(post.author)}">${this.escapeHtml(post.author)}</a>, saved on ${new Date(post.savedAt).toLocaleDateString()}</p>
+                ${isOwner ? `
+                    <div class="saved-post-actions">
+                        <button class="move-saved-post-btn" data-post-id="${post._id}" data-offset="-1" ${index === 0 ? 'disabled' : ''} title="Move up">▲</button>
+                        <button class="move-saved-post-btn" data-post-id="${post._id}" data-offset="1" ${index === posts.length - 1 ? 'disabled' : ''} title="Move down">▼</button>
+                        <button class="remove-saved-post-btn" data-post-id="${post._id}">Remove</button>
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="collection-header">
+                <button class="back-to-collections-btn">← All collections</button>
+                <h3>🔖 ${this.escapeHtml(collection.name)}</h3>
+                <span class="collection-visibility">${collection.visibility}</span>
+            </div>
+            ${ownerControls}
+            ${cards || '<p class="no-results-message">No posts in this collection yet.</p>'}
+        `;
+    }
+
+    /**
+     * Rename the open collection or change its visibility
+     * Sends PATCH request to /M01039337/collections/:id
+     * @param {Object} updates - name and/or visibility
+     */
+    async updateCollection(updates) {
+        if (!this.currentCollection) return;
+
+        try {
+            const data = await this.request('PATCH', `/collections/${this.currentCollection._id}`, updates);
+
+            if (data.success) {
+                await this.loadCollection(this.currentCollection._id);
+            } else {
+                alert(data.message || 'Failed to update collection.');
+            }
+
+        } catch (error) {
+            console.error('Error updating collection:', error);
+            alert('Error updating collection.');
+        }
+    }
+
+    /**
+     * Delete the open collection, leaving its posts untouched
+     * Sends DELETE request to /M01039337/collections/:id
+     */
+    async deleteCollection() {
+        if (!this.currentCollection) return;
+
+        if (!confirm(`Delete the collection "${this.currentCollection.name}"? The posts in it will not be deleted.`)) {
+            return;
+        }
+
+        try {
+            const data = await this.request('DELETE', `/collections/${this.currentCollection._id}`);
+
+            if (data.success) {
+                await this.loadCollections(this.currentCollection.owner);
+            } else {
+                alert(data.message || 'Failed to delete collection.');
+            }
+
+        } catch (error) {
+            console.error('Error deleting collection:', error);
+            alert('Error deleting collection.');
+        }
+    }
+
+    /**
+     * Move a post one place up or down in the open collection
+     * Sends PUT request to /M01039337/collections/:id/items with the full new order
+     * @param {string} postId - Post ID
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    async moveSavedPost(postId, offset) {
+        const index = this.currentPostIds.indexOf(postId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.currentPostIds.length) return;
+
+        const postIds = [...this.currentPostIds];
+        [postIds[index], postIds[target]] = [postIds[target], postIds[index]];
+
+        try {
+            const data = await this.request('PUT', `/collections/${this.currentCollection._id}/items`, { postIds: postIds });
+
+            if (!data.success) {
+                alert(data.message || 'Failed to reorder collection.');
+            }
+            await this.loadCollection(this.currentCollection._id);
+
+        } catch (error) {
+            console.error('Error reordering collection:', error);
+            alert('Error reordering collection.');
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS attacks
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Create instance when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.collectionsManager = new CollectionsManager();
+});
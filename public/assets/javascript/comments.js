@@ -1,7 +1,8 @@
 /**
  * Comments Manager class
- * Handles adding, displaying, and deleting comments on posts
+ * Handles adding, displaying, editing and deleting comments on posts
  * UPDATED: Added collapsible comments functionality
+ * UPDATED: Threaded replies, collapsible per thread
  * FIXED: Event delegation now properly handles dynamically loaded posts
  */
 class CommentsManager {
@@ -13,6 +14,15 @@ class CommentsManager {
         // Track collapsed state of comments per post
         this.collapsedStates = new Map();
         
+        // Cursor for the next page of older comments per post
+        this.nextCursors = new Map();
+        
+        // Threads the user has collapsed, kept across reloads
+        this.collapsedThreads = new Set();
+        
+        // Deepest reply level, sent by the server with each comments page
+        this.maxDepth = 4;
+        
         this.init();
     }
 
@@ -31,6 +41,20 @@ class CommentsManager {
         // FIXED: Event delegation for comment form submissions
         // Use document as the parent to catch all dynamically added forms
         document.addEventListener('submit', (e) => {
+            // Reply and edit forms inside comment threads
+            if (e.target.classList.contains('reply-form')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.handleReplySubmit(e.target);
+                return;
+            }
+            if (e.target.classList.contains('edit-comment-form')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.handleCommentEdit(e.target);
+                return;
+            }
+            
             // Check if the submitted target is a comment-form or submitted from within one
             const form = e.target.classList.contains('comment-form') 
                 ? e.target 
@@ -56,6 +80,47 @@ class CommentsManager {
                 return;
             }
             
+            // Reply, edit and thread buttons on each comment
+            if (e.target.classList.contains('reply-comment-btn')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.showReplyForm(e.target.closest('.comment'));
+                return;
+            }
+            if (e.target.classList.contains('cancel-reply-btn')) {
+                e.preventDefault();
+                e.stopPropagation();
+                e.target.closest('.reply-form').remove();
+                return;
+            }
+            if (e.target.classList.contains('edit-comment-btn')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.showEditForm(e.target.closest('.comment'));
+                return;
+            }
+            if (e.target.classList.contains('cancel-comment-edit-btn')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.hideEditForm(e.target.closest('.comment'));
+                return;
+            }
+            if (e.target.classList.contains('toggle-replies-btn')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleReplies(e.target.closest('.comment'));
+                return;
+            }
+            
+            // Load older comments buttons
+            if (e.target.classList.contains('load-more-comments-btn')) {
+                e.preventDefault();
+                e.stopPropagation();
+                const postId = e.target.getAttribute('data-post-id');
+                this.loadCommentsForPost(postId, this.nextCursors.get(postId));
+                return;
+            }
+            
             // Toggle comments buttons
             const toggleBtn = e.target.closest('.toggle-comments-btn');
             if (toggleBtn) {
@@ -313,16 +378,29 @@ class CommentsManager {
     /**
      * Load and display comments for a post
      * @param {string} postId - Post ID
+     * @param {string|null} after - Cursor for older comments, or null for the newest page
      */
-    async loadCommentsForPost(postId) {
+    async loadCommentsForPost(postId, after = null) {
         try {
-            const response = await fetch(`${this.baseURL}/posts/${postId}/comments`, {
+            const url = after
+                ? `${this.baseURL}/posts/${postId}/comments?after=${encodeURIComponent(after)}`
+                : `${this.baseURL}/posts/${postId}/comments`;
+            const response = await fetch(url, {
                 credentials: 'same-origin'
             });
             const data = await response.json();
 
             if (data.success) {
-                this.displayComments(postId, data.comments);
+                this.nextCursors.set(postId, data.nextCursor);
+                this.maxDepth = data.maxDepth;
+                
+                if (after) {
+                    // Older comments go below the ones already shown
+                    this.appendComments(postId, data.comments, data.nextCursor);
+                    return;
+                }
+                
+                this.displayComments(postId, data.comments, data.nextCursor, data.totalCount);
                 
                 // Apply saved collapsed state
                 setTimeout(() => {
@@ -335,6 +413,44 @@ class CommentsManager {
         }
     }
 
+    /**
+     * Show a comment pushed over the live updates stream
+     * New top-level comments go to the top of the list, replies and line comments reload their threads
+     * @param {string} postId - Post ID
+     * @param {Object} comment - New comment
+     */
+    addLiveComment(postId, comment) {
+        const commentsContainer = document.getElementById(`comments-${postId}`);
+        if (!commentsContainer || document.querySelector(`.comment[data-comment-id="${comment._id}"]`)) {
+            return;
+        }
+
+        // Update comment count
+        const toggleButton = document.querySelector(`.toggle-comments-btn[data-post-id="${postId}"]`);
+        const totalCount = parseInt(toggleButton?.getAttribute('data-comment-count')) || 0;
+        this.updateCommentCount(postId, totalCount + 1);
+
+        const parentElement = comment.parentId
+            ? document.querySelector(`.comment[data-comment-id="${comment.parentId}"]`)
+            : null;
+        if (comment.anchor || (parentElement && parentElement.closest('.line-comment-thread'))) {
+            if (window.lineCommentsManager) {
+                window.lineCommentsManager.loadForPost(postId);
+            }
+            return;
+        }
+        if (comment.parentId) {
+            this.loadCommentsForPost(postId);
+            return;
+        }
+
+        const noComments = commentsContainer.querySelector('.no-comments');
+        if (noComments) {
+            noComments.remove();
+        }
+        commentsContainer.insertAdjacentHTML('afterbegin', this.renderComments(postId, [{ ...comment, replies: [] }]));
+    }
+
     /**
      * NEW: Apply saved collapsed state to comments
      * @param {string} postId - Post ID
@@ -394,8 +510,10 @@ class CommentsManager {
      * Display comments in the UI
      * @param {string} postId - Post ID
      * @param {Array} comments - Array of comment objects
+     * @param {string|null} nextCursor - Cursor for older comments, or null if all are shown
+     * @param {number} totalCount - Total number of comments on the post
      */
-    displayComments(postId, comments) {
+    displayComments(postId, comments, nextCursor = null, totalCount = comments.length) {
         const commentsContainer = document.getElementById(`comments-${postId}`);
         
         if (!commentsContainer) {
@@ -412,25 +530,279 @@ class CommentsManager {
             return;
         }
 
-        let html = comments.map(comment => `
-            <div class="comment" data-comment-id="${comment._id}">
-                <div class="comment-header">
-                    <span class="comment-author">${this.escapeHtml(comment.author)}</span>
-                    <span class="comment-date">${new Date(comment.createdAt).toLocaleDateString()}</span>
-                </div>
-                <div class="comment-text">${this.escapeHtml(comment.text)}</div>
-                <div class="comment-actions">
-                    <button class="delete-comment-btn" data-comment-id="${comment._id}">Delete</button>
-                </div>
-            </div>
-        `).join('');
-
-        commentsContainer.innerHTML = html;
+        commentsContainer.innerHTML = this.renderComments(postId, comments) + this.renderLoadMoreButton(postId, nextCursor);
         // Keep collapsed state consistent after re-render
         commentsContainer.classList.add('collapsed');
         
         // Update comment count in toggle button
-        this.updateCommentCount(postId, comments.length);
+        this.updateCommentCount(postId, totalCount);
+    }
+
+    /**
+     * Add a page of older comments below the ones already shown
+     * @param {string} postId - Post ID
+     * @param {Array} comments - Array of comment objects
+     * @param {string|null} nextCursor - Cursor for older comments, or null if all are shown
+     */
+    appendComments(postId, comments, nextCursor) {
+        const commentsContainer = document.getElementById(`comments-${postId}`);
+        
+        if (!commentsContainer) {
+            return;
+        }
+
+        const oldButton = commentsContainer.querySelector('.load-more-comments-btn');
+        if (oldButton) {
+            oldButton.remove();
+        }
+        commentsContainer.insertAdjacentHTML('beforeend', this.renderComments(postId, comments) + this.renderLoadMoreButton(postId, nextCursor));
+    }
+
+    /**
+     * Build HTML for a list of comments and their nested replies
+     * @param {string} postId - Post ID
+     * @param {Array} comments - Array of comment objects, each with a replies array
+     * @returns {string} HTML for the comments
+     */
+    renderComments(postId, comments) {
+        const currentUser = window.blogManager ? window.blogManager.currentUser : null;
+        
+        return comments.map(comment => {
+            const depth = comment.depth || 0;
+            const replies = comment.replies || [];
+            const replyCount = this.countReplies(comment);
+            const isCollapsed = this.collapsedThreads.has(comment._id);
+            const canReply = currentUser && !comment.deleted && depth < this.maxDepth;
+            const isOwner = currentUser && !comment.deleted && comment.author === currentUser;
+            
+            return `
+                <div class="comment${comment.deleted ? ' comment-deleted' : ''}" data-comment-id="${comment._id}" data-post-id="${postId}" data-depth="${depth}">
+                    <div class="comment-header">
+                        <span class="comment-author">${comment.deleted ? '[deleted]' : `<img src="${this.baseURL}/users/${encodeURIComponent(comment.author)}/avatar?size=64" alt="" class="avatar-small">${this.escapeHtml(comment.author)}`}</span>
+                        <span class="comment-date">${new Date(comment.createdAt).toLocaleDateString()}${comment.editedAt ? ' (edited)' : ''}</span>
+                    </div>
+                    <div class="comment-text">${this.escapeHtml(comment.text)}</div>
+                    <div class="comment-actions">
+                        ${canReply ? '<button class="reply-comment-btn">Reply</button>' : ''}
+                        ${isOwner ? `
+                            <button class="edit-comment-btn">Edit</button>
+                            <button class="delete-comment-btn" data-comment-id="${comment._id}">Delete</button>
+                        ` : ''}
+                        ${replyCount > 0 ? `
+                            <button class="toggle-replies-btn" data-reply-count="${replyCount}">${isCollapsed ? '▸ Show' : '▾ Hide'} replies (${replyCount})</button>
+                        ` : ''}
+                    </div>
+                    ${replies.length > 0 ? `
+                        <div class="comment-replies${isCollapsed ? ' hidden' : ''}">
+                            ${this.renderComments(postId, replies)}
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Count every reply below a comment, at any depth
+     * @param {Object} comment - Comment object with a replies array
+     * @returns {number} Number of replies in the thread
+     */
+    countReplies(comment) {
+        return (comment.replies || []).reduce((total, reply) => total + 1 + this.countReplies(reply), 0);
+    }
+
+    /**
+     * Show or hide the replies under a comment
+     * @param {HTMLElement} commentElement - Comment DOM element
+     */
+    toggleReplies(commentElement) {
+        const replies = commentElement.querySelector(':scope > .comment-replies');
+        const button = commentElement.querySelector(':scope > .comment-actions .toggle-replies-btn');
+        if (!replies || !button) return;
+        
+        const commentId = commentElement.getAttribute('data-comment-id');
+        const replyCount = button.getAttribute('data-reply-count');
+        const isCollapsed = replies.classList.toggle('hidden');
+        
+        if (isCollapsed) {
+            this.collapsedThreads.add(commentId);
+        } else {
+            this.collapsedThreads.delete(commentId);
+        }
+        button.textContent = `${isCollapsed ? '▸ Show' : '▾ Hide'} replies (${replyCount})`;
+    }
+
+    /**
+     * Show an inline reply form under a comment
+     * @param {HTMLElement} commentElement - Comment DOM element
+     */
+    showReplyForm(commentElement) {
+        if (commentElement.querySelector(':scope > .reply-form')) return;
+        
+        const form = document.createElement('form');
+        form.className = 'reply-form';
+        form.innerHTML = `
+            <textarea class="comment-input" placeholder="Write a reply..." rows="2"></textarea>
+            <button type="submit" class="button submit-comment-btn">Reply</button>
+            <button type="button" class="cancel-reply-btn">Cancel</button>
+        `;
+        commentElement.querySelector(':scope > .comment-actions').after(form);
+        form.querySelector('textarea').focus();
+    }
+
+    /**
+     * Handle reply form submission
+     * Sends POST request to /M01039337/posts/:postId/comments with the parent comment ID
+     * @param {HTMLFormElement} form - Reply form element
+     */
+    async handleReplySubmit(form) {
+        const commentElement = form.closest('.comment');
+        const postId = commentElement.getAttribute('data-post-id');
+        const parentId = commentElement.getAttribute('data-comment-id');
+        const text = form.querySelector('.comment-input').value.trim();
+
+        if (!text) {
+            alert('Please enter a reply');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.baseURL}/posts/${postId}/comments`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ text: text, parentId: parentId })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                // Make sure the thread is open so the new reply is visible
+                this.collapsedThreads.delete(parentId);
+                this.reloadThreads(commentElement);
+            } else {
+                alert(data.message || 'Error adding reply');
+            }
+
+        } catch (error) {
+            console.error('Reply submission error:', error);
+            alert('Error adding reply');
+        }
+    }
+
+    /**
+     * Replace a comment's text with an inline edit form
+     * @param {HTMLElement} commentElement - Comment DOM element
+     */
+    showEditForm(commentElement) {
+        if (commentElement.querySelector(':scope > .edit-comment-form')) return;
+        
+        const textElement = commentElement.querySelector(':scope > .comment-text');
+        const form = document.createElement('form');
+        form.className = 'edit-comment-form';
+        form.innerHTML = `
+            <textarea class="comment-input" rows="2"></textarea>
+            <button type="submit" class="button submit-comment-btn">Save</button>
+            <button type="button" class="cancel-comment-edit-btn">Cancel</button>
+        `;
+        // Set value directly so the comment text cannot break the markup
+        form.querySelector('textarea').value = textElement.textContent;
+        
+        textElement.classList.add('hidden');
+        textElement.after(form);
+        form.querySelector('textarea').focus();
+    }
+
+    /**
+     * Remove the inline edit form and show the comment text again
+     * @param {HTMLElement} commentElement - Comment DOM element
+     */
+    hideEditForm(commentElement) {
+        const form = commentElement.querySelector(':scope > .edit-comment-form');
+        if (form) {
+            form.remove();
+        }
+        commentElement.querySelector(':scope > .comment-text').classList.remove('hidden');
+    }
+
+    /**
+     * Handle comment edit form submission
+     * Sends PATCH request to /M01039337/comments/:commentId
+     * @param {HTMLFormElement} form - Edit form element
+     */
+    async handleCommentEdit(form) {
+        const commentElement = form.closest('.comment');
+        const commentId = commentElement.getAttribute('data-comment-id');
+        const text = form.querySelector('.comment-input').value.trim();
+
+        if (!text) {
+            alert('Please enter a comment');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.baseURL}/comments/${commentId}`, {
+                method: 'PATCH',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ text: text })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                commentElement.querySelector(':scope > .comment-text').textContent = data.comment.text;
+                commentElement.querySelector(':scope > .comment-header .comment-date').textContent =
+                    `${new Date(data.comment.createdAt).toLocaleDateString()} (edited)`;
+                this.hideEditForm(commentElement);
+            } else {
+                alert(data.message || 'Error editing comment');
+            }
+
+        } catch (error) {
+            console.error('Edit comment error:', error);
+            alert('Error editing comment');
+        }
+    }
+
+    /**
+     * Show a soft-deleted comment as "[deleted]" without its actions
+     * @param {HTMLElement} commentElement - Comment DOM element
+     */
+    markCommentDeleted(commentElement) {
+        commentElement.classList.add('comment-deleted');
+        commentElement.querySelector(':scope > .comment-header .comment-author').textContent = '[deleted]';
+        commentElement.querySelector(':scope > .comment-text').textContent = '[deleted]';
+        commentElement.querySelectorAll(':scope > .comment-actions .reply-comment-btn, :scope > .comment-actions .edit-comment-btn, :scope > .comment-actions .delete-comment-btn')
+            .forEach(button => button.remove());
+    }
+
+    /**
+     * Reload the threads a comment belongs to, either the post's comments or its line comments
+     * @param {HTMLElement} commentElement - Comment DOM element
+     */
+    reloadThreads(commentElement) {
+        const postId = commentElement.getAttribute('data-post-id');
+        if (commentElement.closest('.line-comment-thread') && window.lineCommentsManager) {
+            window.lineCommentsManager.loadForPost(postId);
+        } else {
+            this.loadCommentsForPost(postId);
+        }
+    }
+
+    /**
+     * Build the button for loading older comments
+     * @param {string} postId - Post ID
+     * @param {string|null} nextCursor - Cursor for older comments, or null if all are shown
+     * @returns {string} HTML for the button, or an empty string if all comments are shown
+     */
+    renderLoadMoreButton(postId, nextCursor) {
+        if (!nextCursor) return '';
+        return `<button class="load-more-btn load-more-comments-btn" data-post-id="${postId}">Show older comments</button>`;
     }
 
     /**
@@ -468,18 +840,30 @@ class CommentsManager {
             const data = await response.json();
 
             if (data.success) {
-                commentElement.remove();
+                const postId = commentElement.getAttribute('data-post-id');
+                const commentsContainer = document.getElementById(`comments-${postId}`);
                 
                 // Update comment count
-                const postId = commentElement.closest('.comments-section')?.querySelector('.toggle-comments-btn')?.getAttribute('data-post-id');
-                if (postId) {
-                    const commentsContainer = document.getElementById(`comments-${postId}`);
-                    const remainingComments = commentsContainer.querySelectorAll('.comment').length;
-                    this.updateCommentCount(postId, remainingComments);
+                const toggleButton = document.querySelector(`.toggle-comments-btn[data-post-id="${postId}"]`);
+                const totalCount = parseInt(toggleButton?.getAttribute('data-comment-count')) || 1;
+                this.updateCommentCount(postId, totalCount - 1);
+                
+                if (data.softDeleted) {
+                    // Keep a placeholder so the replies stay in their thread
+                    this.markCommentDeleted(commentElement);
+                } else if (commentElement.getAttribute('data-depth') !== '0' || commentElement.closest('.line-comment-thread')) {
+                    // Reply counts change and deleted parents may be gone, so reload the threads
+                    this.reloadThreads(commentElement);
+                } else {
+                    commentElement.remove();
                     
-                    // Show "no comments" message if all comments deleted
-                    if (remainingComments === 0) {
-                        commentsContainer.innerHTML = '<p class="no-comments">No comments yet. Be the first to comment!</p>';
+                    // Show older comments, or the "no comments" message if all comments deleted
+                    if (commentsContainer.querySelectorAll('.comment').length === 0) {
+                        if (this.nextCursors.get(postId)) {
+                            this.loadCommentsForPost(postId);
+                        } else {
+                            commentsContainer.innerHTML = '<p class="no-comments">No comments yet. Be the first to comment!</p>';
+                        }
                     }
                 }
             } else {
@@ -670,6 +1054,25 @@ class LikesManager {
     async loadLikesForPost(postId) {
         await this.updateLikesUI(postId);
     }
+
+    /**
+     * Show like counts pushed over the live updates stream, keeping the user's own vote
+     * @param {string} postId - Post ID
+     * @param {number} likeCount - Number of likes
+     * @param {number} dislikeCount - Number of dislikes
+     */
+    applyLiveCounts(postId, likeCount, dislikeCount) {
+        const likesContainer = document.getElementById(`likes-${postId}`);
+        if (!likesContainer) return;
+
+        let userVote = null;
+        if (likesContainer.querySelector('.like-btn.active')) {
+            userVote = 'like';
+        } else if (likesContainer.querySelector('.dislike-btn.active')) {
+            userVote = 'dislike';
+        }
+        this.displayLikes(postId, likeCount, dislikeCount, userVote);
+    }
 }
 
 // Create instances when DOM is loaded
@@ -0,0 +1,471 @@
+/**
+ * Drafts Manager class
+ * Autosaves the create post form as a draft, lists the user's drafts and schedules drafts to publish later
+ */
+class DraftsManager {
+    constructor() {
+        // Base URL for API calls with Student ID
+        const STUDENT_ID = 'M01039337';
+        this.baseURL = `/${STUDENT_ID}`;
+
+        // How often unsaved changes on the create form are saved
+        this.autosaveDelay = 5000;
+
+        // Draft being edited on the create form, and whether the form changed since it was saved
+        this.currentDraftId = null;
+        this.dirty = false;
+        this.saving = false;
+
+        // Cursor for the next page of drafts
+        this.nextCursor = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialise drafts manager and start autosaving
+     */
+    init() {
+        this.setupEventListeners();
+        setInterval(() => this.autosave(), this.autosaveDelay);
+    }
+
+    /**
+     * Set up event listeners for the create form and the drafts list
+     */
+    setupEventListeners() {
+        // Any typing in the create form (including the files editor) marks the draft as changed
+        const form = document.getElementById('createPostForm');
+        if (form) {
+            ['input', 'change'].forEach(eventName => {
+                form.addEventListener(eventName, (e) => {
+                    if (e.target.id !== 'post-file' && e.target.id !== 'post-publish-at') {
+                        this.dirty = true;
+                    }
+                });
+            });
+        }
+
+        document.addEventListener('click', (e) => {
+            if (e.target.id === 'save-draft-btn') {
+                e.preventDefault();
+                this.saveDraft(true);
+                return;
+            }
+
+            if (e.target.id === 'schedule-post-btn') {
+                e.preventDefault();
+                this.schedulePublish();
+                return;
+            }
+
+            const openBtn = e.target.closest('.open-draft-btn');
+            if (openBtn) {
+                e.preventDefault();
+                this.openDraft(openBtn.getAttribute('data-draft-id'));
+                return;
+            }
+
+            const deleteBtn = e.target.closest('.delete-draft-btn');
+            if (deleteBtn) {
+                e.preventDefault();
+                this.deleteDraft(deleteBtn.getAttribute('data-draft-id'));
+                return;
+            }
+
+            const unscheduleBtn = e.target.closest('.unschedule-draft-btn');
+            if (unscheduleBtn) {
+                e.preventDefault();
+                this.cancelSchedule(unscheduleBtn.getAttribute('data-draft-id'));
+                return;
+            }
+
+            if (e.target.classList.contains('load-more-drafts-btn')) {
+                e.preventDefault();
+                this.loadDrafts(this.nextCursor);
+            }
+        });
+    }
+
+    /**
+     * Read the create form as draft fields
+     * @returns {Object} Title, description, tags, visibility, sharedWith and files
+     */
+    getFormState() {
+        const filesEditor = window.blogManager ? window.blogManager.createFilesEditor : null;
+        return {
+            title: document.getElementById('post-title').value,
+            description: document.getElementById('post-description').value,
+            tags: document.getElementById('post-tags').value,
+            visibility: document.getElementById('post-visibility').value,
+            sharedWith: document.getElementById('post-shared-with').value,
+            files: filesEditor ? filesEditor.getFiles() : []
+        };
+    }
+
+    /**
+     * Show the draft status under the create form buttons
+     * @param {string} text - Status text
+     * @param {boolean} isError - Whether to show it as an error
+     */
+    setStatus(text, isError = false) {
+        const status = document.getElementById('draft-status');
+        if (!status) return;
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Save the create form if it changed, while the create page is open
+     */
+    autosave() {
+        const onCreatePage = window.blogManager && window.blogManager.currentPage === 'create';
+        if (!this.dirty || this.saving || !onCreatePage || !window.blogManager.currentUser) {
+            return;
+        }
+
+        // Nothing worth keeping yet
+        const state = this.getFormState();
+        const hasContent = state.title.trim() || state.description.trim() || state.files.some(file => file.code.trim());
+        if (!hasContent) return;
+
+        this.saveDraft(false);
+    }
+
+    /**
+     * Save the create form as a draft, creating the draft on the first save
+     * Sends POST request to /M01039337/drafts or PATCH request to /M01039337/drafts/:id
+     * @param {boolean} manual - Whether the user pressed "Save draft" (refreshes the drafts list)
+     * @returns {Promise<boolean>} True if the draft was saved
+     */
+    async saveDraft(manual) {
+        this.saving = true;
+        this.dirty = false;
+
+        try {
+            const url = this.currentDraftId ? `${this.baseURL}/drafts/${this.currentDraftId}` : `${this.baseURL}/drafts`;
+            const response = await fetch(url, {
+                method: this.currentDraftId ? 'PATCH' : 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(this.getFormState())
+            });
+            const data = await response.json();
+
+            // The draft was deleted or published elsewhere, so start a new one on the next save
+            if (response.status === 404) {
+                this.currentDraftId = null;
+                this.dirty = true;
+                return false;
+            }
+
+            if (!data.success) {
+                this.setStatus(`Draft not saved: ${data.message || 'unknown error'}`, true);
+                this.dirty = true;
+                return false;
+            }
+
+            this.currentDraftId = data.draft._id;
+            this.setStatus(`Draft saved at ${new Date().toLocaleTimeString()}`);
+            if (manual) {
+                await this.loadDrafts();
+            }
+            return true;
+
+        } catch (error) {
+            console.error('Error saving draft:', error);
+            this.setStatus('Draft not saved: connection error', true);
+            this.dirty = true;
+            return false;
+        } finally {
+            this.saving = false;
+        }
+    }
+
+    /**
+     * Save the create form as a draft and schedule it to publish at the chosen time
+     * Sends POST request to /M01039337/drafts/:id/publish with publishAt
+     */
+    async schedulePublish() {
+        const publishAtInput = document.getElementById('post-publish-at');
+        if (!publishAtInput.value) {
+            this.setStatus('Choose a date and time to publish at.', true);
+            return;
+        }
+
+        if (!(await this.saveDraft(false))) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.baseURL}/drafts/${this.currentDraftId}/publish`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ publishAt: new Date(publishAtInput.value).toISOString() })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.clearForm();
+                this.setStatus(`Scheduled to publish on ${new Date(data.draft.publishAt).toLocaleString()}.`);
+                await this.loadDrafts();
+            } else {
+                this.setStatus(data.message || 'Failed to schedule post.', true);
+            }
+
+        } catch (error) {
+            console.error('Error scheduling post:', error);
+            this.setStatus('Error scheduling post.', true);
+        }
+    }
+
+    /**
+     * Load a draft into the create form to keep working on it
+     * Sends GET request to /M01039337/drafts/:id
+     * @param {string} draftId - Draft ID
+     */
+    async openDraft(draftId) {
+        try {
+            const response = await fetch(`${this.baseURL}/drafts/${draftId}`, {
+                method: 'GET',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert(data.message || 'Failed to open draft.');
+                return;
+            }
+
+            const draft = data.draft;
+            document.getElementById('post-title').value = draft.title || '';
+            document.getElementById('post-description').value = draft.description || '';
+            document.getElementById('post-tags').value = (draft.tags || []).join(', ');
+            document.getElementById('post-visibility').value = draft.visibility || 'public';
+            document.getElementById('post-shared-with').value = (draft.sharedWith || []).join(', ');
+            document.getElementById('post-publish-at').value = draft.publishAt ? this.toLocalInputValue(new Date(draft.publishAt)) : '';
+            if (window.blogManager) {
+                window.blogManager.toggleSharedWith(document.getElementById('post-visibility'));
+                if (window.blogManager.createFilesEditor) {
+                    window.blogManager.createFilesEditor.setFiles(draft.files || []);
+                }
+            }
+
+            this.currentDraftId = draft._id;
+            this.dirty = false;
+            this.setStatus(draft.publishAt
+                ? `Editing a draft scheduled for ${new Date(draft.publishAt).toLocaleString()}. Changes are saved automatically.`
+                : 'Editing a draft. Changes are saved automatically.');
+
+        } catch (error) {
+            console.error('Error opening draft:', error);
+            alert('Error opening draft.');
+        }
+    }
+
+    /**
+     * Delete a draft
+     * Sends DELETE request to /M01039337/drafts/:id
+     * @param {string} draftId - Draft ID
+     */
+    async deleteDraft(draftId) {
+        if (!confirm('Delete this draft? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.baseURL}/drafts/${draftId}`, {
+                method: 'DELETE',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                if (draftId === this.currentDraftId) {
+                    this.currentDraftId = null;
+                    this.setStatus('');
+                }
+                await this.loadDrafts();
+            } else {
+                alert(data.message || 'Failed to delete draft.');
+            }
+
+        } catch (error) {
+            console.error('Error deleting draft:', error);
+            alert('Error deleting draft.');
+        }
+    }
+
+    /**
+     * Cancel a draft's scheduled publish, keeping it as a draft
+     * Sends DELETE request to /M01039337/drafts/:id/schedule
+     * @param {string} draftId - Draft ID
+     */
+    async cancelSchedule(draftId) {
+        try {
+            const response = await fetch(`${this.baseURL}/drafts/${draftId}/schedule`, {
+                method: 'DELETE',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                if (draftId === this.currentDraftId) {
+                    document.getElementById('post-publish-at').value = '';
+                }
+                await this.loadDrafts();
+            } else {
+                alert(data.message || 'Failed to cancel schedule.');
+            }
+
+        } catch (error) {
+            console.error('Error cancelling schedule:', error);
+            alert('Error cancelling schedule.');
+        }
+    }
+
+    /**
+     * Load a page of the user's drafts into the drafts list on the create page
+     * Sends GET request to /M01039337/drafts
+     * @param {string|null} after - Cursor for older drafts, or null for the first page
+     */
+    async loadDrafts(after = null) {
+        const container = document.getElementById('drafts-list');
+        if (!container || !window.blogManager || !window.blogManager.currentUser) return;
+
+        try {
+            let url = `${this.baseURL}/drafts?limit=10`;
+            if (after) url += `&after=${encodeURIComponent(after)}`;
+
+            const response = await fetch(url, {
+                method: 'GET',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.nextCursor = data.nextCursor;
+                this.displayDrafts(data.drafts, !!after);
+            } else {
+                container.innerHTML = `<p class="no-comments">${this.escapeHtml(data.message || 'Failed to load drafts.')}</p>`;
+            }
+
+        } catch (error) {
+            console.error('Error loading drafts:', error);
+            container.innerHTML = '<p class="no-comments">Error loading drafts.</p>';
+        }
+    }
+
+    /**
+     * Display drafts in the drafts list
+     * @param {Array} drafts - Drafts, most recently edited first
+     * @param {boolean} append - Whether to add them below the ones already shown
+     */
+    displayDrafts(drafts, append) {
+        const container = document.getElementById('drafts-list');
+        if (!container) return;
+
+        if (drafts.length === 0 && !append) {
+            container.innerHTML = '<p class="no-comments">No drafts.</p>';
+            return;
+        }
+
+        const items = drafts.map(draft => {
+            let status = `edited ${new Date(draft.updatedAt).toLocaleString()}`;
+            if (draft.publishAt) {
+                status = `publishes ${new Date(draft.publishAt).toLocaleString()}`;
+            }
+            return `
+                <li class="draft-item">
+                    <div>
+                        <span class="draft-title">${this.escapeHtml(draft.title) || '<em>Untitled</em>'}</span>
+                        <span class="revision-date">${status}</span>
+                        ${draft.publishError ? `<span class="draft-error">Not published: ${this.escapeHtml(draft.publishError)}</span>` : ''}
+                    </div>
+                    <div class="draft-actions">
+                        <button class="open-draft-btn" data-draft-id="${draft._id}">Open</button>
+                        ${draft.publishAt ? `<button class="unschedule-draft-btn" data-draft-id="${draft._id}">Unschedule</button>` : ''}
+                        <button class="delete-draft-btn" data-draft-id="${draft._id}">Delete</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+        const moreButton = this.nextCursor
+            ? '<button class="load-more-btn load-more-drafts-btn">Show more drafts</button>'
+            : '';
+
+        if (append) {
+            const oldButton = container.querySelector('.load-more-drafts-btn');
+            if (oldButton) {
+                oldButton.remove();
+            }
+            container.querySelector('.draft-list').insertAdjacentHTML('beforeend', items);
+            container.insertAdjacentHTML('beforeend', moreButton);
+        } else {
+            container.innerHTML = `<ul class="revision-list draft-list">${items}</ul>${moreButton}`;
+        }
+    }
+
+    /**
+     * Forget the draft after it was published from the create form
+     * Called by BlogManager once POST /contents succeeds, since that request also deletes the draft
+     */
+    clearDraft() {
+        this.currentDraftId = null;
+        this.dirty = false;
+        this.setStatus('');
+        this.loadDrafts();
+    }
+
+    /**
+     * Clear the create form and stop editing the current draft
+     */
+    clearForm() {
+        document.getElementById('createPostForm').reset();
+        if (window.blogManager) {
+            window.blogManager.toggleSharedWith(document.getElementById('post-visibility'));
+            if (window.blogManager.createFilesEditor) {
+                window.blogManager.createFilesEditor.reset();
+            }
+        }
+        this.currentDraftId = null;
+        this.dirty = false;
+    }
+
+    /**
+     * Format a date for a datetime-local input, in the browser's time zone
+     * @param {Date} date - Date to format
+     * @returns {string} Value such as "2025-01-31T09:30"
+     */
+    toLocalInputValue(date) {
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    }
+
+    /**
+     * Escape HTML to prevent XSS attacks
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Create instance when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.draftsManager = new DraftsManager();
+});
@@ -0,0 +1,44 @@
+/**
+ * Embed script for showing CodeLogs snippets on other sites
+ * Drop it in where the snippet should appear:
+ *     <script src="http://localhost:8080/M01039337/assets/javascript/embed.js" data-post-id="POST_ID" data-theme="light" async></script>
+ * It adds an iframe of the snippet's /embed/:id page after the script tag and keeps the iframe as tall as the snippet
+ */
+(function () {
+    const script = document.currentScript;
+    if (!script || !script.getAttribute('data-post-id')) {
+        console.error('CodeLogs embed: the script tag needs a data-post-id attribute.');
+        return;
+    }
+
+    // The site lives wherever this script was loaded from
+    const baseURL = script.src.replace(/\/assets\/javascript\/embed\.js(?:[?#].*)?$/, '');
+    const postId = encodeURIComponent(script.getAttribute('data-post-id'));
+    const theme = encodeURIComponent(script.getAttribute('data-theme') || 'default');
+
+    const iframe = document.createElement('iframe');
+    iframe.src = `${baseURL}/embed/${postId}?theme=${theme}`;
+    iframe.title = 'CodeLogs snippet';
+    iframe.loading = 'lazy';
+    iframe.style.width = '100%';
+    iframe.style.height = '200px';
+    iframe.style.border = '0';
+    script.parentNode.insertBefore(iframe, script.nextSibling);
+
+    // One listener resizes every embed on the page, since several scripts can be dropped in
+    if (window.codeLogsEmbedListening) {
+        return;
+    }
+    window.codeLogsEmbedListening = true;
+
+    window.addEventListener('message', (e) => {
+        if (!e.data || e.data.type !== 'codelogs-embed-height' || typeof e.data.height !== 'number') {
+            return;
+        }
+        document.querySelectorAll('iframe').forEach(frame => {
+            if (frame.contentWindow === e.source) {
+                frame.style.height = `${Math.ceil(e.data.height) + 2}px`;
+            }
+        });
+    });
+})();
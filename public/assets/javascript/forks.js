@@ -0,0 +1,234 @@
+/**
+ * Forks Manager class
+ * Forks posts into the logged-in user's account and lists the forks of a post
+ */
+class ForksManager {
+    constructor() {
+        // Base URL for API calls with Student ID
+        const STUDENT_ID = 'M01039337';
+        this.baseURL = `/${STUDENT_ID}`;
+
+        // Cursor for the next page of forks, keyed by post ID
+        this.nextCursors = {};
+
+        this.init();
+    }
+
+    /**
+     * Initialise forks manager
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for fork buttons and links
+     * Uses event delegation because posts are rendered dynamically
+     */
+    setupEventListeners() {
+        document.addEventListener('click', (e) => {
+            const forkBtn = e.target.closest('.fork-btn');
+            if (forkBtn) {
+                e.preventDefault();
+                this.forkPost(forkBtn.getAttribute('data-post-id'), forkBtn);
+                return;
+            }
+
+            const showForksBtn = e.target.closest('.show-forks-btn');
+            if (showForksBtn) {
+                e.preventDefault();
+                this.toggleForks(showForksBtn.getAttribute('data-post-id'));
+                return;
+            }
+
+            const moreBtn = e.target.closest('.load-more-forks-btn');
+            if (moreBtn) {
+                e.preventDefault();
+                const postId = moreBtn.getAttribute('data-post-id');
+                this.loadForks(postId, this.nextCursors[postId]);
+                return;
+            }
+
+            // Authors in "forked from" lines and in fork lists open their profile
+            const userLink = e.target.closest('.fork-origin-link, .fork-author-link');
+            if (userLink) {
+                e.preventDefault();
+                if (window.profileManager) {
+                    window.profileManager.loadProfile(userLink.getAttribute('data-username'));
+                }
+            }
+        });
+    }
+
+    /**
+     * Fork a post into the logged-in user's account
+     * Sends POST request to /M01039337/contents/:id/fork
+     * @param {string} postId - Post ID
+     * @param {HTMLElement} button - Fork button that was clicked
+     */
+    async forkPost(postId, button) {
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`${this.baseURL}/contents/${postId}/fork`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({})
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                button.textContent = '⑂ Forked';
+                button.title = 'This snippet is now in your posts';
+                this.updateForkCount(postId, 1);
+            } else {
+                alert(data.message || 'Failed to fork post.');
+                button.disabled = false;
+            }
+
+        } catch (error) {
+            console.error('Error forking post:', error);
+            alert('Error forking post.');
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Change the fork count shown on a post, and refresh its open fork list
+     * @param {string} postId - Post ID
+     * @param {number} change - Number of forks added
+     */
+    updateForkCount(postId, change) {
+        const countBtn = document.querySelector(`.show-forks-btn[data-post-id="${postId}"]`);
+        if (!countBtn) return;
+
+        const forkCount = (parseInt(countBtn.textContent) || 0) + change;
+        countBtn.textContent = `${forkCount} fork${forkCount === 1 ? '' : 's'}`;
+        countBtn.classList.toggle('hidden', forkCount === 0);
+
+        const panel = document.getElementById(`forks-${postId}`);
+        if (panel && !panel.classList.contains('hidden')) {
+            this.loadForks(postId);
+        }
+    }
+
+    /**
+     * Show or hide the list of forks for a post
+     * @param {string} postId - Post ID
+     */
+    async toggleForks(postId) {
+        const panel = document.getElementById(`forks-${postId}`);
+        if (!panel) return;
+
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        await this.loadForks(postId);
+    }
+
+    /**
+     * Load a page of forks for a post
+     * Sends GET request to /M01039337/contents/:id/forks
+     * @param {string} postId - Post ID
+     * @param {string|null} after - Cursor for older forks, or null for the newest page
+     */
+    async loadForks(postId, after = null) {
+        const panel = document.getElementById(`forks-${postId}`);
+        if (!panel) return;
+
+        if (!after) {
+            panel.innerHTML = '<p class="no-comments">Loading forks...</p>';
+        }
+
+        try {
+            let url = `${this.baseURL}/contents/${postId}/forks?limit=10`;
+            if (after) url += `&after=${encodeURIComponent(after)}`;
+
+            const response = await fetch(url, {
+                method: 'GET',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.nextCursors[postId] = data.nextCursor;
+                this.displayForks(postId, data.forks, !!after);
+            } else {
+                panel.innerHTML = `<p class="no-comments">${this.escapeHtml(data.message || 'Failed to load forks.')}</p>`;
+            }
+
+        } catch (error) {
+            console.error('Error loading forks:', error);
+            panel.innerHTML = '<p class="no-comments">Error loading forks.</p>';
+        }
+    }
+
+    /**
+     * Display forks in the forks panel
+     * @param {string} postId - Post ID
+     * @param {Array} forks - Forks, newest first
+     * @param {boolean} append - Whether to add them below the ones already shown
+     */
+    displayForks(postId, forks, append) {
+        const panel = document.getElementById(`forks-${postId}`);
+        if (!panel) return;
+
+        if (forks.length === 0 && !append) {
+            panel.innerHTML = '<p class="no-comments">No forks yet.</p>';
+            return;
+        }
+
+        const items = forks.map(fork => `
+            <li>
+                <span><a href="#" class="fork-author-link" data-username="${this.escapeHtml(fork.author)}">@${this.escapeHtml(fork.author)}</a>/${this.escapeHtml(fork.title)}</span>
+                <span class="revision-date">forked ${new Date(fork.createdAt).toLocaleDateString()} from revision ${fork.forkedFrom.revision}</span>
+            </li>
+        `).join('');
+        const moreButton = this.nextCursors[postId]
+            ? `<button class="load-more-btn load-more-forks-btn" data-post-id="${postId}">Show more forks</button>`
+            : '';
+
+        if (append) {
+            const oldButton = panel.querySelector('.load-more-forks-btn');
+            if (oldButton) {
+                oldButton.remove();
+            }
+            panel.querySelector('.fork-list').insertAdjacentHTML('beforeend', items);
+            panel.insertAdjacentHTML('beforeend', moreButton);
+        } else {
+            panel.innerHTML = `
+                <h4 class="comments-title">Forks</h4>
+                <ul class="revision-list fork-list">${items}</ul>
+                ${moreButton}
+            `;
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS attacks
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Create instance when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.forksManager = new ForksManager();
+});
@@ -0,0 +1,227 @@
+/**
+ * Revision History Manager class
+ * Shows how a post's code changed over time with unified diffs between revisions
+ */
+class RevisionHistoryManager {
+    constructor() {
+        // Base URL for API calls with Student ID
+        const STUDENT_ID = 'M01039337';
+        this.baseURL = `/${STUDENT_ID}`;
+
+        this.init();
+    }
+
+    /**
+     * Initialise revision history manager
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for history interactions
+     * Uses event delegation because posts are rendered dynamically
+     */
+    setupEventListeners() {
+        document.addEventListener('click', (e) => {
+            // History toggle buttons on post cards
+            const historyBtn = e.target.closest('.history-btn');
+            if (historyBtn) {
+                e.preventDefault();
+                this.toggleHistory(historyBtn.getAttribute('data-post-id'));
+                return;
+            }
+
+            // Revision entries inside a history panel
+            const revisionItem = e.target.closest('.revision-item');
+            if (revisionItem) {
+                e.preventDefault();
+                const postId = revisionItem.getAttribute('data-post-id');
+                const revision = parseInt(revisionItem.getAttribute('data-revision'));
+                this.showDiff(postId, revision - 1, revision);
+            }
+        });
+    }
+
+    /**
+     * Show or hide the history panel for a post
+     * @param {string} postId - Post ID
+     */
+    async toggleHistory(postId) {
+        const panel = document.getElementById(`history-${postId}`);
+        if (!panel) return;
+
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        await this.loadHistory(postId);
+    }
+
+    /**
+     * Load the list of revisions for a post
+     * Sends GET request to /M01039337/contents/:id/revisions
+     * @param {string} postId - Post ID
+     */
+    async loadHistory(postId) {
+        const panel = document.getElementById(`history-${postId}`);
+        if (!panel) return;
+
+        panel.innerHTML = '<p class="no-comments">Loading history...</p>';
+
+        try {
+            const response = await fetch(`${this.baseURL}/contents/${postId}/revisions`, {
+                method: 'GET',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.displayHistory(postId, data.revisions);
+            } else {
+                panel.innerHTML = `<p class="no-comments">${this.escapeHtml(data.message || 'Failed to load history.')}</p>`;
+            }
+
+        } catch (error) {
+            console.error('Error loading history:', error);
+            panel.innerHTML = '<p class="no-comments">Error loading history.</p>';
+        }
+    }
+
+    /**
+     * Display the revision list in the history panel
+     * @param {string} postId - Post ID
+     * @param {Array} revisions - Revisions, newest first
+     */
+    displayHistory(postId, revisions) {
+        const panel = document.getElementById(`history-${postId}`);
+        if (!panel) return;
+
+        if (revisions.length <= 1) {
+            panel.innerHTML = '<p class="no-comments">This post has not been edited.</p>';
+            return;
+        }
+
+        // The first revision has nothing earlier to compare against
+        const html = revisions.map(revision => `
+            <li>
+                ${revision.revision > 1 ? `
+                    <a href="#" class="revision-item" data-post-id="${postId}" data-revision="${revision.revision}">
+                        Revision ${revision.revision}${revision.current ? ' (current)' : ''}
+                    </a>
+                ` : `<span>Revision 1 (original)</span>`}
+                <span class="revision-date">${new Date(revision.createdAt).toLocaleString()}</span>
+            </li>
+        `).join('');
+
+        panel.innerHTML = `
+            <h4 class="comments-title">History</h4>
+            <ul class="revision-list">${html}</ul>
+            <div class="revision-diff" id="diff-${postId}"></div>
+        `;
+    }
+
+    /**
+     * Load and show the diff between two revisions
+     * Sends GET request to /M01039337/contents/:id/diff
+     * @param {string} postId - Post ID
+     * @param {number} from - Older revision number
+     * @param {number} to - Newer revision number
+     */
+    async showDiff(postId, from, to) {
+        const diffContainer = document.getElementById(`diff-${postId}`);
+        if (!diffContainer) return;
+
+        diffContainer.innerHTML = '<p class="no-comments">Loading changes...</p>';
+
+        try {
+            const response = await fetch(`${this.baseURL}/contents/${postId}/diff?from=${from}&to=${to}`, {
+                method: 'GET',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                diffContainer.innerHTML = `<p class="no-comments">${this.escapeHtml(data.message || 'Failed to load changes.')}</p>`;
+                return;
+            }
+
+            let html = `<p class="revision-diff-title">Changes from revision ${data.from} to ${data.to}</p>`;
+
+            if (data.changes.title) {
+                html += `<p class="revision-title-change">Title: <del>${this.escapeHtml(data.changes.title.from)}</del> → <ins>${this.escapeHtml(data.changes.title.to)}</ins></p>`;
+            }
+            if (data.changes.description) {
+                html += '<p class="revision-diff-title">Description</p>';
+                html += this.renderUnifiedDiff(data.changes.description);
+            }
+            if (data.files.length > 0) {
+                data.files.forEach(file => {
+                    let label = `${this.escapeHtml(file.name)} (${file.status})`;
+                    if (file.fromLanguage && file.toLanguage && file.fromLanguage !== file.toLanguage) {
+                        label += ` · ${this.escapeHtml(file.fromLanguage)} → ${this.escapeHtml(file.toLanguage)}`;
+                    }
+                    html += `<p class="revision-diff-title">${label}</p>`;
+                    if (file.diff) {
+                        html += this.renderUnifiedDiff(file.diff);
+                    }
+                });
+            } else {
+                html += '<p class="no-comments">The code did not change in this revision.</p>';
+            }
+
+            diffContainer.innerHTML = html;
+
+        } catch (error) {
+            console.error('Error loading diff:', error);
+            diffContainer.innerHTML = '<p class="no-comments">Error loading changes.</p>';
+        }
+    }
+
+    /**
+     * Render a unified diff string with added and removed lines highlighted
+     * @param {string} diff - Unified diff text
+     * @returns {string} HTML for the diff
+     */
+    renderUnifiedDiff(diff) {
+        const lines = diff.split('\n').map(line => {
+            let lineClass = 'diff-context';
+            if (line.startsWith('+++') || line.startsWith('---')) {
+                lineClass = 'diff-file';
+            } else if (line.startsWith('@@')) {
+                lineClass = 'diff-hunk';
+            } else if (line.startsWith('+')) {
+                lineClass = 'diff-add';
+            } else if (line.startsWith('-')) {
+                lineClass = 'diff-del';
+            }
+            return `<span class="${lineClass}">${this.escapeHtml(line) || ' '}</span>`;
+        });
+
+        return `<pre class="diff-block">${lines.join('')}</pre>`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS attacks
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return text.replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Create instance when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.revisionHistoryManager = new RevisionHistoryManager();
+});
@@ -0,0 +1,315 @@
+/**
+ * Line Comments Manager class
+ * Handles code review comments anchored to a line or range of lines in a post's code
+ * Threads are shown inline below the lines they point at, outdated ones below the code
+ */
+class LineCommentsManager {
+    constructor() {
+        // Base URL for API calls with Student ID
+        const STUDENT_ID = 'M01039337';
+        this.baseURL = `/${STUDENT_ID}`;
+
+        // Lines picked for a new comment: { postId, pane, fileIndex, firstLine, startLine, endLine }
+        this.selection = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialise line comments manager
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for line comment interactions
+     * Uses event delegation because posts are rendered dynamically
+     */
+    setupEventListeners() {
+        document.addEventListener('submit', (e) => {
+            if (e.target.classList.contains('line-comment-form')) {
+                e.preventDefault();
+                this.handleLineCommentSubmit(e.target);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            // Line numbers in the code of a post card (profile cards are read-only)
+            const lineNumber = e.target.closest('.blog-card[data-post-id] .line-number');
+            if (lineNumber) {
+                e.preventDefault();
+                this.selectLine(lineNumber, e.shiftKey);
+                return;
+            }
+
+            if (e.target.classList.contains('cancel-line-comment-btn')) {
+                e.preventDefault();
+                this.clearSelection();
+                return;
+            }
+
+            // Collapse or expand a thread from its header
+            const threadHeader = e.target.closest('.line-comment-thread-header');
+            if (threadHeader) {
+                e.preventDefault();
+                threadHeader.closest('.line-comment-thread').classList.toggle('collapsed');
+            }
+        });
+    }
+
+    /**
+     * Select a line to comment on, or extend the selection to a range with shift-click
+     * @param {HTMLElement} lineNumber - Clicked line number element
+     * @param {boolean} extend - Whether to extend the current selection
+     */
+    selectLine(lineNumber, extend) {
+        const currentUser = window.blogManager ? window.blogManager.currentUser : null;
+        if (!currentUser) {
+            alert('Please login to comment on code.');
+            return;
+        }
+
+        const pane = lineNumber.closest('.blog-code');
+        const card = lineNumber.closest('.blog-card');
+        const line = parseInt(lineNumber.getAttribute('data-line'));
+
+        // Shift-click in the same file keeps the first line and moves the other end
+        const firstLine = extend && this.selection && this.selection.pane === pane
+            ? this.selection.firstLine
+            : line;
+
+        this.clearSelection();
+        this.selection = {
+            postId: card.getAttribute('data-post-id'),
+            pane: pane,
+            fileIndex: parseInt(pane.getAttribute('data-index')) || 0,
+            firstLine: firstLine,
+            startLine: Math.min(firstLine, line),
+            endLine: Math.max(firstLine, line)
+        };
+
+        for (let i = this.selection.startLine; i <= this.selection.endLine; i++) {
+            const row = pane.querySelector(`.code-line[data-line="${i}"]`);
+            if (row) row.classList.add('selected');
+        }
+        this.showLineCommentForm();
+    }
+
+    /**
+     * Remove the line selection and its comment form
+     */
+    clearSelection() {
+        if (!this.selection) return;
+
+        this.selection.pane.querySelectorAll('.code-line.selected').forEach(row => row.classList.remove('selected'));
+        const form = this.selection.pane.querySelector('.line-comment-form');
+        if (form) {
+            form.remove();
+        }
+        this.selection = null;
+    }
+
+    /**
+     * Show the comment form below the last selected line
+     */
+    showLineCommentForm() {
+        const { pane, startLine, endLine } = this.selection;
+        const row = pane.querySelector(`.code-line[data-line="${endLine}"]`);
+        if (!row) return;
+
+        const form = document.createElement('form');
+        form.className = 'line-comment-form';
+        form.innerHTML = `
+            <div class="line-comment-form-title"></div>
+            <textarea class="comment-input" placeholder="Leave a review comment..." rows="2"></textarea>
+            <button type="submit" class="button submit-comment-btn">Comment</button>
+            <button type="button" class="cancel-line-comment-btn">Cancel</button>
+        `;
+        form.querySelector('.line-comment-form-title').textContent = this.formatLines(startLine, endLine);
+
+        // Keep the form above any thread already shown for this line
+        row.after(form);
+        form.querySelector('textarea').focus();
+    }
+
+    /**
+     * Handle line comment form submission
+     * Sends POST request to /M01039337/posts/:postId/comments with the anchored lines
+     * @param {HTMLFormElement} form - Line comment form element
+     */
+    async handleLineCommentSubmit(form) {
+        if (!this.selection) return;
+
+        const { postId, fileIndex, startLine, endLine } = this.selection;
+        const text = form.querySelector('.comment-input').value.trim();
+        if (!text) {
+            alert('Please enter a comment');
+            return;
+        }
+
+        // The server identifies files by name
+        const post = window.blogManager ? window.blogManager.postsById.get(postId) : null;
+        const file = post ? window.blogManager.getPostFiles(post)[fileIndex] : null;
+        if (!file) return;
+
+        try {
+            const response = await fetch(`${this.baseURL}/posts/${postId}/comments`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    text: text,
+                    anchor: {
+                        fileName: file.name,
+                        startLine: startLine,
+                        endLine: endLine
+                    }
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.clearSelection();
+                this.loadForPost(postId);
+
+                // Line comments count towards the post's comment total
+                const toggleButton = document.querySelector(`.toggle-comments-btn[data-post-id="${postId}"]`);
+                if (toggleButton && window.commentsManager) {
+                    const totalCount = parseInt(toggleButton.getAttribute('data-comment-count')) || 0;
+                    window.commentsManager.updateCommentCount(postId, totalCount + 1);
+                }
+            } else {
+                alert(data.message || 'Error adding line comment');
+            }
+
+        } catch (error) {
+            console.error('Line comment submission error:', error);
+            alert('Error adding line comment');
+        }
+    }
+
+    /**
+     * Load and display the line comments for a post
+     * @param {string} postId - Post ID
+     */
+    async loadForPost(postId) {
+        try {
+            const response = await fetch(`${this.baseURL}/posts/${postId}/comments/lines`, {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                document.querySelectorAll(`.blog-card[data-post-id="${postId}"]`).forEach(card => {
+                    this.displayLineComments(card, postId, data.groups);
+                });
+            }
+
+        } catch (error) {
+            console.error('Error loading line comments:', error);
+        }
+    }
+
+    /**
+     * Place line comment threads below their lines in a post card
+     * Threads whose lines changed, or that no longer fit the code, are listed below the code as outdated
+     * @param {HTMLElement} card - Post card element
+     * @param {string} postId - Post ID
+     * @param {Array} groups - Threads grouped by file and lines
+     */
+    displayLineComments(card, postId, groups) {
+        // Clear threads from an earlier load
+        card.querySelectorAll('.line-comment-thread, .line-comments-outdated').forEach(element => element.remove());
+        card.querySelectorAll('.line-number.has-line-comments').forEach(element => element.classList.remove('has-line-comments'));
+
+        const post = window.blogManager ? window.blogManager.postsById.get(postId) : null;
+        if (!post || !window.commentsManager) return;
+
+        const fileNames = window.blogManager.getPostFiles(post).map(file => file.name);
+        const outdatedThreads = [];
+
+        groups.forEach(group => {
+            const pane = card.querySelector(`.blog-code[data-index="${fileNames.indexOf(group.fileName)}"]`);
+            const row = pane ? pane.querySelector(`.code-line[data-line="${group.endLine}"]`) : null;
+
+            if (group.outdated || !row) {
+                outdatedThreads.push(this.renderThread(postId, group, fileNames.length > 1));
+                return;
+            }
+
+            for (let i = group.startLine; i <= group.endLine; i++) {
+                const lineNumber = pane.querySelector(`.line-number[data-line="${i}"]`);
+                if (lineNumber) lineNumber.classList.add('has-line-comments');
+            }
+            row.insertAdjacentHTML('afterend', this.renderThread(postId, group, false));
+        });
+
+        if (outdatedThreads.length > 0) {
+            const code = card.querySelector('.snippet-files') || card.querySelector('.blog-code');
+            code.insertAdjacentHTML('afterend', `
+                <div class="line-comments-outdated">
+                    <h5 class="line-comments-outdated-title">Comments on code that has since changed</h5>
+                    ${outdatedThreads.join('')}
+                </div>
+            `);
+        }
+    }
+
+    /**
+     * Build HTML for the comments on one set of lines
+     * @param {string} postId - Post ID
+     * @param {Object} group - Group with fileName, startLine, endLine, outdated and comments
+     * @param {boolean} showFileName - Whether to name the file in the header
+     * @returns {string} HTML for the thread
+     */
+    renderThread(postId, group, showFileName) {
+        const lines = this.formatLines(group.startLine, group.endLine);
+        return `
+            <div class="line-comment-thread${group.outdated ? ' outdated' : ''}">
+                <div class="line-comment-thread-header" title="Click to show/hide">
+                    ${showFileName ? `${this.escapeHtml(group.fileName)} · ` : ''}${lines}
+                    ${group.outdated ? '<span class="outdated-badge">Outdated</span>' : ''}
+                </div>
+                <div class="line-comment-thread-body">
+                    ${window.commentsManager.renderComments(postId, group.comments)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Describe a line range for headers
+     * @param {number} startLine - First line
+     * @param {number} endLine - Last line
+     * @returns {string} e.g. "Line 4" or "Lines 4–7"
+     */
+    formatLines(startLine, endLine) {
+        return startLine === endLine ? `Line ${startLine}` : `Lines ${startLine}–${endLine}`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS attacks
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return text.replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Create instance when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.lineCommentsManager = new LineCommentsManager();
+});
@@ -0,0 +1,115 @@
+/**
+ * Live Updates Manager class
+ * Keeps a Server-Sent Events stream open while logged in and hands pushed events to the other managers:
+ * new feed posts, new comments and like counts on posts on screen, and notification counts
+ */
+class LiveUpdatesManager {
+    constructor() {
+        // Base URL for API calls with Student ID
+        const STUDENT_ID = 'M01039337';
+        this.baseURL = `/${STUDENT_ID}`;
+
+        // Open stream and the ID the server gave it
+        this.eventSource = null;
+        this.clientId = null;
+
+        // Posts on screen change often while scrolling, so watch requests are batched
+        this.watchTimeout = null;
+    }
+
+    /**
+     * Open the live stream for the logged-in user
+     * The browser reconnects on its own, and each reconnect sends a new "ready" event
+     */
+    connect() {
+        if (this.eventSource || typeof EventSource === 'undefined') return;
+
+        this.eventSource = new EventSource(`${this.baseURL}/events`, { withCredentials: true });
+
+        this.eventSource.addEventListener('ready', (e) => {
+            this.clientId = JSON.parse(e.data).clientId;
+            this.watchVisiblePosts();
+        });
+
+        this.eventSource.addEventListener('post', (e) => {
+            const { post } = JSON.parse(e.data);
+            if (window.blogManager) {
+                window.blogManager.addLivePost(post);
+            }
+        });
+
+        this.eventSource.addEventListener('comment', (e) => {
+            const { postId, comment } = JSON.parse(e.data);
+            if (window.commentsManager) {
+                window.commentsManager.addLiveComment(postId, comment);
+            }
+        });
+
+        this.eventSource.addEventListener('likes', (e) => {
+            const { postId, likeCount, dislikeCount } = JSON.parse(e.data);
+            if (window.likesManager) {
+                window.likesManager.applyLiveCounts(postId, likeCount, dislikeCount);
+            }
+        });
+
+        this.eventSource.addEventListener('notification', (e) => {
+            const { unreadCount } = JSON.parse(e.data);
+            if (window.notificationsManager) {
+                window.notificationsManager.handleLiveNotification(unreadCount);
+            }
+        });
+
+        // The server closed the stream for good: logged out, session expired or too many open tabs
+        this.eventSource.addEventListener('closed', () => this.disconnect());
+
+        this.eventSource.addEventListener('error', () => {
+            // The old client ID is gone until the next "ready" event
+            this.clientId = null;
+        });
+    }
+
+    /**
+     * Close the live stream after logout
+     */
+    disconnect() {
+        clearTimeout(this.watchTimeout);
+        if (this.eventSource) {
+            this.eventSource.close();
+        }
+        this.eventSource = null;
+        this.clientId = null;
+    }
+
+    /**
+     * Tell the server which posts are on screen, so it sends their comments and like counts
+     * Sends PUT request to /M01039337/events/:clientId/posts
+     */
+    watchVisiblePosts() {
+        clearTimeout(this.watchTimeout);
+        this.watchTimeout = setTimeout(async () => {
+            if (!this.clientId) return;
+
+            const postIds = [...new Set(
+                [...document.querySelectorAll('.blog-card[data-post-id]')].map(card => card.getAttribute('data-post-id'))
+            )].slice(0, 100);
+
+            try {
+                await fetch(`${this.baseURL}/events/${this.clientId}/posts`, {
+                    method: 'PUT',
+                    credentials: 'same-origin',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ postIds: postIds })
+                });
+            } catch (error) {
+                console.error('Error updating watched posts:', error);
+            }
+        }, 300);
+    }
+}
+
+// Create instance when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.liveUpdatesManager = new LiveUpdatesManager();
+});
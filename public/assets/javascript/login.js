@@ -7,7 +7,9 @@ class LoginManager {
         this.baseURL = `/${STUDENT_ID}`;
         
         this.loginForm = document.getElementById('loginForm');
+        this.twoFactorForm = document.getElementById('twoFactorForm');
         this.messageLabel = document.getElementById('login-messageLabel');
+        this.twoFactorMessageLabel = document.getElementById('twofactor-messageLabel');
         this.redirectDelay = 1500;
         
         this.init();
@@ -20,17 +22,30 @@ class LoginManager {
         if (this.loginForm) {
             this.loginForm.addEventListener('submit', (e) => this.handleLogin(e));
         }
+        if (this.twoFactorForm) {
+            this.twoFactorForm.addEventListener('submit', (e) => this.handleTwoFactor(e));
+        }
+
+        // Going back to the password step, e.g. to log in as someone else
+        const restartLink = document.getElementById('restartLogin');
+        if (restartLink) {
+            restartLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showPasswordStep();
+            });
+        }
     }
 
     /**
      * Display message to user
      * @param {string} message - Message to display
      * @param {boolean} isSuccess - Whether message is a success message
+     * @param {HTMLElement} label - Label to show it in, defaults to the one on the password step
      */
-    displayMessage(message, isSuccess = false) {
-        if (this.messageLabel) {
-            this.messageLabel.textContent = message;
-            this.messageLabel.style.color = isSuccess ? 'green' : 'red';
+    displayMessage(message, isSuccess = false, label = this.messageLabel) {
+        if (label) {
+            label.textContent = message;
+            label.style.color = isSuccess ? 'green' : 'red';
         }
     }
 
@@ -41,14 +56,51 @@ class LoginManager {
         if (this.messageLabel) {
             this.messageLabel.textContent = '';
         }
+        if (this.twoFactorMessageLabel) {
+            this.twoFactorMessageLabel.textContent = '';
+        }
+    }
+
+    /**
+     * Switch to the second login step, asking for a two-factor code
+     * @param {string} message - Instructions from the server
+     */
+    showTwoFactorStep(message) {
+        if (this.loginForm) {
+            this.loginForm.classList.add('hidden');
+        }
+        if (this.twoFactorForm) {
+            this.twoFactorForm.reset();
+            this.twoFactorForm.classList.remove('hidden');
+            this.displayMessage(message || '', true, this.twoFactorMessageLabel);
+            document.getElementById('login-2fa-code').focus();
+        }
+    }
+
+    /**
+     * Switch back to the username and password step
+     * @param {string} message - Optional message explaining why
+     */
+    showPasswordStep(message = '') {
+        if (this.twoFactorForm) {
+            this.twoFactorForm.classList.add('hidden');
+        }
+        if (this.loginForm) {
+            this.loginForm.classList.remove('hidden');
+        }
+        this.clearMessage();
+        if (message) {
+            this.displayMessage(message);
+        }
     }
 
     /**
      * Handle successful login
      * @param {string} username - Username of logged-in user
+     * @param {HTMLElement} label - Label to show the message in
      */
-    handleSuccessfulLogin(username) {
-        this.displayMessage('Login successful! Redirecting...', true);
+    handleSuccessfulLogin(username, label = this.messageLabel) {
+        this.displayMessage('Login successful! Redirecting...', true, label);
         
         // Update UI using authManager
         if (window.authManager) {
@@ -57,6 +109,7 @@ class LoginManager {
         
         // Redirect to home page after delay
         setTimeout(() => {
+            this.showPasswordStep();
             if (window.blogManager) {
                 window.blogManager.showPage('home');
                 window.blogManager.loadRecentPosts();
@@ -110,7 +163,10 @@ class LoginManager {
             const data = await response.json();
             
             // Handle response based on success status
-            if (data.success) {
+            if (data.success && data.twoFactorRequired) {
+                // Password accepted, the account also needs a two-factor code
+                this.showTwoFactorStep(data.message);
+            } else if (data.success) {
                 // Login successful
                 this.handleSuccessfulLogin(data.username);
             } else {
@@ -124,6 +180,44 @@ class LoginManager {
             this.displayMessage('An error occurred during login. Please try again.');
         }
     }
+
+    /**
+     * Handle the two-factor code form submission
+     * Sends the code through authManager to POST /M01039337/login/2fa
+     * @param {Event} e - Form submit event
+     */
+    async handleTwoFactor(e) {
+        e.preventDefault();
+
+        const code = document.getElementById('login-2fa-code').value.trim();
+        this.clearMessage();
+
+        if (!code) {
+            this.displayMessage('Please enter your authentication code.', false, this.twoFactorMessageLabel);
+            return;
+        }
+
+        try {
+            const data = await window.authManager.verifyTwoFactor(code);
+
+            if (data.success) {
+                this.handleSuccessfulLogin(data.username, this.twoFactorMessageLabel);
+                // Warn when a recovery code was used, since each one works only once
+                if (data.recoveryCodesRemaining !== undefined) {
+                    alert(`You used a recovery code. ${data.recoveryCodesRemaining} recovery codes left.`);
+                }
+            } else if (data.restartLogin) {
+                // The login expired or had too many wrong codes, so the password is needed again
+                this.showPasswordStep(data.message);
+            } else {
+                this.displayMessage(data.message || 'Invalid authentication code.', false, this.twoFactorMessageLabel);
+            }
+
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            this.displayMessage('An error occurred during login. Please try again.', false, this.twoFactorMessageLabel);
+        }
+    }
 }
 
 // Create instance of LoginManager when DOM is loaded
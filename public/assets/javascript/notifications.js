@@ -0,0 +1,325 @@
+/**
+ * Notifications Manager for the navbar bell
+ * Shows the unread count as a badge and lists follows, comments, replies, likes and forks in a dropdown
+ */
+class NotificationsManager {
+    constructor() {
+        // Base URL for API calls with Student ID
+        const STUDENT_ID = 'M01039337';
+        this.baseURL = `/${STUDENT_ID}`;
+
+        // DOM elements
+        this.toggleButton = null;
+        this.badge = null;
+        this.panel = null;
+        this.list = null;
+
+        // Unread count is refreshed every minute while logged in
+        this.pollDelay = 60 * 1000;
+        this.pollTimer = null;
+        this.nextCursor = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialise notifications manager
+     */
+    init() {
+        this.setupElements();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup DOM element references
+     */
+    setupElements() {
+        this.toggleButton = document.getElementById('notificationsToggle');
+        this.badge = document.getElementById('notificationsBadge');
+        this.panel = document.getElementById('notificationsPanel');
+        this.list = document.getElementById('notificationsList');
+    }
+
+    /**
+     * Setup event listeners for the bell and the dropdown panel
+     */
+    setupEventListeners() {
+        if (!this.toggleButton || !this.panel) return;
+
+        this.toggleButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.togglePanel();
+        });
+
+        this.panel.addEventListener('click', (e) => {
+            if (e.target.closest('#markAllReadBtn')) {
+                e.preventDefault();
+                this.markRead();
+                return;
+            }
+
+            if (e.target.closest('.load-more-notifications-btn')) {
+                e.preventDefault();
+                this.loadNotifications(this.nextCursor);
+                return;
+            }
+
+            const item = e.target.closest('.notification-item');
+            if (item) {
+                e.preventDefault();
+                this.handleNotificationClick(item);
+            }
+        });
+
+        // Hide panel when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.notifications-container')) {
+                this.hidePanel();
+            }
+        });
+    }
+
+    /**
+     * Start showing notifications for the logged-in user
+     */
+    start() {
+        this.stop();
+        this.refreshUnreadCount();
+        this.pollTimer = setInterval(() => this.refreshUnreadCount(), this.pollDelay);
+    }
+
+    /**
+     * Stop polling and clear the bell after logout
+     */
+    stop() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.nextCursor = null;
+        this.hidePanel();
+        this.updateBadge(0);
+    }
+
+    /**
+     * Fetch the unread count for the badge
+     * Sends GET request to /M01039337/notifications/unread-count
+     */
+    async refreshUnreadCount() {
+        try {
+            const response = await fetch(`${this.baseURL}/notifications/unread-count`, {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.updateBadge(data.unreadCount);
+            }
+
+        } catch (error) {
+            console.error('Error loading unread notifications:', error);
+        }
+    }
+
+    /**
+     * Show the unread count on the bell, or hide the badge when there is none
+     * @param {number} count - Unread notifications
+     */
+    updateBadge(count) {
+        if (!this.badge) return;
+
+        this.badge.textContent = count > 99 ? '99+' : count;
+        this.badge.classList.toggle('hidden', count === 0);
+    }
+
+    /**
+     * Update the bell when the live updates stream reports a new notification
+     * @param {number} unreadCount - Unread notifications
+     */
+    handleLiveNotification(unreadCount) {
+        this.updateBadge(unreadCount);
+
+        // Show the new notification at the top if the panel is open
+        if (this.panel && !this.panel.classList.contains('hidden')) {
+            this.loadNotifications();
+        }
+    }
+
+    /**
+     * Show or hide the dropdown panel
+     */
+    togglePanel() {
+        if (this.panel.classList.contains('hidden')) {
+            this.panel.classList.remove('hidden');
+            this.loadNotifications();
+        } else {
+            this.hidePanel();
+        }
+    }
+
+    /**
+     * Hide the dropdown panel
+     */
+    hidePanel() {
+        if (this.panel) {
+            this.panel.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Load a page of notifications into the panel
+     * Sends GET request to /M01039337/notifications
+     * @param {string|null} after - Cursor for older notifications, or null for the newest page
+     */
+    async loadNotifications(after = null) {
+        try {
+            let url = `${this.baseURL}/notifications?limit=10`;
+            if (after) url += `&after=${encodeURIComponent(after)}`;
+
+            const response = await fetch(url, {
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.nextCursor = data.nextCursor;
+                this.updateBadge(data.unreadCount);
+                this.renderNotifications(data.notifications, !!after);
+            } else {
+                this.list.innerHTML = `<p class="no-notifications">${this.escapeHtml(data.message || 'Error loading notifications')}</p>`;
+            }
+
+        } catch (error) {
+            console.error('Error loading notifications:', error);
+            this.list.innerHTML = '<p class="no-notifications">Error loading notifications</p>';
+        }
+    }
+
+    /**
+     * Render notifications in the panel
+     * @param {Array} notifications - Notification objects
+     * @param {boolean} append - Whether to add them below the ones already shown
+     */
+    renderNotifications(notifications, append) {
+        if (notifications.length === 0 && !append) {
+            this.list.innerHTML = '<p class="no-notifications">No notifications yet</p>';
+            return;
+        }
+
+        let html = notifications.map(notification => `
+            <div class="notification-item${notification.read ? '' : ' unread'}" data-notification-id="${notification._id}" data-type="${this.escapeHtml(notification.type)}" data-actor="${this.escapeHtml(notification.actor)}" data-post-id="${notification.postId || ''}">
+                <div class="notification-text">${this.describe(notification)}</div>
+                <div class="notification-time">${new Date(notification.createdAt).toLocaleDateString()}</div>
+            </div>
+        `).join('');
+
+        if (this.nextCursor) {
+            html += '<button class="load-more-btn load-more-notifications-btn">Show older</button>';
+        }
+
+        const oldButton = this.list.querySelector('.load-more-notifications-btn');
+        if (oldButton) {
+            oldButton.remove();
+        }
+        if (append) {
+            this.list.insertAdjacentHTML('beforeend', html);
+        } else {
+            this.list.innerHTML = html;
+        }
+    }
+
+    /**
+     * Build the message for a notification
+     * @param {Object} notification - Notification object
+     * @returns {string} HTML describing what happened
+     */
+    describe(notification) {
+        const actor = `<strong>${this.escapeHtml(notification.actor)}</strong>`;
+        const title = `"${this.escapeHtml(notification.postTitle || 'a post')}"`;
+
+        switch (notification.type) {
+            case 'follow':
+                return `${actor} started following you`;
+            case 'comment':
+                return `${actor} commented on ${title}`;
+            case 'reply':
+                return `${actor} replied to your comment on ${title}`;
+            case 'like':
+                return `${actor} liked ${title}`;
+            case 'fork':
+                return `${actor} forked ${title}`;
+            default:
+                return `${actor} interacted with you`;
+        }
+    }
+
+    /**
+     * Mark a clicked notification as read and open what it is about:
+     * the follower's profile for follows, or the post for comments, replies, likes and forks
+     * @param {HTMLElement} item - Notification element
+     */
+    async handleNotificationClick(item) {
+        if (item.classList.contains('unread')) {
+            item.classList.remove('unread');
+            this.markRead([item.getAttribute('data-notification-id')]);
+        }
+
+        const postId = item.getAttribute('data-post-id');
+        if (item.getAttribute('data-type') === 'follow' && window.profileManager) {
+            this.hidePanel();
+            window.profileManager.loadProfile(item.getAttribute('data-actor'));
+        } else if (postId && window.blogManager) {
+            this.hidePanel();
+            window.blogManager.showPost(postId);
+        }
+    }
+
+    /**
+     * Mark notifications as read
+     * Sends POST request to /M01039337/notifications/read
+     * @param {Array<string>} [ids] - Notification IDs, or all notifications if left out
+     */
+    async markRead(ids) {
+        try {
+            const response = await fetch(`${this.baseURL}/notifications/read`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(ids ? { ids: ids } : {})
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.updateBadge(data.unreadCount);
+                if (!ids) {
+                    this.list.querySelectorAll('.notification-item.unread').forEach(item => item.classList.remove('unread'));
+                }
+            }
+
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS attacks
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Create instance when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.notificationsManager = new NotificationsManager();
+});
@@ -11,9 +11,15 @@ class ProfileManager {
         // Current viewing user (can be different from logged-in user)
         this.currentProfileUser = null;
         
+        // Profile last loaded, used to fill in the edit form
+        this.currentProfile = null;
+        
         // Flag to prevent recursive calls
         this.isLoadingProfile = false;
         
+        // Cursor for the next page of each profile list (posts, following, followers)
+        this.nextCursors = {};
+        
         this.init();
     }
 
@@ -44,6 +50,44 @@ class ProfileManager {
             followButton.addEventListener('click', () => this.handleFollowToggle());
         }
 
+        // Edit profile button, its form and the cancel button
+        const editProfileButton = document.getElementById('editProfileButton');
+        if (editProfileButton) {
+            editProfileButton.addEventListener('click', () => this.openProfileEdit());
+        }
+        const profileEditForm = document.getElementById('profile-edit-form');
+        if (profileEditForm) {
+            profileEditForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveProfile(profileEditForm);
+            });
+        }
+        const cancelProfileEdit = document.getElementById('cancelProfileEdit');
+        if (cancelProfileEdit) {
+            cancelProfileEdit.addEventListener('click', () => this.closeProfileEdit());
+        }
+
+        // Change picture button opens the file picker; the chosen file goes through the crop dialog
+        const changeAvatarButton = document.getElementById('changeAvatarButton');
+        const avatarFileInput = document.getElementById('avatarFileInput');
+        if (changeAvatarButton && avatarFileInput) {
+            changeAvatarButton.addEventListener('click', () => avatarFileInput.click());
+            avatarFileInput.addEventListener('change', async () => {
+                await this.handleProfilePictureUpload(avatarFileInput);
+                // Clear the input so choosing the same file again still fires change
+                avatarFileInput.value = '';
+            });
+        }
+
+        // Load more buttons at the end of profile lists
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('load-more-profile-btn')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.loadMore(e.target.getAttribute('data-list'));
+            }
+        });
+
         // User card clicks (to view other profiles)
         document.addEventListener('click', (e) => {
             const userCard = e.target.closest('.user-card');
@@ -56,7 +100,7 @@ class ProfileManager {
     }
 
     /**
-     * Handle tab switching between Posts, Following, and Followers
+     * Handle tab switching between Posts, Following, Followers and Saved
      * @param {Event} e - Click event from tab button
      */
     handleTabSwitch(e) {
@@ -94,6 +138,11 @@ class ProfileManager {
             case 'followers':
                 this.loadFollowers();
                 break;
+            case 'saved':
+                if (window.collectionsManager) {
+                    window.collectionsManager.loadCollections(this.currentProfileUser);
+                }
+                break;
         }
     }
 
@@ -210,14 +259,164 @@ class ProfileManager {
 
     /**
      * Update profile header with user information
-     * @param {Object} profile - Profile object containing username and email
+     * Fields the user has left empty or hidden are not shown; the edit button only appears on your own profile
+     * @param {Object} profile - Profile object from GET /users/:username/profile
      */
     updateProfileHeader(profile) {
+        this.currentProfile = profile;
+        this.closeProfileEdit();
+        
         const usernameEl = document.getElementById('profileUsername');
+        const handleEl = document.getElementById('profileHandle');
         const emailEl = document.getElementById('profileEmail');
+        const bioEl = document.getElementById('profileBio');
+        const detailsEl = document.getElementById('profileDetails');
+        const skillsEl = document.getElementById('profileSkills');
+        const editButton = document.getElementById('editProfileButton');
+        const accountSettingsButton = document.getElementById('accountSettingsButton');
+        const avatarEl = document.getElementById('profileAvatar');
+        const changeAvatarButton = document.getElementById('changeAvatarButton');
+        
+        if (avatarEl) avatarEl.src = this.getProfileImageURL(profile.profileImage, 256);
+        
+        // Display name replaces the username in the heading, with the username shown below it
+        if (usernameEl) usernameEl.textContent = profile.displayName || profile.username;
+        if (handleEl) {
+            handleEl.textContent = `@${profile.username}`;
+            handleEl.classList.toggle('hidden', !profile.displayName);
+        }
+        if (emailEl) {
+            emailEl.textContent = profile.email || '';
+            emailEl.classList.toggle('hidden', !profile.email);
+        }
+        if (bioEl) {
+            bioEl.textContent = profile.bio || '';
+            bioEl.classList.toggle('hidden', !profile.bio);
+        }
+        
+        if (detailsEl) {
+            const details = [];
+            if (profile.location) {
+                details.push(`<span>📍 ${this.escapeHtml(profile.location)}</span>`);
+            }
+            if (profile.website) {
+                details.push(`<a href="${this.escapeAttribute(profile.website)}" target="_blank" rel="noopener nofollow">🔗 ${this.escapeHtml(profile.website.replace(/^https?:\/\//, '').replace(/\/$/, ''))}</a>`);
+            }
+            if (profile.githubHandle) {
+                details.push(`<a href="https://github.com/${encodeURIComponent(profile.githubHandle)}" target="_blank" rel="noopener nofollow">GitHub: ${this.escapeHtml(profile.githubHandle)}</a>`);
+            }
+            if (profile.phone) {
+                details.push(`<span>📞 ${this.escapeHtml(profile.phone)}</span>`);
+            }
+            detailsEl.innerHTML = details.join('');
+        }
+        if (skillsEl) {
+            skillsEl.innerHTML = (profile.skills || [])
+                .map(skill => `<span class="profile-skill">${this.escapeHtml(skill)}</span>`)
+                .join('');
+        }
+        
+        // Only your own profile comes with privacy settings
+        if (editButton) {
+            editButton.classList.toggle('hidden', !profile.privacy);
+        }
+        if (changeAvatarButton) {
+            changeAvatarButton.classList.toggle('hidden', !profile.privacy);
+        }
+        if (accountSettingsButton) {
+            accountSettingsButton.classList.toggle('hidden', !profile.privacy);
+        }
+        if (window.accountManager) {
+            window.accountManager.close();
+        }
+    }
+
+    /**
+     * Pick the URL of a profile picture at a size, falling back to the default picture
+     * @param {Object|string|undefined} profileImage - Picture URLs keyed by size (64, 128, 256), or one URL from older uploads
+     * @param {number} size - Size in pixels
+     * @returns {string} Image URL
+     */
+    getProfileImageURL(profileImage, size) {
+        if (typeof profileImage === 'string') return profileImage;
+        return (profileImage && profileImage[size]) || 'assets/img/profile.png';
+    }
+
+    /**
+     * Show the profile edit form, filled in with the current profile
+     */
+    openProfileEdit() {
+        const form = document.getElementById('profile-edit-form');
+        const profile = this.currentProfile;
+        if (!form || !profile || !profile.privacy) return;
         
-        if (usernameEl) usernameEl.textContent = profile.username;
-        if (emailEl) emailEl.textContent = profile.email;
+        form.elements.displayName.value = profile.displayName || '';
+        form.elements.bio.value = profile.bio || '';
+        form.elements.location.value = profile.location || '';
+        form.elements.website.value = profile.website || '';
+        form.elements.githubHandle.value = profile.githubHandle || '';
+        form.elements.skills.value = (profile.skills || []).join(', ');
+        form.elements.hideEmail.checked = profile.privacy.hideEmail;
+        form.elements.hidePhone.checked = profile.privacy.hidePhone;
+        form.elements.hideFollowers.checked = profile.privacy.hideFollowers;
+        document.getElementById('profile-edit-message').textContent = '';
+        
+        form.classList.remove('hidden');
+        form.elements.displayName.focus();
+    }
+
+    /**
+     * Hide the profile edit form
+     */
+    closeProfileEdit() {
+        const form = document.getElementById('profile-edit-form');
+        if (form) form.classList.add('hidden');
+    }
+
+    /**
+     * Save the profile edit form using AJAX
+     * Sends PATCH request to /M01039337/users/me
+     * @param {HTMLFormElement} form - Profile edit form
+     */
+    async saveProfile(form) {
+        const message = document.getElementById('profile-edit-message');
+        const fields = form.elements;
+        
+        try {
+            const response = await fetch(`${this.baseURL}/users/me`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({
+                    displayName: fields.displayName.value,
+                    bio: fields.bio.value,
+                    location: fields.location.value,
+                    website: fields.website.value,
+                    githubHandle: fields.githubHandle.value,
+                    skills: fields.skills.value,
+                    privacy: {
+                        hideEmail: fields.hideEmail.checked,
+                        hidePhone: fields.hidePhone.checked,
+                        hideFollowers: fields.hideFollowers.checked
+                    }
+                })
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                // Keep the stats and follow state, which the update does not return
+                this.updateProfileHeader({ ...this.currentProfile, ...data.profile });
+            } else {
+                message.textContent = data.message || 'Failed to update profile.';
+            }
+            
+        } catch (error) {
+            console.error('Update profile error:', error);
+            message.textContent = 'An error occurred whilst updating your profile.';
+        }
     }
 
     /**
@@ -361,8 +560,9 @@ class ProfileManager {
     /**
      * Load posts created by current profile user using AJAX
      * Sends GET request to /M01039337/users/:username/posts
+     * @param {string|null} after - Cursor of the page to load, or null for the first page
      */
-    async loadUserPosts() {
+    async loadUserPosts(after = null) {
         const container = document.getElementById('profile-posts');
         
         if (!container) return;
@@ -370,7 +570,7 @@ class ProfileManager {
         try {
             console.log('Loading posts for user:', this.currentProfileUser);
             
-            const response = await fetch(`${this.baseURL}/users/${this.currentProfileUser}/posts`, {
+            const response = await fetch(this.getListURL('posts', after), {
                 method: 'GET',
                 credentials: 'same-origin'
             });
@@ -378,21 +578,25 @@ class ProfileManager {
             const data = await response.json();
             
             if (data.success) {
-                if (data.posts.length === 0) {
+                if (data.posts.length === 0 && !after) {
                     container.innerHTML = '<p class="no-results-message">No posts yet.</p>';
                     return;
                 }
                 
-                container.innerHTML = data.posts.map(post => `
+                const html = data.posts.map(post => `
                     <div class="blog-card">
-                        <h3 class="blog-title">${this.escapeHtml(post.title)}</h3>
+                        <h3 class="blog-title">${this.escapeHtml(post.title)}${window.blogManager ? window.blogManager.renderVisibilityBadge(post) : ''}</h3>
+                        ${window.blogManager ? window.blogManager.renderForkLineage(post) : ''}
                         ${post.description ? `<p>${this.escapeHtml(post.description)}</p>` : ''}
-                        <div class="blog-code">${this.escapeHtml(post.code)}</div>
+                        ${window.blogManager ? window.blogManager.renderFileTabs(post) : ''}
                         <p><strong>Language:</strong> ${this.escapeHtml(post.programmingLanguage || post.language || '')}</p>
+                        ${window.blogManager ? window.blogManager.renderPostTags(post) : ''}
                         ${post.fileUrl ? `<p><strong>Attachment:</strong> <a href="${post.fileUrl}" target="_blank" class="file-link">Download File</a></p>` : ''}
                         <p class="blog-author">Posted on ${new Date(post.createdAt).toLocaleDateString()}</p>
                     </div>
                 `).join('');
+                
+                this.renderListPage(container, 'posts', html, data.nextCursor, !!after);
             } else {
                 container.innerHTML = '<p class="no-results-message">Failed to load posts.</p>';
             }
@@ -406,14 +610,15 @@ class ProfileManager {
     /**
      * Load list of users that current profile user is following using AJAX
      * Sends GET request to /M01039337/users/:username/following
+     * @param {string|null} after - Cursor of the page to load, or null for the first page
      */
-    async loadFollowing() {
+    async loadFollowing(after = null) {
         const container = document.getElementById('following-list');
         
         if (!container) return;
         
         try {
-            const response = await fetch(`${this.baseURL}/users/${this.currentProfileUser}/following`, {
+            const response = await fetch(this.getListURL('following', after), {
                 method: 'GET',
                 credentials: 'same-origin'
             });
@@ -421,49 +626,15 @@ class ProfileManager {
             const data = await response.json();
             
             if (data.success) {
-                if (data.following.length === 0) {
+                if (data.following.length === 0 && !after) {
                     container.innerHTML = '<p class="no-results-message">Not following anyone yet.</p>';
                     return;
                 }
                 
-                // Get stats for each user
-                container.innerHTML = await Promise.all(data.following.map(async user => {
-                    try {
-                        const statsResponse = await fetch(`${this.baseURL}/users/${user.username}/stats`, {
-                            method: 'GET',
-                            credentials: 'same-origin'
-                        });
-                        const statsData = await statsResponse.json();
-                        const stats = statsData.success ? statsData.stats : { posts: 0, followers: 0 };
-                        
-                        return `
-                            <div class="user-card" data-username="${user.username}">
-                                <div class="user-card-header">
-                                    <img src="assets/img/default-avatar.png" alt="${user.username}" class="user-card-avatar">
-                                    <div class="user-card-info">
-                                        <h3>${this.escapeHtml(user.username)}</h3>
-                                        <p>${this.escapeHtml(user.email)}</p>
-                                    </div>
-                                </div>
-                                <div class="user-card-stats">
-                                    <div class="user-card-stat">
-                                        <span>${stats.posts}</span>
-                                        <small>Posts</small>
-                                    </div>
-                                    <div class="user-card-stat">
-                                        <span>${stats.followers}</span>
-                                        <small>Followers</small>
-                                    </div>
-                                </div>
-                            </div>
-                        `;
-                    } catch (error) {
-                        console.error('Error loading stats for', user.username, error);
-                        return '';
-                    }
-                })).then(cards => cards.join(''));
+                const html = await this.renderUserCards(data.following);
+                this.renderListPage(container, 'following', html, data.nextCursor, !!after);
             } else {
-                container.innerHTML = '<p class="no-results-message">Failed to load following list.</p>';
+                container.innerHTML = `<p class="no-results-message">${this.escapeHtml(data.message || 'Failed to load following list.')}</p>`;
             }
             
         } catch (error) {
@@ -475,14 +646,15 @@ class ProfileManager {
     /**
      * Load list of users following current profile user using AJAX
      * Sends GET request to /M01039337/users/:username/followers
+     * @param {string|null} after - Cursor of the page to load, or null for the first page
      */
-    async loadFollowers() {
+    async loadFollowers(after = null) {
         const container = document.getElementById('followers-list');
         
         if (!container) return;
         
         try {
-            const response = await fetch(`${this.baseURL}/users/${this.currentProfileUser}/followers`, {
+            const response = await fetch(this.getListURL('followers', after), {
                 method: 'GET',
                 credentials: 'same-origin'
             });
@@ -490,49 +662,15 @@ class ProfileManager {
             const data = await response.json();
             
             if (data.success) {
-                if (data.followers.length === 0) {
+                if (data.followers.length === 0 && !after) {
                     container.innerHTML = '<p class="no-results-message">No followers yet.</p>';
                     return;
                 }
                 
-                // Get stats for each user
-                container.innerHTML = await Promise.all(data.followers.map(async user => {
-                    try {
-                        const statsResponse = await fetch(`${this.baseURL}/users/${user.username}/stats`, {
-                            method: 'GET',
-                            credentials: 'same-origin'
-                        });
-                        const statsData = await statsResponse.json();
-                        const stats = statsData.success ? statsData.stats : { posts: 0, followers: 0 };
-                        
-                        return `
-                            <div class="user-card" data-username="${user.username}">
-                                <div class="user-card-header">
-                                    <img src="assets/img/default-avatar.png" alt="${user.username}" class="user-card-avatar">
-                                    <div class="user-card-info">
-                                        <h3>${this.escapeHtml(user.username)}</h3>
-                                        <p>${this.escapeHtml(user.email)}</p>
-                                    </div>
-                                </div>
-                                <div class="user-card-stats">
-                                    <div class="user-card-stat">
-                                        <span>${stats.posts}</span>
-                                        <small>Posts</small>
-                                    </div>
-                                    <div class="user-card-stat">
-                                        <span>${stats.followers}</span>
-                                        <small>Followers</small>
-                                    </div>
-                                </div>
-                            </div>
-                        `;
-                    } catch (error) {
-                        console.error('Error loading stats for', user.username, error);
-                        return '';
-                    }
-                })).then(cards => cards.join(''));
+                const html = await this.renderUserCards(data.followers);
+                this.renderListPage(container, 'followers', html, data.nextCursor, !!after);
             } else {
-                container.innerHTML = '<p class="no-results-message">Failed to load followers list.</p>';
+                container.innerHTML = `<p class="no-results-message">${this.escapeHtml(data.message || 'Failed to load followers list.')}</p>`;
             }
             
         } catch (error) {
@@ -541,9 +679,114 @@ class ProfileManager {
         }
     }
 
+    /**
+     * Build the URL for a page of one of the profile lists
+     * @param {string} list - List name: posts, following or followers
+     * @param {string|null} after - Cursor of the page to load, or null for the first page
+     * @returns {string} Request URL
+     */
+    getListURL(list, after) {
+        const url = `${this.baseURL}/users/${encodeURIComponent(this.currentProfileUser)}/${list}`;
+        return after ? `${url}?after=${encodeURIComponent(after)}` : url;
+    }
+
+    /**
+     * Show a page of a profile list, adding it below earlier pages when loading more
+     * @param {HTMLElement} container - List container
+     * @param {string} list - List name: posts, following or followers
+     * @param {string} html - HTML for the items on this page
+     * @param {string|null} nextCursor - Cursor for the next page, or null on the last page
+     * @param {boolean} append - Whether to keep the items already shown
+     */
+    renderListPage(container, list, html, nextCursor, append) {
+        this.nextCursors[list] = nextCursor;
+        
+        if (nextCursor) {
+            html += `<button class="load-more-btn load-more-profile-btn" data-list="${list}">Load more</button>`;
+        }
+        
+        if (append) {
+            const oldButton = container.querySelector('.load-more-profile-btn');
+            if (oldButton) {
+                oldButton.remove();
+            }
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
+        }
+    }
+
+    /**
+     * Load the next page of a profile list
+     * @param {string} list - List name: posts, following or followers
+     */
+    loadMore(list) {
+        const after = this.nextCursors[list];
+        if (!after) return;
+        
+        switch(list) {
+            case 'posts':
+                this.loadUserPosts(after);
+                break;
+            case 'following':
+                this.loadFollowing(after);
+                break;
+            case 'followers':
+                this.loadFollowers(after);
+                break;
+        }
+    }
+
+    /**
+     * Render user cards with post and follower stats
+     * @param {Array} users - Users with username, display name and, unless they hide it, email
+     * @returns {Promise<string>} HTML for the user cards
+     */
+    async renderUserCards(users) {
+        // Get stats for each user
+        const cards = await Promise.all(users.map(async user => {
+            try {
+                const statsResponse = await fetch(`${this.baseURL}/users/${user.username}/stats`, {
+                    method: 'GET',
+                    credentials: 'same-origin'
+                });
+                const statsData = await statsResponse.json();
+                const stats = statsData.success ? statsData.stats : { posts: 0, followers: 0 };
+                
+                return `
+                    <div class="user-card" data-username="${user.username}">
+                        <div class="user-card-header">
+                            <img src="${this.getProfileImageURL(user.profileImage, 64)}" alt="" class="user-card-avatar">
+                            <div class="user-card-info">
+                                <h3>${this.escapeHtml(user.displayName || user.username)}</h3>
+                                <p>${this.escapeHtml(user.displayName ? `@${user.username}` : (user.email || ''))}</p>
+                            </div>
+                        </div>
+                        <div class="user-card-stats">
+                            <div class="user-card-stat">
+                                <span>${stats.posts}</span>
+                                <small>Posts</small>
+                            </div>
+                            <div class="user-card-stat">
+                                <span>${stats.followers}</span>
+                                <small>Followers</small>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            } catch (error) {
+                console.error('Error loading stats for', user.username, error);
+                return '';
+            }
+        }));
+        return cards.join('');
+    }
+
     /**
      * Handle profile picture upload
-     * Call this when user selects a new profile picture
+     * The chosen image is cropped to a square in the crop dialog, then uploaded at 64, 128 and 256 pixels
+     * Sends POST request to /M01039337/upload/profile-picture
+     * @param {HTMLInputElement} fileInput - File input holding the chosen image
      */
     async handleProfilePictureUpload(fileInput) {
         try {
@@ -576,9 +819,13 @@ class ProfileManager {
                 return;
             }
             
-            // Create FormData
+            // Let the user crop the picture; nothing is uploaded if they cancel
+            const image = window.avatarCropper ? await window.avatarCropper.open(file) : null;
+            if (!image) return;
+            
+            // Create FormData with the cropped picture; the server makes the smaller sizes
             const formData = new FormData();
-            formData.append('profilePicture', file);
+            formData.append('avatar', image, 'avatar.png');
             
             // Send upload request
             const response = await fetch(`${this.baseURL}/upload/profile-picture`, {
@@ -593,13 +840,11 @@ class ProfileManager {
                 // Update profile picture display
                 const profileAvatar = document.getElementById('profileAvatar');
                 if (profileAvatar) {
-                    profileAvatar.src = data.profilePictureUrl;
+                    profileAvatar.src = this.getProfileImageURL(data.profileImage, 256);
+                }
+                if (this.currentProfile) {
+                    this.currentProfile.profileImage = data.profileImage;
                 }
-                
-                alert('Profile picture updated successfully!');
-                
-                // Reload profile to show updated picture
-                this.loadProfile(loggedInUser);
             } else {
                 alert(data.message || 'Failed to upload profile picture');
             }
@@ -620,6 +865,15 @@ class ProfileManager {
         div.textContent = text;
         return div.innerHTML;
     }
+
+    /**
+     * Escape text for use inside a double-quoted HTML attribute
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
 }
 
 // Initialise profile manager when DOM is loaded
@@ -1,4 +1,5 @@
-// Account Recovery Manager class to handle account recovery functionality
+// Account Recovery Manager class to handle password reset functionality
+// Step 1 requests a one-time reset token by email, step 2 sets a new password with it
 class RecoveryManager {
     constructor() {
         // Base URL for API calls with Student ID
@@ -6,9 +7,11 @@ class RecoveryManager {
         this.baseURL = `/${STUDENT_ID}`;
 
         this.recoverForm = document.getElementById('recoverForm');
+        this.resetForm = document.getElementById('resetForm');
         this.messageLabel = document.getElementById('recover-messageLabel');
+        this.resetMessageLabel = document.getElementById('reset-messageLabel');
         this.redirectDelay = 2000;
-        
+
         this.init();
     }
 
@@ -17,13 +20,31 @@ class RecoveryManager {
         if (this.recoverForm) {
             this.recoverForm.addEventListener('submit', (e) => this.handleRecovery(e));
         }
+        if (this.resetForm) {
+            this.resetForm.addEventListener('submit', (e) => this.handleReset(e));
+        }
+
+        // Link for users who already have a token from their email
+        const showResetLink = document.getElementById('showResetForm');
+        if (showResetLink) {
+            showResetLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showResetForm();
+            });
+        }
+
+        // Reset links from the email carry the token in the query string
+        const token = new URLSearchParams(window.location.search).get('token');
+        if (token) {
+            this.showResetForm(token);
+        }
     }
 
     // Displaying message to user
-    displayMessage(message, isSuccess = false) {
-        if (this.messageLabel) {
-            this.messageLabel.textContent = message;
-            this.messageLabel.style.color = isSuccess ? 'green' : 'red';
+    displayMessage(message, isSuccess = false, label = this.messageLabel) {
+        if (label) {
+            label.textContent = message;
+            label.style.color = isSuccess ? 'green' : 'red';
         }
     }
 
@@ -32,31 +53,61 @@ class RecoveryManager {
         if (this.messageLabel) {
             this.messageLabel.textContent = '';
         }
+        if (this.resetMessageLabel) {
+            this.resetMessageLabel.textContent = '';
+        }
+    }
+
+    // Switching from the request form to the reset form
+    showResetForm(token = '') {
+        if (this.recoverForm) {
+            this.recoverForm.classList.add('hidden');
+        }
+        if (this.resetForm) {
+            this.resetForm.classList.remove('hidden');
+        }
+
+        const tokenInput = document.getElementById('reset-token');
+        if (tokenInput && token) {
+            tokenInput.value = token;
+        }
+    }
+
+    // Switching back to the request form
+    showRequestForm() {
+        if (this.resetForm) {
+            this.resetForm.classList.add('hidden');
+            this.resetForm.reset();
+        }
+        if (this.recoverForm) {
+            this.recoverForm.classList.remove('hidden');
+        }
     }
 
     // Redirecting to login page after delay
     redirectToLogin() {
         setTimeout(() => {
+            this.showRequestForm();
+            this.clearMessage();
             if (window.blogManager) {
                 window.blogManager.showPage('login');
             }
         }, this.redirectDelay);
     }
 
-    // Handling recovery form submission
+    // Handling reset link request form submission
     async handleRecovery(e) {
         e.preventDefault();
 
         // Get form input values and trim whitespace
         const email = document.getElementById('recover-email').value.trim();
         const username = document.getElementById('recover-username').value.trim();
-        const password = document.getElementById('recover-password').value.trim();
 
         this.clearMessage();
 
-        // Validate email is provided
-        if (!email) {
-            this.displayMessage('Please enter your email address.');
+        // Validate both fields are provided
+        if (!email || !username) {
+            this.displayMessage('Please enter your email address and username.');
             return;
         }
 
@@ -66,44 +117,90 @@ class RecoveryManager {
             return;
         }
 
-        // Only username should be provided for password recovery
-        if (!username) {
-            this.displayMessage('Please provide your username to recover your password.');
+        try {
+            // Send reset link request to server
+            const response = await fetch(`${this.baseURL}/recover`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    email: email,
+                    username: username
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.displayMessage(`✓ ${data.message}`, true);
+                this.recoverForm.reset();
+            } else {
+                // Error message from server
+                this.displayMessage(data.message || 'Account recovery failed.');
+            }
+        } catch (error) {
+            console.error('Recovery error:', error);
+            this.displayMessage('An error occurred during account recovery. Please try again.');
+        }
+    }
+
+    // Handling new password form submission
+    async handleReset(e) {
+        e.preventDefault();
+
+        // Get form input values and trim whitespace
+        const token = document.getElementById('reset-token').value.trim();
+        const password = document.getElementById('reset-password').value.trim();
+        const confirmPassword = document.getElementById('reset-confirm-password').value.trim();
+
+        this.clearMessage();
+
+        // Validate all fields are provided
+        if (!token || !password || !confirmPassword) {
+            this.displayMessage('Please fill in all fields.', false, this.resetMessageLabel);
+            return;
+        }
+
+        // Validate password strength
+        if (window.authManager && !window.authManager.validatePasswordStrength(password)) {
+            this.displayMessage('Password must be at least 6 characters long.', false, this.resetMessageLabel);
             return;
         }
 
-        if (password) {
-            this.displayMessage('Password field is not used for recovery. Please only provide email and username.');
+        // Validate password match
+        if (password !== confirmPassword) {
+            this.displayMessage('Passwords do not match. Please try again.', false, this.resetMessageLabel);
             return;
         }
 
         try {
-            // Send password recovery request to server
-            const response = await fetch(`${this.baseURL}/recover`, {
+            // Send new password with the reset token
+            const response = await fetch(`${this.baseURL}/recover/reset`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    email: email,
-                    username: username,
-                    password: undefined
+                    token: token,
+                    password: password
                 })
             });
 
             const data = await response.json();
 
-            if (data.success && data.recovered) {
-                // Success message with password displayed
-                this.displayMessage(`✓ Password recovery successful! Your password is: ${data.password}`, true);
+            if (data.success) {
+                this.displayMessage(`✓ ${data.message}`, true, this.resetMessageLabel);
+
+                // Drop the token from the address bar so it is not reused
+                window.history.replaceState({ page: 'recover' }, '', `${this.baseURL}/recover`);
                 this.redirectToLogin();
             } else {
-                // Error message from server
-                this.displayMessage(data.message || 'Account recovery failed.');
+                this.displayMessage(data.message || 'Password reset failed.', false, this.resetMessageLabel);
             }
         } catch (error) {
-            console.error('Recovery error:', error);
-            this.displayMessage('An error occurred during account recovery. Please try again.');
+            console.error('Password reset error:', error);
+            this.displayMessage('An error occurred during password reset. Please try again.', false, this.resetMessageLabel);
         }
     }
 }
@@ -111,4 +208,4 @@ class RecoveryManager {
 // Create instance of RecoveryManager when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     window.recoveryManager = new RecoveryManager();
-});
\ No newline at end of file
+});
@@ -1,6 +1,6 @@
 /**
- * Search Manager for user search functionality
- * Handles real-time user search with autocomplete dropdown
+ * Search Manager for user and post search functionality
+ * Handles real-time search with autocomplete dropdown
  */
 class SearchManager {
     constructor() {
@@ -13,6 +13,7 @@ class SearchManager {
         this.searchResults = null;
         this.searchToggle = null;
         this.searchTimeout = null;
+        this.maxPostResults = 5; // Posts shown in the dropdown, the rest are on the postboard
         
         this.init();
     }
@@ -87,20 +88,34 @@ class SearchManager {
     }
 
     /**
-     * Perform user search via API
+     * Perform user and post search via API
+     * Posts are ranked by the server's text index and come with a highlighted excerpt
      * @param {string} query - Search query string
      */
     async performSearch(query) {
         try {
-            const response = await fetch(`${this.baseURL}/users?q=${encodeURIComponent(query)}`, {
-                method: 'GET',
-                credentials: 'same-origin'
-            });
+            const [usersResponse, postsResponse] = await Promise.all([
+                fetch(`${this.baseURL}/users?q=${encodeURIComponent(query)}`, {
+                    method: 'GET',
+                    credentials: 'same-origin'
+                }),
+                fetch(`${this.baseURL}/contents?q=${encodeURIComponent(query)}&limit=${this.maxPostResults}`, {
+                    method: 'GET',
+                    credentials: 'same-origin'
+                })
+            ]);
+            
+            const usersData = await usersResponse.json();
+            const postsData = await postsResponse.json();
+            
+            // Ignore results for a query the user has already typed past
+            if (this.searchInput && this.searchInput.value.trim() !== query) return;
             
-            const data = await response.json();
+            const users = usersData.success && usersData.users ? usersData.users : [];
+            const posts = postsData.success && postsData.contents ? postsData.contents : [];
             
-            if (data.success && data.users && data.users.length > 0) {
-                this.displaySearchResults(data.users);
+            if (users.length > 0 || posts.length > 0) {
+                this.displaySearchResults(users, posts, query);
             } else {
                 this.showNoResults();
             }
@@ -113,27 +128,78 @@ class SearchManager {
     /**
      * Display search results in dropdown
      * @param {Array} users - Array of user objects
+     * @param {Array} posts - Array of matching posts with highlight excerpts
+     * @param {string} query - Search query string
      */
-    displaySearchResults(users) {
+    displaySearchResults(users, posts, query) {
         if (!this.searchResults) return;
         
-        const html = users.map(user => `
-            <div class="search-result-item" data-username="${this.escapeHtml(user.username)}">
-                <div class="search-result-username">${this.escapeHtml(user.username)}</div>
-                <div class="search-result-email">${this.escapeHtml(user.email)}</div>
-            </div>
-        `).join('');
+        let html = '';
+        
+        if (users.length > 0) {
+            html += '<div class="search-result-heading">Users</div>';
+            html += users.map(user => `
+                <div class="search-result-item" data-username="${this.escapeHtml(user.username)}">
+                    <div class="search-result-username"><img src="${this.getProfileImageURL(user.profileImage)}" alt="" class="avatar-small">${this.escapeHtml(user.username)}</div>
+                    <div class="search-result-email">${this.escapeHtml(user.displayName || user.email || '')}</div>
+                </div>
+            `).join('');
+        }
+        
+        if (posts.length > 0) {
+            html += '<div class="search-result-heading">Posts</div>';
+            html += posts.map(post => `
+                <div class="search-result-item search-result-post">
+                    <div class="search-result-username">${this.escapeHtml(post.title)}</div>
+                    ${this.renderHighlight(post.highlight)}
+                </div>
+            `).join('');
+            html += '<div class="search-result-item search-result-all">See all matching posts</div>';
+        }
         
         this.searchResults.innerHTML = html;
         this.searchResults.classList.remove('hidden');
         
         // Add click listeners to results
-        this.searchResults.querySelectorAll('.search-result-item').forEach(item => {
+        this.searchResults.querySelectorAll('.search-result-item[data-username]').forEach(item => {
             item.addEventListener('click', () => {
                 const username = item.getAttribute('data-username');
                 this.selectResult(username);
             });
         });
+        this.searchResults.querySelectorAll('.search-result-post, .search-result-all').forEach(item => {
+            item.addEventListener('click', () => {
+                this.selectPostResults(query);
+            });
+        });
+    }
+
+    /**
+     * Render a match excerpt with the matched ranges wrapped in <mark>
+     * @param {Object|null} highlight - Highlight from the server (text and match ranges)
+     * @returns {string} HTML for the excerpt
+     */
+    renderHighlight(highlight) {
+        if (!highlight || !highlight.text) return '';
+        
+        let html = '';
+        let position = 0;
+        highlight.matches.forEach(match => {
+            html += this.escapeHtml(highlight.text.slice(position, match.start));
+            html += `<mark>${this.escapeHtml(highlight.text.slice(match.start, match.end))}</mark>`;
+            position = match.end;
+        });
+        html += this.escapeHtml(highlight.text.slice(position));
+        
+        // Say where the match is when it is not in the title
+        let source = '';
+        if (highlight.field === 'code') {
+            source = `<span class="search-result-source">${this.escapeHtml(highlight.fileName || 'code')}</span>`;
+        } else if (highlight.field === 'description') {
+            source = '<span class="search-result-source">description</span>';
+        }
+        
+        return `<div class="search-result-excerpt">${source}${html}</div>`;
     }
 
     /**
@@ -141,7 +207,7 @@ class SearchManager {
      */
     showNoResults() {
         if (!this.searchResults) return;
-        this.searchResults.innerHTML = '<div class="search-result-item" style="cursor: default; color: rgba(255, 255, 255, 0.6);">No users found</div>';
+        this.searchResults.innerHTML = '<div class="search-result-item" style="cursor: default; color: rgba(255, 255, 255, 0.6);">No users or posts found</div>';
         this.searchResults.classList.remove('hidden');
     }
 
@@ -180,6 +246,32 @@ class SearchManager {
         this.hideSearchResults();
     }
 
+    /**
+     * Handle post result selection - show ranked results on the postboard
+     * @param {string} query - Search query string
+     */
+    selectPostResults(query) {
+        if (window.blogManager) {
+            window.blogManager.searchPosts(query);
+        }
+        
+        // Clear search and hide results
+        if (this.searchInput) {
+            this.searchInput.value = '';
+        }
+        this.hideSearchResults();
+    }
+
+    /**
+     * Get the small profile picture of a user in the results
+     * @param {Object|string|undefined} profileImage - Picture URLs keyed by size, or one URL from older uploads
+     * @returns {string} Image URL, or the default picture
+     */
+    getProfileImageURL(profileImage) {
+        if (typeof profileImage === 'string') return profileImage;
+        return (profileImage && profileImage[64]) || 'assets/img/profile.png';
+    }
+
     /**
      * Escape HTML to prevent XSS attacks
      * @param {string} text - Text to escape
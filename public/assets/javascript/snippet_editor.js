@@ -0,0 +1,304 @@
+/**
+ * Snippet Files Editor class
+ * Tabbed editor for posts with several named files, each with its own language
+ * Used by the create post form and the inline edit post form
+ */
+class SnippetFilesEditor {
+    /**
+     * @param {HTMLElement} container - Element the editor is rendered into
+     * @param {Array} files - Initial files with name, language and code
+     */
+    constructor(container, files = []) {
+        // Base URL for API calls with Student ID
+        const STUDENT_ID = 'M01039337';
+        this.baseURL = `/${STUDENT_ID}`;
+
+        this.container = container;
+        this.maxFiles = 10;
+        this.files = [];
+        this.activeIndex = 0;
+
+        // Language guesses wait until typing pauses
+        this.detectDelay = 500;
+        this.detectTimeout = null;
+
+        this.setupEventListeners();
+        this.setFiles(files);
+    }
+
+    /**
+     * Set up event listeners on the editor container
+     * Uses event delegation because tabs are re-rendered
+     */
+    setupEventListeners() {
+        this.container.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.snippet-tab-remove');
+            if (removeBtn) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.removeFile(parseInt(removeBtn.getAttribute('data-index')));
+                return;
+            }
+
+            const tab = e.target.closest('.snippet-editor-tab');
+            if (tab) {
+                e.preventDefault();
+                this.selectTab(parseInt(tab.getAttribute('data-index')));
+                return;
+            }
+
+            if (e.target.closest('.snippet-add-file')) {
+                e.preventDefault();
+                this.addFile();
+            }
+        });
+
+        // Keep the file list in sync with the inputs of the active tab
+        this.container.addEventListener('input', (e) => {
+            const file = this.files[this.activeIndex];
+            if (!file) return;
+
+            if (e.target.classList.contains('snippet-file-name')) {
+                file.name = e.target.value;
+                const tabLabel = this.container.querySelector(`.snippet-editor-tab[data-index="${this.activeIndex}"] .snippet-tab-label`);
+                if (tabLabel) {
+                    tabLabel.textContent = this.getTabLabel(file, this.activeIndex);
+                }
+                this.scheduleDetection();
+            } else if (e.target.classList.contains('snippet-file-code')) {
+                file.code = e.target.value;
+                this.scheduleDetection();
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            const file = this.files[this.activeIndex];
+            if (file && e.target.classList.contains('snippet-file-language')) {
+                // A language picked by the user is never replaced by a guess
+                file.language = e.target.value;
+                file.languageDetected = false;
+                file.detection = null;
+                this.updateLanguageHint();
+            }
+        });
+    }
+
+    /**
+     * Guess the active file's language once typing pauses, unless the user picked one
+     */
+    scheduleDetection() {
+        clearTimeout(this.detectTimeout);
+        const file = this.files[this.activeIndex];
+        if (!file || (file.language && !file.languageDetected) || !file.code.trim()) return;
+
+        const index = this.activeIndex;
+        this.detectTimeout = setTimeout(() => this.detectLanguage(index), this.detectDelay);
+    }
+
+    /**
+     * Ask the server for a file's language and pre-select it when the guess is confident
+     * Sends POST request to /M01039337/contents/detect-language
+     * @param {number} index - Index of the file
+     */
+    async detectLanguage(index) {
+        const file = this.files[index];
+        if (!file) return;
+
+        try {
+            const response = await fetch(`${this.baseURL}/contents/detect-language`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ code: file.code, fileName: file.name })
+            });
+            const data = await response.json();
+
+            // The user may have picked a language while the request was running
+            if (!data.success || (file.language && !file.languageDetected)) return;
+
+            if (data.confident) {
+                file.language = data.language;
+                file.languageDetected = true;
+                file.detection = { language: data.language, confidence: data.confidence };
+            } else if (file.languageDetected) {
+                // An earlier guess no longer fits the code
+                file.language = '';
+                file.languageDetected = false;
+                file.detection = null;
+            }
+
+            if (this.files[this.activeIndex] === file) {
+                this.container.querySelector('.snippet-file-language').value = file.language;
+                this.updateLanguageHint();
+            }
+
+        } catch (error) {
+            console.error('Error detecting language:', error);
+        }
+    }
+
+    /**
+     * Show the guessed language and its confidence under the active file's language select
+     */
+    updateLanguageHint() {
+        const hint = this.container.querySelector('.snippet-language-hint');
+        const file = this.files[this.activeIndex];
+        if (!hint || !file) return;
+
+        const detection = file.languageDetected ? file.detection : null;
+        hint.textContent = detection
+            ? `Detected ${detection.language} (${Math.round(detection.confidence * 100)}% confidence), choose another language to change it`
+            : '';
+        hint.classList.toggle('hidden', !detection);
+    }
+
+    /**
+     * Replace all files in the editor
+     * @param {Array} files - Files with name, language and code
+     */
+    setFiles(files) {
+        this.files = files.length > 0
+            ? files.map(file => ({ name: file.name || '', language: file.language || '', code: file.code || '' }))
+            : [{ name: '', language: '', code: '' }];
+        clearTimeout(this.detectTimeout);
+        this.activeIndex = 0;
+        this.render();
+    }
+
+    /**
+     * Get the current files
+     * @returns {Array} Files with trimmed name and language
+     */
+    getFiles() {
+        return this.files.map(file => ({
+            name: file.name.trim(),
+            language: file.language.trim(),
+            code: file.code
+        }));
+    }
+
+    /**
+     * Clear the editor back to a single empty file
+     */
+    reset() {
+        this.setFiles([]);
+    }
+
+    /**
+     * Add a new empty file tab and switch to it
+     */
+    addFile() {
+        if (this.files.length >= this.maxFiles) {
+            alert(`A post can have at most ${this.maxFiles} files.`);
+            return;
+        }
+        this.files.push({ name: '', language: '', code: '' });
+        this.activeIndex = this.files.length - 1;
+        this.render();
+    }
+
+    /**
+     * Remove a file tab (a post always keeps at least one file)
+     * @param {number} index - Index of file to remove
+     */
+    removeFile(index) {
+        if (this.files.length <= 1) return;
+
+        const file = this.files[index];
+        if (file.code.trim() && !confirm(`Remove ${this.getTabLabel(file, index)}?`)) {
+            return;
+        }
+
+        this.files.splice(index, 1);
+        if (this.activeIndex >= this.files.length) {
+            this.activeIndex = this.files.length - 1;
+        } else if (this.activeIndex > index) {
+            this.activeIndex--;
+        }
+        this.render();
+    }
+
+    /**
+     * Switch to another file tab
+     * @param {number} index - Index of file to show
+     */
+    selectTab(index) {
+        if (index < 0 || index >= this.files.length) return;
+        this.activeIndex = index;
+        this.render();
+    }
+
+    /**
+     * Get the label shown on a file tab
+     * @param {Object} file - File object
+     * @param {number} index - Index of file
+     * @returns {string} Tab label
+     */
+    getTabLabel(file, index) {
+        return file.name.trim() || `File ${index + 1}`;
+    }
+
+    /**
+     * Render the tab bar and the inputs for the active file
+     */
+    render() {
+        const file = this.files[this.activeIndex];
+        const languageOptions = SnippetFilesEditor.LANGUAGES.map(language =>
+            `<option value="${language.value}">${language.label}</option>`
+        ).join('');
+
+        const tabs = this.files.map((tabFile, index) => `
+            <button type="button" class="snippet-editor-tab${index === this.activeIndex ? ' active' : ''}" data-index="${index}">
+                <span class="snippet-tab-label"></span>
+                ${this.files.length > 1 ? `<span class="snippet-tab-remove" data-index="${index}" title="Remove file">×</span>` : ''}
+            </button>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="snippet-editor-tabs">
+                ${tabs}
+                <button type="button" class="snippet-add-file" title="Add another file">+ Add file</button>
+            </div>
+            <div class="snippet-editor-pane">
+                <div class="snippet-editor-row">
+                    <input type="text" class="snippet-file-name" placeholder="File name (e.g. index.js)">
+                    <select class="snippet-file-language">
+                        <option value="">Select a language...</option>
+                        ${languageOptions}
+                    </select>
+                </div>
+                <small class="snippet-language-hint hidden"></small>
+                <textarea class="snippet-file-code" placeholder="Paste your code here..." rows="12"></textarea>
+            </div>
+        `;
+
+        // Set values directly so user text cannot break the markup
+        this.container.querySelectorAll('.snippet-tab-label').forEach((label, index) => {
+            label.textContent = this.getTabLabel(this.files[index], index);
+        });
+        this.container.querySelector('.snippet-file-name').value = file.name;
+        this.container.querySelector('.snippet-file-language').value = file.language;
+        this.container.querySelector('.snippet-file-code').value = file.code;
+        this.updateLanguageHint();
+    }
+}
+
+// Languages offered for each file
+SnippetFilesEditor.LANGUAGES = [
+    { value: 'JavaScript', label: 'JavaScript' },
+    { value: 'Python', label: 'Python' },
+    { value: 'C', label: 'C' },
+    { value: 'C++', label: 'C++' },
+    { value: 'C#', label: 'C#' },
+    { value: 'PHP', label: 'PHP' },
+    { value: 'Go', label: 'Go' },
+    { value: 'Rust', label: 'Rust' },
+    { value: 'TypeScript', label: 'TypeScript' },
+    { value: 'HTML', label: 'HTML' },
+    { value: 'CSS', label: 'CSS' },
+    { value: 'SQL', label: 'SQL' },
+    { value: 'Shell', label: 'Shell/Bash' },
+    { value: 'Other', label: 'Other' }
+];
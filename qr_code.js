@@ -0,0 +1,419 @@
+// Small QR code generator, used to show two-factor provisioning URIs to authenticator apps
+// Encodes text in byte mode at error correction level M (versions 1 to 10, up to 213 bytes) and renders it as SVG
+
+// Error correction codewords per block and number of blocks for level M, indexed by version - 1
+const ECC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ERROR_CORRECTION_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = 10;
+
+// Format bits for level M
+const ECC_LEVEL_M_BITS = 0;
+
+// Penalty weights used when choosing a mask
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+/**
+ * Count the modules available for data and error correction in a version
+ * @param {number} version - QR version (1-40)
+ * @returns {number} Number of modules
+ */
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+/**
+ * Get the centre positions of the alignment patterns, used for both rows and columns
+ * @param {number} version - QR version
+ * @returns {Array<number>} Positions in ascending order
+ */
+function getAlignmentPositions(version) {
+    if (version === 1) {
+        return [];
+    }
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < numAlign; pos -= step) {
+        positions.splice(1, 0, pos);
+    }
+    return positions;
+}
+
+/**
+ * Multiply two numbers in GF(2^8) with the QR code polynomial 0x11D
+ * @param {number} x - First factor
+ * @param {number} y - Second factor
+ * @returns {number} Product
+ */
+function gfMultiply(x, y) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11d);
+        product ^= ((y >>> i) & 1) * x;
+    }
+    return product;
+}
+
+/**
+ * Build the Reed-Solomon generator polynomial for a number of error correction codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} Coefficients, highest power first, without the leading 1
+ */
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Compute the error correction codewords for one block of data
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - Generator polynomial from reedSolomonDivisor
+ * @returns {Array<number>} Error correction codewords
+ */
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+/**
+ * Encode text as data codewords in byte mode, padded to the version's capacity
+ * @param {Buffer} bytes - UTF-8 text
+ * @param {number} version - QR version
+ * @returns {Array<number>} Data codewords
+ */
+function encodeData(bytes, version) {
+    const capacityBits = (Math.floor(getNumRawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[version - 1] * NUM_ERROR_CORRECTION_BLOCKS[version - 1]) * 8;
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    // Byte mode indicator, character count, then the bytes
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    // Terminator, padding to a whole byte, then alternating pad bytes
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    return codewords;
+}
+
+/**
+ * Split data into blocks, add error correction and interleave them
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - QR version
+ * @returns {Array<number>} Final codewords in placement order
+ */
+function addErrorCorrection(data, version) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version - 1];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[version - 1];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    // Short blocks come first; long blocks hold one more data codeword
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+        const dataLength = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+        const blockData = data.slice(offset, offset + dataLength);
+        offset += dataLength;
+        blocks.push({ data: blockData, ecc: reedSolomonRemainder(blockData, divisor) });
+    }
+
+    // Data codewords column by column across blocks, then error correction the same way
+    const result = [];
+    const longestData = shortBlockLength - eccLength + 1;
+    for (let i = 0; i < longestData; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach(block => result.push(block.ecc[i]));
+    }
+    return result;
+}
+
+/**
+ * Check whether a mask flips the module at a position
+ * @param {number} mask - Mask number (0-7)
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean} True if the module is flipped
+ */
+function maskApplies(mask, x, y) {
+    switch (mask) {
+        case 0: return (x + y) % 2 === 0;
+        case 1: return y % 2 === 0;
+        case 2: return x % 3 === 0;
+        case 3: return (x + y) % 3 === 0;
+        case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+        case 5: return x * y % 2 + x * y % 3 === 0;
+        case 6: return (x * y % 2 + x * y % 3) % 2 === 0;
+        default: return ((x + y) % 2 + x * y % 3) % 2 === 0;
+    }
+}
+
+/**
+ * Score how hard a finished symbol is to scan; lower is better
+ * @param {Array<Array<boolean>>} modules - Module grid, true for dark
+ * @returns {number} Penalty
+ */
+function getPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+
+    // The same checks run over rows and over columns
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+    for (const line of lines) {
+        // Runs of five or more modules of one colour
+        let runLength = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                runLength++;
+                continue;
+            }
+            if (runLength >= 5) {
+                penalty += PENALTY_RUN + runLength - 5;
+            }
+            runLength = 1;
+        }
+
+        // Patterns that look like a finder: dark-light-dark x3-light-dark with four light modules on one side
+        const text = line.map(module => module ? '1' : '0').join('');
+        const padded = `0000${text}0000`;
+        for (const pattern of ['00001011101', '10111010000']) {
+            for (let i = padded.indexOf(pattern); i !== -1; i = padded.indexOf(pattern, i + 1)) {
+                penalty += PENALTY_FINDER_LIKE;
+            }
+        }
+    }
+
+    // 2x2 blocks of one colour
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const colour = modules[y][x];
+                if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+                    penalty += PENALTY_BLOCK;
+                }
+            }
+        }
+    }
+
+    // Distance from an even split of dark and light modules, in steps of 5%
+    const total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * PENALTY_BALANCE;
+    return penalty;
+}
+
+/**
+ * Build the module grid for a version, mask and set of codewords
+ * @param {number} version - QR version
+ * @param {number} mask - Mask number (0-7)
+ * @param {Array<number>} codewords - Codewords from addErrorCorrection
+ * @returns {Array<Array<boolean>>} Module grid, true for dark
+ */
+function buildModules(version, mask, codewords) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators, in three corners
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    // Alignment patterns, except where they would overlap a finder
+    const alignment = getAlignmentPositions(version);
+    const last = alignment.length - 1;
+    alignment.forEach((cy, i) => {
+        alignment.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Format information: error correction level and mask, protected by a BCH code, drawn twice
+    const formatData = (ECC_LEVEL_M_BITS << 3) | mask;
+    let remainder = formatData;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const formatBits = ((formatData << 10) | remainder) ^ 0x5412;
+    const formatBit = i => ((formatBits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) setFunction(8, i, formatBit(i));
+    setFunction(8, 7, formatBit(6));
+    setFunction(8, 8, formatBit(7));
+    setFunction(7, 8, formatBit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, formatBit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, formatBit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, formatBit(i));
+    setFunction(8, size - 8, true);
+
+    // Version information, from version 7 up
+    if (version >= 7) {
+        let versionRemainder = version;
+        for (let i = 0; i < 12; i++) {
+            versionRemainder = (versionRemainder << 1) ^ ((versionRemainder >>> 11) * 0x1f25);
+        }
+        const versionBits = (version << 12) | versionRemainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((versionBits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // Codewords in two-column zigzags from the bottom right, skipping the vertical timing column
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (isFunction[y][x]) continue;
+                if (bitIndex < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex++;
+                }
+                if (maskApplies(mask, x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    }
+
+    return modules;
+}
+
+/**
+ * Encode text as a QR code
+ * Uses the smallest version that fits and the mask with the lowest penalty
+ * @param {string} text - Text to encode, e.g. an otpauth:// URI
+ * @returns {Array<Array<boolean>>} Module grid (rows of columns), true for dark
+ * @throws {Error} If the text is too long for version 10
+ */
+export function encodeQrCode(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    let version = 1;
+    for (; version <= MAX_VERSION; version++) {
+        const dataCodewords = Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[version - 1] * NUM_ERROR_CORRECTION_BLOCKS[version - 1];
+        const headerBits = 4 + (version < 10 ? 8 : 16);
+        if (headerBits + bytes.length * 8 <= dataCodewords * 8) break;
+    }
+    if (version > MAX_VERSION) {
+        throw new Error('Text is too long for a QR code.');
+    }
+
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+    let best = null;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        const modules = buildModules(version, mask, codewords);
+        const penalty = getPenalty(modules);
+        if (penalty < bestPenalty) {
+            best = modules;
+            bestPenalty = penalty;
+        }
+    }
+    return best;
+}
+
+/**
+ * Render text as a QR code SVG data URL, ready for an <img> src
+ * @param {string} text - Text to encode
+ * @returns {string} data:image/svg+xml URL
+ */
+export function renderQrCodeDataUrl(text) {
+    const modules = encodeQrCode(text);
+    // Scanners need a light border of four modules
+    const quietZone = 4;
+    const dimension = modules.length + quietZone * 2;
+    const path = [];
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + quietZone},${y + quietZone}h1v1h-1z`);
+        });
+    });
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+        `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
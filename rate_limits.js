@@ -0,0 +1,69 @@
+// Rate limit rules for logging in, account recovery, registration and running snippets on the server
+// Counters live in the rateLimits collection (see server.js) so limits survive restarts; this module only decides
+// when a key has had too many attempts and how long it has to wait
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Each rule counts attempts per key in a fixed window. Reaching max blocks the key until lockoutMs has passed
+// (or the window ends, when there is no lockout). delayAfter adds a wait that doubles with every attempt past it
+export const RATE_LIMITS = {
+    // Failed logins from one IP address, across all accounts
+    loginIp: { windowMs: 15 * MINUTE, max: 30, lockoutMs: 15 * MINUTE },
+    // Failed logins (wrong password or two-factor code) for one username
+    loginAccount: { windowMs: 15 * MINUTE, max: 10, lockoutMs: 15 * MINUTE, delayAfter: 3, maxDelayMs: MINUTE },
+    // Password reset requests from one IP address, and for one username
+    recoverIp: { windowMs: 15 * MINUTE, max: 5 },
+    recoverAccount: { windowMs: HOUR, max: 3 },
+    // Registrations from one IP address
+    registerIp: { windowMs: HOUR, max: 5 },
+    // Snippet runs on the server from one IP address, and by one user
+    runIp: { windowMs: MINUTE, max: 20 },
+    runAccount: { windowMs: MINUTE, max: 10 }
+};
+
+// Failed logins are kept for the account owner to review for 30 days
+export const LOGIN_ATTEMPT_TTL = 30 * 24 * HOUR;
+
+/**
+ * Work out how long a key is blocked after an attempt
+ * @param {Object} rule - Rule from RATE_LIMITS
+ * @param {number} count - Attempts in the current window, including this one
+ * @param {Date} windowStart - When the current window started
+ * @param {number} now - Time in milliseconds
+ * @returns {Date|null} Time the next attempt is allowed, or null if it is allowed straight away
+ */
+export function getBlockedUntil(rule, count, windowStart, now = Date.now()) {
+    if (count >= rule.max) {
+        return new Date(rule.lockoutMs ? now + rule.lockoutMs : windowStart.getTime() + rule.windowMs);
+    }
+    if (rule.delayAfter && count >= rule.delayAfter) {
+        const delay = Math.min(SECOND * 2 ** (count - rule.delayAfter), rule.maxDelayMs);
+        return new Date(now + delay);
+    }
+    return null;
+}
+
+/**
+ * Get the number of whole seconds until a time, for a Retry-After header
+ * @param {Date} until - Time the block ends
+ * @param {number} now - Time in milliseconds
+ * @returns {number} Seconds, at least 1
+ */
+export function getRetryAfterSeconds(until, now = Date.now()) {
+    return Math.max(1, Math.ceil((until.getTime() - now) / SECOND));
+}
+
+/**
+ * Describe a wait in words for error messages
+ * @param {number} seconds - Wait in seconds
+ * @returns {string} e.g. "30 seconds" or "15 minutes"
+ */
+export function describeWait(seconds) {
+    if (seconds < 60) {
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,89 @@
+// Backfill job: guess the language of files labelled "Other" and relabel the ones with a confident guess
+// Run with: npm run relabel_languages (add -- --dry-run to only list the changes)
+
+// Import modules
+import { MongoClient } from 'mongodb';
+import { getPostFiles } from './snippet_files.js';
+import { detectLanguage, HIGH_DETECTION_CONFIDENCE } from './language_detection.js';
+import { renderPostCode } from './syntax_highlight.js';
+
+// MongoDB connection URL and database name
+const URL = 'mongodb://localhost:27017';
+const DB_NAME = 'codelogs_db';
+
+// List the changes without saving them
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Function to relabel "Other" files in existing posts
+async function relabelLanguages() {
+    const client = new MongoClient(URL);
+
+    try {
+        // Connect to MongoDB
+        await client.connect();
+        console.log('Connected to MongoDB');
+
+        const contentsCollection = client.db(DB_NAME).collection('contents');
+
+        // Posts with at least one "Other" file, including single-code posts from before multi-file snippets
+        const posts = await contentsCollection.find({
+            $or: [
+                { 'files.language': 'Other' },
+                { files: { $exists: false }, programmingLanguage: 'Other' }
+            ]
+        }).toArray();
+        console.log(`Checking ${posts.length} posts with "Other" files${DRY_RUN ? ' (dry run)' : ''}...`);
+
+        let relabelledPosts = 0;
+        let relabelledFiles = 0;
+
+        for (const post of posts) {
+            let changed = false;
+            const files = getPostFiles(post).map(file => {
+                if (file.language !== 'Other') return file;
+
+                const guess = detectLanguage(file.code, file.name);
+                if (guess.language === 'Other' || guess.confidence < HIGH_DETECTION_CONFIDENCE) return file;
+
+                console.log(`- ${post._id} ${file.name}: ${guess.language} (${guess.confidence})`);
+                changed = true;
+                relabelledFiles++;
+                return { ...file, language: guess.language };
+            });
+            if (!changed) continue;
+
+            relabelledPosts++;
+            if (DRY_RUN) continue;
+
+            // File names keep their extension; highlighting is rebuilt for the new languages
+            const update = {
+                $set: {
+                    files: files,
+                    programmingLanguage: files[0].language,
+                    renderedCode: renderPostCode(files)
+                }
+            };
+            if (post.code !== undefined) {
+                update.$unset = { code: '' };
+            }
+            await contentsCollection.updateOne({ _id: post._id }, update);
+        }
+
+        console.log(`${DRY_RUN ? 'Would relabel' : 'Relabelled'} ${relabelledFiles} files in ${relabelledPosts} posts`);
+
+    } catch (error) {
+        console.error('Error relabelling languages:', error);
+        throw error;
+    } finally {
+        // Close connection
+        await client.close();
+    }
+}
+
+// Run job
+relabelLanguages()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('\nRelabelling languages failed:', error);
+        process.exit(1);
+    });
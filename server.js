@@ -9,7 +9,31 @@ import { connectDB, getDB } from './connect_db.js';
 import { ObjectId } from 'mongodb';
 import multer from 'multer';
 import fs from 'fs';
+import crypto from 'crypto';
 import puppeteer from 'puppeteer';
+import { sendMail } from './mail_transport.js';
+import { createUnifiedDiff } from './line_diff.js';
+import { normalizeFiles, getPostFiles, fileNameWithExtension } from './snippet_files.js';
+import { parseSearchQuery, buildHighlight } from './text_search.js';
+import { getPageParams, applyCursor, buildPage } from './pagination.js';
+import { normalizeTag, normalizeTags } from './post_tags.js';
+import { MAX_COMMENT_DEPTH, presentComment, buildCommentTree } from './comment_threads.js';
+import { normalizeAnchor, remapAnchor } from './line_anchors.js';
+import { runJavaScript, isRunnerBusy } from './snippet_runner.js';
+import { renderPostCode } from './syntax_highlight.js';
+import { normalizeEmbedTheme, renderEmbedPage, renderEmbedMessage } from './snippet_embed.js';
+import { createZip } from './zip_archive.js';
+import { normalizePostVisibility, normalizeSharedWith, canViewPost, listedPostsFilter } from './post_visibility.js';
+import { MAX_DRAFTS_PER_USER, normalizeDraftFields, normalizePublishAt } from './post_drafts.js';
+import { startDraftScheduler, scheduleDraft, cancelDraftSchedule } from './draft_scheduler.js';
+import { MAX_COLLECTIONS_PER_USER, MAX_COLLECTION_ITEMS, normalizeCollectionName, normalizeVisibility, reorderItems, canViewCollection, presentCollection } from './post_collections.js';
+import { detectLanguage, MIN_DETECTION_CONFIDENCE } from './language_detection.js';
+import { normalizeProfileUpdate, canSeeFollowLists, presentProfile, presentUserSummary } from './user_profiles.js';
+import { MAX_AVATAR_BYTES, DEFAULT_AVATAR_SIZE, createAvatarImages, pickAvatarUrl, listAvatarUrls } from './avatar_images.js';
+import { generateTotpSecret, verifyTotp, isTotpCode, buildProvisioningUri, generateRecoveryCodes, normalizeRecoveryCode } from './two_factor.js';
+import { renderQrCodeDataUrl } from './qr_code.js';
+import { RATE_LIMITS, LOGIN_ATTEMPT_TTL, getBlockedUntil, getRetryAfterSeconds, describeWait } from './rate_limits.js';
+import { MAX_WATCHED_POSTS, openStream, closeSessionStreams, closeUserStreams, watchPosts, getConnectedUsers, publishToUsers, publishToPostViewers } from './live_events.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
@@ -23,6 +47,29 @@ const PORT = 8080;
 // Path based on Student ID
 const STUDENT_ID = 'M01039337';
 
+// Address of the site used in links sent by email, never taken from the request's Host header
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+// Password reset tokens expire after 30 minutes
+const RESET_TOKEN_TTL = 30 * 60 * 1000;
+
+// Email change confirmation links expire after 24 hours
+const EMAIL_CHANGE_TTL = 24 * 60 * 60 * 1000;
+
+// Time allowed between the password and code steps of a two-factor login, and to finish setting it up
+const TWO_FACTOR_LOGIN_TTL = 5 * 60 * 1000;
+const TWO_FACTOR_SETUP_TTL = 10 * 60 * 1000;
+
+// Wrong codes allowed in one two-factor login before the password has to be entered again
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+
+// Sort orders for paginated lists, _id breaks ties so cursors are exact
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+const BY_USERNAME = { username: 1, _id: 1 };
+const BY_RELEVANCE = { score: -1, createdAt: -1, _id: -1 };
+const RECENTLY_EDITED = { updatedAt: -1, _id: -1 };
+const BY_COLLECTION_NAME = { nameKey: 1, _id: 1 };
+
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, 'public', 'assets', 'uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -63,6 +110,12 @@ const upload = multer({
     fileFilter: fileFilter
 });
 
+// Profile pictures arrive already cropped by the browser and are kept in memory while every size is made from them
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AVATAR_BYTES, files: 1 }
+});
+
 // Configuring session middleware
 app.use(expressSession({
     secret: 'secret-key-change-in-production',
@@ -78,9 +131,11 @@ app.use(`/${STUDENT_ID}`, express.static(path.join(__dirname, 'public'), {
     index: 'index.html'
 }));
 
-// Connect to MongoDB before starting server
-connectDB().then(() => {
+// Connect to MongoDB before starting server, then restore the timers of scheduled drafts
+connectDB().then(async () => {
     console.log('MongoDB connection established successfully');
+    const scheduledCount = await startDraftScheduler(getDB().collection('drafts'), publishScheduledDraft);
+    console.log(`Scheduled drafts pending: ${scheduledCount}`);
 }).catch((error) => {
     console.error('Failed to connect to MongoDB:', error);
     process.exit(1);
@@ -130,13 +185,540 @@ function isValidPhoneNumber(phone) {
     return phoneRegex.test(cleanPhone);
 }
 
+// Remove an uploaded file from public/assets/uploads given its public URL
+async function deleteUploadedFile(fileUrl) {
+    if (!fileUrl || !fileUrl.startsWith('/assets/uploads/')) {
+        return;
+    }
+    
+    // Only ever delete files directly inside the uploads directory
+    const filePath = path.join(uploadsDir, path.basename(fileUrl));
+    try {
+        await fs.promises.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error deleting uploaded file:', error);
+        }
+    }
+}
+
+// Read an uploaded file from public/assets/uploads given its public URL
+// Returns null when the post has no upload or the file is missing
+async function readUploadedFile(fileUrl) {
+    if (!fileUrl || !fileUrl.startsWith('/assets/uploads/')) {
+        return null;
+    }
+    
+    try {
+        return await fs.promises.readFile(path.join(uploadsDir, path.basename(fileUrl)));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return null;
+    }
+}
+
+// Build a revision snapshot for a post, reading the live post for its current revision
+async function getRevisionSnapshot(post, revisionNumber) {
+    const currentRevision = post.revision || 1;
+    
+    if (revisionNumber === currentRevision) {
+        return {
+            revision: currentRevision,
+            title: post.title,
+            description: post.description || '',
+            files: getPostFiles(post),
+            programmingLanguage: post.programmingLanguage,
+            createdAt: post.updatedAt || post.createdAt,
+            current: true
+        };
+    }
+    
+    const revisionsCollection = getDB().collection('revisions');
+    const revision = await revisionsCollection.findOne({ postId: post._id, revision: revisionNumber });
+    if (!revision) {
+        return null;
+    }
+    return {
+        revision: revision.revision,
+        title: revision.title,
+        description: revision.description || '',
+        files: getPostFiles(revision),
+        programmingLanguage: revision.programmingLanguage,
+        createdAt: revision.createdAt,
+        current: false
+    };
+}
+
+// Diff two lists of snippet files by name, returning one entry per changed file
+function diffSnippetFiles(fromFiles, toFiles) {
+    const names = [...new Set([...fromFiles, ...toFiles].map(file => file.name))];
+    
+    return names.map(name => {
+        const fromFile = fromFiles.find(file => file.name === name);
+        const toFile = toFiles.find(file => file.name === name);
+        const diff = createUnifiedDiff(fromFile ? fromFile.code : '', toFile ? toFile.code : '', {
+            oldLabel: fromFile ? `a/${name}` : '/dev/null',
+            newLabel: toFile ? `b/${name}` : '/dev/null'
+        });
+        
+        let status = 'modified';
+        if (!fromFile) {
+            status = 'added';
+        } else if (!toFile) {
+            status = 'removed';
+        } else if (!diff && fromFile.language === toFile.language) {
+            status = 'unchanged';
+        }
+        
+        return {
+            name: name,
+            status: status,
+            fromLanguage: fromFile ? fromFile.language : null,
+            toLanguage: toFile ? toFile.language : null,
+            diff: diff
+        };
+    }).filter(file => file.status !== 'unchanged');
+}
+
+// Hash a one-time token for storage (tokens are random, so SHA-256 is enough)
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Find when the latest of some rate limit keys stops being blocked
+// Returns null if none of them is blocked
+async function getRateLimitBlock(keys) {
+    const limits = await getDB().collection('rateLimits').find({
+        key: { $in: keys },
+        blockedUntil: { $gt: new Date() }
+    }).toArray();
+    if (limits.length === 0) {
+        return null;
+    }
+    return new Date(Math.max(...limits.map(limit => limit.blockedUntil.getTime())));
+}
+
+// Count an attempt against each rate limit key before doing the work they limit
+// Counting first means requests sent in parallel cannot all pass a check made before any of them was recorded
+// limits is a list of [key, rule]; stops at the first key that is blocked or over its limit
+// Returns the counters (to block or release once the outcome is known) and blockedUntil when the attempt is refused
+async function takeRateLimitAttempts(limits) {
+    const limitsCollection = getDB().collection('rateLimits');
+    const now = Date.now();
+    const counters = [];
+    
+    for (const [key, rule] of limits) {
+        // Count the attempt in the current window, or start a new window if it has ended, in one atomic update
+        // so two requests arriving as a window ends cannot both reset the count to 1
+        // A block that outlasts the old window is kept; MongoDB removes the counter once both are over
+        const inWindow = { $gt: ['$windowStart', new Date(now - rule.windowMs)] };
+        const limit = await limitsCollection.findOneAndUpdate(
+            { key: key },
+            [{
+                $set: {
+                    count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+                    windowStart: { $cond: [inWindow, '$windowStart', new Date(now)] },
+                    expiresAt: { $max: ['$expiresAt', new Date(now + rule.windowMs)] }
+                }
+            }],
+            { upsert: true, returnDocument: 'after' }
+        );
+        counters.push({ limit: limit, rule: rule });
+        
+        let blockedUntil = null;
+        if (limit.blockedUntil && limit.blockedUntil.getTime() > now) {
+            blockedUntil = limit.blockedUntil;
+        } else if (limit.count > rule.max) {
+            blockedUntil = new Date(limit.windowStart.getTime() + rule.windowMs);
+        }
+        if (blockedUntil) {
+            // A refused attempt does not count, so retrying while blocked does not make the block longer
+            await releaseRateLimitAttempts(counters);
+            return { counters: [], blockedUntil: blockedUntil };
+        }
+    }
+    return { counters: counters, blockedUntil: null };
+}
+
+// Block rate limit counters after a failed attempt, following each rule's delays and lockout
+async function blockAfterFailure(counters) {
+    const limitsCollection = getDB().collection('rateLimits');
+    for (const { limit, rule } of counters) {
+        const blockedUntil = getBlockedUntil(rule, limit.count, limit.windowStart);
+        if (blockedUntil) {
+            await limitsCollection.updateOne(
+                { _id: limit._id },
+                { $max: { blockedUntil: blockedUntil, expiresAt: blockedUntil } }
+            );
+        }
+    }
+}
+
+// Give back attempts that turned out not to be failures, such as a correct password
+async function releaseRateLimitAttempts(counters) {
+    const limitsCollection = getDB().collection('rateLimits');
+    for (const { limit } of counters) {
+        await limitsCollection.updateOne({ _id: limit._id, count: { $gt: 0 } }, { $inc: { count: -1 } });
+    }
+}
+
+// Send a 429 response with a Retry-After header
+function sendRateLimited(res, blockedUntil, attempts) {
+    const retryAfter = getRetryAfterSeconds(blockedUntil);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: `Too many ${attempts}. Please try again in ${describeWait(retryAfter)}.`,
+        retryAfter: retryAfter
+    });
+}
+
+// Take a login attempt for the IP address and the username, before the password or code is checked
+function takeLoginAttempt(req, username) {
+    return takeRateLimitAttempts([
+        [`login:ip:${req.ip}`, RATE_LIMITS.loginIp],
+        [`login:user:${username}`, RATE_LIMITS.loginAccount]
+    ]);
+}
+
+// Apply the delays and lockout for a failed login, and record it for the account owner
+// reason is 'password' or 'two_factor'; user is null when no account has the username
+async function recordFailedLogin(req, counters, user, reason) {
+    await blockAfterFailure(counters);
+    if (user) {
+        await getDB().collection('loginAttempts').insertOne({
+            userId: user._id,
+            ip: req.ip,
+            userAgent: req.get('user-agent') || '',
+            reason: reason,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + LOGIN_ATTEMPT_TTL)
+        });
+    }
+}
+
+// Check a second factor for a user with two-factor authentication turned on
+// Six-digit codes are checked as TOTP codes and anything else as a recovery code; either can only be used once
+// Returns 'totp' or 'recovery' when the code is accepted, otherwise null
+async function useSecondFactor(usersCollection, user, code) {
+    if (!code || typeof code !== 'string' || !user.twoFactor || !user.twoFactor.enabled) {
+        return null;
+    }
+    
+    if (isTotpCode(code)) {
+        const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+        const step = verifyTotp(user.twoFactor.secret, code, lastUsedStep);
+        if (step === null) {
+            return null;
+        }
+        // Record the step, unless another request used this code (or a newer one) first
+        const result = await usersCollection.updateOne(
+            { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }] },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1 ? 'totp' : null;
+    }
+    
+    // Recovery codes are removed as they are used
+    const codeHash = hashToken(normalizeRecoveryCode(code));
+    const result = await usersCollection.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+        { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+    );
+    return result.modifiedCount === 1 ? 'recovery' : null;
+}
+
+// End every session logged in as a user, except the one with keepSessionId
+// Used after a password change and when an account is deleted, so other devices are logged out
+function endUserSessions(store, userId, keepSessionId = null) {
+    return new Promise((resolve) => {
+        // Only stores that can list their sessions (like the default memory store) support this
+        if (typeof store.all !== 'function') {
+            return resolve();
+        }
+        store.all((err, sessions) => {
+            if (err || !sessions) {
+                return resolve();
+            }
+            const ids = Object.entries(sessions)
+                .filter(([sid, session]) => sid !== keepSessionId && session && session.userId === userId)
+                .map(([sid]) => sid);
+            // Live update streams of the ended sessions stop too
+            ids.forEach(sid => closeSessionStreams(sid));
+            Promise.all(ids.map(sid => new Promise(done => store.destroy(sid, () => done())))).then(() => resolve());
+        });
+    });
+}
+
+// Delete a post and everything attached to it: comments, likes, revisions, notifications and its upload
+// Removes it from collections and marks forks of it as having a deleted original
+// Returns { deletedComments, deletedLikes }
+async function deletePostAndRelated(db, post) {
+    const contentsCollection = db.collection('contents');
+    
+    await contentsCollection.deleteOne({ _id: post._id });
+    const commentsResult = await db.collection('comments').deleteMany({ postId: post._id });
+    const likesResult = await db.collection('likes').deleteMany({ postId: post._id });
+    await db.collection('revisions').deleteMany({ postId: post._id });
+    await db.collection('notifications').deleteMany({ postId: post._id });
+    await deleteUploadedFile(post.fileUrl);
+    
+    // Remove the post from every collection it was saved to
+    await db.collection('collections').updateMany(
+        { 'items.postId': post._id },
+        { $pull: { items: { postId: post._id } } }
+    );
+    
+    // Forks keep their frozen title and author, but no longer link to this post
+    await contentsCollection.updateMany(
+        { 'forkedFrom.postId': post._id },
+        { $set: { 'forkedFrom.deleted': true } }
+    );
+    if (post.forkedFrom && !post.forkedFrom.deleted) {
+        await contentsCollection.updateOne(
+            { _id: post.forkedFrom.postId, forkCount: { $gt: 0 } },
+            { $inc: { forkCount: -1 } }
+        );
+    }
+    
+    return { deletedComments: commentsResult.deletedCount, deletedLikes: likesResult.deletedCount };
+}
+
+// Record an in-app notification for a user, skipping their own actions
+// Repeating an action (e.g. like, remove like, like again) refreshes the existing notification
+async function createNotification(db, { recipient, type, actor, actorId, post = null, commentId = null }) {
+    if (!recipient || recipient === actor) {
+        return;
+    }
+    
+    // A failed notification should never fail the action that caused it
+    try {
+        await db.collection('notifications').updateOne(
+            { recipient, type, actor, postId: post ? post._id : null, commentId },
+            {
+                $set: {
+                    actorId: actorId,
+                    postTitle: post ? post.title : null,
+                    read: false,
+                    createdAt: new Date()
+                }
+            },
+            { upsert: true }
+        );
+        
+        // Update the bell straight away if the recipient is online
+        if (getConnectedUsers().has(recipient)) {
+            const unreadCount = await db.collection('notifications').countDocuments({ recipient, read: false });
+            publishToUsers([recipient], 'notification', { type, actor, unreadCount });
+        }
+    } catch (error) {
+        console.error('Error creating notification:', error);
+    }
+}
+
+// Push a new post to connected users who follow its author or one of its tags
+// Only public posts are pushed, since the others never appear in feeds
+async function publishNewPost(db, post) {
+    const connectedUsers = [...getConnectedUsers()];
+    if (connectedUsers.length === 0 || post.visibility !== 'public') {
+        return;
+    }
+    
+    try {
+        const authorFollowers = await db.collection('follows').distinct('follower', {
+            following: post.author,
+            follower: { $in: connectedUsers }
+        });
+        const tagFollowers = post.tags.length > 0
+            ? await db.collection('tagFollows').distinct('user', {
+                tag: { $in: post.tags },
+                user: { $in: connectedUsers }
+            })
+            : [];
+        const recipients = [...authorFollowers, ...tagFollowers].filter(username => username !== post.author);
+        publishToUsers(recipients, 'post', { post });
+    } catch (error) {
+        console.error('Error publishing new post:', error);
+    }
+}
+
+// Push a post's current like and dislike counts to everyone viewing it who can still see it
+async function publishLikeCounts(db, post) {
+    try {
+        const postId = post._id;
+        const likesCollection = db.collection('likes');
+        const likeCount = await likesCollection.countDocuments({ postId: postId, isLike: true });
+        const dislikeCount = await likesCollection.countDocuments({ postId: postId, isLike: false });
+        publishToPostViewers(post, 'likes', { postId, likeCount, dislikeCount });
+    } catch (error) {
+        console.error('Error publishing like counts:', error);
+    }
+}
+
+// Validate the visibility and share list sent for a post, checking that every shared user exists
+// Returns { visibility, sharedWith } or { error }; posts only keep a share list while private
+async function resolvePostVisibility(db, visibility, sharedWith, author) {
+    const visibilityResult = normalizePostVisibility(visibility);
+    if (visibilityResult.error) {
+        return visibilityResult;
+    }
+    if (visibilityResult.visibility !== 'private') {
+        return { visibility: visibilityResult.visibility, sharedWith: [] };
+    }
+    
+    const sharedResult = normalizeSharedWith(sharedWith !== undefined ? sharedWith : [], author);
+    if (sharedResult.error) {
+        return sharedResult;
+    }
+    const users = await db.collection('users')
+        .find({ username: { $in: sharedResult.sharedWith } })
+        .project({ username: 1 })
+        .toArray();
+    const found = new Set(users.map(user => user.username));
+    const missing = sharedResult.sharedWith.filter(username => !found.has(username));
+    if (missing.length > 0) {
+        return { error: `User not found: ${missing.join(', ')}.` };
+    }
+    return { visibility: 'private', sharedWith: sharedResult.sharedWith };
+}
+
+// Build the post a draft would publish as, running the same checks as POST /contents
+// Returns { post, detected } or { error }; drafts have no attachment
+async function buildPostFromDraft(db, draft) {
+    if (!draft.title || !draft.title.trim()) {
+        return { error: 'Add a title before publishing.' };
+    }
+    const filesResult = normalizeFiles(draft.files || []);
+    if (filesResult.error) {
+        return filesResult;
+    }
+    const visibilityResult = await resolvePostVisibility(db, draft.visibility || 'public', draft.sharedWith, draft.author);
+    if (visibilityResult.error) {
+        return visibilityResult;
+    }
+    
+    const post = {
+        // The post reuses the draft's _id, so publishing twice (e.g. after a crash) cannot create two posts
+        _id: draft._id,
+        title: draft.title,
+        description: draft.description || '',
+        files: filesResult.files,
+        programmingLanguage: filesResult.files[0].language,
+        renderedCode: renderPostCode(filesResult.files),
+        tags: draft.tags || [],
+        visibility: visibilityResult.visibility,
+        sharedWith: visibilityResult.sharedWith,
+        author: draft.author,
+        authorId: draft.authorId,
+        fileUrl: null,
+        fileName: null,
+        fileSize: null,
+        createdAt: new Date()
+    };
+    return { post, detected: filesResult.detected };
+}
+
+// Publish a draft as a post and remove the draft
+// Returns { post, detected } or { error } when the draft is not ready to publish
+async function publishDraft(db, draft) {
+    const built = await buildPostFromDraft(db, draft);
+    if (built.error) {
+        return built;
+    }
+    
+    let inserted = true;
+    try {
+        await db.collection('contents').insertOne(built.post);
+    } catch (error) {
+        // Duplicate key: this draft was already published, by the timer or a manual publish
+        if (error.code !== 11000) throw error;
+        inserted = false;
+    }
+    await db.collection('drafts').deleteOne({ _id: draft._id });
+    cancelDraftSchedule(draft._id);
+    // Only the call that inserted the post tells followers about it
+    if (inserted) {
+        await publishNewPost(db, built.post);
+    }
+    return built;
+}
+
+// Publish a scheduled draft when its timer fires, unless it was unscheduled or moved later in the meantime
+// A draft that fails the publish checks is kept, unscheduled, with the reason recorded
+async function publishScheduledDraft(draftId) {
+    const db = getDB();
+    const draft = await db.collection('drafts').findOne({
+        _id: new ObjectId(draftId),
+        publishAt: { $lte: new Date() }
+    });
+    if (!draft) {
+        return;
+    }
+    
+    const result = await publishDraft(db, draft);
+    if (result.error) {
+        await db.collection('drafts').updateOne(
+            { _id: draft._id },
+            { $set: { publishAt: null, publishError: result.error } }
+        );
+    }
+}
+
+// Find a draft the session user wrote, or the status and message to respond with
+// Other users' drafts are reported as missing
+async function findOwnDraft(db, id, username) {
+    if (!ObjectId.isValid(id)) {
+        return { status: 400, message: 'Invalid draft ID.' };
+    }
+    const draft = await db.collection('drafts').findOne({ _id: new ObjectId(id) });
+    if (!draft || draft.author !== username) {
+        return { status: 404, message: 'Draft not found.' };
+    }
+    return { draft };
+}
+
+// Find a comment on a post the session user can see, or the status and message to respond with
+// Comments on posts the user cannot see are reported as missing, so they do not reveal that the post exists
+async function findVisibleComment(db, commentId, username) {
+    const comment = await db.collection('comments').findOne({ _id: new ObjectId(commentId) });
+    if (!comment || comment.deleted) {
+        return { status: 404, message: 'Comment not found.' };
+    }
+    const post = await db.collection('contents').findOne(
+        { _id: comment.postId },
+        { projection: { author: 1, visibility: 1, sharedWith: 1 } }
+    );
+    if (!post || !canViewPost(post, username)) {
+        return { status: 404, message: 'Comment not found.' };
+    }
+    return { comment };
+}
+
+// Find a collection the session user owns, or the status and message to respond with
+async function findOwnCollection(db, id, username) {
+    if (!ObjectId.isValid(id)) {
+        return { status: 400, message: 'Invalid collection ID.' };
+    }
+    const collection = await db.collection('collections').findOne({ _id: new ObjectId(id) });
+    // Other users' private collections are reported as missing
+    if (!collection || !canViewCollection(collection, username)) {
+        return { status: 404, message: 'Collection not found.' };
+    }
+    if (collection.owner !== username) {
+        return { status: 403, message: 'You can only change your own collections.' };
+    }
+    return { collection };
+}
+
 // Post route for registering a new user
 app.post(`/${STUDENT_ID}/users`, async (req, res) => {
     try {
         const { username, email, phone, dob, password } = req.body;
         
-        // Validate required fields
-        if (!username || !email || !phone || !dob || !password) {
+        // Validate required fields, which must all be strings
+        if (![username, email, phone, dob, password].every(field => field && typeof field === 'string')) {
             return res.status(400).json({
                 success: false,
                 message: 'All fields (username, email, phone, dob, password) are required.'
@@ -184,6 +766,13 @@ app.post(`/${STUDENT_ID}/users`, async (req, res) => {
             });
         }
         
+        // Limit registrations per IP address, which also limits checking which usernames are taken
+        // Only well-formed requests count, so mistyped sign-ups do not lock anyone out
+        const { blockedUntil } = await takeRateLimitAttempts([[`register:ip:${req.ip}`, RATE_LIMITS.registerIp]]);
+        if (blockedUntil) {
+            return sendRateLimited(res, blockedUntil, 'registration attempts');
+        }
+        
         // Get database instance and collections
         const db = getDB();
         const usersCollection = db.collection('users');
@@ -213,7 +802,6 @@ app.post(`/${STUDENT_ID}/users`, async (req, res) => {
             phone: phone,
             dob: dob,
             password: hashedPassword,
-            plainPassword: password,
             createdAt: new Date()
         };
         
@@ -237,29 +825,47 @@ app.post(`/${STUDENT_ID}/users`, async (req, res) => {
     }
 });
 
-// Get route for searching for users
+// Get route for searching for users (cursor paginated, alphabetical)
 app.get(`/${STUDENT_ID}/users`, async (req, res) => {
     try {
         const searchQuery = req.query.q || '';
         
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, BY_USERNAME);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+        
         // Get database instance
         const db = getDB();
         const usersCollection = db.collection('users');
         
         // Search for users matching query (case-insensitive)
-        // Only return username and email, exclude password
-        const users = await usersCollection.find({
+        // Only return the public summary of each user, never the password
+        const userDocs = await usersCollection.find(applyCursor({
             username: { $regex: searchQuery, $options: 'i' }
-        }).project({
+        }, BY_USERNAME, pageParams.after)).project({
             username: 1,
             email: 1,
+            displayName: 1,
+            profileImage: 1,
+            privacy: 1,
             _id: 1
-        }).toArray();
+        }).sort(BY_USERNAME)
+          .limit(pageParams.limit + 1)
+          .toArray();
+        const { items: userPage, nextCursor } = buildPage(userDocs, BY_USERNAME, pageParams.limit);
+        const users = userPage.map(user => presentUserSummary(user, req.session.username));
         
         res.json({
             success: true,
             message: 'User search completed successfully.',
             searchQuery: searchQuery,
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
             count: users.length,
             users: users
         });
@@ -277,12 +883,15 @@ app.get(`/${STUDENT_ID}/users`, async (req, res) => {
 app.get(`/${STUDENT_ID}/login`, (req, res) => {
     const loggedIn = req.session.userId ? true : false;
     const username = req.session.username || null;
+    const pendingLogin = req.session.twoFactorLogin;
     
     res.json({
         success: true,
         loggedIn: loggedIn,
         username: username,
-        userId: req.session.userId || null
+        userId: req.session.userId || null,
+        // The password was accepted and the login is waiting for a two-factor code
+        twoFactorPending: Boolean(pendingLogin && pendingLogin.expiresAt > Date.now())
     });
 });
 
@@ -291,14 +900,20 @@ app.post(`/${STUDENT_ID}/login`, async (req, res) => {
     try {
         const { username, password } = req.body;
         
-        // Validate required fields
-        if (!username || !password) {
+        // Validate required fields; only strings, so the username cannot be a query operator or share a limit key
+        if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
             return res.status(400).json({
                 success: false,
                 message: 'Username and password are required.'
             });
         }
         
+        // Count the attempt before checking the password, and refuse while the IP address or username is blocked
+        const loginAttempt = await takeLoginAttempt(req, username);
+        if (loginAttempt.blockedUntil) {
+            return sendRateLimited(res, loginAttempt.blockedUntil, 'failed login attempts');
+        }
+        
         // Get database instance
         const db = getDB();
         const usersCollection = db.collection('users');
@@ -309,6 +924,7 @@ app.post(`/${STUDENT_ID}/login`, async (req, res) => {
         });
         
         if (!user) {
+            await recordFailedLogin(req, loginAttempt.counters, null, 'password');
             return res.status(401).json({
                 success: false,
                 message: 'Invalid username or password.'
@@ -319,15 +935,34 @@ app.post(`/${STUDENT_ID}/login`, async (req, res) => {
         const isPasswordValid = await bcrypt.compare(password, user.password);
         
         if (!isPasswordValid) {
+            await recordFailedLogin(req, loginAttempt.counters, user, 'password');
             return res.status(401).json({
                 success: false,
                 message: 'Invalid username or password.'
             });
         }
         
-        // Store user information in session
+        // A correct password is not a failure
+        await releaseRateLimitAttempts(loginAttempt.counters);
+        
+        // With two-factor authentication on, the password only unlocks the code step at POST /login/2fa
+        if (user.twoFactor && user.twoFactor.enabled) {
+            req.session.twoFactorLogin = {
+                userId: user._id.toString(),
+                expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL,
+                attempts: 0
+            };
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                message: 'Enter the code from your authenticator app, or one of your recovery codes.'
+            });
+        }
+        
+        // Store user information in session, and forget earlier failures for the account
         req.session.userId = user._id.toString();
         req.session.username = user.username;
+        await db.collection('rateLimits').deleteOne({ key: `login:user:${user.username}` });
         
         res.json({
             success: true,
@@ -345,9 +980,101 @@ app.post(`/${STUDENT_ID}/login`, async (req, res) => {
     }
 });
 
+// Post route for the second step of a two-factor login
+// Takes a TOTP code from an authenticator app or a single-use recovery code
+app.post(`/${STUDENT_ID}/login/2fa`, async (req, res) => {
+    try {
+        const pendingLogin = req.session.twoFactorLogin;
+        
+        // The password step has to come first, and recently
+        if (!pendingLogin || pendingLogin.expiresAt <= Date.now()) {
+            delete req.session.twoFactorLogin;
+            return res.status(401).json({
+                success: false,
+                restartLogin: true,
+                message: 'Your login has expired. Please enter your username and password again.'
+            });
+        }
+        
+        const { code } = req.body;
+        if (!code || typeof code !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication code is required.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const usersCollection = db.collection('users');
+        const user = await usersCollection.findOne({ _id: new ObjectId(pendingLogin.userId) });
+        
+        if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+            delete req.session.twoFactorLogin;
+            return res.status(401).json({
+                success: false,
+                restartLogin: true,
+                message: 'Your login has expired. Please enter your username and password again.'
+            });
+        }
+        
+        // Wrong codes count towards the same limits as wrong passwords
+        const loginAttempt = await takeLoginAttempt(req, user.username);
+        if (loginAttempt.blockedUntil) {
+            return sendRateLimited(res, loginAttempt.blockedUntil, 'failed login attempts');
+        }
+        
+        const method = await useSecondFactor(usersCollection, user, code.trim());
+        if (!method) {
+            await recordFailedLogin(req, loginAttempt.counters, user, 'two_factor');
+            
+            // Too many wrong codes sends the user back to the password step
+            pendingLogin.attempts++;
+            if (pendingLogin.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+                delete req.session.twoFactorLogin;
+                return res.status(401).json({
+                    success: false,
+                    restartLogin: true,
+                    message: 'Too many incorrect codes. Please enter your username and password again.'
+                });
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code.'
+            });
+        }
+        
+        // Store user information in session, and forget earlier failures for the account
+        delete req.session.twoFactorLogin;
+        req.session.userId = user._id.toString();
+        req.session.username = user.username;
+        await releaseRateLimitAttempts(loginAttempt.counters);
+        await db.collection('rateLimits').deleteOne({ key: `login:user:${user.username}` });
+        
+        const response = {
+            success: true,
+            message: 'Login successful.',
+            username: user.username,
+            userId: user._id.toString()
+        };
+        if (method === 'recovery') {
+            response.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length - 1;
+        }
+        res.json(response);
+        
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during login.'
+        });
+    }
+});
+
 // Delete route for logging out a user
 app.delete(`/${STUDENT_ID}/login`, (req, res) => {
-    // Destroy session
+    // Close this session's live update streams, then destroy the session
+    closeSessionStreams(req.sessionID);
     req.session.destroy((err) => {
         if (err) {
             return res.status(500).json({
@@ -363,13 +1090,13 @@ app.delete(`/${STUDENT_ID}/login`, (req, res) => {
     });
 });
 
-// Post route for account recovery (password recovery only)
+// Post route for requesting a password reset token
 app.post(`/${STUDENT_ID}/recover`, async (req, res) => {
     try {
         const { email, username } = req.body;
         
-        // Validate required fields
-        if (!email || !username) {
+        // Validate required fields; anything but strings could be read as a query operator
+        if (!email || !username || typeof email !== 'string' || typeof username !== 'string') {
             return res.status(400).json({
                 success: false,
                 message: 'Email and username are required for account recovery.'
@@ -384,38 +1111,61 @@ app.post(`/${STUDENT_ID}/recover`, async (req, res) => {
             });
         }
         
+        // Limit reset emails per IP address and per username, whether or not the account exists
+        // Only well-formed requests count, so typos do not use up a user's allowance
+        const { blockedUntil } = await takeRateLimitAttempts([
+            [`recover:ip:${req.ip}`, RATE_LIMITS.recoverIp],
+            [`recover:user:${username}`, RATE_LIMITS.recoverAccount]
+        ]);
+        if (blockedUntil) {
+            return sendRateLimited(res, blockedUntil, 'password reset requests');
+        }
+        
         // Get database instance
         const db = getDB();
         const usersCollection = db.collection('users');
+        const resetsCollection = db.collection('passwordResets');
+        
+        // Same response whether or not the account exists, so emails cannot be enumerated
+        const genericResponse = {
+            success: true,
+            message: 'If an account matches those details, a password reset link has been sent to its email address.'
+        };
         
-        // Find user by email
-        const user = await usersCollection.findOne({ email: email });
+        // Find user by email and username
+        const user = await usersCollection.findOne({ email: email, username: username });
         
         if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'No account found with this email address.'
-            });
+            return res.json(genericResponse);
         }
         
-        // Verify username matches the email
-        if (user.username !== username) {
-            return res.status(401).json({
-                success: false,
-                message: 'Username does not match the email address.'
-            });
-        }
+        // Generate a random one-time token and store only its hash
+        const token = crypto.randomBytes(32).toString('hex');
         
-        // Account verified - return password
-        res.json({
-            success: true,
-            message: 'Account verified. Password recovery successful.',
-            recovered: true,
-            username: user.username,
-            email: user.email,
-            password: user.plainPassword || 'Password not available'
+        // Invalidate any earlier tokens for this user
+        await resetsCollection.deleteMany({ userId: user._id });
+        await resetsCollection.insertOne({
+            userId: user._id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + RESET_TOKEN_TTL),
+            createdAt: new Date()
+        });
+        
+        // Send reset link through the mail transport
+        const resetUrl = `${PUBLIC_BASE_URL}/${STUDENT_ID}/?token=${token}`;
+        await sendMail({
+            to: user.email,
+            subject: 'CodeLogs password reset',
+            text: `Hi ${user.username},\n\n` +
+                `Someone requested a password reset for your CodeLogs account.\n` +
+                `Open the link below to choose a new password. It expires in 30 minutes and can only be used once.\n\n` +
+                `${resetUrl}\n\n` +
+                `Reset token: ${token}\n\n` +
+                `If you did not request this, you can ignore this email.`
         });
         
+        res.json(genericResponse);
+        
     } catch (error) {
         console.error('Account recovery error:', error);
         res.status(500).json({
@@ -425,24 +1175,116 @@ app.post(`/${STUDENT_ID}/recover`, async (req, res) => {
     }
 });
 
-// Post route for creating new content
-app.post(`/${STUDENT_ID}/contents`, upload.single('file'), async (req, res) => {
+// Post route for resetting a password with a reset token
+app.post(`/${STUDENT_ID}/recover/reset`, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        // Validate required fields
+        if (!token || !password || typeof token !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset token and new password are required.'
+            });
+        }
+        
+        // Validate password length (minimum 6 characters)
+        if (password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters long.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const usersCollection = db.collection('users');
+        const resetsCollection = db.collection('passwordResets');
+        
+        // Consume the token so it can only be used once
+        const reset = await resetsCollection.findOneAndDelete({
+            tokenHash: hashToken(token),
+            expiresAt: { $gt: new Date() }
+        });
+        
+        if (!reset) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reset link is invalid or has expired. Please request a new one.'
+            });
+        }
+        
+        // Hash and store the new password
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await usersCollection.updateOne(
+            { _id: reset.userId },
+            {
+                $set: { password: hashedPassword, passwordChangedAt: new Date() },
+                $unset: { plainPassword: '' }
+            }
+        );
+        
+        // Log out every session of the account, including one belonging to whoever may have taken it over
+        await endUserSessions(req.sessionStore, reset.userId.toString());
+        
+        res.json({
+            success: true,
+            message: 'Password reset successful. You can now log in with your new password.'
+        });
+        
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during password reset.'
+        });
+    }
+});
+
+// Post route for creating new content
+app.post(`/${STUDENT_ID}/contents`, upload.single('file'), async (req, res) => {
+    // Remove the uploaded file when the post is rejected
+    const discardUpload = () => deleteUploadedFile(req.file ? `/assets/uploads/${req.file.filename}` : null);
+    
     try {
         // Check if user is logged in
         if (!req.session.userId) {
+            await discardUpload();
             return res.status(401).json({
                 success: false,
                 message: 'Please login to create content.'
             });
         }
         
-        const { title, description, code, programmingLanguage } = req.body;
+        const { title, description, code, programmingLanguage, files, tags, visibility, sharedWith, draftId } = req.body;
         
         // Validate required fields
-        if (!title || !code || !programmingLanguage) {
+        if (!title || (files === undefined && !code)) {
+            await discardUpload();
+            return res.status(400).json({
+                success: false,
+                message: 'Title and at least one file (or code) are required fields.'
+            });
+        }
+        
+        // Accept an ordered list of files, or a single code string from older clients
+        // Files sent without a language have it guessed from their name and code
+        const filesResult = normalizeFiles(files !== undefined ? files : [{ language: programmingLanguage, code: code }]);
+        if (filesResult.error) {
+            await discardUpload();
+            return res.status(400).json({
+                success: false,
+                message: filesResult.error
+            });
+        }
+        
+        // Tags are optional
+        const tagsResult = normalizeTags(tags !== undefined ? tags : []);
+        if (tagsResult.error) {
+            await discardUpload();
             return res.status(400).json({
                 success: false,
-                message: 'Title, code, and programmingLanguage are required fields.'
+                message: tagsResult.error
             });
         }
         
@@ -450,6 +1292,16 @@ app.post(`/${STUDENT_ID}/contents`, upload.single('file'), async (req, res) => {
         const db = getDB();
         const contentsCollection = db.collection('contents');
         
+        // Posts are public unless the author picks unlisted or private
+        const visibilityResult = await resolvePostVisibility(db, visibility || 'public', sharedWith, req.session.username);
+        if (visibilityResult.error) {
+            await discardUpload();
+            return res.status(400).json({
+                success: false,
+                message: visibilityResult.error
+            });
+        }
+        
         // Build file URL if file was uploaded
         let fileUrl = null;
         let fileName = null;
@@ -466,8 +1318,14 @@ app.post(`/${STUDENT_ID}/contents`, upload.single('file'), async (req, res) => {
         const newContent = {
             title: title,
             description: description || '',
-            code: code,
-            programmingLanguage: programmingLanguage,
+            files: filesResult.files,
+            // Language of the first file, used for filtering
+            programmingLanguage: filesResult.files[0].language,
+            // Highlighted, line-numbered HTML for each file
+            renderedCode: renderPostCode(filesResult.files),
+            tags: tagsResult.tags,
+            visibility: visibilityResult.visibility,
+            sharedWith: visibilityResult.sharedWith,
             author: req.session.username,
             authorId: new ObjectId(req.session.userId),
             fileUrl: fileUrl,
@@ -478,6 +1336,13 @@ app.post(`/${STUDENT_ID}/contents`, upload.single('file'), async (req, res) => {
         
         // Insert content into database
         const result = await contentsCollection.insertOne(newContent);
+        await publishNewPost(db, { _id: result.insertedId, ...newContent });
+        
+        // Remove the draft this post was written from, along with any schedule it had
+        if (typeof draftId === 'string' && ObjectId.isValid(draftId)) {
+            await db.collection('drafts').deleteOne({ _id: new ObjectId(draftId), author: req.session.username });
+            cancelDraftSchedule(draftId);
+        }
         
         res.status(201).json({
             success: true,
@@ -485,8 +1350,10 @@ app.post(`/${STUDENT_ID}/contents`, upload.single('file'), async (req, res) => {
             contentId: result.insertedId,
             title: title,
             author: req.session.username,
+            visibility: newContent.visibility,
             fileUploaded: !!fileUrl,
-            fileUrl: fileUrl
+            fileUrl: fileUrl,
+            detectedLanguages: filesResult.detected
         });
         
     } catch (error) {
@@ -498,27 +1365,81 @@ app.post(`/${STUDENT_ID}/contents`, upload.single('file'), async (req, res) => {
     }
 });
 
-// Get route for searching for contents
+// Post route for guessing the language of a file on the create and edit forms
+// Uses the file name's extension and the code, and returns a confidence between 0 and 1
+app.post(`/${STUDENT_ID}/contents/detect-language`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to detect languages.'
+            });
+        }
+        
+        const { code, fileName } = req.body;
+        
+        if (typeof code !== 'string' || !code.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Code is required.'
+            });
+        }
+        
+        const guess = detectLanguage(code, typeof fileName === 'string' ? fileName : '');
+        
+        res.json({
+            success: true,
+            language: guess.language,
+            confidence: guess.confidence,
+            // Whether the guess is strong enough to be used for a file without a language
+            confident: guess.confidence >= MIN_DETECTION_CONFIDENCE
+        });
+        
+    } catch (error) {
+        console.error('Detect language error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while detecting language.'
+        });
+    }
+});
+
+// Get route for searching for contents (cursor paginated)
+// Uses the text index on title, description and code, ranked by relevance
+// Supports $text syntax: "exact phrase" and -excluded words
 app.get(`/${STUDENT_ID}/contents`, async (req, res) => {
     try {
         const searchQuery = (req.query.q || '').trim();
         const languageFilter = (req.query.language || '').trim();
+        const sort = searchQuery ? BY_RELEVANCE : NEWEST_FIRST;
+
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, sort);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
 
         // Get database instance
         const db = getDB();
         const contentsCollection = db.collection('contents');
 
-        // Build query parts
-        const queryParts = [];
+        // Build query parts, starting with the posts this user may see listed
+        const queryParts = [listedPostsFilter(req.session.username)];
 
         if (searchQuery) {
-            queryParts.push({
-                $or: [
-                    { title: { $regex: searchQuery, $options: 'i' } },
-                    { description: { $regex: searchQuery, $options: 'i' } },
-                    { programmingLanguage: { $regex: searchQuery, $options: 'i' } }
-                ]
-            });
+            // $text needs at least one word or phrase to match, not only exclusions
+            const parsedQuery = parseSearchQuery(searchQuery);
+            if (parsedQuery.terms.length === 0 && parsedQuery.phrases.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Search must include at least one word or phrase to match.'
+                });
+            }
+            queryParts.push({ $text: { $search: searchQuery } });
         }
 
         if (languageFilter) {
@@ -527,18 +1448,43 @@ app.get(`/${STUDENT_ID}/contents`, async (req, res) => {
             queryParts.push({ programmingLanguage: { $regex: `^${escapedLanguage}$`, $options: 'i' } });
         }
 
-        const mongoQuery = queryParts.length > 0 ? { $and: queryParts } : {};
+        const mongoQuery = { $and: queryParts };
 
-        // Search for contents matching filters
-        const contents = await contentsCollection.find(mongoQuery)
-            .sort({ createdAt: -1 })
-            .toArray();
+        // Rank by text score when searching, newest first otherwise
+        // The score is added as a field first so the cursor can filter on it
+        let contentDocs;
+        if (searchQuery) {
+            contentDocs = await contentsCollection.aggregate([
+                { $match: mongoQuery },
+                { $addFields: { score: { $meta: 'textScore' } } },
+                { $match: applyCursor({}, sort, pageParams.after) },
+                { $sort: sort },
+                { $limit: pageParams.limit + 1 }
+            ]).toArray();
+        } else {
+            contentDocs = await contentsCollection.find(applyCursor(mongoQuery, sort, pageParams.after))
+                .sort(sort)
+                .limit(pageParams.limit + 1)
+                .toArray();
+        }
+        const page = buildPage(contentDocs, sort, pageParams.limit);
+        let contents = page.items;
+
+        // Add a highlighted excerpt showing where each post matched
+        if (searchQuery) {
+            contents = contents.map(content => ({
+                ...content,
+                highlight: buildHighlight({ ...content, files: getPostFiles(content) }, searchQuery)
+            }));
+        }
 
         res.json({
             success: true,
             message: 'Content search completed successfully.',
             searchQuery: searchQuery,
             language: languageFilter,
+            limit: pageParams.limit,
+            nextCursor: page.nextCursor,
             count: contents.length,
             contents: contents
         });
@@ -552,844 +1498,4405 @@ app.get(`/${STUDENT_ID}/contents`, async (req, res) => {
     }
 });
 
-// Post route for following another user
-app.post(`/${STUDENT_ID}/follow`, async (req, res) => {
+// Get route for a single post, used by the post permalink page
+// Adds the author's profile details, like and dislike counts, the session user's vote and the comment count
+app.get(`/${STUDENT_ID}/contents/:id`, async (req, res) => {
     try {
-        // Check if user is logged in
-        if (!req.session.userId) {
-            return res.status(401).json({
-                success: false,
-                message: 'Please login to follow users.'
-            });
-        }
-        
-        const { username } = req.body;
-        
-        // Validate required fields
-        if (!username) {
-            return res.status(400).json({
-                success: false,
-                message: 'Username is required.'
-            });
-        }
+        const { id } = req.params;
         
-        // Prevent users from following themselves
-        if (username === req.session.username) {
+        // Validate post ID
+        if (!ObjectId.isValid(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'You cannot follow yourself.'
+                message: 'Invalid post ID.'
             });
         }
         
         // Get database instance
         const db = getDB();
-        const followsCollection = db.collection('follows');
-        const usersCollection = db.collection('users');
-        
-        // Check if target user exists
-        const targetUser = await usersCollection.findOne({ username: username });
         
-        if (!targetUser) {
+        // Find post; unlisted posts open from their link, private ones only for those allowed
+        const post = await db.collection('contents').findOne({ _id: new ObjectId(id) });
+        if (!post || !canViewPost(post, req.session.username)) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found.'
+                message: 'Post not found.'
             });
         }
         
-        // Check if already following
-        const existingFollow = await followsCollection.findOne({
-            follower: req.session.username,
-            following: username
-        });
+        // Author details (null if the account no longer exists)
+        const author = await db.collection('users').findOne(
+            { username: post.author },
+            { projection: { username: 1, profileImage: 1, createdAt: 1 } }
+        );
         
-        if (existingFollow) {
-            return res.status(400).json({
-                success: false,
-                message: `You are already following ${username}.`
-            });
+        // Like counts and the session user's vote
+        const likesCollection = db.collection('likes');
+        const likeCount = await likesCollection.countDocuments({ postId: post._id, isLike: true });
+        const dislikeCount = await likesCollection.countDocuments({ postId: post._id, isLike: false });
+        let userVote = null;
+        if (req.session.username) {
+            const vote = await likesCollection.findOne({ postId: post._id, user: req.session.username });
+            if (vote) {
+                userVote = vote.isLike ? 'like' : 'dislike';
+            }
         }
         
-        // Create follow relationship
-        await followsCollection.insertOne({
-            follower: req.session.username,
-            followerId: new ObjectId(req.session.userId),
-            following: username,
-            followingId: targetUser._id,
-            createdAt: new Date()
+        // Comment count, not counting deleted comments
+        const commentCount = await db.collection('comments').countDocuments({
+            postId: post._id,
+            deleted: { $ne: true }
         });
         
         res.json({
             success: true,
-            message: `You are now following ${username}.`,
-            following: username
+            content: {
+                ...post,
+                authorProfile: author ? {
+                    username: author.username,
+                    profileImage: author.profileImage || null,
+                    createdAt: author.createdAt
+                } : null,
+                likeCount: likeCount,
+                dislikeCount: dislikeCount,
+                userVote: userVote,
+                commentCount: commentCount
+            }
         });
         
     } catch (error) {
-        console.error('Follow error:', error);
+        console.error('Get content error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error during follow operation.'
+            message: 'Internal server error while retrieving post.'
         });
     }
 });
 
-// Delete route for unfollowing another user
-app.delete(`/${STUDENT_ID}/follow`, async (req, res) => {
+// Put/Patch route for editing a post (author only)
+app.route(`/${STUDENT_ID}/contents/:id`)
+    .put(upload.single('file'), updateContent)
+    .patch(upload.single('file'), updateContent);
+
+// Handler shared by PUT and PATCH /contents/:id
+async function updateContent(req, res) {
+    // Remove a newly uploaded file when the edit is rejected
+    const discardUpload = () => deleteUploadedFile(req.file ? `/assets/uploads/${req.file.filename}` : null);
+    
     try {
         // Check if user is logged in
         if (!req.session.userId) {
+            await discardUpload();
             return res.status(401).json({
                 success: false,
-                message: 'Please login to unfollow users.'
+                message: 'Please login to edit posts.'
             });
         }
         
-        const { username } = req.body;
+        const { id } = req.params;
         
-        // Validate required fields
-        if (!username) {
+        // Validate post ID
+        if (!ObjectId.isValid(id)) {
+            await discardUpload();
             return res.status(400).json({
                 success: false,
-                message: 'Username is required.'
+                message: 'Invalid post ID.'
             });
         }
         
         // Get database instance
         const db = getDB();
-        const followsCollection = db.collection('follows');
+        const contentsCollection = db.collection('contents');
         
-        // Remove follow relationship
-        const result = await followsCollection.deleteOne({
-            follower: req.session.username,
-            following: username
-        });
+        // Find post
+        const post = await contentsCollection.findOne({ _id: new ObjectId(id) });
+        if (!post || !canViewPost(post, req.session.username)) {
+            await discardUpload();
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
+            });
+        }
         
-        if (result.deletedCount === 0) {
+        // Check if user is post author
+        if (post.author !== req.session.username) {
+            await discardUpload();
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own posts.'
+            });
+        }
+        
+        const { title, description, code, programmingLanguage, files, tags, visibility, sharedWith, removeFile } = req.body;
+        
+        // PUT replaces the editable fields, so the required ones must be present
+        if (req.method === 'PUT' && (!title || (files === undefined && (!code || !programmingLanguage)))) {
+            await discardUpload();
+            return res.status(400).json({
+                success: false,
+                message: 'Title and at least one file (or code and programmingLanguage) are required fields.'
+            });
+        }
+        
+        // Build update from provided fields, rejecting a blank title
+        const updates = {};
+        if (title !== undefined) {
+            if (typeof title !== 'string' || title.trim().length === 0) {
+                await discardUpload();
+                return res.status(400).json({
+                    success: false,
+                    message: 'title cannot be empty.'
+                });
+            }
+            updates.title = title;
+        }
+        if (description !== undefined) {
+            updates.description = description || '';
+        }
+        
+        // Replace the file list, or apply code/programmingLanguage from older clients to the first file
+        let filesResult = null;
+        if (files !== undefined) {
+            filesResult = normalizeFiles(files);
+        } else if (code !== undefined || programmingLanguage !== undefined) {
+            const currentFiles = getPostFiles(post);
+            const firstFile = currentFiles[0] || {};
+            filesResult = normalizeFiles([
+                {
+                    ...firstFile,
+                    code: code !== undefined ? code : firstFile.code,
+                    language: programmingLanguage !== undefined ? programmingLanguage : firstFile.language
+                },
+                ...currentFiles.slice(1)
+            ]);
+        }
+        if (filesResult && filesResult.error) {
+            await discardUpload();
+            return res.status(400).json({
+                success: false,
+                message: filesResult.error
+            });
+        }
+        if (filesResult) {
+            updates.files = filesResult.files;
+            updates.programmingLanguage = filesResult.files[0].language;
+        }
+        
+        // Tags are not part of revision history, they only classify the post
+        if (tags !== undefined) {
+            const tagsResult = normalizeTags(tags);
+            if (tagsResult.error) {
+                await discardUpload();
+                return res.status(400).json({
+                    success: false,
+                    message: tagsResult.error
+                });
+            }
+            updates.tags = tagsResult.tags;
+        }
+        
+        // Visibility is not part of revision history either
+        // Sending only sharedWith changes who a private post is shared with
+        if (visibility !== undefined || sharedWith !== undefined) {
+            const visibilityResult = await resolvePostVisibility(
+                db,
+                visibility !== undefined ? visibility : (post.visibility || 'public'),
+                sharedWith !== undefined ? sharedWith : post.sharedWith,
+                post.author
+            );
+            if (visibilityResult.error) {
+                await discardUpload();
+                return res.status(400).json({
+                    success: false,
+                    message: visibilityResult.error
+                });
+            }
+            updates.visibility = visibilityResult.visibility;
+            updates.sharedWith = visibilityResult.sharedWith;
+        }
+        
+        // Replace or remove the attached file
+        const shouldRemoveFile = removeFile === true || removeFile === 'true';
+        if (req.file) {
+            updates.fileUrl = `/assets/uploads/${req.file.filename}`;
+            updates.fileName = req.file.originalname;
+            updates.fileSize = req.file.size;
+        } else if (shouldRemoveFile) {
+            updates.fileUrl = null;
+            updates.fileName = null;
+            updates.fileSize = null;
+        }
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No changes provided.'
+            });
+        }
+        
+        updates.updatedAt = new Date();
+        
+        // Keep the earlier title, description and files whenever any of them change
+        const currentFiles = getPostFiles(post);
+        const contentChanged = (updates.title !== undefined && updates.title !== post.title) ||
+            (updates.description !== undefined && updates.description !== (post.description || '')) ||
+            (updates.files !== undefined && JSON.stringify(updates.files) !== JSON.stringify(currentFiles));
+        if (contentChanged && post.revision === undefined) {
+            // Posts that were never edited have no revision counter yet and are revision 1
+            await contentsCollection.updateOne(
+                { _id: post._id, revision: { $exists: false } },
+                { $set: { revision: 1 } }
+            );
+        }
+        
+        // Move line comments along with their code, or flag them when their lines changed
+        if (updates.files !== undefined && JSON.stringify(updates.files) !== JSON.stringify(currentFiles)) {
+            const commentsCollection = db.collection('comments');
+            const lineComments = await commentsCollection.find({
+                postId: post._id,
+                anchor: { $ne: null },
+                'anchor.outdated': { $ne: true }
+            }).toArray();
+            
+            const anchorUpdates = [];
+            lineComments.forEach(comment => {
+                const anchor = remapAnchor(comment.anchor, currentFiles, updates.files);
+                if (anchor === comment.anchor) return;
+                
+                const changes = { anchor: anchor };
+                if (anchor.outdated) {
+                    changes.outdatedAt = updates.updatedAt;
+                }
+                anchorUpdates.push({
+                    updateOne: { filter: { _id: comment._id }, update: { $set: changes } }
+                });
+            });
+            if (anchorUpdates.length > 0) {
+                await commentsCollection.bulkWrite(anchorUpdates);
+            }
+        }
+        
+        // Rebuild the cached highlighted HTML from the new files
+        if (updates.files !== undefined) {
+            updates.renderedCode = renderPostCode(updates.files);
+        }
+        
+        // Update post, dropping the single code field from posts created before multi-file snippets
+        const updateOperation = { $set: updates };
+        if (updates.files && post.code !== undefined) {
+            updateOperation.$unset = { code: '' };
+        }
+        // The revision number is taken with $inc in the same write, so concurrent edits never get the same one
+        if (contentChanged) {
+            updateOperation.$inc = { revision: 1 };
+        }
+        const previousPost = await contentsCollection.findOneAndUpdate(
+            { _id: post._id },
+            updateOperation,
+            { returnDocument: 'before' }
+        );
+        
+        if (!previousPost) {
+            await discardUpload();
             return res.status(404).json({
                 success: false,
-                message: `You are not following ${username}.`
+                message: 'Post not found.'
+            });
+        }
+        
+        // Archive the version this edit replaced, under the revision number it had
+        if (contentChanged) {
+            await db.collection('revisions').insertOne({
+                postId: previousPost._id,
+                revision: previousPost.revision,
+                title: previousPost.title,
+                description: previousPost.description || '',
+                files: getPostFiles(previousPost),
+                programmingLanguage: previousPost.programmingLanguage,
+                author: previousPost.author,
+                createdAt: previousPost.updatedAt || previousPost.createdAt,
+                archivedAt: new Date()
             });
         }
+        const updatedPost = await contentsCollection.findOne({ _id: post._id });
+        
+        // Delete the superseded file once the post no longer references it
+        if ((req.file || shouldRemoveFile) && post.fileUrl) {
+            await deleteUploadedFile(post.fileUrl);
+        }
         
         res.json({
             success: true,
-            message: `You have unfollowed ${username}.`,
-            unfollowed: username
+            message: 'Post updated successfully.',
+            content: updatedPost,
+            detectedLanguages: filesResult ? filesResult.detected : []
         });
         
     } catch (error) {
-        console.error('Unfollow error:', error);
+        console.error('Update content error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error during unfollow operation.'
+            message: 'Internal server error while updating post.'
         });
     }
-});
-
+}
 
-// Get route for feed with pagination
-app.get(`/${STUDENT_ID}/feed`, async (req, res) => {
+// Delete route for removing a post with its comments, likes and attached file (author only)
+app.delete(`/${STUDENT_ID}/contents/:id`, async (req, res) => {
     try {
         // Check if user is logged in
         if (!req.session.userId) {
             return res.status(401).json({
                 success: false,
-                message: 'Please login to view your feed.'
+                message: 'Please login to delete posts.'
             });
         }
         
-        const page = parseInt(req.query.page) || 1; // Default to page 1
-        const limit = parseInt(req.query.limit) || 20; // Default to 20 items per page
-        const skip = (page - 1) * limit;
+        const { id } = req.params;
+        
+        // Validate post ID
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
         
         // Get database instance
         const db = getDB();
-        const followsCollection = db.collection('follows');
         const contentsCollection = db.collection('contents');
         
-        // Get list of users the current user is following
-        const followingList = await followsCollection.find({
-            follower: req.session.username
-        }).toArray();
-        
-        // Extract usernames of followed users
-        const followedUsernames = followingList.map(follow => follow.following);
-        
-        // If not following anyone, return empty feed
-        if (followedUsernames.length === 0) {
-            return res.json({
-                success: true,
-                message: 'Your feed is empty. Follow users to see their posts.',
-                page: page,
-                limit: limit,
-                totalCount: 0,
-                totalPages: 0,
-                count: 0,
-                contents: []
+        // Find post
+        const post = await contentsCollection.findOne({ _id: new ObjectId(id) });
+        if (!post || !canViewPost(post, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
             });
         }
         
-        // Get total count for pagination
-        const totalCount = await contentsCollection.countDocuments({
-            author: { $in: followedUsernames }
-        });
-        const totalPages = Math.ceil(totalCount / limit);
+        // Check if user is post author
+        if (post.author !== req.session.username) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only delete your own posts.'
+            });
+        }
         
-        // Get contents ONLY from followed users with pagination
-        const contents = await contentsCollection.find({
-            author: { $in: followedUsernames }
-        }).sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limit)
-          .toArray();
+        // Delete post, then everything attached to it
+        const deleted = await deletePostAndRelated(db, post);
         
         res.json({
             success: true,
-            message: 'Feed retrieved successfully.',
-            page: page,
-            limit: limit,
-            totalCount: totalCount,
-            totalPages: totalPages,
-            count: contents.length,
-            contents: contents
+            message: 'Post deleted successfully.',
+            deletedComments: deleted.deletedComments,
+            deletedLikes: deleted.deletedLikes
         });
         
     } catch (error) {
-        console.error('Feed error:', error);
+        console.error('Delete content error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error during feed retrieval.'
+            message: 'Internal server error while deleting post.'
         });
     }
 });
 
-// Get route for user stats
-app.get(`/${STUDENT_ID}/users/:username/stats`, async (req, res) => {
+// Get route for listing the revision history of a post
+app.get(`/${STUDENT_ID}/contents/:id/revisions`, async (req, res) => {
     try {
-        const username = req.params.username;
+        const { id } = req.params;
+        
+        // Validate post ID
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
         
         // Get database instance
         const db = getDB();
-        const usersCollection = db.collection('users');
         const contentsCollection = db.collection('contents');
-        const followsCollection = db.collection('follows');
-        
-        // Check if user exists
-        const user = await usersCollection.findOne({ username: username });
+        const revisionsCollection = db.collection('revisions');
         
-        if (!user) {
+        // Check if post exists
+        const post = await contentsCollection.findOne({ _id: new ObjectId(id) });
+        if (!post || !canViewPost(post, req.session.username)) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found.'
+                message: 'Post not found.'
             });
         }
         
-        // Get posts count
-        const postsCount = await contentsCollection.countDocuments({ author: username });
-        
-        // Get followers count
-        const followersCount = await followsCollection.countDocuments({ following: username });
+        // Get earlier revisions, newest first, without their files
+        const earlierRevisions = await revisionsCollection.find({ postId: post._id })
+            .project({ revision: 1, title: 1, createdAt: 1, archivedAt: 1 })
+            .sort({ revision: -1 })
+            .toArray();
         
-        // Get following count
-        const followingCount = await followsCollection.countDocuments({ follower: username });
+        // The live post is always the newest revision
+        const revisions = [
+            {
+                revision: post.revision || 1,
+                title: post.title,
+                createdAt: post.updatedAt || post.createdAt,
+                current: true
+            },
+            ...earlierRevisions.map(revision => ({
+                revision: revision.revision,
+                title: revision.title,
+                createdAt: revision.createdAt,
+                current: false
+            }))
+        ];
         
         res.json({
             success: true,
-            username: username,
-            stats: {
-                posts: postsCount,
-                followers: followersCount,
-                following: followingCount
-            }
+            postId: id,
+            currentRevision: post.revision || 1,
+            count: revisions.length,
+            revisions: revisions
         });
         
     } catch (error) {
-        console.error('Stats error:', error);
+        console.error('Get revisions error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error during stats retrieval.'
+            message: 'Internal server error while retrieving revisions.'
         });
     }
 });
 
-// Get route for followers
-app.get(`/${STUDENT_ID}/users/:username/followers`, async (req, res) => {
+// Get route for a single revision of a post
+app.get(`/${STUDENT_ID}/contents/:id/revisions/:revision`, async (req, res) => {
     try {
-        const username = req.params.username;
+        const { id } = req.params;
+        const revisionNumber = parseInt(req.params.revision);
+        
+        // Validate post ID and revision number
+        if (!ObjectId.isValid(id) || !Number.isInteger(revisionNumber) || revisionNumber < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID or revision number.'
+            });
+        }
         
         // Get database instance
         const db = getDB();
-        const followsCollection = db.collection('follows');
-        const usersCollection = db.collection('users');
-        
-        // Check if user exists
-        const user = await usersCollection.findOne({ username: username });
+        const contentsCollection = db.collection('contents');
         
-        if (!user) {
+        // Check if post exists
+        const post = await contentsCollection.findOne({ _id: new ObjectId(id) });
+        if (!post || !canViewPost(post, req.session.username)) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found.'
+                message: 'Post not found.'
             });
         }
         
-        // Get followers (users who follow this username)
-        const followers = await followsCollection.find({
-            following: username
-        }).toArray();
-        
-        // Get detailed user information for each follower
-        const followerUsernames = followers.map(f => f.follower);
-        const followerDetails = await usersCollection.find({
-            username: { $in: followerUsernames }
-        }).project({
-            username: 1,
-            email: 1,
-            profileImage: 1,
-            _id: 1
-        }).toArray();
+        const revision = await getRevisionSnapshot(post, revisionNumber);
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revision not found.'
+            });
+        }
         
         res.json({
             success: true,
-            username: username,
-            count: followerDetails.length,
-            followers: followerDetails
+            postId: id,
+            revision: revision
         });
         
     } catch (error) {
-        console.error('Followers error:', error);
+        console.error('Get revision error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error during followers retrieval.'
+            message: 'Internal server error while retrieving revision.'
         });
     }
 });
 
-// Get route for following
-app.get(`/${STUDENT_ID}/users/:username/following`, async (req, res) => {
+// Get route for a unified diff between two revisions of a post
+// Query: from (default: the revision before "to"), to (default: the current revision)
+app.get(`/${STUDENT_ID}/contents/:id/diff`, async (req, res) => {
     try {
-        const username = req.params.username;
+        const { id } = req.params;
+        
+        // Validate post ID
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
         
         // Get database instance
         const db = getDB();
-        const followsCollection = db.collection('follows');
-        const usersCollection = db.collection('users');
-        
-        // Check if user exists
-        const user = await usersCollection.findOne({ username: username });
+        const contentsCollection = db.collection('contents');
         
-        if (!user) {
+        // Check if post exists
+        const post = await contentsCollection.findOne({ _id: new ObjectId(id) });
+        if (!post || !canViewPost(post, req.session.username)) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found.'
+                message: 'Post not found.'
             });
         }
         
-        // Get following (users that this username follows)
-        const following = await followsCollection.find({
-            follower: username
-        }).toArray();
+        // Work out which revisions to compare
+        const currentRevision = post.revision || 1;
+        const to = req.query.to ? parseInt(req.query.to) : currentRevision;
+        // A post that was never edited only has revision 1, which gives an empty diff against itself
+        const from = req.query.from ? parseInt(req.query.from) : Math.max(to - 1, 1);
         
-        // Get detailed user information for each followed user
-        const followingUsernames = following.map(f => f.following);
-        const followingDetails = await usersCollection.find({
-            username: { $in: followingUsernames }
-        }).project({
-            username: 1,
-            email: 1,
-            profileImage: 1,
-            _id: 1
-        }).toArray();
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revision numbers must be positive integers.'
+            });
+        }
+        
+        const fromRevision = await getRevisionSnapshot(post, from);
+        const toRevision = await getRevisionSnapshot(post, to);
+        
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revision not found.'
+            });
+        }
+        
+        // Unified diff of every changed file, plus any title or description change
+        const fileDiffs = diffSnippetFiles(fromRevision.files, toRevision.files);
+        const diff = fileDiffs.map(file => file.diff).filter(Boolean).join('\n');
         
         res.json({
             success: true,
-            username: username,
-            count: followingDetails.length,
-            following: followingDetails
+            postId: id,
+            from: from,
+            to: to,
+            diff: diff,
+            files: fileDiffs,
+            changes: {
+                title: fromRevision.title !== toRevision.title
+                    ? { from: fromRevision.title, to: toRevision.title }
+                    : null,
+                description: fromRevision.description !== toRevision.description
+                    ? createUnifiedDiff(fromRevision.description, toRevision.description, {
+                        oldLabel: `revision ${from}`,
+                        newLabel: `revision ${to}`
+                    })
+                    : null,
+                files: fileDiffs.length > 0
+            }
         });
         
     } catch (error) {
-        console.error('Following error:', error);
+        console.error('Diff revisions error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error during following retrieval.'
+            message: 'Internal server error while comparing revisions.'
         });
     }
 });
 
-// Get route for user posts with pagination
-app.get(`/${STUDENT_ID}/users/:username/posts`, async (req, res) => {
+// Post route for running a post's JavaScript file in an isolated worker
+// Runs the named file, or the first JavaScript file, with no filesystem or network access
+// Needs a login and is rate limited per IP address and per user
+app.post(`/${STUDENT_ID}/contents/:id/run`, async (req, res) => {
     try {
-        const username = req.params.username;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const skip = (page - 1) * limit;
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to run snippets on the server.'
+            });
+        }
         
-        // Get database instance
-        const db = getDB();
-        const usersCollection = db.collection('users');
-        const contentsCollection = db.collection('contents');
+        const { blockedUntil } = await takeRateLimitAttempts([
+            [`run:ip:${req.ip}`, RATE_LIMITS.runIp],
+            [`run:user:${req.session.username}`, RATE_LIMITS.runAccount]
+        ]);
+        if (blockedUntil) {
+            return sendRateLimited(res, blockedUntil, 'snippet runs');
+        }
         
-        // Check if user exists
-        const user = await usersCollection.findOne({ username: username });
+        const { id } = req.params;
+        const { fileName } = req.body;
         
-        if (!user) {
+        // Validate post ID
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const post = await db.collection('contents').findOne({ _id: new ObjectId(id) });
+        if (!post || !canViewPost(post, req.session.username)) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found.'
+                message: 'Post not found.'
+            });
+        }
+        
+        // Pick the file to run
+        const files = getPostFiles(post);
+        const file = fileName
+            ? files.find(f => f.name === fileName)
+            : files.find(f => f.language === 'JavaScript');
+        if (!file) {
+            return res.status(fileName ? 404 : 400).json({
+                success: false,
+                message: fileName ? 'File not found in this post.' : 'This post has no JavaScript file to run.'
+            });
+        }
+        if (file.language !== 'JavaScript') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only JavaScript files can be run.'
             });
         }
         
-        // Get total count for pagination
-        const totalCount = await contentsCollection.countDocuments({ author: username });
-        const totalPages = Math.ceil(totalCount / limit);
+        if (isRunnerBusy()) {
+            return res.status(503).json({
+                success: false,
+                message: 'Too many snippets are running. Please try again shortly.'
+            });
+        }
         
-        // Get all posts by this user with pagination
-        const posts = await contentsCollection.find({
-            author: username
-        }).sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limit)
-          .toArray();
+        const result = await runJavaScript(file.code);
         
         res.json({
             success: true,
-            username: username,
-            page: page,
-            limit: limit,
-            totalCount: totalCount,
-            totalPages: totalPages,
-            count: posts.length,
-            posts: posts
+            message: result.error ? 'Snippet ran with an error.' : 'Snippet ran successfully.',
+            fileName: file.name,
+            ...result
         });
         
     } catch (error) {
-        console.error('User posts error:', error);
+        console.error('Run snippet error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error during posts retrieval.'
+            message: 'Internal server error while running snippet.'
         });
     }
 });
 
-// Get route for user profile
-app.get(`/${STUDENT_ID}/users/:username/profile`, async (req, res) => {
+// Get route for one file of a post as plain text, e.g. for curl or wget
+// Serves the file named by ?file=, or the first file, under a name with the right extension
+app.get(`/${STUDENT_ID}/contents/:id/raw`, async (req, res) => {
     try {
-        const username = req.params.username;
+        const { id } = req.params;
+        const { file: fileName } = req.query;
+        
+        // Validate post ID
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
         
         // Get database instance
         const db = getDB();
-        const usersCollection = db.collection('users');
-        const contentsCollection = db.collection('contents');
-        const followsCollection = db.collection('follows');
+        const post = await db.collection('contents').findOne({ _id: new ObjectId(id) });
+        if (!post || !canViewPost(post, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
+            });
+        }
         
-        // Get user information (exclude password)
-        const user = await usersCollection.findOne(
-            { username: username },
-            { projection: { password: 0 } }
-        );
+        const files = getPostFiles(post);
+        const file = fileName ? files.find(f => f.name === fileName) : files[0];
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found in this post.'
+            });
+        }
         
-        if (!user) {
+        // Plain text only, so browsers never render HTML or SVG snippets as pages
+        res.set({
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(fileNameWithExtension(file))}`,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.send(file.code);
+        
+    } catch (error) {
+        console.error('Raw snippet error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching snippet.'
+        });
+    }
+});
+
+// Get route for downloading a post as a zip of its code files plus its attached file
+app.get(`/${STUDENT_ID}/contents/:id/download`, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Validate post ID
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const post = await db.collection('contents').findOne({ _id: new ObjectId(id) });
+        if (!post || !canViewPost(post, req.session.username)) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found.'
+                message: 'Post not found.'
             });
         }
         
-        // Get statistics
-        const postsCount = await contentsCollection.countDocuments({ author: username });
-        const followersCount = await followsCollection.countDocuments({ following: username });
-        const followingCount = await followsCollection.countDocuments({ follower: username });
+        const entries = getPostFiles(post).map(file => ({ name: fileNameWithExtension(file), data: file.code }));
+        
+        // The attachment goes in its own folder so it cannot clash with a code file's name
+        const attachment = await readUploadedFile(post.fileUrl);
+        if (attachment) {
+            entries.push({ name: `attachment/${path.basename(post.fileName || post.fileUrl)}`, data: attachment });
+        }
+        
+        const zipName = post.title.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'snippet';
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(zipName)}.zip`
+        });
+        res.send(createZip(entries, post.updatedAt || post.createdAt));
+        
+    } catch (error) {
+        console.error('Download snippet error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while downloading snippet.'
+        });
+    }
+});
+
+// Get route for the embeddable snippet page shown in iframes on other sites
+// Private posts are never embedded, since the page may be framed anywhere; ?theme= picks the code theme
+app.get(`/${STUDENT_ID}/embed/:id`, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).send(renderEmbedMessage('Invalid snippet link.', `/${STUDENT_ID}`));
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const post = await db.collection('contents').findOne({ _id: new ObjectId(id) });
+        if (!post || post.visibility === 'private') {
+            return res.status(404).send(renderEmbedMessage('Snippet not found.', `/${STUDENT_ID}`));
+        }
+        
+        res.send(renderEmbedPage(post, `/${STUDENT_ID}`, normalizeEmbedTheme(req.query.theme)));
+        
+    } catch (error) {
+        console.error('Embed snippet error:', error);
+        res.status(500).send(renderEmbedMessage('Snippet could not be loaded.', `/${STUDENT_ID}`));
+    }
+});
+
+// Post route for forking a post into the session user's account
+// The fork keeps a frozen copy of the original's title and author, so its lineage survives the original being deleted
+app.post(`/${STUDENT_ID}/contents/:id/fork`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to fork posts.'
+            });
+        }
+        
+        const { id } = req.params;
+        const { title } = req.body;
+        
+        // Validate post ID
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const contentsCollection = db.collection('contents');
+        
+        // Find the post to fork
+        const original = await contentsCollection.findOne({ _id: new ObjectId(id) });
+        if (!original || !canViewPost(original, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
+            });
+        }
+        
+        if (original.author === req.session.username) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot fork your own post.'
+            });
+        }
+        
+        // Copy the code, description and tags; the attachment stays with the original
+        const files = getPostFiles(original);
+        const fork = {
+            title: typeof title === 'string' && title.trim() ? title.trim() : original.title,
+            description: original.description || '',
+            files: files,
+            programmingLanguage: files[0].language,
+            renderedCode: renderPostCode(files),
+            tags: original.tags || [],
+            // A fork is no more visible than its original, and is not shared with anyone yet
+            visibility: original.visibility || 'public',
+            sharedWith: [],
+            author: req.session.username,
+            authorId: new ObjectId(req.session.userId),
+            fileUrl: null,
+            fileName: null,
+            fileSize: null,
+            forkedFrom: {
+                postId: original._id,
+                title: original.title,
+                author: original.author,
+                revision: original.revision || 1,
+                deleted: false
+            },
+            createdAt: new Date()
+        };
+        
+        const result = await contentsCollection.insertOne(fork);
+        await contentsCollection.updateOne({ _id: original._id }, { $inc: { forkCount: 1 } });
+        
+        await createNotification(db, {
+            recipient: original.author,
+            type: 'fork',
+            actor: req.session.username,
+            actorId: new ObjectId(req.session.userId),
+            post: original
+        });
+        await publishNewPost(db, { _id: result.insertedId, ...fork });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Post forked successfully.',
+            contentId: result.insertedId,
+            forkedFrom: fork.forkedFrom
+        });
+        
+    } catch (error) {
+        console.error('Fork content error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while forking post.'
+        });
+    }
+});
+
+// Get route for listing the forks of a post (cursor paginated, newest first)
+app.get(`/${STUDENT_ID}/contents/:id/forks`, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Validate post ID
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+        
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, NEWEST_FIRST);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const contentsCollection = db.collection('contents');
+        
+        // Check if post exists
+        const post = await contentsCollection.findOne({ _id: new ObjectId(id) });
+        if (!post || !canViewPost(post, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
+            });
+        }
+        
+        // Get one page of the forks this user may see, without their code
+        const forkDocs = await contentsCollection.find(applyCursor({
+            $and: [{ 'forkedFrom.postId': post._id }, listedPostsFilter(req.session.username)]
+        }, NEWEST_FIRST, pageParams.after)).sort(NEWEST_FIRST)
+          .project({ title: 1, author: 1, createdAt: 1, forkCount: 1, 'forkedFrom.revision': 1 })
+          .limit(pageParams.limit + 1)
+          .toArray();
+        const { items: forks, nextCursor } = buildPage(forkDocs, NEWEST_FIRST, pageParams.limit);
+        
+        res.json({
+            success: true,
+            postId: id,
+            forkCount: post.forkCount || 0,
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
+            count: forks.length,
+            forks: forks
+        });
+        
+    } catch (error) {
+        console.error('Get forks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while retrieving forks.'
+        });
+    }
+});
+
+// Get route for the session user's drafts (cursor paginated, most recently edited first)
+// Drafts live in their own collection, so they never show up in feeds, search or post counts
+app.get(`/${STUDENT_ID}/drafts`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to view your drafts.'
+            });
+        }
+        
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, RECENTLY_EDITED);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        
+        // Get one page of drafts without their files
+        const draftDocs = await db.collection('drafts').find(applyCursor({
+            author: req.session.username
+        }, RECENTLY_EDITED, pageParams.after)).sort(RECENTLY_EDITED)
+          .project({ title: 1, visibility: 1, createdAt: 1, updatedAt: 1, publishAt: 1, publishError: 1 })
+          .limit(pageParams.limit + 1)
+          .toArray();
+        const { items: drafts, nextCursor } = buildPage(draftDocs, RECENTLY_EDITED, pageParams.limit);
+        
+        res.json({
+            success: true,
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
+            count: drafts.length,
+            drafts: drafts
+        });
+        
+    } catch (error) {
+        console.error('Get drafts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while retrieving drafts.'
+        });
+    }
+});
+
+// Post route for saving a new draft
+// Every field is optional, so the create form can autosave a post as soon as it is started
+app.post(`/${STUDENT_ID}/drafts`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to save drafts.'
+            });
+        }
+        
+        const fieldsResult = normalizeDraftFields(req.body, req.session.username);
+        if (fieldsResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: fieldsResult.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const draftsCollection = db.collection('drafts');
+        
+        const draftCount = await draftsCollection.countDocuments({ author: req.session.username });
+        if (draftCount >= MAX_DRAFTS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${MAX_DRAFTS_PER_USER} drafts. Publish or delete some first.`
+            });
+        }
+        
+        const now = new Date();
+        const draft = {
+            title: '',
+            description: '',
+            files: [],
+            tags: [],
+            visibility: 'public',
+            sharedWith: [],
+            ...fieldsResult.fields,
+            author: req.session.username,
+            authorId: new ObjectId(req.session.userId),
+            publishAt: null,
+            publishError: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        const result = await draftsCollection.insertOne(draft);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Draft saved.',
+            draft: { _id: result.insertedId, ...draft }
+        });
+        
+    } catch (error) {
+        console.error('Create draft error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while saving draft.'
+        });
+    }
+});
+
+// Get route for one of the session user's drafts
+app.get(`/${STUDENT_ID}/drafts/:id`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to view your drafts.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        
+        const found = await findOwnDraft(db, req.params.id, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        
+        res.json({
+            success: true,
+            draft: found.draft
+        });
+        
+    } catch (error) {
+        console.error('Get draft error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while retrieving draft.'
+        });
+    }
+});
+
+// Patch route for saving changes to a draft (used by autosave)
+// A scheduled draft keeps its schedule and is published with the latest changes
+app.patch(`/${STUDENT_ID}/drafts/:id`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to save drafts.'
+            });
+        }
+        
+        const fieldsResult = normalizeDraftFields(req.body, req.session.username);
+        if (fieldsResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: fieldsResult.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        
+        const found = await findOwnDraft(db, req.params.id, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        
+        // A failed scheduled publish is cleared once the draft is edited
+        const draft = await db.collection('drafts').findOneAndUpdate(
+            { _id: found.draft._id },
+            { $set: { ...fieldsResult.fields, publishError: null, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        
+        res.json({
+            success: true,
+            message: 'Draft saved.',
+            draft: draft
+        });
+        
+    } catch (error) {
+        console.error('Update draft error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while saving draft.'
+        });
+    }
+});
+
+// Delete route for discarding a draft and its schedule
+app.delete(`/${STUDENT_ID}/drafts/:id`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to delete drafts.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        
+        const found = await findOwnDraft(db, req.params.id, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        
+        await db.collection('drafts').deleteOne({ _id: found.draft._id });
+        cancelDraftSchedule(found.draft._id);
+        
+        res.json({
+            success: true,
+            message: 'Draft deleted successfully.'
+        });
+        
+    } catch (error) {
+        console.error('Delete draft error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while deleting draft.'
+        });
+    }
+});
+
+// Post route for publishing a draft now, or at a future time when publishAt is given
+// The publish checks run straight away, so a draft that could not be published is never scheduled
+app.post(`/${STUDENT_ID}/drafts/:id/publish`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to publish drafts.'
+            });
+        }
+        
+        const { publishAt } = req.body;
+        let publishAtResult = null;
+        if (publishAt !== undefined && publishAt !== null && publishAt !== '') {
+            publishAtResult = normalizePublishAt(publishAt);
+            if (publishAtResult.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: publishAtResult.error
+                });
+            }
+        }
+        
+        // Get database instance
+        const db = getDB();
+        
+        const found = await findOwnDraft(db, req.params.id, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        
+        // Publish now
+        if (!publishAtResult) {
+            const result = await publishDraft(db, found.draft);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+            return res.status(201).json({
+                success: true,
+                message: 'Draft published successfully.',
+                contentId: result.post._id,
+                detectedLanguages: result.detected
+            });
+        }
+        
+        // Publish later
+        const built = await buildPostFromDraft(db, found.draft);
+        if (built.error) {
+            return res.status(400).json({
+                success: false,
+                message: built.error
+            });
+        }
+        const draft = await db.collection('drafts').findOneAndUpdate(
+            { _id: found.draft._id },
+            { $set: { publishAt: publishAtResult.publishAt, publishError: null } },
+            { returnDocument: 'after' }
+        );
+        scheduleDraft(draft._id, draft.publishAt);
+        
+        res.json({
+            success: true,
+            message: `Draft scheduled for ${draft.publishAt.toISOString()}.`,
+            draft: draft
+        });
+        
+    } catch (error) {
+        console.error('Publish draft error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while publishing draft.'
+        });
+    }
+});
+
+// Delete route for cancelling a draft's scheduled publish, keeping the draft
+app.delete(`/${STUDENT_ID}/drafts/:id/schedule`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to edit drafts.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        
+        const found = await findOwnDraft(db, req.params.id, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        
+        if (!found.draft.publishAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'This draft is not scheduled.'
+            });
+        }
+        
+        await db.collection('drafts').updateOne(
+            { _id: found.draft._id },
+            { $set: { publishAt: null } }
+        );
+        cancelDraftSchedule(found.draft._id);
+        
+        res.json({
+            success: true,
+            message: 'Schedule cancelled. The post is still a draft.'
+        });
+        
+    } catch (error) {
+        console.error('Cancel draft schedule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while cancelling schedule.'
+        });
+    }
+});
+
+// Post route for following another user
+app.post(`/${STUDENT_ID}/follow`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to follow users.'
+            });
+        }
+        
+        const { username } = req.body;
+        
+        // Validate required fields
+        if (!username) {
+            return res.status(400).json({
+                success: false,
+                message: 'Username is required.'
+            });
+        }
+        
+        // Prevent users from following themselves
+        if (username === req.session.username) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot follow yourself.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const followsCollection = db.collection('follows');
+        const usersCollection = db.collection('users');
+        
+        // Check if target user exists
+        const targetUser = await usersCollection.findOne({ username: username });
+        
+        if (!targetUser) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        // Check if already following
+        const existingFollow = await followsCollection.findOne({
+            follower: req.session.username,
+            following: username
+        });
+        
+        if (existingFollow) {
+            return res.status(400).json({
+                success: false,
+                message: `You are already following ${username}.`
+            });
+        }
+        
+        // Create follow relationship
+        await followsCollection.insertOne({
+            follower: req.session.username,
+            followerId: new ObjectId(req.session.userId),
+            following: username,
+            followingId: targetUser._id,
+            createdAt: new Date()
+        });
+        
+        await createNotification(db, {
+            recipient: username,
+            type: 'follow',
+            actor: req.session.username,
+            actorId: new ObjectId(req.session.userId)
+        });
+        
+        res.json({
+            success: true,
+            message: `You are now following ${username}.`,
+            following: username
+        });
+        
+    } catch (error) {
+        console.error('Follow error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during follow operation.'
+        });
+    }
+});
+
+// Delete route for unfollowing another user
+app.delete(`/${STUDENT_ID}/follow`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to unfollow users.'
+            });
+        }
+        
+        const { username } = req.body;
+        
+        // Validate required fields
+        if (!username) {
+            return res.status(400).json({
+                success: false,
+                message: 'Username is required.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const followsCollection = db.collection('follows');
+        
+        // Remove follow relationship
+        const result = await followsCollection.deleteOne({
+            follower: req.session.username,
+            following: username
+        });
+        
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: `You are not following ${username}.`
+            });
+        }
+        
+        // The follow notification no longer holds
+        await db.collection('notifications').deleteOne({
+            recipient: username,
+            type: 'follow',
+            actor: req.session.username
+        });
+        
+        res.json({
+            success: true,
+            message: `You have unfollowed ${username}.`,
+            unfollowed: username
+        });
+        
+    } catch (error) {
+        console.error('Unfollow error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during unfollow operation.'
+        });
+    }
+});
+
+
+// Get route for the most used tags
+app.get(`/${STUDENT_ID}/tags/popular`, async (req, res) => {
+    try {
+        // Between 1 and 50 tags, 20 by default; MongoDB refuses a $limit below 1
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+        
+        // Get database instance
+        const db = getDB();
+        const contentsCollection = db.collection('contents');
+        
+        // Count public posts per tag
+        const tags = await contentsCollection.aggregate([
+            { $match: { tags: { $exists: true, $ne: [] }, visibility: 'public' } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', postCount: { $sum: 1 } } },
+            { $sort: { postCount: -1, _id: 1 } },
+            { $limit: limit },
+            { $project: { _id: 0, tag: '$_id', postCount: 1 } }
+        ]).toArray();
+        
+        res.json({
+            success: true,
+            count: tags.length,
+            tags: tags
+        });
+        
+    } catch (error) {
+        console.error('Popular tags error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during popular tags retrieval.'
+        });
+    }
+});
+
+// Get route for the tags the logged-in user follows
+app.get(`/${STUDENT_ID}/tags/following`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to see the tags you follow.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const tagFollowsCollection = db.collection('tagFollows');
+        
+        const tagFollows = await tagFollowsCollection.find({
+            user: req.session.username
+        }).sort({ tag: 1 }).toArray();
+        
+        res.json({
+            success: true,
+            count: tagFollows.length,
+            tags: tagFollows.map(follow => follow.tag)
+        });
+        
+    } catch (error) {
+        console.error('Followed tags error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during followed tags retrieval.'
+        });
+    }
+});
+
+// Get route for posts with a tag (cursor paginated, newest first)
+app.get(`/${STUDENT_ID}/tags/:tag`, async (req, res) => {
+    try {
+        const tag = normalizeTag(req.params.tag);
+        if (!tag) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid tag.'
+            });
+        }
+        
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, NEWEST_FIRST);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const contentsCollection = db.collection('contents');
+        const tagFollowsCollection = db.collection('tagFollows');
+        
+        // Get one page of the posts with this tag that this user may see
+        const tagFilter = { $and: [{ tags: tag }, listedPostsFilter(req.session.username)] };
+        const contentDocs = await contentsCollection.find(applyCursor(tagFilter, NEWEST_FIRST, pageParams.after))
+          .sort(NEWEST_FIRST)
+          .limit(pageParams.limit + 1)
+          .toArray();
+        const { items: contents, nextCursor } = buildPage(contentDocs, NEWEST_FIRST, pageParams.limit);
+        
+        // Tag details for the tag page header
+        const postCount = await contentsCollection.countDocuments(tagFilter);
+        const followerCount = await tagFollowsCollection.countDocuments({ tag: tag });
+        const following = req.session.username
+            ? !!(await tagFollowsCollection.findOne({ user: req.session.username, tag: tag }))
+            : false;
+        
+        res.json({
+            success: true,
+            tag: tag,
+            postCount: postCount,
+            followerCount: followerCount,
+            following: following,
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
+            count: contents.length,
+            contents: contents
+        });
+        
+    } catch (error) {
+        console.error('Tag posts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during tag posts retrieval.'
+        });
+    }
+});
+
+// Post route for following a tag
+app.post(`/${STUDENT_ID}/tags/:tag/follow`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to follow tags.'
+            });
+        }
+        
+        const tag = normalizeTag(req.params.tag);
+        if (!tag) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid tag.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const tagFollowsCollection = db.collection('tagFollows');
+        
+        // Check if already following
+        const existingFollow = await tagFollowsCollection.findOne({
+            user: req.session.username,
+            tag: tag
+        });
+        
+        if (existingFollow) {
+            return res.status(400).json({
+                success: false,
+                message: `You are already following #${tag}.`
+            });
+        }
+        
+        // Create tag follow
+        await tagFollowsCollection.insertOne({
+            user: req.session.username,
+            userId: new ObjectId(req.session.userId),
+            tag: tag,
+            createdAt: new Date()
+        });
+        
+        res.json({
+            success: true,
+            message: `You are now following #${tag}.`,
+            tag: tag
+        });
+        
+    } catch (error) {
+        console.error('Tag follow error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during tag follow operation.'
+        });
+    }
+});
+
+// Delete route for unfollowing a tag
+app.delete(`/${STUDENT_ID}/tags/:tag/follow`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to unfollow tags.'
+            });
+        }
+        
+        const tag = normalizeTag(req.params.tag);
+        
+        // Get database instance
+        const db = getDB();
+        const tagFollowsCollection = db.collection('tagFollows');
+        
+        // Remove tag follow
+        const result = await tagFollowsCollection.deleteOne({
+            user: req.session.username,
+            tag: tag
+        });
+        
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: `You are not following #${tag}.`
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: `You have unfollowed #${tag}.`,
+            unfollowed: tag
+        });
+        
+    } catch (error) {
+        console.error('Tag unfollow error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during tag unfollow operation.'
+        });
+    }
+});
+
+// Get route for feed with cursor pagination
+app.get(`/${STUDENT_ID}/feed`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to view your feed.'
+            });
+        }
+        
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, NEWEST_FIRST);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const followsCollection = db.collection('follows');
+        const tagFollowsCollection = db.collection('tagFollows');
+        const contentsCollection = db.collection('contents');
+        
+        // Get list of users the current user is following
+        const followingList = await followsCollection.find({
+            follower: req.session.username
+        }).toArray();
+        
+        // Extract usernames of followed users
+        const followedUsernames = followingList.map(follow => follow.following);
+        
+        // Get tags the current user is following
+        const tagFollowList = await tagFollowsCollection.find({
+            user: req.session.username
+        }).toArray();
+        const followedTags = tagFollowList.map(follow => follow.tag);
+        
+        // If not following anyone or any tag, return empty feed
+        if (followedUsernames.length === 0 && followedTags.length === 0) {
+            return res.json({
+                success: true,
+                message: 'Your feed is empty. Follow users or tags to see their posts.',
+                limit: pageParams.limit,
+                nextCursor: null,
+                count: 0,
+                contents: []
+            });
+        }
+        
+        // Get contents ONLY from followed users or with followed tags, one page after the cursor
+        // Unlisted posts stay out of feeds, private ones only show up for the users they are shared with
+        const contentDocs = await contentsCollection.find(applyCursor({
+            $and: [
+                {
+                    $or: [
+                        { author: { $in: followedUsernames } },
+                        { tags: { $in: followedTags } }
+                    ]
+                },
+                listedPostsFilter(req.session.username)
+            ]
+        }, NEWEST_FIRST, pageParams.after)).sort(NEWEST_FIRST)
+          .limit(pageParams.limit + 1)
+          .toArray();
+        const { items: contents, nextCursor } = buildPage(contentDocs, NEWEST_FIRST, pageParams.limit);
+        
+        res.json({
+            success: true,
+            message: 'Feed retrieved successfully.',
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
+            count: contents.length,
+            contents: contents
+        });
+        
+    } catch (error) {
+        console.error('Feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during feed retrieval.'
+        });
+    }
+});
+
+// Get route for user stats
+app.get(`/${STUDENT_ID}/users/:username/stats`, async (req, res) => {
+    try {
+        const username = req.params.username;
+        
+        // Get database instance
+        const db = getDB();
+        const usersCollection = db.collection('users');
+        const contentsCollection = db.collection('contents');
+        const followsCollection = db.collection('follows');
+        
+        // Check if user exists
+        const user = await usersCollection.findOne({ username: username });
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        // Get count of the posts this user may see
+        const postsCount = await contentsCollection.countDocuments({
+            $and: [{ author: username }, listedPostsFilter(req.session.username)]
+        });
+        
+        // Get followers count
+        const followersCount = await followsCollection.countDocuments({ following: username });
+        
+        // Get following count
+        const followingCount = await followsCollection.countDocuments({ follower: username });
+        
+        res.json({
+            success: true,
+            username: username,
+            stats: {
+                posts: postsCount,
+                followers: followersCount,
+                following: followingCount
+            }
+        });
+        
+    } catch (error) {
+        console.error('Stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during stats retrieval.'
+        });
+    }
+});
+
+// Get route for followers (cursor paginated, newest follows first)
+app.get(`/${STUDENT_ID}/users/:username/followers`, async (req, res) => {
+    try {
+        const username = req.params.username;
+        
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, NEWEST_FIRST);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const followsCollection = db.collection('follows');
+        const usersCollection = db.collection('users');
+        
+        // Check if user exists
+        const user = await usersCollection.findOne({ username: username });
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        // Users can hide who follows them from everyone else
+        if (!canSeeFollowLists(user, req.session.username)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This user keeps their follower lists private.'
+            });
+        }
+        
+        // Get one page of followers (users who follow this username)
+        const followDocs = await followsCollection.find(applyCursor({
+            following: username
+        }, NEWEST_FIRST, pageParams.after)).sort(NEWEST_FIRST)
+          .limit(pageParams.limit + 1)
+          .toArray();
+        const { items: followers, nextCursor } = buildPage(followDocs, NEWEST_FIRST, pageParams.limit);
+        
+        // Get detailed user information for each follower
+        const followerUsernames = followers.map(f => f.follower);
+        const users = await usersCollection.find({
+            username: { $in: followerUsernames }
+        }).project({
+            username: 1,
+            email: 1,
+            displayName: 1,
+            profileImage: 1,
+            privacy: 1,
+            _id: 1
+        }).toArray();
+        
+        // Keep the order of the follows page
+        const followerDetails = followerUsernames
+            .map(name => users.find(u => u.username === name))
+            .filter(Boolean)
+            .map(u => presentUserSummary(u, req.session.username));
+        
+        res.json({
+            success: true,
+            username: username,
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
+            count: followerDetails.length,
+            followers: followerDetails
+        });
+        
+    } catch (error) {
+        console.error('Followers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during followers retrieval.'
+        });
+    }
+});
+
+// Get route for following (cursor paginated, newest follows first)
+app.get(`/${STUDENT_ID}/users/:username/following`, async (req, res) => {
+    try {
+        const username = req.params.username;
+        
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, NEWEST_FIRST);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const followsCollection = db.collection('follows');
+        const usersCollection = db.collection('users');
+        
+        // Check if user exists
+        const user = await usersCollection.findOne({ username: username });
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        // Users can hide who they follow from everyone else
+        if (!canSeeFollowLists(user, req.session.username)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This user keeps their follower lists private.'
+            });
+        }
+        
+        // Get one page of following (users that this username follows)
+        const followDocs = await followsCollection.find(applyCursor({
+            follower: username
+        }, NEWEST_FIRST, pageParams.after)).sort(NEWEST_FIRST)
+          .limit(pageParams.limit + 1)
+          .toArray();
+        const { items: following, nextCursor } = buildPage(followDocs, NEWEST_FIRST, pageParams.limit);
+        
+        // Get detailed user information for each followed user
+        const followingUsernames = following.map(f => f.following);
+        const users = await usersCollection.find({
+            username: { $in: followingUsernames }
+        }).project({
+            username: 1,
+            email: 1,
+            displayName: 1,
+            profileImage: 1,
+            privacy: 1,
+            _id: 1
+        }).toArray();
+        
+        // Keep the order of the follows page
+        const followingDetails = followingUsernames
+            .map(name => users.find(u => u.username === name))
+            .filter(Boolean)
+            .map(u => presentUserSummary(u, req.session.username));
+        
+        res.json({
+            success: true,
+            username: username,
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
+            count: followingDetails.length,
+            following: followingDetails
+        });
+        
+    } catch (error) {
+        console.error('Following error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during following retrieval.'
+        });
+    }
+});
+
+// Get route for user posts with cursor pagination
+app.get(`/${STUDENT_ID}/users/:username/posts`, async (req, res) => {
+    try {
+        const username = req.params.username;
+        
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, NEWEST_FIRST);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const usersCollection = db.collection('users');
+        const contentsCollection = db.collection('contents');
+        
+        // Check if user exists
+        const user = await usersCollection.findOne({ username: username });
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        // Get one page of posts by this user, with unlisted and private ones only shown to those allowed
+        const postDocs = await contentsCollection.find(applyCursor({
+            $and: [{ author: username }, listedPostsFilter(req.session.username)]
+        }, NEWEST_FIRST, pageParams.after)).sort(NEWEST_FIRST)
+          .limit(pageParams.limit + 1)
+          .toArray();
+        const { items: posts, nextCursor } = buildPage(postDocs, NEWEST_FIRST, pageParams.limit);
+        
+        res.json({
+            success: true,
+            username: username,
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
+            count: posts.length,
+            posts: posts
+        });
+        
+    } catch (error) {
+        console.error('User posts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during posts retrieval.'
+        });
+    }
+});
+
+// Get route for user profile
+app.get(`/${STUDENT_ID}/users/:username/profile`, async (req, res) => {
+    try {
+        const username = req.params.username;
+        
+        // Get database instance
+        const db = getDB();
+        const usersCollection = db.collection('users');
+        const contentsCollection = db.collection('contents');
+        const followsCollection = db.collection('follows');
+        
+        // Get user information (exclude password)
+        const user = await usersCollection.findOne(
+            { username: username },
+            { projection: { password: 0 } }
+        );
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        // Get statistics, counting only the posts this user may see
+        const postsCount = await contentsCollection.countDocuments({
+            $and: [{ author: username }, listedPostsFilter(req.session.username)]
+        });
+        const followersCount = await followsCollection.countDocuments({ following: username });
+        const followingCount = await followsCollection.countDocuments({ follower: username });
+        
+        // Check if current user is following this profile
+        let isFollowing = false;
+        if (req.session.username && req.session.username !== username) {
+            const followRelation = await followsCollection.findOne({
+                follower: req.session.username,
+                following: username
+            });
+            isFollowing = !!followRelation;
+        }
+        
+        // Profile fields, without the ones this user has hidden from the viewer
+        res.json({
+            success: true,
+            profile: {
+                ...presentProfile(user, req.session.username),
+                stats: {
+                    posts: postsCount,
+                    likes: 0, // Placeholder for future likes feature
+                    followers: followersCount,
+                    following: followingCount
+                },
+                isFollowing: isFollowing
+            }
+        });
+        
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during profile retrieval.'
+        });
+    }
+});
+
+// Patch route for editing the session user's profile and privacy settings
+// Only the fields sent are changed; an empty string clears a field
+app.patch(`/${STUDENT_ID}/users/me`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to edit your profile.'
+            });
+        }
+        
+        const result = normalizeProfileUpdate(req.body || {});
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const user = await db.collection('users').findOneAndUpdate(
+            { _id: new ObjectId(req.session.userId) },
+            { $set: { ...result.updates, profileUpdatedAt: new Date() } },
+            { returnDocument: 'after', projection: { password: 0 } }
+        );
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Profile updated successfully.',
+            profile: presentProfile(user, req.session.username)
+        });
+        
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while updating profile.'
+        });
+    }
+});
+
+// Post route for changing the session user's password
+// Needs the current password; other devices logged in as the user are logged out
+app.post(`/${STUDENT_ID}/users/me/password`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to change your password.'
+            });
+        }
+        
+        const { currentPassword, newPassword } = req.body;
+        
+        // Validate required fields
+        if (!currentPassword || !newPassword || typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password and new password are required.'
+            });
+        }
+        
+        // Validate password length (minimum 6 characters)
+        if (newPassword.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters long.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const usersCollection = db.collection('users');
+        const user = await usersCollection.findOne({ _id: new ObjectId(req.session.userId) });
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        // Check the current password using bcrypt
+        const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password is incorrect.'
+            });
+        }
+        
+        // Hash and store the new password; outstanding reset links stop working
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        await usersCollection.updateOne(
+            { _id: user._id },
+            { $set: { password: hashedPassword, passwordChangedAt: new Date() } }
+        );
+        await db.collection('passwordResets').deleteMany({ userId: user._id });
+        await endUserSessions(req.sessionStore, req.session.userId, req.sessionID);
+        
+        res.json({
+            success: true,
+            message: 'Password changed successfully.'
+        });
+        
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while changing password.'
+        });
+    }
+});
+
+// Post route for requesting an email change
+// The new address only replaces the old one once the link mailed to it is opened
+app.post(`/${STUDENT_ID}/users/me/email`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to change your email.'
+            });
+        }
+        
+        const { email, password } = req.body;
+        
+        // Validate required fields
+        if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'New email and password are required.'
+            });
+        }
+        
+        // Validate email format
+        if (!isValidEmail(email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid email format.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const usersCollection = db.collection('users');
+        const changesCollection = db.collection('emailChanges');
+        const user = await usersCollection.findOne({ _id: new ObjectId(req.session.userId) });
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        // Check the password using bcrypt
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is incorrect.'
+            });
+        }
+        
+        if (email === user.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'That is already your email address.'
+            });
+        }
+        
+        const existingUser = await usersCollection.findOne({ email: email });
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'That email is already in use.'
+            });
+        }
+        
+        // Generate a random one-time token and store only its hash, replacing any earlier request
+        const token = crypto.randomBytes(32).toString('hex');
+        await changesCollection.deleteMany({ userId: user._id });
+        await changesCollection.insertOne({
+            userId: user._id,
+            newEmail: email,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + EMAIL_CHANGE_TTL),
+            createdAt: new Date()
+        });
+        
+        // Send the confirmation link to the new address, and a notice to the current one
+        const confirmUrl = `${PUBLIC_BASE_URL}/${STUDENT_ID}/?confirmEmail=${token}`;
+        await sendMail({
+            to: email,
+            subject: 'Confirm your new CodeLogs email',
+            text: `Hi ${user.username},\n\n` +
+                `Open the link below to make this your CodeLogs email address. It expires in 24 hours and can only be used once.\n\n` +
+                `${confirmUrl}\n\n` +
+                `Confirmation token: ${token}\n\n` +
+                `If you did not ask for this, you can ignore this email.`
+        });
+        await sendMail({
+            to: user.email,
+            subject: 'CodeLogs email change requested',
+            text: `Hi ${user.username},\n\n` +
+                `Someone asked to change your CodeLogs email to ${email}.\n` +
+                `Nothing changes unless the link sent to that address is opened.\n\n` +
+                `If this was not you, change your password.`
+        });
+        
+        res.json({
+            success: true,
+            message: `A confirmation link has been sent to ${email}.`
+        });
+        
+    } catch (error) {
+        console.error('Change email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while changing email.'
+        });
+    }
+});
+
+// Post route for confirming an email change with the token from the confirmation link
+// Works without logging in, since the link may be opened on another device
+app.post(`/${STUDENT_ID}/users/me/email/confirm`, async (req, res) => {
+    try {
+        const { token } = req.body;
+        
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Confirmation token is required.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const usersCollection = db.collection('users');
+        
+        // Consume the token so it can only be used once
+        const change = await db.collection('emailChanges').findOneAndDelete({
+            tokenHash: hashToken(token),
+            expiresAt: { $gt: new Date() }
+        });
+        
+        if (!change) {
+            return res.status(400).json({
+                success: false,
+                message: 'This confirmation link is invalid or has expired. Please request a new one.'
+            });
+        }
+        
+        // The address may have been taken since the change was requested
+        const existingUser = await usersCollection.findOne({ email: change.newEmail, _id: { $ne: change.userId } });
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'That email is already in use.'
+            });
+        }
+        
+        const result = await usersCollection.updateOne(
+            { _id: change.userId },
+            { $set: { email: change.newEmail, emailChangedAt: new Date() } }
+        );
+        
+        if (result.matchedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Email changed successfully.',
+            email: change.newEmail
+        });
+        
+    } catch (error) {
+        console.error('Confirm email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while confirming email.'
+        });
+    }
+});
+
+// Delete route for deleting the session user's account
+// Posts, drafts, collections, likes, follows and uploaded files are deleted; comments on other users' posts
+// are kept as "[deleted]" so reply threads stay intact. Every session of the user is ended
+app.delete(`/${STUDENT_ID}/users/me`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to delete your account.'
+            });
+        }
+        
+        const { password } = req.body || {};
+        if (!password || typeof password !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is required to delete your account.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const usersCollection = db.collection('users');
+        const user = await usersCollection.findOne({ _id: new ObjectId(req.session.userId) });
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        // Check the password using bcrypt
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is incorrect.'
+            });
+        }
+        
+        const username = user.username;
+        
+        // Remove the user first, so nothing new can be attached to the account while the rest is cleaned up
+        await usersCollection.deleteOne({ _id: user._id });
+        
+        // Posts, with their comments, likes, revisions and attachments
+        const posts = await db.collection('contents').find({ author: username }).toArray();
+        for (const post of posts) {
+            await deletePostAndRelated(db, post);
+        }
+        
+        // Drafts, including any scheduled to publish
+        const drafts = await db.collection('drafts').find({ author: username }, { projection: { _id: 1 } }).toArray();
+        drafts.forEach(draft => cancelDraftSchedule(draft._id));
+        await db.collection('drafts').deleteMany({ author: username });
+        
+        // Comments on other users' posts become "[deleted]" placeholders
+        const commentsResult = await db.collection('comments').updateMany(
+            { author: username },
+            { $set: { deleted: true, text: '', author: null, userId: null, deletedAt: new Date() } }
+        );
+        
+        // Likes, follows in both directions, tag follows, collections and notifications
+        await db.collection('likes').deleteMany({ user: username });
+        await db.collection('follows').deleteMany({ $or: [{ follower: username }, { following: username }] });
+        await db.collection('tagFollows').deleteMany({ user: username });
+        await db.collection('collections').deleteMany({ owner: username });
+        await db.collection('notifications').deleteMany({ $or: [{ recipient: username }, { actor: username }] });
+        await db.collection('passwordResets').deleteMany({ userId: user._id });
+        await db.collection('emailChanges').deleteMany({ userId: user._id });
+        await db.collection('loginAttempts').deleteMany({ userId: user._id });
+        
+        // Private posts and drafts of other users stop being shared with this username
+        await db.collection('contents').updateMany({ sharedWith: username }, { $pull: { sharedWith: username } });
+        await db.collection('drafts').updateMany({ sharedWith: username }, { $pull: { sharedWith: username } });
+        
+        // Profile pictures
+        await Promise.all(listAvatarUrls(user).map(deleteUploadedFile));
+        
+        // Log out this and every other device, and close their live update streams
+        await endUserSessions(req.sessionStore, req.session.userId, req.sessionID);
+        closeUserStreams(username);
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Session destroy error after account deletion:', err);
+            }
+            res.json({
+                success: true,
+                message: 'Your account has been deleted.',
+                deletedPosts: posts.length,
+                anonymizedComments: commentsResult.modifiedCount
+            });
+        });
+        
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while deleting account.'
+        });
+    }
+});
+
+// Get route for the failed logins on the session user's account, newest first
+// Also says whether the account is currently locked out after too many failures
+app.get(`/${STUDENT_ID}/users/me/login-attempts`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to view your login history.'
+            });
+        }
+        
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, NEWEST_FIRST);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const attempts = await db.collection('loginAttempts').find(applyCursor({
+            userId: new ObjectId(req.session.userId)
+        }, NEWEST_FIRST, pageParams.after)).project({
+            ip: 1,
+            userAgent: 1,
+            reason: 1,
+            createdAt: 1
+        }).sort(NEWEST_FIRST)
+          .limit(pageParams.limit + 1)
+          .toArray();
+        
+        const { items, nextCursor } = buildPage(attempts, NEWEST_FIRST, pageParams.limit);
+        const lockedUntil = await getRateLimitBlock([`login:user:${req.session.username}`]);
+        
+        res.json({
+            success: true,
+            attempts: items,
+            nextCursor: nextCursor,
+            lockedUntil: lockedUntil
+        });
+        
+    } catch (error) {
+        console.error('Get login attempts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while loading login history.'
+        });
+    }
+});
+
+// Get route for the session user's two-factor authentication status
+app.get(`/${STUDENT_ID}/users/me/2fa`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to view your two-factor settings.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const user = await db.collection('users').findOne(
+            { _id: new ObjectId(req.session.userId) },
+            { projection: { twoFactor: 1 } }
+        );
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        const twoFactor = user.twoFactor && user.twoFactor.enabled ? user.twoFactor : null;
+        res.json({
+            success: true,
+            enabled: Boolean(twoFactor),
+            enabledAt: twoFactor ? twoFactor.enabledAt : null,
+            recoveryCodesRemaining: twoFactor ? twoFactor.recoveryCodes.length : 0
+        });
+        
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while loading two-factor settings.'
+        });
+    }
+});
+
+// Post route for starting two-factor setup
+// Returns a new secret as text, an otpauth:// URI and a QR code of it; nothing changes until POST /users/me/2fa/enable
+app.post(`/${STUDENT_ID}/users/me/2fa/setup`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to set up two-factor authentication.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const user = await db.collection('users').findOne({ _id: new ObjectId(req.session.userId) });
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already turned on.'
+            });
+        }
+        
+        // The secret waits in the session until a code from it is confirmed
+        const secret = generateTotpSecret();
+        req.session.twoFactorSetup = {
+            secret: secret,
+            expiresAt: Date.now() + TWO_FACTOR_SETUP_TTL
+        };
+        
+        const otpauthUri = buildProvisioningUri(user.username, secret);
+        res.json({
+            success: true,
+            secret: secret,
+            otpauthUri: otpauthUri,
+            qrCode: renderQrCodeDataUrl(otpauthUri)
+        });
+        
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while setting up two-factor authentication.'
+        });
+    }
+});
+
+// Post route for turning two-factor authentication on with a code from the new secret
+// Returns the recovery codes, which are only stored as hashes and cannot be shown again
+app.post(`/${STUDENT_ID}/users/me/2fa/enable`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to set up two-factor authentication.'
+            });
+        }
+        
+        const setup = req.session.twoFactorSetup;
+        if (!setup || setup.expiresAt <= Date.now()) {
+            delete req.session.twoFactorSetup;
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor setup has expired. Please start again.'
+            });
+        }
+        
+        const { code } = req.body;
+        const step = code ? verifyTotp(setup.secret, code) : null;
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code. Check the time on your device and try again.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const recoveryCodes = generateRecoveryCodes();
+        const result = await db.collection('users').updateOne(
+            { _id: new ObjectId(req.session.userId), 'twoFactor.enabled': { $ne: true } },
+            {
+                $set: {
+                    twoFactor: {
+                        enabled: true,
+                        secret: setup.secret,
+                        lastUsedStep: step,
+                        recoveryCodes: recoveryCodes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode))),
+                        enabledAt: new Date()
+                    }
+                }
+            }
+        );
+        delete req.session.twoFactorSetup;
+        
+        if (result.matchedCount === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already turned on.'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Two-factor authentication is on.',
+            recoveryCodes: recoveryCodes
+        });
+        
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while turning on two-factor authentication.'
+        });
+    }
+});
+
+// Post route for turning two-factor authentication off
+// Needs the password and a current code (or a recovery code), so a left-open session is not enough
+app.post(`/${STUDENT_ID}/users/me/2fa/disable`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to change two-factor authentication.'
+            });
+        }
+        
+        const { password, code } = req.body;
+        if (!password || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password and authentication code are required.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const usersCollection = db.collection('users');
+        const user = await usersCollection.findOne({ _id: new ObjectId(req.session.userId) });
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not turned on.'
+            });
+        }
+        
+        // Check the password using bcrypt, then the code
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is incorrect.'
+            });
+        }
+        if (!await useSecondFactor(usersCollection, user, String(code).trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code.'
+            });
+        }
+        
+        await usersCollection.updateOne(
+            { _id: user._id },
+            { $unset: { twoFactor: '' }, $set: { twoFactorDisabledAt: new Date() } }
+        );
+        
+        res.json({
+            success: true,
+            message: 'Two-factor authentication is off.'
+        });
+        
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while turning off two-factor authentication.'
+        });
+    }
+});
+
+/**
+ * NEW: Get route to serve uploaded files
+ * This ensures files are accessible
+ */
+app.use('/assets/uploads', express.static(path.join(__dirname, 'public', 'assets', 'uploads')));
+
+// Post route for uploading a profile picture
+// Expects field avatar: the square crop as a 256x256 PNG, which is decoded and written out again at every size
+// under generated names; the pictures they replace are deleted
+app.post(`/${STUDENT_ID}/upload/profile-picture`, avatarUpload.single('avatar'), async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to upload profile picture.'
+            });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No profile picture uploaded (field avatar).'
+            });
+        }
+        
+        // Decode the whole picture and make each size from it; anything that does not decode is refused
+        const result = createAvatarImages(req.file.buffer);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+        
+        // Save each size under a generated name, never the name the file was uploaded with
+        const token = crypto.randomBytes(8).toString('hex');
+        const profileImage = {};
+        for (const image of result.images) {
+            const fileName = `avatar-${req.session.userId}-${token}-${image.size}.png`;
+            await fs.promises.writeFile(path.join(uploadsDir, fileName), image.buffer);
+            profileImage[image.size] = `/assets/uploads/${fileName}`;
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const previous = await db.collection('users').findOneAndUpdate(
+            { _id: new ObjectId(req.session.userId) },
+            {
+                $set: { profileImage: profileImage, profileImageUpdatedAt: new Date() },
+                $unset: { profilePicture: '', profilePictureUpdatedAt: '' }
+            },
+            { returnDocument: 'before', projection: { profileImage: 1, profilePicture: 1 } }
+        );
+        
+        if (!previous) {
+            await Promise.all(Object.values(profileImage).map(deleteUploadedFile));
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        // Remove the pictures this upload replaced
+        const current = Object.values(profileImage);
+        await Promise.all(listAvatarUrls(previous)
+            .filter(url => !current.includes(url))
+            .map(deleteUploadedFile));
+        
+        res.json({
+            success: true,
+            message: 'Profile picture uploaded successfully.',
+            profileImage: profileImage
+        });
+        
+    } catch (error) {
+        console.error('Profile picture upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during profile picture upload.'
+        });
+    }
+});
+
+// Get route for a user's profile picture at a size (?size=64, 128 or 256)
+// Redirects to the stored image, or to the default picture, so pages can show any user's avatar from their username
+app.get(`/${STUDENT_ID}/users/:username/avatar`, async (req, res) => {
+    try {
+        const size = parseInt(req.query.size, 10) || DEFAULT_AVATAR_SIZE;
+        
+        // Get database instance
+        const db = getDB();
+        const user = await db.collection('users').findOne(
+            { username: req.params.username },
+            { projection: { profileImage: 1 } }
+        );
+        
+        // Short cache, so a new picture shows up within a minute everywhere
+        res.set('Cache-Control', 'private, max-age=60');
+        res.redirect(302, (user && pickAvatarUrl(user.profileImage, size)) || `/${STUDENT_ID}/assets/img/profile.png`);
+        
+    } catch (error) {
+        console.error('Avatar error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching profile picture.'
+        });
+    }
+});
+
+/**
+ * Post route to create a comment on a post
+ * POST /M01039337/posts/:postId/comments
+ */
+app.post(`/${STUDENT_ID}/posts/:postId/comments`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to add comments.'
+            });
+        }
+
+        const { postId } = req.params;
+        const { text, parentId, anchor } = req.body;
+
+        // Validate required fields
+        if (!text || text.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Comment text is required.'
+            });
+        }
+
+        // Line comments start a thread, replies belong to their parent's lines
+        if (anchor && parentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Replies cannot be anchored to lines.'
+            });
+        }
+
+        // Validate post ID and optional parent comment ID
+        if (!ObjectId.isValid(postId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+        if (parentId && !ObjectId.isValid(parentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid parent comment ID.'
+            });
+        }
+
+        // Get database instance
+        const db = getDB();
+        const commentsCollection = db.collection('comments');
+        const contentsCollection = db.collection('contents');
+
+        // Check if post exists
+        const post = await contentsCollection.findOne({ _id: new ObjectId(postId) });
+        if (!post || !canViewPost(post, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
+            });
+        }
+
+        // Replies must point at a live comment on the same post, within the depth limit
+        let parent = null;
+        if (parentId) {
+            parent = await commentsCollection.findOne({
+                _id: new ObjectId(parentId),
+                postId: post._id
+            });
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Parent comment not found.'
+                });
+            }
+            if (parent.deleted) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot reply to a deleted comment.'
+                });
+            }
+            if ((parent.depth || 0) >= MAX_COMMENT_DEPTH) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep.`
+                });
+            }
+        }
+
+        // Line comments must point at lines that exist in the current code
+        let anchorResult = null;
+        if (anchor) {
+            anchorResult = normalizeAnchor(anchor, getPostFiles(post), post.revision || 1);
+            if (anchorResult.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: anchorResult.error
+                });
+            }
+        }
+
+        // Create comment
+        const comment = {
+            postId: post._id,
+            parentId: parent ? parent._id : null,
+            rootId: parent ? (parent.rootId || parent._id) : null,
+            depth: parent ? (parent.depth || 0) + 1 : 0,
+            author: req.session.username,
+            userId: new ObjectId(req.session.userId),
+            text: text.trim(),
+            anchor: anchorResult ? anchorResult.anchor : null,
+            createdAt: new Date()
+        };
+
+        const result = await commentsCollection.insertOne(comment);
+
+        // Tell the author of the comment being replied to, and the post author
+        const notification = {
+            actor: req.session.username,
+            actorId: comment.userId,
+            post: post,
+            commentId: result.insertedId
+        };
+        if (parent) {
+            await createNotification(db, { ...notification, recipient: parent.author, type: 'reply' });
+        }
+        if (!parent || parent.author !== post.author) {
+            await createNotification(db, { ...notification, recipient: post.author, type: 'comment' });
+        }
+
+        // Show the comment to anyone viewing the post
+        publishToPostViewers(post, 'comment', {
+            postId: post._id,
+            comment: { _id: result.insertedId, ...comment }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Comment added successfully.',
+            comment: {
+                _id: result.insertedId,
+                ...comment
+            }
+        });
+
+    } catch (error) {
+        console.error('Comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while adding comment.'
+        });
+    }
+});
+
+/**
+ * Get route to retrieve comments for a post
+ * GET /M01039337/posts/:postId/comments
+ */
+app.get(`/${STUDENT_ID}/posts/:postId/comments`, async (req, res) => {
+    try {
+        const { postId } = req.params;
+
+        // Validate post ID
+        if (!ObjectId.isValid(postId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, NEWEST_FIRST);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+
+        // Get database instance
+        const db = getDB();
+        const commentsCollection = db.collection('comments');
+
+        // Check if post exists
+        const post = await db.collection('contents').findOne(
+            { _id: new ObjectId(postId) },
+            { projection: { author: 1, visibility: 1, sharedWith: 1 } }
+        );
+        if (!post || !canViewPost(post, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
+            });
+        }
+
+        // Get one page of top-level comments for post (newest first), line comments are listed separately
+        const postObjectId = new ObjectId(postId);
+        const filter = { postId: postObjectId, parentId: null, anchor: null };
+        const commentDocs = await commentsCollection.find(applyCursor(filter, NEWEST_FIRST, pageParams.after))
+            .sort(NEWEST_FIRST)
+            .limit(pageParams.limit + 1)
+            .toArray();
+        const { items: topLevel, nextCursor } = buildPage(commentDocs, NEWEST_FIRST, pageParams.limit);
+
+        // Get every reply in those threads (oldest first) and nest them
+        const replies = topLevel.length > 0
+            ? await commentsCollection.find({
+                rootId: { $in: topLevel.map(comment => comment._id) }
+            }).sort({ createdAt: 1, _id: 1 }).toArray()
+            : [];
+        const comments = buildCommentTree(topLevel, replies);
+
+        // Total for the comment counter, not counting deleted comments
+        const totalCount = await commentsCollection.countDocuments({
+            postId: postObjectId,
+            deleted: { $ne: true }
+        });
+
+        res.json({
+            success: true,
+            postId: postId,
+            maxDepth: MAX_COMMENT_DEPTH,
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
+            totalCount: totalCount,
+            count: comments.length,
+            comments: comments
+        });
+
+    } catch (error) {
+        console.error('Get comments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while retrieving comments.'
+        });
+    }
+});
+
+/**
+ * Get route to retrieve line comments for a post, grouped by the lines they point at
+ * GET /M01039337/posts/:postId/comments/lines
+ */
+app.get(`/${STUDENT_ID}/posts/:postId/comments/lines`, async (req, res) => {
+    try {
+        const { postId } = req.params;
+
+        // Validate post ID
+        if (!ObjectId.isValid(postId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+
+        // Get database instance
+        const db = getDB();
+        const commentsCollection = db.collection('comments');
+        const contentsCollection = db.collection('contents');
+
+        // Check if post exists
+        const post = await contentsCollection.findOne({ _id: new ObjectId(postId) });
+        if (!post || !canViewPost(post, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
+            });
+        }
+
+        // Get every line comment thread on the post (oldest first, like a review)
+        const topLevel = await commentsCollection.find({
+            postId: post._id,
+            parentId: null,
+            anchor: { $ne: null }
+        }).sort({ createdAt: 1, _id: 1 }).toArray();
+        const replies = topLevel.length > 0
+            ? await commentsCollection.find({
+                rootId: { $in: topLevel.map(comment => comment._id) }
+            }).sort({ createdAt: 1, _id: 1 }).toArray()
+            : [];
+        const threads = buildCommentTree(topLevel, replies);
+
+        // Group threads on the same lines together
+        const groups = new Map();
+        threads.forEach(thread => {
+            const { fileName, startLine, endLine } = thread.anchor;
+            const outdated = thread.anchor.outdated === true;
+            const key = JSON.stringify([fileName, startLine, endLine, outdated]);
+            if (!groups.has(key)) {
+                groups.set(key, { fileName, startLine, endLine, outdated, comments: [] });
+            }
+            groups.get(key).comments.push(thread);
+        });
+
+        // Order by file and line, with outdated groups last
+        const fileNames = getPostFiles(post).map(file => file.name);
+        const sortedGroups = [...groups.values()].sort((a, b) =>
+            (a.outdated - b.outdated) ||
+            (fileNames.indexOf(a.fileName) - fileNames.indexOf(b.fileName)) ||
+            (a.startLine - b.startLine) ||
+            (a.endLine - b.endLine)
+        );
+
+        res.json({
+            success: true,
+            postId: postId,
+            maxDepth: MAX_COMMENT_DEPTH,
+            count: sortedGroups.length,
+            groups: sortedGroups
+        });
+
+    } catch (error) {
+        console.error('Get line comments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while retrieving line comments.'
+        });
+    }
+});
+
+/**
+ * Patch route to edit a comment (author only)
+ * PATCH /M01039337/comments/:commentId
+ */
+app.patch(`/${STUDENT_ID}/comments/:commentId`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to edit comments.'
+            });
+        }
+
+        const { commentId } = req.params;
+        const { text } = req.body;
+
+        // Validate comment ID and text
+        if (!ObjectId.isValid(commentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid comment ID.'
+            });
+        }
+        if (!text || typeof text !== 'string' || text.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Comment text is required.'
+            });
+        }
+
+        // Get database instance
+        const db = getDB();
+        const commentsCollection = db.collection('comments');
+
+        // Find comment, on a post this user can see
+        const found = await findVisibleComment(db, commentId, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        const comment = found.comment;
+
+        // Check if user is comment author
+        if (comment.author !== req.session.username) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own comments.'
+            });
+        }
+
+        // Update text and mark the comment as edited
+        const updatedComment = await commentsCollection.findOneAndUpdate(
+            { _id: comment._id },
+            { $set: { text: text.trim(), editedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+
+        res.json({
+            success: true,
+            message: 'Comment updated successfully.',
+            comment: updatedComment
+        });
+
+    } catch (error) {
+        console.error('Edit comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while editing comment.'
+        });
+    }
+});
+
+/**
+ * Delete route to remove a comment
+ * Comments with replies are soft deleted and shown as "[deleted]" so the thread stays intact
+ * DELETE /M01039337/comments/:commentId
+ */
+app.delete(`/${STUDENT_ID}/comments/:commentId`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to delete comments.'
+            });
+        }
+
+        const { commentId } = req.params;
+
+        // Validate comment ID
+        if (!ObjectId.isValid(commentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid comment ID.'
+            });
+        }
+
+        // Get database instance
+        const db = getDB();
+        const commentsCollection = db.collection('comments');
+
+        // Find comment, on a post this user can see
+        const found = await findVisibleComment(db, commentId, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        const comment = found.comment;
+
+        // Check if user is comment author
+        if (comment.author !== req.session.username) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only delete your own comments.'
+            });
+        }
+
+        // Keep a placeholder if other comments reply to this one
+        const replyCount = await commentsCollection.countDocuments({ parentId: comment._id });
+        if (replyCount > 0) {
+            await commentsCollection.updateOne(
+                { _id: comment._id },
+                { $set: { deleted: true, text: '', deletedAt: new Date() } }
+            );
+
+            return res.json({
+                success: true,
+                message: 'Comment deleted successfully.',
+                softDeleted: true,
+                comment: presentComment({ ...comment, deleted: true })
+            });
+        }
+
+        // Delete comment and the notifications about it
+        await commentsCollection.deleteOne({ _id: comment._id });
+        await db.collection('notifications').deleteMany({ commentId: comment._id });
+
+        // Remove deleted parents that no longer have any replies
+        let parentId = comment.parentId;
+        while (parentId) {
+            const parent = await commentsCollection.findOne({ _id: parentId });
+            if (!parent || !parent.deleted) break;
+
+            const remainingReplies = await commentsCollection.countDocuments({ parentId: parent._id });
+            if (remainingReplies > 0) break;
+
+            await commentsCollection.deleteOne({ _id: parent._id });
+            parentId = parent.parentId;
+        }
+
+        res.json({
+            success: true,
+            message: 'Comment deleted successfully.',
+            softDeleted: false
+        });
+
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while deleting comment.'
+        });
+    }
+});
+
+/**
+ * Post route to like/unlike a post
+ * POST /M01039337/posts/:postId/like
+ */
+app.post(`/${STUDENT_ID}/posts/:postId/like`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to like posts.'
+            });
+        }
+
+        const { postId } = req.params;
+        const { isLike } = req.body; // true for like, false for dislike
+
+        // Get database instance
+        const db = getDB();
+        const likesCollection = db.collection('likes');
+        const contentsCollection = db.collection('contents');
+
+        // Check if post exists
+        const post = await contentsCollection.findOne({ _id: new ObjectId(postId) });
+        if (!post || !canViewPost(post, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
+            });
+        }
+
+        // Check if user already liked/disliked this post
+        const existingLike = await likesCollection.findOne({
+            postId: new ObjectId(postId),
+            user: req.session.username
+        });
+
+        if (existingLike) {
+            // Update existing like/dislike
+            if (existingLike.isLike === isLike) {
+                // Same type, remove it (unlike/undislike)
+                await likesCollection.deleteOne({ _id: existingLike._id });
+                if (isLike) {
+                    await db.collection('notifications').deleteOne({
+                        recipient: post.author,
+                        type: 'like',
+                        actor: req.session.username,
+                        postId: post._id
+                    });
+                }
+                await publishLikeCounts(db, post);
+                return res.json({
+                    success: true,
+                    message: isLike ? 'Like removed.' : 'Dislike removed.',
+                    action: 'removed',
+                    isLike: isLike
+                });
+            } else {
+                // Different type, update it
+                await likesCollection.updateOne(
+                    { _id: existingLike._id },
+                    { $set: { isLike: isLike, updatedAt: new Date() } }
+                );
+                if (isLike) {
+                    await createNotification(db, {
+                        recipient: post.author,
+                        type: 'like',
+                        actor: req.session.username,
+                        actorId: new ObjectId(req.session.userId),
+                        post: post
+                    });
+                } else {
+                    await db.collection('notifications').deleteOne({
+                        recipient: post.author,
+                        type: 'like',
+                        actor: req.session.username,
+                        postId: post._id
+                    });
+                }
+                await publishLikeCounts(db, post);
+                return res.json({
+                    success: true,
+                    message: isLike ? 'Changed to like.' : 'Changed to dislike.',
+                    action: 'updated',
+                    isLike: isLike
+                });
+            }
+        }
+
+        // Create new like/dislike
+        const likeRecord = {
+            postId: new ObjectId(postId),
+            user: req.session.username,
+            userId: new ObjectId(req.session.userId),
+            isLike: isLike,
+            createdAt: new Date()
+        };
+
+        await likesCollection.insertOne(likeRecord);
+
+        // Dislikes are not announced
+        if (isLike) {
+            await createNotification(db, {
+                recipient: post.author,
+                type: 'like',
+                actor: req.session.username,
+                actorId: likeRecord.userId,
+                post: post
+            });
+        }
+        await publishLikeCounts(db, post);
+
+        res.status(201).json({
+            success: true,
+            message: isLike ? 'Post liked.' : 'Post disliked.',
+            action: 'created',
+            isLike: isLike
+        });
+
+    } catch (error) {
+        console.error('Like error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while liking post.'
+        });
+    }
+});
+
+/**
+ * Get route to retrieve like/dislike statistics for a post
+ * GET /M01039337/posts/:postId/likes
+ */
+app.get(`/${STUDENT_ID}/posts/:postId/likes`, async (req, res) => {
+    try {
+        const { postId } = req.params;
+
+        // Validate post ID
+        if (!ObjectId.isValid(postId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+
+        // Get database instance
+        const db = getDB();
+        const likesCollection = db.collection('likes');
+
+        // Check if post exists
+        const post = await db.collection('contents').findOne(
+            { _id: new ObjectId(postId) },
+            { projection: { author: 1, visibility: 1, sharedWith: 1 } }
+        );
+        if (!post || !canViewPost(post, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
+            });
+        }
+
+        // Get all likes and dislikes for post
+        const likes = await likesCollection.find({
+            postId: new ObjectId(postId)
+        }).toArray();
+
+        // Count likes and dislikes
+        const likeCount = likes.filter(l => l.isLike).length;
+        const dislikeCount = likes.filter(l => !l.isLike).length;
+
+        // Check if current user has liked or disliked (if logged in)
+        let userVote = null;
+        if (req.session.username) {
+            const userVote_record = likes.find(l => l.user === req.session.username);
+            if (userVote_record) {
+                userVote = userVote_record.isLike ? 'like' : 'dislike';
+            }
+        }
+
+        res.json({
+            success: true,
+            postId: postId,
+            likeCount: likeCount,
+            dislikeCount: dislikeCount,
+            userVote: userVote
+        });
+
+    } catch (error) {
+        console.error('Get likes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while retrieving likes.'
+        });
+    }
+});
+
+// Get route for a user's collections (cursor paginated, by name), with only public ones shown to other users
+// Pass postId to learn which collections already hold that post
+app.get(`/${STUDENT_ID}/users/:username/collections`, async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { postId } = req.query;
+        
+        if (postId !== undefined && !ObjectId.isValid(postId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+        
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, BY_COLLECTION_NAME);
+        if (pageParams.error) {
+            return res.status(400).json({
+                success: false,
+                message: pageParams.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        
+        // Check if user exists
+        const user = await db.collection('users').findOne({ username: username });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found.'
+            });
+        }
+        
+        const isOwner = req.session.username === username;
+        const filter = isOwner ? { owner: username } : { owner: username, visibility: 'public' };
+        const collectionDocs = await db.collection('collections').find(applyCursor(filter, BY_COLLECTION_NAME, pageParams.after))
+            .sort(BY_COLLECTION_NAME)
+            .limit(pageParams.limit + 1)
+            .toArray();
+        const { items: collections, nextCursor } = buildPage(collectionDocs, BY_COLLECTION_NAME, pageParams.limit);
+        
+        res.json({
+            success: true,
+            username: username,
+            isOwner: isOwner,
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
+            count: collections.length,
+            collections: collections.map(collection => presentCollection(collection, postId || null))
+        });
+        
+    } catch (error) {
+        console.error('Get collections error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while retrieving collections.'
+        });
+    }
+});
+
+// Post route for creating a collection
+app.post(`/${STUDENT_ID}/collections`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to create collections.'
+            });
+        }
+        
+        const nameResult = normalizeCollectionName(req.body.name);
+        if (nameResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: nameResult.error
+            });
+        }
+        const visibilityResult = normalizeVisibility(req.body.visibility || 'private');
+        if (visibilityResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: visibilityResult.error
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const collectionsCollection = db.collection('collections');
+        
+        const collectionCount = await collectionsCollection.countDocuments({ owner: req.session.username });
+        if (collectionCount >= MAX_COLLECTIONS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${MAX_COLLECTIONS_PER_USER} collections.`
+            });
+        }
+        
+        // Names are unique per user, ignoring case
+        const existing = await collectionsCollection.findOne({ owner: req.session.username, nameKey: nameResult.nameKey });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: `You already have a collection called "${existing.name}".`
+            });
+        }
+        
+        const now = new Date();
+        const collection = {
+            owner: req.session.username,
+            ownerId: new ObjectId(req.session.userId),
+            name: nameResult.name,
+            nameKey: nameResult.nameKey,
+            visibility: visibilityResult.visibility,
+            items: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        const result = await collectionsCollection.insertOne(collection);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Collection created successfully.',
+            collection: presentCollection({ _id: result.insertedId, ...collection })
+        });
+        
+    } catch (error) {
+        console.error('Create collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while creating collection.'
+        });
+    }
+});
+
+// Get route for a collection and its posts, in the owner's order
+app.get(`/${STUDENT_ID}/collections/:id`, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Validate collection ID
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid collection ID.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const collection = await db.collection('collections').findOne({ _id: new ObjectId(id) });
+        
+        // Other users' private collections are reported as missing
+        if (!collection || !canViewCollection(collection, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collection not found.'
+            });
+        }
+        
+        // A collection is a list, so other users only see posts they could see listed anywhere else:
+        // unlisted posts are left out for everyone but their author, private ones for users they are not shared with
+        // The owner keeps every saved post they can still open, including unlisted ones saved from a direct link
+        const isOwner = collection.owner === req.session.username;
+        const itemsFilter = { _id: { $in: collection.items.map(item => item.postId) } };
+        const postDocs = await db.collection('contents').find(
+            isOwner ? itemsFilter : { $and: [itemsFilter, listedPostsFilter(req.session.username)] }
+        ).toArray();
+        const postsById = new Map(postDocs
+            .filter(post => canViewPost(post, req.session.username))
+            .map(post => [post._id.toString(), post]));
+        const posts = collection.items
+            .filter(item => postsById.has(item.postId.toString()))
+            .map(item => ({ ...postsById.get(item.postId.toString()), savedAt: item.addedAt }));
+        
+        res.json({
+            success: true,
+            collection: presentCollection(collection),
+            isOwner: isOwner,
+            count: posts.length,
+            posts: posts
+        });
+        
+    } catch (error) {
+        console.error('Get collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while retrieving collection.'
+        });
+    }
+});
+
+// Patch route for renaming a collection or changing its visibility
+app.patch(`/${STUDENT_ID}/collections/:id`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to edit collections.'
+            });
+        }
+        
+        const { name, visibility } = req.body;
+        const updates = {};
+        
+        if (name !== undefined) {
+            const nameResult = normalizeCollectionName(name);
+            if (nameResult.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: nameResult.error
+                });
+            }
+            updates.name = nameResult.name;
+            updates.nameKey = nameResult.nameKey;
+        }
+        if (visibility !== undefined) {
+            const visibilityResult = normalizeVisibility(visibility);
+            if (visibilityResult.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: visibilityResult.error
+                });
+            }
+            updates.visibility = visibilityResult.visibility;
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing to update. Send a name or a visibility.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        const collectionsCollection = db.collection('collections');
+        
+        const found = await findOwnCollection(db, req.params.id, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        
+        // Names are unique per user, ignoring case
+        if (updates.nameKey && updates.nameKey !== found.collection.nameKey) {
+            const existing = await collectionsCollection.findOne({ owner: req.session.username, nameKey: updates.nameKey });
+            if (existing) {
+                return res.status(400).json({
+                    success: false,
+                    message: `You already have a collection called "${existing.name}".`
+                });
+            }
+        }
+        
+        updates.updatedAt = new Date();
+        const collection = await collectionsCollection.findOneAndUpdate(
+            { _id: found.collection._id },
+            { $set: updates },
+            { returnDocument: 'after' }
+        );
+        
+        res.json({
+            success: true,
+            message: 'Collection updated successfully.',
+            collection: presentCollection(collection)
+        });
+        
+    } catch (error) {
+        console.error('Update collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while updating collection.'
+        });
+    }
+});
+
+// Delete route for removing a collection (the posts in it are not affected)
+app.delete(`/${STUDENT_ID}/collections/:id`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to delete collections.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        
+        const found = await findOwnCollection(db, req.params.id, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        
+        await db.collection('collections').deleteOne({ _id: found.collection._id });
+        
+        res.json({
+            success: true,
+            message: 'Collection deleted successfully.'
+        });
+        
+    } catch (error) {
+        console.error('Delete collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while deleting collection.'
+        });
+    }
+});
+
+// Post route for saving a post to the end of a collection
+app.post(`/${STUDENT_ID}/collections/:id/items`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to save posts.'
+            });
+        }
+        
+        const { postId } = req.body;
+        
+        // Validate post ID
+        if (typeof postId !== 'string' || !ObjectId.isValid(postId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        
+        const found = await findOwnCollection(db, req.params.id, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        const collection = found.collection;
+        
+        const post = await db.collection('contents').findOne(
+            { _id: new ObjectId(postId) },
+            { projection: { author: 1, visibility: 1, sharedWith: 1 } }
+        );
+        if (!post || !canViewPost(post, req.session.username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found.'
+            });
+        }
+        
+        if (collection.items.length >= MAX_COLLECTION_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                message: `A collection can hold at most ${MAX_COLLECTION_ITEMS} posts.`
+            });
+        }
+        
+        // Only add the post if it is not already in the collection
+        const result = await db.collection('collections').updateOne(
+            { _id: collection._id, 'items.postId': { $ne: post._id } },
+            {
+                $push: { items: { postId: post._id, addedAt: new Date() } },
+                $set: { updatedAt: new Date() }
+            }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `This post is already in "${collection.name}".`
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: `Post saved to "${collection.name}".`,
+            collectionId: collection._id,
+            postId: post._id,
+            itemCount: collection.items.length + 1
+        });
+        
+    } catch (error) {
+        console.error('Add collection item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while saving post.'
+        });
+    }
+});
+
+// Delete route for removing a post from a collection
+app.delete(`/${STUDENT_ID}/collections/:id/items/:postId`, async (req, res) => {
+    try {
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to edit collections.'
+            });
+        }
+        
+        const { postId } = req.params;
+        
+        // Validate post ID
+        if (!ObjectId.isValid(postId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid post ID.'
+            });
+        }
+        
+        // Get database instance
+        const db = getDB();
+        
+        const found = await findOwnCollection(db, req.params.id, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
         
-        // Check if current user is following this profile
-        let isFollowing = false;
-        if (req.session.username && req.session.username !== username) {
-            const followRelation = await followsCollection.findOne({
-                follower: req.session.username,
-                following: username
+        const result = await db.collection('collections').updateOne(
+            { _id: found.collection._id },
+            {
+                $pull: { items: { postId: new ObjectId(postId) } },
+                $set: { updatedAt: new Date() }
+            }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post is not in this collection.'
             });
-            isFollowing = !!followRelation;
         }
         
         res.json({
             success: true,
-            profile: {
-                username: user.username,
-                email: user.email,
-                profileImage: user.profileImage,
-                createdAt: user.createdAt,
-                stats: {
-                    posts: postsCount,
-                    likes: 0, // Placeholder for future likes feature
-                    followers: followersCount,
-                    following: followingCount
-                },
-                isFollowing: isFollowing
-            }
+            message: `Post removed from "${found.collection.name}".`,
+            collectionId: found.collection._id,
+            postId: postId,
+            itemCount: found.collection.items.length - 1
         });
         
     } catch (error) {
-        console.error('Profile error:', error);
+        console.error('Remove collection item error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error during profile retrieval.'
+            message: 'Internal server error while removing post from collection.'
         });
     }
 });
 
-/**
- * NEW: Get route to serve uploaded files
- * This ensures files are accessible
- */
-app.use('/assets/uploads', express.static(path.join(__dirname, 'public', 'assets', 'uploads')));
-
-// NEW: Post route for uploading profile image
-app.post(`/${STUDENT_ID}/upload/profile-picture`, upload.single('profilePicture'), async (req, res) => {
+// Put route for reordering the posts in a collection
+// postIds must list every post in the collection exactly once, in the new order
+app.put(`/${STUDENT_ID}/collections/:id/items`, async (req, res) => {
     try {
         // Check if user is logged in
         if (!req.session.userId) {
             return res.status(401).json({
                 success: false,
-                message: 'Please login to upload profile picture.'
+                message: 'Please login to edit collections.'
             });
         }
         
-        // Check if file was uploaded
-        if (!req.file) {
-            return res.status(400).json({
+        // Get database instance
+        const db = getDB();
+        
+        const found = await findOwnCollection(db, req.params.id, req.session.username);
+        if (found.message) {
+            return res.status(found.status).json({
                 success: false,
-                message: 'No file uploaded.'
+                message: found.message
             });
         }
         
-        // Validate file is an image
-        if (!req.file.mimetype.startsWith('image/')) {
+        const reorderResult = reorderItems(found.collection.items, req.body.postIds);
+        if (reorderResult.error) {
             return res.status(400).json({
                 success: false,
-                message: 'Only image files are allowed for profile pictures.'
+                message: reorderResult.error
             });
         }
         
-        // Get database instance
-        const db = getDB();
-        const usersCollection = db.collection('users');
-        
-        // Build profile picture URL
-        const profilePictureUrl = `/assets/uploads/${req.file.filename}`;
-        
-        // Update user's profile picture in database
-        await usersCollection.updateOne(
-            { _id: new ObjectId(req.session.userId) },
-            { 
-                $set: { 
-                    profilePicture: profilePictureUrl,
-                    profilePictureUpdatedAt: new Date()
-                } 
-            }
+        // Refuse the new order if posts were added or removed since it was read
+        const result = await db.collection('collections').updateOne(
+            { _id: found.collection._id, items: { $size: found.collection.items.length } },
+            { $set: { items: reorderResult.items, updatedAt: new Date() } }
         );
+        if (result.matchedCount === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'The collection changed while reordering. Please reload it and try again.'
+            });
+        }
         
         res.json({
             success: true,
-            message: 'Profile picture uploaded successfully.',
-            profilePictureUrl: profilePictureUrl
+            message: 'Collection reordered successfully.',
+            postIds: reorderResult.items.map(item => item.postId)
         });
         
     } catch (error) {
-        console.error('Profile picture upload error:', error);
+        console.error('Reorder collection error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error during profile picture upload.'
+            message: 'Internal server error while reordering collection.'
         });
     }
 });
 
 /**
- * Post route to create a comment on a post
- * POST /M01039337/posts/:postId/comments
+ * Get route to list the logged-in user's notifications (newest first)
+ * GET /M01039337/notifications?unread=true
  */
-app.post(`/${STUDENT_ID}/posts/:postId/comments`, async (req, res) => {
+app.get(`/${STUDENT_ID}/notifications`, async (req, res) => {
     try {
         // Check if user is logged in
         if (!req.session.userId) {
             return res.status(401).json({
                 success: false,
-                message: 'Please login to add comments.'
+                message: 'Please login to view notifications.'
             });
         }
 
-        const { postId } = req.params;
-        const { text } = req.body;
-
-        // Validate required fields
-        if (!text || text.trim().length === 0) {
+        // Read limit and after cursor
+        const pageParams = getPageParams(req.query, NEWEST_FIRST);
+        if (pageParams.error) {
             return res.status(400).json({
                 success: false,
-                message: 'Comment text is required.'
+                message: pageParams.error
             });
         }
 
         // Get database instance
         const db = getDB();
-        const commentsCollection = db.collection('comments');
-        const contentsCollection = db.collection('contents');
+        const notificationsCollection = db.collection('notifications');
 
-        // Check if post exists
-        const post = await contentsCollection.findOne({ _id: new ObjectId(postId) });
-        if (!post) {
-            return res.status(404).json({
-                success: false,
-                message: 'Post not found.'
-            });
+        // Optionally only list unread notifications
+        const filter = { recipient: req.session.username };
+        if (req.query.unread === 'true') {
+            filter.read = false;
         }
 
-        // Create comment
-        const comment = {
-            postId: new ObjectId(postId),
-            author: req.session.username,
-            userId: new ObjectId(req.session.userId),
-            text: text.trim(),
-            createdAt: new Date()
-        };
+        const notificationDocs = await notificationsCollection.find(applyCursor(filter, NEWEST_FIRST, pageParams.after))
+            .sort(NEWEST_FIRST)
+            .limit(pageParams.limit + 1)
+            .toArray();
+        const { items: notifications, nextCursor } = buildPage(notificationDocs, NEWEST_FIRST, pageParams.limit);
 
-        const result = await commentsCollection.insertOne(comment);
+        const unreadCount = await notificationsCollection.countDocuments({
+            recipient: req.session.username,
+            read: false
+        });
 
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Comment added successfully.',
-            comment: {
-                _id: result.insertedId,
-                ...comment
-            }
+            unreadCount: unreadCount,
+            limit: pageParams.limit,
+            nextCursor: nextCursor,
+            count: notifications.length,
+            notifications: notifications
         });
 
     } catch (error) {
-        console.error('Comment error:', error);
+        console.error('Get notifications error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while adding comment.'
+            message: 'Internal server error while retrieving notifications.'
         });
     }
 });
 
 /**
- * Get route to retrieve comments for a post
- * GET /M01039337/posts/:postId/comments
+ * Get route to count the logged-in user's unread notifications
+ * GET /M01039337/notifications/unread-count
  */
-app.get(`/${STUDENT_ID}/posts/:postId/comments`, async (req, res) => {
+app.get(`/${STUDENT_ID}/notifications/unread-count`, async (req, res) => {
     try {
-        const { postId } = req.params;
+        // Check if user is logged in
+        if (!req.session.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please login to view notifications.'
+            });
+        }
 
         // Get database instance
         const db = getDB();
-        const commentsCollection = db.collection('comments');
-
-        // Get all comments for post
-        const comments = await commentsCollection.find({
-            postId: new ObjectId(postId)
-        }).sort({ createdAt: -1 }).toArray();
+        const unreadCount = await db.collection('notifications').countDocuments({
+            recipient: req.session.username,
+            read: false
+        });
 
         res.json({
             success: true,
-            postId: postId,
-            count: comments.length,
-            comments: comments
+            unreadCount: unreadCount
         });
 
     } catch (error) {
-        console.error('Get comments error:', error);
+        console.error('Unread notifications count error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while retrieving comments.'
+            message: 'Internal server error while counting notifications.'
         });
     }
 });
 
 /**
- * Delete route to remove a comment
- * DELETE /M01039337/comments/:commentId
+ * Post route to mark notifications as read, either the given IDs or all of them
+ * POST /M01039337/notifications/read
  */
-app.delete(`/${STUDENT_ID}/comments/:commentId`, async (req, res) => {
+app.post(`/${STUDENT_ID}/notifications/read`, async (req, res) => {
     try {
         // Check if user is logged in
         if (!req.session.userId) {
             return res.status(401).json({
                 success: false,
-                message: 'Please login to delete comments.'
+                message: 'Please login to update notifications.'
             });
         }
 
-        const { commentId } = req.params;
-
-        // Get database instance
-        const db = getDB();
-        const commentsCollection = db.collection('comments');
+        const { ids } = req.body;
 
-        // Find comment
-        const comment = await commentsCollection.findOne({ _id: new ObjectId(commentId) });
-        if (!comment) {
-            return res.status(404).json({
+        // Validate notification IDs when given
+        if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => ObjectId.isValid(id)))) {
+            return res.status(400).json({
                 success: false,
-                message: 'Comment not found.'
+                message: 'Notification IDs must be a list of valid IDs.'
             });
         }
 
-        // Check if user is comment author
-        if (comment.author !== req.session.username) {
-            return res.status(403).json({
-                success: false,
-                message: 'You can only delete your own comments.'
-            });
+        // Get database instance
+        const db = getDB();
+        const notificationsCollection = db.collection('notifications');
+
+        // Users can only mark their own notifications
+        const filter = { recipient: req.session.username, read: false };
+        if (ids !== undefined) {
+            filter._id = { $in: ids.map(id => new ObjectId(id)) };
         }
+        const result = await notificationsCollection.updateMany(filter, {
+            $set: { read: true, readAt: new Date() }
+        });
 
-        // Delete comment
-        await commentsCollection.deleteOne({ _id: new ObjectId(commentId) });
+        const unreadCount = await notificationsCollection.countDocuments({
+            recipient: req.session.username,
+            read: false
+        });
 
         res.json({
             success: true,
-            message: 'Comment deleted successfully.'
+            message: 'Notifications marked as read.',
+            markedCount: result.modifiedCount,
+            unreadCount: unreadCount
         });
 
     } catch (error) {
-        console.error('Delete comment error:', error);
+        console.error('Mark notifications read error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while deleting comment.'
+            message: 'Internal server error while updating notifications.'
         });
     }
 });
 
 /**
- * Post route to like/unlike a post
- * POST /M01039337/posts/:postId/like
+ * Get route to open the live updates stream for the logged-in user (Server-Sent Events)
+ * Pushes "post" for new posts in the user's feed, "comment" and "likes" for watched posts,
+ * and "notification" when the unread count changes
+ * GET /M01039337/events
  */
-app.post(`/${STUDENT_ID}/posts/:postId/like`, async (req, res) => {
+app.get(`/${STUDENT_ID}/events`, (req, res) => {
+    // Check if user is logged in
+    if (!req.session.userId) {
+        return res.status(401).json({
+            success: false,
+            message: 'Please login to receive live updates.'
+        });
+    }
+
+    openStream(req, res, req.session.username);
+});
+
+/**
+ * Put route to choose the posts a live stream receives comments and like counts for
+ * PUT /M01039337/events/:clientId/posts
+ */
+app.put(`/${STUDENT_ID}/events/:clientId/posts`, async (req, res) => {
     try {
         // Check if user is logged in
         if (!req.session.userId) {
             return res.status(401).json({
                 success: false,
-                message: 'Please login to like posts.'
+                message: 'Please login to receive live updates.'
             });
         }
 
-        const { postId } = req.params;
-        const { isLike } = req.body; // true for like, false for dislike
-
-        // Get database instance
-        const db = getDB();
-        const likesCollection = db.collection('likes');
-        const contentsCollection = db.collection('contents');
+        const { postIds } = req.body;
 
-        // Check if post exists
-        const post = await contentsCollection.findOne({ _id: new ObjectId(postId) });
-        if (!post) {
-            return res.status(404).json({
+        // Validate post IDs
+        if (!Array.isArray(postIds) || !postIds.every(id => ObjectId.isValid(id))) {
+            return res.status(400).json({
                 success: false,
-                message: 'Post not found.'
+                message: 'Post IDs must be a list of valid IDs.'
             });
         }
-
-        // Check if user already liked/disliked this post
-        const existingLike = await likesCollection.findOne({
-            postId: new ObjectId(postId),
-            user: req.session.username
-        });
-
-        if (existingLike) {
-            // Update existing like/dislike
-            if (existingLike.isLike === isLike) {
-                // Same type, remove it (unlike/undislike)
-                await likesCollection.deleteOne({ _id: existingLike._id });
-                return res.json({
-                    success: true,
-                    message: isLike ? 'Like removed.' : 'Dislike removed.',
-                    action: 'removed',
-                    isLike: isLike
-                });
-            } else {
-                // Different type, update it
-                await likesCollection.updateOne(
-                    { _id: existingLike._id },
-                    { $set: { isLike: isLike, updatedAt: new Date() } }
-                );
-                return res.json({
-                    success: true,
-                    message: isLike ? 'Changed to like.' : 'Changed to dislike.',
-                    action: 'updated',
-                    isLike: isLike
-                });
-            }
+        if (postIds.length > MAX_WATCHED_POSTS) {
+            return res.status(400).json({
+                success: false,
+                message: `A live stream can watch at most ${MAX_WATCHED_POSTS} posts.`
+            });
         }
 
-        // Create new like/dislike
-        const likeRecord = {
-            postId: new ObjectId(postId),
-            user: req.session.username,
-            userId: new ObjectId(req.session.userId),
-            isLike: isLike,
-            createdAt: new Date()
-        };
-
-        await likesCollection.insertOne(likeRecord);
-
-        res.status(201).json({
-            success: true,
-            message: isLike ? 'Post liked.' : 'Post disliked.',
-            action: 'created',
-            isLike: isLike
-        });
-
-    } catch (error) {
-        console.error('Like error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error while liking post.'
-        });
-    }
-});
-
-/**
- * Get route to retrieve like/dislike statistics for a post
- * GET /M01039337/posts/:postId/likes
- */
-app.get(`/${STUDENT_ID}/posts/:postId/likes`, async (req, res) => {
-    try {
-        const { postId } = req.params;
-
-        // Get database instance
-        const db = getDB();
-        const likesCollection = db.collection('likes');
-
-        // Get all likes and dislikes for post
-        const likes = await likesCollection.find({
-            postId: new ObjectId(postId)
-        }).toArray();
+        // Only watch posts this user may see, so private comments and likes are not pushed to others
+        const posts = await getDB().collection('contents').find(
+            { _id: { $in: postIds.map(id => new ObjectId(id)) } },
+            { projection: { author: 1, visibility: 1, sharedWith: 1 } }
+        ).toArray();
+        const visibleIds = posts
+            .filter(post => canViewPost(post, req.session.username))
+            .map(post => post._id.toString());
 
-        // Count likes and dislikes
-        const likeCount = likes.filter(l => l.isLike).length;
-        const dislikeCount = likes.filter(l => !l.isLike).length;
-
-        // Check if current user has liked or disliked (if logged in)
-        let userVote = null;
-        if (req.session.username) {
-            const userVote_record = likes.find(l => l.user === req.session.username);
-            if (userVote_record) {
-                userVote = userVote_record.isLike ? 'like' : 'dislike';
-            }
+        // The stream must be open and belong to this user
+        if (!watchPosts(req.params.clientId, req.session.username, visibleIds)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Live stream not found.'
+            });
         }
 
         res.json({
             success: true,
-            postId: postId,
-            likeCount: likeCount,
-            dislikeCount: dislikeCount,
-            userVote: userVote
+            message: 'Watched posts updated.',
+            count: visibleIds.length
         });
 
     } catch (error) {
-        console.error('Get likes error:', error);
+        console.error('Watch posts error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while retrieving likes.'
+            message: 'Internal server error while updating live stream.'
         });
     }
 });
@@ -1607,6 +6114,14 @@ app.use((req, res, next) => {
 
 // Use global error handler
 app.use((err, req, res, next) => {
+    // Uploads that break a multer limit (file too large, unexpected field, too many files) are the client's mistake
+    if (err instanceof multer.MulterError) {
+        return res.status(400).json({
+            success: false,
+            message: err.code === 'LIMIT_FILE_SIZE' ? 'The uploaded file is too large.' : `Upload rejected: ${err.message}.`
+        });
+    }
+    
     console.error('Unhandled error:', err);
     res.status(500).json({
         success: false,
@@ -1,5 +1,8 @@
-// Import module
+// Import modules
 import { MongoClient } from 'mongodb';
+import { getPostFiles } from './snippet_files.js';
+import { HIGHLIGHT_VERSION, renderPostCode } from './syntax_highlight.js';
+import { AVATAR_SIZES } from './avatar_images.js';
 
 // MongoDB connection URL and database name
 const URL = 'mongodb://localhost:27017';
@@ -28,6 +31,9 @@ async function setupDatabase() {
         await contentsCollection.createIndex({ author: 1 });
         await contentsCollection.createIndex({ authorId: 1 });
         await contentsCollection.createIndex({ createdAt: -1 });
+        // Compound indexes matching the cursor pagination sort (newest first, _id as tie-breaker)
+        await contentsCollection.createIndex({ createdAt: -1, _id: -1 });
+        await contentsCollection.createIndex({ author: 1, createdAt: -1, _id: -1 });
         
         // Drop old text indexes if they exist
         try {
@@ -40,11 +46,32 @@ async function setupDatabase() {
         } catch (e) {
             // Index doesn't exist, that's fine
         }
+        try {
+            await contentsCollection.dropIndex('contents_text');
+        } catch (e) {
+            // Index doesn't exist, that's fine
+        }
         
-        // Create text index on title and description only
-        await contentsCollection.createIndex({ title: 'text', description: 'text' });
+        // Create weighted text index on title, description and code for ranked search
+        // files[].language would be read as the text language, so point the override at an unused field
+        await contentsCollection.createIndex(
+            { title: 'text', description: 'text', 'files.code': 'text' },
+            {
+                name: 'contents_text',
+                weights: { title: 10, description: 5, 'files.code': 1 },
+                default_language: 'english',
+                language_override: 'textLanguage'
+            }
+        );
         // Add regular index for programmingLanguage field
         await contentsCollection.createIndex({ programmingLanguage: 1 });
+        // Multikey index for tag pages and the feed
+        await contentsCollection.createIndex({ tags: 1, createdAt: -1, _id: -1 });
+        // Forks of a post, newest first
+        await contentsCollection.createIndex({ 'forkedFrom.postId': 1, createdAt: -1, _id: -1 });
+        // Public listings, and private posts shared with a user
+        await contentsCollection.createIndex({ visibility: 1, createdAt: -1, _id: -1 });
+        await contentsCollection.createIndex({ sharedWith: 1 });
         console.log('Contents collection indexes created');
         
         // Set follows collection index
@@ -53,13 +80,27 @@ async function setupDatabase() {
         await followsCollection.createIndex({ follower: 1 });
         await followsCollection.createIndex({ following: 1 });
         await followsCollection.createIndex({ createdAt: -1 });
+        await followsCollection.createIndex({ follower: 1, createdAt: -1, _id: -1 });
+        await followsCollection.createIndex({ following: 1, createdAt: -1, _id: -1 });
         console.log('Follows collection indexes created');
         
+        // Set tag follows collection index
+        const tagFollowsCollection = db.collection('tagFollows');
+        await tagFollowsCollection.createIndex({ user: 1, tag: 1 }, { unique: true });
+        await tagFollowsCollection.createIndex({ tag: 1 });
+        console.log('Tag follows collection indexes created');
+        
         // Set comments collection index
         const commentsCollection = db.collection('comments');
         await commentsCollection.createIndex({ postId: 1 });
         await commentsCollection.createIndex({ author: 1 });
         await commentsCollection.createIndex({ createdAt: -1 });
+        // Top-level comments per post (newest first) and the replies in each thread
+        await commentsCollection.createIndex({ postId: 1, parentId: 1, createdAt: -1, _id: -1 });
+        await commentsCollection.createIndex({ rootId: 1, createdAt: 1 });
+        await commentsCollection.createIndex({ parentId: 1 });
+        // Line comments to move or flag as outdated when a post's code changes
+        await commentsCollection.createIndex({ postId: 1, 'anchor.outdated': 1 });
         console.log('Comments collection indexes created');
         
         // Set likes collection index
@@ -69,24 +110,137 @@ async function setupDatabase() {
         await likesCollection.createIndex({ user: 1 });
         console.log('Likes collection indexes created');
         
-        // Migration: Add plainPassword field to existing users that don't have it
-        console.log('\nMigrating users to add plainPassword field...');
-        const usersWithoutPlainPassword = await usersCollection.find({ plainPassword: { $exists: false } }).toArray();
-        if (usersWithoutPlainPassword.length > 0) {
-            console.log(`Found ${usersWithoutPlainPassword.length} users without plainPassword field`);
-            for (const user of usersWithoutPlainPassword) {
-                // Generate a temporary password based on username if plainPassword doesn't exist
-                const tempPassword = `${user.username}123456`;
-                await usersCollection.updateOne(
-                    { _id: user._id },
-                    { $set: { plainPassword: tempPassword } }
+        // Set revisions collection index
+        const revisionsCollection = db.collection('revisions');
+        await revisionsCollection.createIndex({ postId: 1, revision: -1 }, { unique: true });
+        console.log('Revisions collection indexes created');
+        
+        // Set notifications collection index
+        const notificationsCollection = db.collection('notifications');
+        // Each user's notifications (newest first) and their unread count
+        await notificationsCollection.createIndex({ recipient: 1, createdAt: -1, _id: -1 });
+        await notificationsCollection.createIndex({ recipient: 1, read: 1 });
+        // Repeated actions refresh one notification, and notifications go with their post or comment
+        await notificationsCollection.createIndex({ recipient: 1, type: 1, actor: 1, postId: 1, commentId: 1 });
+        await notificationsCollection.createIndex({ postId: 1 });
+        await notificationsCollection.createIndex({ commentId: 1 });
+        console.log('Notifications collection indexes created');
+        
+        // Set collections (bookmarked posts) collection index
+        const collectionsCollection = db.collection('collections');
+        // Names are unique per user, ignoring case
+        await collectionsCollection.createIndex({ owner: 1, nameKey: 1 }, { unique: true });
+        // Finding the collections that hold a post when it is deleted
+        await collectionsCollection.createIndex({ 'items.postId': 1 });
+        console.log('Collections collection indexes created');
+        
+        // Set drafts collection index
+        const draftsCollection = db.collection('drafts');
+        // Draft list, most recently edited first
+        await draftsCollection.createIndex({ author: 1, updatedAt: -1, _id: -1 });
+        // Pending schedules, read by the scheduler on startup
+        await draftsCollection.createIndex(
+            { publishAt: 1 },
+            { partialFilterExpression: { publishAt: { $type: 'date' } } }
+        );
+        console.log('Drafts collection indexes created');
+        
+        // Set password resets collection index
+        const resetsCollection = db.collection('passwordResets');
+        await resetsCollection.createIndex({ tokenHash: 1 }, { unique: true });
+        await resetsCollection.createIndex({ userId: 1 });
+        // Expired tokens are removed automatically by MongoDB
+        await resetsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        console.log('Password resets collection indexes created');
+        
+        // Set email changes collection index
+        const emailChangesCollection = db.collection('emailChanges');
+        await emailChangesCollection.createIndex({ tokenHash: 1 }, { unique: true });
+        await emailChangesCollection.createIndex({ userId: 1 });
+        // Expired confirmation links are removed automatically by MongoDB
+        await emailChangesCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        console.log('Email changes collection indexes created');
+        
+        // Set rate limits collection index
+        const rateLimitsCollection = db.collection('rateLimits');
+        await rateLimitsCollection.createIndex({ key: 1 }, { unique: true });
+        // Counters are removed by MongoDB once their window and any lockout are over
+        await rateLimitsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        console.log('Rate limits collection indexes created');
+        
+        // Set login attempts collection index
+        const loginAttemptsCollection = db.collection('loginAttempts');
+        await loginAttemptsCollection.createIndex({ userId: 1, createdAt: -1, _id: -1 });
+        // Failed logins are kept for 30 days
+        await loginAttemptsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        console.log('Login attempts collection indexes created');
+        
+        // Migration: Remove plaintext passwords stored by older versions
+        console.log('\nMigrating users to remove plainPassword field...');
+        const plainPasswordResult = await usersCollection.updateMany(
+            { plainPassword: { $exists: true } },
+            { $unset: { plainPassword: '' } }
+        );
+        if (plainPasswordResult.modifiedCount > 0) {
+            console.log(`Removed plainPassword from ${plainPasswordResult.modifiedCount} users`);
+        } else {
+            console.log('No users have a plainPassword field');
+        }
+        
+        // Migration: Convert single-code posts and revisions to multi-file snippets
+        console.log('\nMigrating single-code posts to multi-file snippets...');
+        for (const collectionName of ['contents', 'revisions']) {
+            const collection = db.collection(collectionName);
+            const singleCodeDocs = await collection.find({ code: { $exists: true }, files: { $exists: false } }).toArray();
+            for (const doc of singleCodeDocs) {
+                await collection.updateOne(
+                    { _id: doc._id },
+                    { $set: { files: getPostFiles(doc) }, $unset: { code: '' } }
                 );
-                console.log(`Updated user ${user.username} with temporary password`);
             }
-            console.log('Migration complete');
-        } else {
-            console.log('All users have plainPassword field');
+            console.log(`Converted ${singleCodeDocs.length} documents in ${collectionName}`);
+        }
+        
+        // Migration: Render highlighted code for posts without it or rendered by older rules
+        console.log('\nRendering highlighted code for posts...');
+        const unrenderedPosts = await contentsCollection.find(
+            { 'renderedCode.version': { $ne: HIGHLIGHT_VERSION } },
+            { projection: { files: 1, code: 1, programmingLanguage: 1 } }
+        ).toArray();
+        for (const post of unrenderedPosts) {
+            await contentsCollection.updateOne(
+                { _id: post._id },
+                { $set: { renderedCode: renderPostCode(getPostFiles(post)) } }
+            );
+        }
+        console.log(`Rendered code for ${unrenderedPosts.length} posts`);
+        
+        // Migration: Make posts from before visibility existed public
+        console.log('\nSetting visibility on older posts...');
+        const visibilityResult = await contentsCollection.updateMany(
+            { visibility: { $exists: false } },
+            { $set: { visibility: 'public', sharedWith: [] } }
+        );
+        console.log(`Made ${visibilityResult.modifiedCount} older posts public`);
+        
+        // Migration: Move pictures saved in the old profilePicture field, or as a single URL, to profileImage
+        // Older uploads have one full-size file, so it is used for every size
+        console.log('\nMoving older profile pictures to profileImage...');
+        const legacyPictureUsers = await usersCollection.find(
+            { $or: [{ profilePicture: { $type: 'string' } }, { profileImage: { $type: 'string' } }] },
+            { projection: { profileImage: 1, profilePicture: 1 } }
+        ).toArray();
+        for (const user of legacyPictureUsers) {
+            const url = typeof user.profilePicture === 'string' ? user.profilePicture : user.profileImage;
+            await usersCollection.updateOne(
+                { _id: user._id },
+                {
+                    $set: { profileImage: Object.fromEntries(AVATAR_SIZES.map(size => [size, url])) },
+                    $unset: { profilePicture: '', profilePictureUpdatedAt: '' }
+                }
+            );
         }
+        console.log(`Moved profile pictures for ${legacyPictureUsers.length} users`);
         
         // Display statistics
         console.log('Database Setup Complete');
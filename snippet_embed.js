@@ -0,0 +1,111 @@
+// Standalone HTML page for embedding a snippet in an iframe on other sites
+// The page carries its own small stylesheet and reports its height to the parent page,
+// which the embed script (public/assets/javascript/embed.js) uses to size the iframe
+
+import { getPostFiles, fileNameWithExtension } from './snippet_files.js';
+import { highlightCode } from './syntax_highlight.js';
+
+// Code themes an embed can be shown in, matching the site's theme picker
+export const EMBED_THEMES = ['default', 'contrast', 'light'];
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/**
+ * Wrap embed content in a full HTML document
+ * @param {string} title - Page title
+ * @param {string} body - Body HTML
+ * @param {string} baseURL - Site path prefix, e.g. "/M01039337"
+ * @param {string} theme - Code theme
+ * @returns {string} HTML document
+ */
+function renderDocument(title, body, baseURL, theme) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - CodeLogs</title>
+    <link rel="stylesheet" href="${baseURL}/assets/css/embed.css">
+    <base target="_blank">
+</head>
+<body data-code-theme="${theme}">
+${body}
+<script>
+    // Tell the page around the iframe how tall the snippet is
+    (function () {
+        function sendHeight() {
+            window.parent.postMessage({ type: 'codelogs-embed-height', height: document.documentElement.scrollHeight }, '*');
+        }
+        window.addEventListener('load', sendHeight);
+        window.addEventListener('resize', sendHeight);
+    })();
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * Pick a valid embed theme
+ * @param {string} theme - Requested theme
+ * @returns {string} The theme, or "default" if it is not one of EMBED_THEMES
+ */
+export function normalizeEmbedTheme(theme) {
+    return EMBED_THEMES.includes(theme) ? theme : 'default';
+}
+
+/**
+ * Render the embed page for a post: its title, author and every file highlighted, with links back to the site
+ * @param {Object} post - Post document
+ * @param {string} baseURL - Site path prefix, e.g. "/M01039337"
+ * @param {string} theme - Code theme from EMBED_THEMES
+ * @returns {string} HTML document
+ */
+export function renderEmbedPage(post, baseURL, theme) {
+    const postURL = `${baseURL}/#/post/${post._id}`;
+    const files = getPostFiles(post).map(file => `
+    <div class="embed-file">
+        <div class="embed-file-header">
+            <span class="embed-file-name">${escapeHtml(file.name)}</span>
+            <span class="embed-file-language">${escapeHtml(file.language)}</span>
+            <a class="embed-raw-link" href="${baseURL}/contents/${post._id}/raw?file=${encodeURIComponent(file.name)}" title="Open ${escapeHtml(fileNameWithExtension(file))} as plain text">Raw</a>
+        </div>
+        <div class="embed-code">${highlightCode(file.code, file.language, '')}</div>
+    </div>`).join('');
+
+    return renderDocument(post.title, `
+<div class="embed-card">
+    <div class="embed-header">
+        <a class="embed-title" href="${postURL}">${escapeHtml(post.title)}</a>
+        <span class="embed-author">by ${escapeHtml(post.author)}</span>
+    </div>${files}
+    <div class="embed-footer">
+        <a href="${postURL}">View on CodeLogs</a>
+        <a href="${baseURL}/contents/${post._id}/download">Download</a>
+    </div>
+</div>`, baseURL, theme);
+}
+
+/**
+ * Render an embed page showing only a message, used when the snippet cannot be shown
+ * @param {string} message - Message to show
+ * @param {string} baseURL - Site path prefix, e.g. "/M01039337"
+ * @returns {string} HTML document
+ */
+export function renderEmbedMessage(message, baseURL) {
+    return renderDocument('Snippet unavailable', `
+<div class="embed-card">
+    <p class="embed-message">${escapeHtml(message)}</p>
+</div>`, baseURL, 'default');
+}
@@ -0,0 +1,143 @@
+// Helpers for multi-file code snippets
+// A post stores an ordered list of files, each with its own name, language and code
+
+import { detectLanguage, MIN_DETECTION_CONFIDENCE } from './language_detection.js';
+
+// Limits for files in a single post
+export const MAX_FILES_PER_POST = 10;
+export const MAX_FILE_NAME_LENGTH = 100;
+
+// File extension used for each language offered by the create form
+export const LANGUAGE_EXTENSIONS = {
+    'JavaScript': 'js',
+    'Python': 'py',
+    'C': 'c',
+    'C++': 'cpp',
+    'C#': 'cs',
+    'PHP': 'php',
+    'Go': 'go',
+    'Rust': 'rs',
+    'TypeScript': 'ts',
+    'HTML': 'html',
+    'CSS': 'css',
+    'SQL': 'sql',
+    'Shell': 'sh',
+    'Other': 'txt'
+};
+
+/**
+ * Get the file extension for a programming language
+ * @param {string} language - Programming language
+ * @returns {string} File extension without the dot
+ */
+export function extensionForLanguage(language) {
+    return LANGUAGE_EXTENSIONS[language] || 'txt';
+}
+
+/**
+ * Build a default file name for a language, e.g. "snippet.js" or "snippet-2.py"
+ * @param {string} language - Programming language
+ * @param {number} index - Position of the file in the post
+ * @returns {string} File name
+ */
+export function defaultFileName(language, index = 0) {
+    const suffix = index > 0 ? `-${index + 1}` : '';
+    return `snippet${suffix}.${extensionForLanguage(language)}`;
+}
+
+/**
+ * Get the name a file is served or downloaded under, adding the language's extension when the name has none
+ * @param {Object} file - File with name and language
+ * @returns {string} File name with an extension, e.g. "app" in Python becomes "app.py"
+ */
+export function fileNameWithExtension(file) {
+    return /\.[^.]+$/.test(file.name) ? file.name : `${file.name}.${extensionForLanguage(file.language)}`;
+}
+
+/**
+ * Get the files of a post or revision, converting old single-code documents
+ * @param {Object} doc - Post or revision document
+ * @returns {Array<Object>} Files with name, language and code
+ */
+export function getPostFiles(doc) {
+    if (Array.isArray(doc.files) && doc.files.length > 0) {
+        return doc.files;
+    }
+    if (typeof doc.code === 'string') {
+        return [{
+            name: defaultFileName(doc.programmingLanguage),
+            language: doc.programmingLanguage || 'Other',
+            code: doc.code
+        }];
+    }
+    return [];
+}
+
+/**
+ * Validate and clean a list of files submitted by a client
+ * Accepts an array or a JSON string (multipart forms send fields as strings)
+ * Files without a language get one guessed from their name and code, or "Other" when the guess is weak
+ * @param {Array|string} input - Submitted files
+ * @returns {{files: Array<Object>, detected: Array<Object>}|{error: string}} Cleaned files with the guesses made
+ *     for them (index, name, language, confidence), or an error message
+ */
+export function normalizeFiles(input) {
+    let files = input;
+    if (typeof files === 'string') {
+        try {
+            files = JSON.parse(files);
+        } catch (error) {
+            return { error: 'Files must be a valid JSON array.' };
+        }
+    }
+
+    if (!Array.isArray(files) || files.length === 0) {
+        return { error: 'At least one file is required.' };
+    }
+    if (files.length > MAX_FILES_PER_POST) {
+        return { error: `A post can have at most ${MAX_FILES_PER_POST} files.` };
+    }
+
+    const cleaned = [];
+    const detected = [];
+    const seenNames = new Set();
+
+    for (let index = 0; index < files.length; index++) {
+        const file = files[index] || {};
+        const code = typeof file.code === 'string' ? file.code : '';
+        let language = typeof file.language === 'string' && file.language.trim()
+            ? file.language.trim()
+            : '';
+
+        if (!code.trim()) {
+            return { error: `File ${index + 1} has no code.` };
+        }
+
+        // File names are plain names, never paths
+        let name = typeof file.name === 'string' ? file.name.trim() : '';
+        name = name.replace(/[\\/]/g, '-');
+
+        let guess = null;
+        if (!language) {
+            guess = detectLanguage(code, name);
+            language = guess.confidence >= MIN_DETECTION_CONFIDENCE ? guess.language : 'Other';
+        }
+        if (!name) {
+            name = defaultFileName(language, index);
+        }
+        if (name.length > MAX_FILE_NAME_LENGTH) {
+            return { error: `File names can be at most ${MAX_FILE_NAME_LENGTH} characters.` };
+        }
+        if (seenNames.has(name.toLowerCase())) {
+            return { error: `Duplicate file name: ${name}` };
+        }
+        seenNames.add(name.toLowerCase());
+
+        cleaned.push({ name, language, code });
+        if (guess) {
+            detected.push({ index, name, language, confidence: guess.confidence });
+        }
+    }
+
+    return { files: cleaned, detected };
+}
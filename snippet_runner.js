@@ -0,0 +1,78 @@
+// Runs JavaScript snippets away from the server process
+// Each run gets its own worker thread with a memory cap, and the code runs in an empty vm context
+// inside it, so it has no require, process, filesystem or network access
+
+import { Worker } from 'worker_threads';
+
+// Limits for a single run
+export const RUN_TIMEOUT_MS = 3000;
+export const RUN_MEMORY_MB = 32;
+export const MAX_OUTPUT_LINES = 200;
+
+// Runs allowed at the same time, so snippets cannot starve the server
+export const MAX_CONCURRENT_RUNS = 2;
+
+const workerFile = new URL('./snippet_runner_worker.js', import.meta.url);
+let activeRuns = 0;
+
+/**
+ * Check whether another run can start right now
+ * @returns {boolean} True if the concurrent run limit has been reached
+ */
+export function isRunnerBusy() {
+    return activeRuns >= MAX_CONCURRENT_RUNS;
+}
+
+/**
+ * Run a JavaScript snippet and capture its console output
+ * @param {string} code - JavaScript source
+ * @param {Object} [options] - Limits for the run
+ * @param {number} [options.timeoutMs] - Wall-clock limit before the worker is stopped
+ * @param {number} [options.memoryMb] - Heap limit for the worker
+ * @returns {Promise<Object>} Result with output ({level, text} lines), truncated, error, timedOut and durationMs
+ */
+export function runJavaScript(code, { timeoutMs = RUN_TIMEOUT_MS, memoryMb = RUN_MEMORY_MB } = {}) {
+    const startedAt = Date.now();
+    activeRuns++;
+
+    return new Promise(resolve => {
+        const worker = new Worker(workerFile, {
+            workerData: { code, timeoutMs, maxOutputLines: MAX_OUTPUT_LINES },
+            resourceLimits: {
+                maxOldGenerationSizeMb: memoryMb,
+                maxYoungGenerationSizeMb: Math.max(4, Math.floor(memoryMb / 4)),
+                stackSizeMb: 4
+            },
+            // Keep the worker away from the server's environment variables and stdin
+            env: {},
+            stdin: false
+        });
+
+        let settled = false;
+        const finish = result => {
+            if (settled) return;
+            settled = true;
+            activeRuns--;
+            clearTimeout(timer);
+            worker.terminate();
+            resolve({ ...result, durationMs: Date.now() - startedAt });
+        };
+
+        // Stops code that never returns, such as pending promises that keep the worker busy
+        const timer = setTimeout(() => {
+            finish({ output: [], truncated: false, error: `Execution timed out after ${timeoutMs} ms.`, timedOut: true });
+        }, timeoutMs + 500);
+
+        worker.on('message', result => finish({ ...result, timedOut: result.timedOut === true }));
+        worker.on('error', error => {
+            const outOfMemory = error.code === 'ERR_WORKER_OUT_OF_MEMORY';
+            finish({
+                output: [],
+                truncated: false,
+                error: outOfMemory ? `Memory limit of ${memoryMb} MB exceeded.` : `${error.name}: ${error.message}`,
+                timedOut: false
+            });
+        });
+        worker.on('exit', () => finish({ output: [], truncated: false, error: 'The snippet stopped unexpectedly.', timedOut: false }));
+    });
+}
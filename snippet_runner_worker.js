@@ -0,0 +1,71 @@
+// Worker thread started by snippet_runner.js for a single run
+// The snippet runs in a fresh vm context; console is defined inside that context, so no object from
+// this thread (and no route back to require or process) is reachable from the snippet
+
+import { parentPort, workerData } from 'worker_threads';
+import vm from 'vm';
+
+const { code, timeoutMs, maxOutputLines } = workerData;
+
+// Console that records output inside the sandbox, formatted the way browsers show it
+const CONSOLE_SOURCE = `
+(() => {
+    // Keep our own references so the snippet cannot swap them out
+    const stringify = JSON.stringify;
+    const output = [];
+    let truncated = false;
+    const format = value => {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) return value.stack || String(value);
+        if (typeof value === 'function' || typeof value === 'symbol' || typeof value === 'bigint') return String(value);
+        try {
+            const json = stringify(value);
+            return json === undefined ? String(value) : json;
+        } catch (error) {
+            return String(value);
+        }
+    };
+    const record = level => (...args) => {
+        if (output.length >= ${Number(maxOutputLines)}) {
+            truncated = true;
+            return;
+        }
+        output[output.length] = { level, text: args.map(format).join(' ') };
+    };
+    globalThis.console = {
+        log: record('log'),
+        info: record('info'),
+        debug: record('log'),
+        warn: record('warn'),
+        error: record('error')
+    };
+    return () => stringify({ output, truncated });
+})()
+`;
+
+// A null-prototype global keeps this thread's Object and Function out of the sandbox's reach
+const context = vm.createContext(Object.create(null), {
+    name: 'snippet',
+    codeGeneration: { strings: true, wasm: false },
+    microtaskMode: 'afterEvaluate'
+});
+const readOutput = vm.runInContext(CONSOLE_SOURCE, context);
+
+let error = null;
+let timedOut = false;
+try {
+    vm.runInContext(code, context, { filename: 'snippet.js', timeout: timeoutMs });
+} catch (err) {
+    // Errors thrown by the snippet come from the sandbox realm, so read them as plain values
+    timedOut = err && err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    if (timedOut) {
+        error = `Execution timed out after ${timeoutMs} ms.`;
+    } else if (err && typeof err.message === 'string') {
+        error = `${err.name || 'Error'}: ${err.message}`;
+    } else {
+        error = `Uncaught ${String(err)}`;
+    }
+}
+
+const { output, truncated } = JSON.parse(readOutput());
+parentPort.postMessage({ output, truncated, error, timedOut });
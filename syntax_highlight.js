@@ -0,0 +1,268 @@
+// Server-side syntax highlighting for snippet files
+// Code is split into tokens with a small rule set per language, then rendered as line-numbered HTML
+// that is cached on the post (renderedCode) and rebuilt whenever its files change
+
+// Bump when the rules or markup change so setup_db re-renders cached HTML
+export const HIGHLIGHT_VERSION = 1;
+
+// Building blocks shared by several languages
+const C_LINE_COMMENT = /\/\/[^\n]*/y;
+const C_BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/y;
+const HASH_COMMENT = /#[^\n]*/y;
+const DOUBLE_QUOTED = /"(?:\\[\s\S]|[^"\\\n])*"?/y;
+const SINGLE_QUOTED = /'(?:\\[\s\S]|[^'\\\n])*'?/y;
+const BACKTICK_QUOTED = /`(?:\\[\s\S]|[^`\\])*`?/y;
+const NUMBER = /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)[a-zA-Z]*/y;
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const PREPROCESSOR = /(?<=(?:^|\n)[ \t]*)#[ \t]*[A-Za-z]+/y;
+
+/**
+ * Turn a space-separated word list into a Set
+ * @param {string} list - Words separated by whitespace
+ * @returns {Set<string>} Word set
+ */
+function words(list) {
+    return new Set(list.trim().split(/\s+/));
+}
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export ' +
+    'extends finally for from function get if import in instanceof let new of return set static super switch ' +
+    'this throw try typeof var void while with yield';
+const C_KEYWORDS = 'auto break case char const continue default do double else enum extern float for goto if ' +
+    'inline int long register restrict return short signed sizeof static struct switch typedef union unsigned ' +
+    'void volatile while';
+
+// Rules for each language offered by the create form; "Other" is left as plain text
+// Each rule is [token type, sticky regex], tried in order at every position
+const LANGUAGES = {
+    'JavaScript': {
+        rules: [['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT], ['string', DOUBLE_QUOTED],
+            ['string', SINGLE_QUOTED], ['string', BACKTICK_QUOTED], ['number', NUMBER]],
+        keywords: words(JS_KEYWORDS),
+        literals: words('true false null undefined NaN Infinity')
+    },
+    'TypeScript': {
+        rules: [['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT], ['string', DOUBLE_QUOTED],
+            ['string', SINGLE_QUOTED], ['string', BACKTICK_QUOTED], ['number', NUMBER]],
+        keywords: words(JS_KEYWORDS + ' abstract as declare enum implements infer interface is keyof namespace ' +
+            'private protected public readonly type any unknown never string number boolean'),
+        literals: words('true false null undefined NaN Infinity')
+    },
+    'Python': {
+        rules: [['comment', HASH_COMMENT], ['string', /[rbfuRBFU]{0,2}"""[\s\S]*?(?:"""|$)/y],
+            ['string', /[rbfuRBFU]{0,2}'''[\s\S]*?(?:'''|$)/y], ['string', /[rbfuRBFU]{0,2}"(?:\\[\s\S]|[^"\\\n])*"?/y],
+            ['string', /[rbfuRBFU]{0,2}'(?:\\[\s\S]|[^'\\\n])*'?/y], ['keyword', /@[\w.]+/y], ['number', NUMBER]],
+        keywords: words('and as assert async await break case class continue def del elif else except finally for ' +
+            'from global if import in is lambda match nonlocal not or pass raise return self try while with yield'),
+        literals: words('True False None')
+    },
+    'C': {
+        rules: [['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT], ['keyword', PREPROCESSOR],
+            ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['number', NUMBER]],
+        keywords: words(C_KEYWORDS),
+        literals: words('NULL true false')
+    },
+    'C++': {
+        rules: [['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT], ['keyword', PREPROCESSOR],
+            ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['number', NUMBER]],
+        keywords: words(C_KEYWORDS + ' bool catch class const_cast constexpr delete dynamic_cast explicit friend ' +
+            'mutable namespace new noexcept operator override private protected public reinterpret_cast static_cast ' +
+            'template this throw try typename using virtual'),
+        literals: words('true false nullptr NULL')
+    },
+    'C#': {
+        rules: [['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT], ['keyword', PREPROCESSOR],
+            ['string', /@"(?:""|[^"])*"?/y], ['string', /\$?"(?:\\[\s\S]|[^"\\\n])*"?/y], ['string', SINGLE_QUOTED],
+            ['number', NUMBER]],
+        keywords: words('abstract as async await base bool break byte case catch char checked class const continue ' +
+            'decimal default delegate do double else enum event explicit extern finally fixed float for foreach get ' +
+            'goto if implicit in int interface internal is lock long namespace new object operator out override ' +
+            'params private protected public readonly record ref return sbyte sealed set short sizeof stackalloc ' +
+            'static string struct switch this throw try typeof uint ulong unchecked unsafe ushort using var virtual ' +
+            'void volatile while yield'),
+        literals: words('true false null')
+    },
+    'PHP': {
+        rules: [['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT], ['comment', HASH_COMMENT],
+            ['keyword', /<\?(?:php)?|\?>/y], ['variable', /\$[A-Za-z_]\w*/y], ['string', DOUBLE_QUOTED],
+            ['string', SINGLE_QUOTED], ['number', NUMBER]],
+        keywords: words('abstract and array as break callable case catch class clone const continue declare default ' +
+            'do echo else elseif empty extends final finally fn for foreach function global if implements include ' +
+            'include_once instanceof interface isset list match namespace new or print private protected public ' +
+            'readonly require require_once return static switch throw trait try unset use var while xor yield'),
+        literals: words('true false null TRUE FALSE NULL')
+    },
+    'Go': {
+        rules: [['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT], ['string', DOUBLE_QUOTED],
+            ['string', SINGLE_QUOTED], ['string', /`[^`]*`?/y], ['number', NUMBER]],
+        keywords: words('break case chan const continue default defer else fallthrough for func go goto if import ' +
+            'interface map package range return select struct switch type var'),
+        literals: words('true false nil iota')
+    },
+    'Rust': {
+        rules: [['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT], ['string', DOUBLE_QUOTED],
+            ['string', /'(?:\\.|[^'\\\n])'/y], ['function', /[A-Za-z_]\w*!/y], ['number', NUMBER]],
+        keywords: words('as async await break const continue crate dyn else enum extern fn for if impl in let loop ' +
+            'match mod move mut pub ref return self Self static struct super trait type unsafe use where while'),
+        literals: words('true false None Some Ok Err')
+    },
+    'HTML': {
+        rules: [['comment', /<!--[\s\S]*?(?:-->|$)/y], ['tag', /<\/?[A-Za-z][\w:-]*/y], ['tag', /\/?>/y],
+            ['attr', /[\w:-]+(?=\s*=)/y], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED]],
+        identifiers: false
+    },
+    'CSS': {
+        rules: [['comment', C_BLOCK_COMMENT], ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED],
+            ['keyword', /@[\w-]+/y], ['number', /#[\da-fA-F]{3,8}\b/y], ['attr', /[\w-]+(?=\s*:(?!:))/y],
+            ['number', /-?(?:\d+\.?\d*|\.\d+)(?:[a-zA-Z]+|%)?/y]],
+        identifiers: false
+    },
+    'SQL': {
+        rules: [['comment', /--[^\n]*/y], ['comment', C_BLOCK_COMMENT], ['string', SINGLE_QUOTED],
+            ['string', DOUBLE_QUOTED], ['number', NUMBER]],
+        keywords: words('add all alter and as asc between by case check column constraint create cross default ' +
+            'delete desc distinct drop else end exists foreign from full group having if in index inner insert into ' +
+            'is join key left like limit not offset on or order outer primary references right select set table ' +
+            'then union unique update values view when where with count sum avg min max int integer varchar text ' +
+            'date boolean serial'),
+        literals: words('true false null'),
+        caseInsensitive: true
+    },
+    'Shell': {
+        rules: [['comment', /(?<![\w$])#[^\n]*/y], ['string', DOUBLE_QUOTED], ['string', /'[^']*'?/y],
+            ['variable', /\$(?:\{[^}\n]*\}?|[A-Za-z_]\w*|[0-9@#?$!*-])/y], ['number', NUMBER]],
+        keywords: words('if then else elif fi for while until do done case esac function in return exit local ' +
+            'export echo read source set unset shift break continue cd'),
+        literals: words('true false')
+    }
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Classify an identifier as a keyword, literal, type, function call or plain name
+ * @param {string} word - Identifier
+ * @param {Object} language - Language rules
+ * @param {string} rest - Code after the identifier
+ * @returns {string|null} Token type, or null for plain text
+ */
+function classifyIdentifier(word, language, rest) {
+    const key = language.caseInsensitive ? word.toLowerCase() : word;
+    if (language.keywords && language.keywords.has(key)) return 'keyword';
+    if (language.literals && language.literals.has(key)) return 'literal';
+    if (/^\s*\(/.test(rest)) return 'function';
+    if (!language.caseInsensitive && /^[A-Z][a-z]\w*$/.test(word)) return 'type';
+    return null;
+}
+
+/**
+ * Split code into tokens
+ * @param {string} code - Code text
+ * @param {string} languageName - Programming language of the code
+ * @returns {Array<{type: string|null, text: string}>} Tokens in order; type null is plain text
+ */
+export function tokenize(code, languageName) {
+    const language = LANGUAGES[languageName];
+    if (!language) {
+        return [{ type: null, text: code }];
+    }
+
+    const tokens = [];
+    let plain = '';
+    const pushToken = (type, text) => {
+        if (plain) {
+            tokens.push({ type: null, text: plain });
+            plain = '';
+        }
+        tokens.push({ type, text });
+    };
+
+    let pos = 0;
+    while (pos < code.length) {
+        let matched = false;
+        for (const [type, regex] of language.rules) {
+            regex.lastIndex = pos;
+            const match = regex.exec(code);
+            if (match && match[0].length > 0) {
+                pushToken(type, match[0]);
+                pos += match[0].length;
+                matched = true;
+                break;
+            }
+        }
+        if (matched) continue;
+
+        if (language.identifiers !== false) {
+            IDENTIFIER.lastIndex = pos;
+            const match = IDENTIFIER.exec(code);
+            if (match) {
+                const word = match[0];
+                const type = classifyIdentifier(word, language, code.slice(pos + word.length, pos + word.length + 20));
+                if (type) {
+                    pushToken(type, word);
+                } else {
+                    plain += word;
+                }
+                pos += word.length;
+                continue;
+            }
+        }
+
+        plain += code[pos];
+        pos++;
+    }
+
+    if (plain) {
+        tokens.push({ type: null, text: plain });
+    }
+    return tokens;
+}
+
+/**
+ * Render code as line-numbered, highlighted HTML
+ * Tokens that span lines (block comments, multi-line strings) are closed and reopened on each line,
+ * so every line is a complete row the client can comment on
+ * @param {string} code - Code text
+ * @param {string} languageName - Programming language of the code
+ * @param {string} [lineTitle] - Tooltip for the line numbers; embeds pass an empty string as their lines cannot be commented on
+ * @returns {string} HTML with one .code-line row per line
+ */
+export function highlightCode(code, languageName, lineTitle = 'Click to comment, shift-click to comment on a range') {
+    const normalized = String(code || '').replace(/\r\n/g, '\n');
+    const lines = [''];
+
+    tokenize(normalized, languageName).forEach(token => {
+        token.text.split('\n').forEach((part, index) => {
+            if (index > 0) lines.push('');
+            if (!part) return;
+            const escaped = escapeHtml(part);
+            lines[lines.length - 1] += token.type ? `<span class="tok-${token.type}">${escaped}</span>` : escaped;
+        });
+    });
+
+    return lines.map((html, index) =>
+        `<div class="code-line" data-line="${index + 1}">` +
+        `<span class="line-number" data-line="${index + 1}"${lineTitle ? ` title="${escapeHtml(lineTitle)}"` : ''}>${index + 1}</span>` +
+        `<span class="line-content">${html}</span>` +
+        '</div>'
+    ).join('');
+}
+
+/**
+ * Render every file of a post for caching on the post document
+ * @param {Array<Object>} files - Files with name, language and code
+ * @returns {{version: number, files: Array<string>}} Rendered HTML per file, in file order
+ */
+export function renderPostCode(files) {
+    return {
+        version: HIGHLIGHT_VERSION,
+        files: files.map(file => highlightCode(file.code, file.language))
+    };
+}
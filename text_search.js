@@ -0,0 +1,121 @@
+// Helpers for MongoDB $text search over posts
+// Parses the same query syntax as $text and builds highlighted match excerpts
+
+// Number of characters shown either side of the first match in an excerpt
+const EXCERPT_RADIUS = 60;
+
+/**
+ * Parse a $text search string into phrases, terms and negated words
+ * Follows MongoDB syntax: "exact phrase", -excluded, everything else is a term
+ * @param {string} query - Search query
+ * @returns {{phrases: Array<string>, terms: Array<string>, negated: Array<string>}} Parsed query
+ */
+export function parseSearchQuery(query) {
+    const phrases = [];
+    const terms = [];
+    const negated = [];
+
+    // Pull out quoted phrases first
+    const remaining = String(query || '').replace(/(-?)"([^"]*)"/g, (match, minus, phrase) => {
+        const trimmed = phrase.trim();
+        if (trimmed) {
+            (minus ? negated : phrases).push(trimmed);
+        }
+        return ' ';
+    });
+
+    remaining.split(/\s+/).forEach(word => {
+        if (!word) return;
+        if (word.startsWith('-')) {
+            if (word.length > 1) negated.push(word.slice(1));
+        } else {
+            terms.push(word);
+        }
+    });
+
+    return { phrases, terms, negated };
+}
+
+/**
+ * Find every match of the query's phrases and terms in a piece of text
+ * @param {string} text - Text to search
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Array<{start: number, end: number}>} Non-overlapping matches in order
+ */
+export function findMatches(text, parsed) {
+    if (!text) return [];
+
+    const lowerText = text.toLowerCase();
+    const needles = [...parsed.phrases, ...parsed.terms]
+        .map(needle => needle.toLowerCase())
+        .filter(Boolean);
+
+    const matches = [];
+    needles.forEach(needle => {
+        let index = lowerText.indexOf(needle);
+        while (index !== -1) {
+            matches.push({ start: index, end: index + needle.length });
+            index = lowerText.indexOf(needle, index + needle.length);
+        }
+    });
+
+    // Sort and drop overlaps so the client can wrap each range safely
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+    const merged = [];
+    matches.forEach(match => {
+        const last = merged[merged.length - 1];
+        if (last && match.start < last.end) {
+            last.end = Math.max(last.end, match.end);
+        } else {
+            merged.push({ ...match });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Cut a short excerpt around the first match in a piece of text
+ * @param {string} text - Full text
+ * @param {{start: number, end: number}} firstMatch - First match in the text
+ * @returns {string} Excerpt with whitespace collapsed and ellipses where cut
+ */
+function cutExcerpt(text, firstMatch) {
+    const start = Math.max(0, firstMatch.start - EXCERPT_RADIUS);
+    const end = Math.min(text.length, firstMatch.end + EXCERPT_RADIUS);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    return prefix + text.slice(start, end).replace(/\s+/g, ' ') + suffix;
+}
+
+/**
+ * Build a highlighted excerpt for a post, preferring title, then description, then code
+ * @param {Object} post - Post document with title, description and files
+ * @param {string} query - Search query
+ * @returns {Object|null} Highlight with field, fileName, text and matches, or null if nothing matched
+ */
+export function buildHighlight(post, query) {
+    const parsed = parseSearchQuery(query);
+    const candidates = [
+        { field: 'title', text: post.title || '' },
+        { field: 'description', text: post.description || '' },
+        ...(post.files || []).map(file => ({ field: 'code', fileName: file.name, text: file.code || '' }))
+    ];
+
+    for (const candidate of candidates) {
+        const matches = findMatches(candidate.text, parsed);
+        if (matches.length === 0) continue;
+
+        // Matches are found again in the excerpt so offsets line up with its text
+        const excerpt = cutExcerpt(candidate.text, matches[0]);
+        return {
+            field: candidate.field,
+            fileName: candidate.fileName || null,
+            text: excerpt,
+            matches: findMatches(excerpt, parsed),
+            matchCount: matches.length
+        };
+    }
+
+    return null;
+}
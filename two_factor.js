@@ -0,0 +1,171 @@
+// Helpers for time-based one-time password (TOTP, RFC 6238) two-factor authentication
+// Secrets are base32 so authenticator apps can read them; recovery codes are only stored as hashes
+import crypto from 'crypto';
+
+// Codes are 6 digits and change every 30 seconds
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD = 30;
+
+// Codes from one period either side are accepted, to allow for clock drift
+const TOTP_WINDOW = 1;
+
+// Number of recovery codes handed out when two-factor authentication is turned on
+export const RECOVERY_CODE_COUNT = 10;
+
+// Name shown in authenticator apps
+const ISSUER = 'CodeLogs';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 without padding (RFC 4648)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 text
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode base32 text, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(text) {
+    const cleaned = text.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) continue;
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} 160-bit secret in base32
+ */
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix seconds divided by the period)
+ * @returns {string} Zero-padded code
+ */
+export function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation (RFC 4226): four bytes starting at the offset in the last nibble
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Get the current TOTP time step
+ * @param {number} now - Time in milliseconds
+ * @returns {number} Time step
+ */
+export function getTotpStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Check a TOTP code against a secret
+ * Steps at or before lastUsedStep are refused, so a code cannot be used twice
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} lastUsedStep - Step of the last code accepted for this user, if any
+ * @param {number} now - Time in milliseconds
+ * @returns {number|null} Matching time step, or null if the code is wrong or already used
+ */
+export function verifyTotp(secret, code, lastUsedStep = -1, now = Date.now()) {
+    const cleaned = String(code).replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(cleaned)) {
+        return null;
+    }
+
+    const current = getTotpStep(now);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleaned))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether a code looks like a TOTP code rather than a recovery code
+ * @param {string} code - Code typed by the user
+ * @returns {boolean} True for a six-digit code
+ */
+export function isTotpCode(code) {
+    return new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(String(code).replace(/\s/g, ''));
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from the QR code
+ * @param {string} username - Account name shown in the app
+ * @param {string} secret - Base32 secret
+ * @returns {string} Provisioning URI
+ */
+export function buildProvisioningUri(username, secret) {
+    const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(username)}`;
+    const params = new URLSearchParams({
+        secret: secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Generate a set of single-use recovery codes
+ * @returns {Array<string>} Codes like "a1b2c-3d4e5"
+ */
+export function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+/**
+ * Normalise a recovery code before hashing, so case, spaces and hyphens do not matter
+ * @param {string} code - Code typed by the user
+ * @returns {string} Lower-case code without separators
+ */
+export function normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[\s-]/g, '');
+}
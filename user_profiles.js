@@ -0,0 +1,231 @@
+// Helpers for editable user profiles and their privacy settings
+// Profile fields live on the user document; privacy decides what other users are shown
+
+// Limits for profile fields
+export const MAX_DISPLAY_NAME_LENGTH = 50;
+export const MAX_BIO_LENGTH = 500;
+export const MAX_LOCATION_LENGTH = 100;
+export const MAX_WEBSITE_LENGTH = 200;
+export const MAX_SKILLS = 20;
+export const MAX_SKILL_LENGTH = 30;
+
+// Privacy used when a user has never changed it
+// The phone number was never shown before privacy settings existed, so it stays hidden until a user chooses to show it
+export const PRIVACY_DEFAULTS = {
+    hideEmail: false,
+    hidePhone: true,
+    hideFollowers: false
+};
+
+// GitHub usernames: letters, digits and single hyphens, at most 39 characters
+const GITHUB_HANDLE_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+/**
+ * Validate an optional text field, trimming it
+ * @param {*} value - Submitted value
+ * @param {string} label - Field name for error messages
+ * @param {number} maxLength - Longest allowed value
+ * @returns {{value: string}|{error: string}} Trimmed text (empty clears the field) or an error message
+ */
+function normalizeText(value, label, maxLength) {
+    if (typeof value !== 'string') {
+        return { error: `${label} must be text.` };
+    }
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) {
+        return { error: `${label} can be at most ${maxLength} characters.` };
+    }
+    return { value: trimmed };
+}
+
+/**
+ * Validate a website address
+ * @param {*} value - Submitted value
+ * @returns {{value: string}|{error: string}} Normalised http(s) URL, empty to clear, or an error message
+ */
+function normalizeWebsite(value) {
+    const result = normalizeText(value, 'Website', MAX_WEBSITE_LENGTH);
+    if (result.error || !result.value) {
+        return result;
+    }
+
+    // Addresses typed without a scheme are taken as https
+    const address = /^[a-z][a-z\d+.-]*:/i.test(result.value) ? result.value : `https://${result.value}`;
+    let url;
+    try {
+        url = new URL(address);
+    } catch (error) {
+        return { error: 'Website must be a valid web address.' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { error: 'Website must start with http:// or https://.' };
+    }
+    return { value: url.href };
+}
+
+/**
+ * Validate a GitHub handle, accepting "@name" and github.com profile links
+ * @param {*} value - Submitted value
+ * @returns {{value: string}|{error: string}} GitHub username, empty to clear, or an error message
+ */
+function normalizeGithubHandle(value) {
+    if (typeof value !== 'string') {
+        return { error: 'GitHub handle must be text.' };
+    }
+    const handle = value.trim()
+        .replace(/^(?:https?:\/\/)?(?:www\.)?github\.com\//i, '')
+        .replace(/^@/, '')
+        .replace(/\/+$/, '');
+    if (handle && !GITHUB_HANDLE_PATTERN.test(handle)) {
+        return { error: 'GitHub handle is not a valid GitHub username.' };
+    }
+    return { value: handle };
+}
+
+/**
+ * Validate a skills list
+ * Accepts an array or a comma-separated string, drops blanks and repeats (ignoring case)
+ * @param {Array|string} value - Submitted skills
+ * @returns {{value: Array<string>}|{error: string}} Skills in the order given, or an error message
+ */
+function normalizeSkills(value) {
+    const skills = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(skills) || skills.some(skill => typeof skill !== 'string')) {
+        return { error: 'Skills must be a list of text.' };
+    }
+
+    const cleaned = [];
+    for (const skill of skills) {
+        const trimmed = skill.trim();
+        if (!trimmed || cleaned.some(existing => existing.toLowerCase() === trimmed.toLowerCase())) continue;
+        if (trimmed.length > MAX_SKILL_LENGTH) {
+            return { error: `Skills can be at most ${MAX_SKILL_LENGTH} characters each.` };
+        }
+        cleaned.push(trimmed);
+    }
+
+    if (cleaned.length > MAX_SKILLS) {
+        return { error: `A profile can list at most ${MAX_SKILLS} skills.` };
+    }
+    return { value: cleaned };
+}
+
+/**
+ * Validate a profile update
+ * Only the fields sent are changed; privacy can be sent in part, e.g. { privacy: { hideEmail: true } }
+ * @param {Object} body - Request body with displayName, bio, location, website, githubHandle, skills and privacy
+ * @returns {{updates: Object}|{error: string}} Fields for a MongoDB $set, or an error message
+ */
+export function normalizeProfileUpdate(body) {
+    const updates = {};
+    const fields = [
+        ['displayName', value => normalizeText(value, 'Display name', MAX_DISPLAY_NAME_LENGTH)],
+        ['bio', value => normalizeText(value, 'Bio', MAX_BIO_LENGTH)],
+        ['location', value => normalizeText(value, 'Location', MAX_LOCATION_LENGTH)],
+        ['website', normalizeWebsite],
+        ['githubHandle', normalizeGithubHandle],
+        ['skills', normalizeSkills]
+    ];
+
+    for (const [field, normalize] of fields) {
+        if (body[field] === undefined) continue;
+        const result = normalize(body[field]);
+        if (result.error) {
+            return result;
+        }
+        updates[field] = result.value;
+    }
+
+    if (body.privacy !== undefined) {
+        if (!body.privacy || typeof body.privacy !== 'object' || Array.isArray(body.privacy)) {
+            return { error: 'privacy must be an object of settings.' };
+        }
+        for (const [setting, value] of Object.entries(body.privacy)) {
+            if (!Object.hasOwn(PRIVACY_DEFAULTS, setting)) {
+                return { error: `Unknown privacy setting: ${setting}` };
+            }
+            if (typeof value !== 'boolean') {
+                return { error: `${setting} must be true or false.` };
+            }
+            updates[`privacy.${setting}`] = value;
+        }
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return { error: 'No profile fields to update.' };
+    }
+    return { updates };
+}
+
+/**
+ * Get a user's privacy settings, filling in defaults for settings never changed
+ * @param {Object} user - User document
+ * @returns {Object} Privacy settings
+ */
+export function getPrivacy(user) {
+    return { ...PRIVACY_DEFAULTS, ...(user.privacy || {}) };
+}
+
+/**
+ * Check whether a viewer may see who a user follows and is followed by
+ * @param {Object} user - User document
+ * @param {string|undefined} viewer - Session username, if logged in
+ * @returns {boolean} True if the follower lists can be shown
+ */
+export function canSeeFollowLists(user, viewer) {
+    return user.username === viewer || !getPrivacy(user).hideFollowers;
+}
+
+/**
+ * Build the profile fields shown to a viewer, leaving out what the user has hidden
+ * Users always see their own email, phone and privacy settings
+ * @param {Object} user - User document
+ * @param {string|undefined} viewer - Session username, if logged in
+ * @returns {Object} Profile fields
+ */
+export function presentProfile(user, viewer) {
+    const isOwner = user.username === viewer;
+    const privacy = getPrivacy(user);
+    const profile = {
+        username: user.username,
+        displayName: user.displayName || '',
+        bio: user.bio || '',
+        location: user.location || '',
+        website: user.website || '',
+        githubHandle: user.githubHandle || '',
+        skills: user.skills || [],
+        profileImage: user.profileImage,
+        createdAt: user.createdAt,
+        followListsHidden: !canSeeFollowLists(user, viewer)
+    };
+
+    if (isOwner || !privacy.hideEmail) {
+        profile.email = user.email;
+    }
+    if (isOwner || !privacy.hidePhone) {
+        profile.phone = user.phone;
+    }
+    if (isOwner) {
+        profile.privacy = privacy;
+    }
+    return profile;
+}
+
+/**
+ * Build the short user entry used in follower lists and user search
+ * @param {Object} user - User document with username, email, profileImage, displayName and privacy
+ * @param {string|undefined} viewer - Session username, if logged in
+ * @returns {Object} User entry, with the email only when the user shows it
+ */
+export function presentUserSummary(user, viewer) {
+    const summary = {
+        _id: user._id,
+        username: user.username,
+        displayName: user.displayName || '',
+        profileImage: user.profileImage
+    };
+    if (user.username === viewer || !getPrivacy(user).hideEmail) {
+        summary.email = user.email;
+    }
+    return summary;
+}
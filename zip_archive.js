@@ -0,0 +1,95 @@
+// Minimal ZIP writer for snippet downloads
+// Builds the whole archive in memory, which is fine for posts (a few code files and one upload)
+
+import zlib from 'zlib';
+
+// Entries smaller than this are stored as they are, since deflate would not save anything
+const MIN_DEFLATE_SIZE = 64;
+
+// General purpose flag marking entry names as UTF-8
+const UTF8_FLAG = 0x0800;
+
+/**
+ * Convert a date to the MS-DOS time and date fields used by ZIP headers
+ * @param {Date} date - Modification date
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+function toDosDateTime(date) {
+    // DOS dates start in 1980
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Create a ZIP archive
+ * @param {Array<{name: string, data: Buffer|string}>} entries - Files to add, in order; names may contain folders ("a/b.js")
+ * @param {Date} [modified] - Modification date shown for every entry
+ * @returns {Buffer} ZIP file contents
+ */
+export function createZip(entries, modified = new Date()) {
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        const crc = zlib.crc32(data);
+
+        // Deflate when it makes the entry smaller, otherwise store it
+        let method = 0;
+        let stored = data;
+        if (data.length >= MIN_DEFLATE_SIZE) {
+            const deflated = zlib.deflateRawSync(data);
+            if (deflated.length < data.length) {
+                method = 8;
+                stored = deflated;
+            }
+        }
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(stored.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, stored);
+        centralParts.push(central, name);
+        offset += local.length + name.length + stored.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}